@@ -0,0 +1,112 @@
+import { NextRequest, NextResponse } from "next/server"
+// @ts-ignore - módulo JavaScript comum
+const { aplicarAjustesManuais } = require("@/lib/scripts/concilia")
+// @ts-ignore - módulo JavaScript comum
+const { obterExecucao, atualizarExecucao } = require("@/lib/scripts/execucoes")
+
+/**
+ * Rota API para ajustar manualmente o resultado de uma conciliação
+ *
+ * Funcionalidade:
+ * - Recebe o id da execução (`execucao`, devolvido por /api/processar-planilha)
+ *   e a lista completa de ajustes do analista (`ajustes`: desfeitos, aceitos, pares e ignorados)
+ * - Reaplica todos os ajustes sobre o resultado ORIGINAL guardado na execução, recalcula o
+ *   resumo e gera de novo a planilha e o relatório PDF
+ * - Não precisa reenviar os arquivos: tudo sai do resultado já conciliado
+ * - Os links de download da execução passam a entregar os arquivos ajustados
+ *
+ * IMPORTANTE:
+ * - Ajuste que não pode ser aplicado (ou corpo que não é JSON) não é erro do servidor: volta com
+ *   status 400 e a mensagem
+ * - Execução expirada (ou de antes de reiniciar o servidor): status 404, é preciso conciliar de novo
+ * - Nada é gravado em disco
+ */
+
+export async function POST(request: NextRequest) {
+  try {
+    let corpo
+    try {
+      corpo = await request.json()
+    } catch {
+      corpo = null
+    }
+    if (!corpo || typeof corpo !== "object") {
+      console.error("[AJUSTAR-CONCILIACAO] Corpo da requisição não é um JSON válido")
+      return NextResponse.json(
+        { sucesso: false, codigoErro: "AJUSTE_INVALIDO", mensagem: "Envie a execução e os ajustes em JSON" },
+        { status: 400 }
+      )
+    }
+    const { execucao: idExecucao, ajustes } = corpo
+    
+    if (!idExecucao || typeof idExecucao !== "string") {
+      console.error("[AJUSTAR-CONCILIACAO] Execução não informada")
+      return NextResponse.json(
+        { sucesso: false, mensagem: "Informe a execução da conciliação a ajustar" },
+        { status: 400 }
+      )
+    }
+    
+    const execucao = obterExecucao(idExecucao)
+    if (!execucao) {
+      console.error(`[AJUSTAR-CONCILIACAO] Execução ${idExecucao} não encontrada ou expirada`)
+      return NextResponse.json(
+        { sucesso: false, codigoErro: "EXECUCAO_EXPIRADA", mensagem: "Esta conciliação expirou. Processe os arquivos de novo para ajustá-la." },
+        { status: 404 }
+      )
+    }
+    
+    console.log(`[AJUSTAR-CONCILIACAO] Ajustando execução ${idExecucao}: ` +
+      `${ajustes?.desfeitos?.length ?? 0} desfeito(s), ${ajustes?.aceitos?.length ?? 0} aceito(s), ` +
+      `${ajustes?.pares?.length ?? 0} par(es) manual(is), ` +
+      `${ajustes?.ignorados?.length ?? 0} ignorado(s)`)
+    
+    const relatorioAjustado = await aplicarAjustesManuais(execucao.original, ajustes || {})
+    // A execução pode ter expirado (ou saído pelo limite) enquanto os ajustes eram recalculados
+    const atualizada = atualizarExecucao(idExecucao, relatorioAjustado)
+    if (!atualizada) {
+      console.error(`[AJUSTAR-CONCILIACAO] Execução ${idExecucao} expirou durante o ajuste`)
+      return NextResponse.json(
+        { sucesso: false, codigoErro: "EXECUCAO_EXPIRADA", mensagem: "Esta conciliação expirou. Processe os arquivos de novo para ajustá-la." },
+        { status: 404 }
+      )
+    }
+    const { resultado, downloads } = atualizada
+    
+    console.log(`[AJUSTAR-CONCILIACAO] Resumo recalculado: taxa ${resultado.resumo.taxaConciliacao}, ` +
+      `situação ${resultado.resumo.status}`)
+    
+    return NextResponse.json(
+      {
+        sucesso: true,
+        mensagem: "Ajustes aplicados",
+        execucao: { id: idExecucao, downloads },
+        relatorio: resultado
+      },
+      { status: 200 }
+    )
+  
+  } catch (erro) {
+    console.error("[AJUSTAR-CONCILIACAO] Erro ao ajustar conciliação:", erro)
+    
+    const erroAjuste = erro as { codigoErro?: string }
+    if (erroAjuste?.codigoErro === "AJUSTE_INVALIDO") {
+      return NextResponse.json(
+        {
+          sucesso: false,
+          codigoErro: erroAjuste.codigoErro,
+          mensagem: erro instanceof Error ? erro.message : "Ajuste inválido"
+        },
+        { status: 400 }
+      )
+    }
+    
+    return NextResponse.json(
+      {
+        sucesso: false,
+        mensagem: erro instanceof Error ? erro.message : "Erro ao ajustar conciliação"
+      },
+      { status: 500 }
+    )
+  }
+}
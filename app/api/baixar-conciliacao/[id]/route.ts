@@ -0,0 +1,65 @@
+import { NextRequest, NextResponse } from "next/server"
+// @ts-ignore - módulo JavaScript comum
+const { FORMATOS_DOWNLOAD, lerArquivoExecucao } = require("@/lib/scripts/execucoes")
+
+/**
+ * Rota API para baixar os arquivos de uma conciliação
+ *
+ * Funcionalidade:
+ * - GET /api/baixar-conciliacao/<id>?formato=xlsx|csv|json|pdf
+ * - O id vem na resposta de /api/processar-planilha (`execucao.id`, com os links prontos
+ *   em `execucao.downloads`)
+ * - Entrega o arquivo em binário, com Content-Disposition para o navegador salvar com o nome certo
+ * - Depois de ajustes manuais (/api/ajustar-conciliacao), os mesmos links entregam o resultado ajustado
+ *
+ * IMPORTANTE:
+ * - Pode ser baixado quantas vezes precisar enquanto a execução valer (ver lib/scripts/execucoes.js)
+ * - Execução expirada ou desconhecida: status 404 com a mensagem em JSON
+ */
+
+export async function GET(request: NextRequest, { params }: { params: { id: string } }) {
+  try {
+    const formato = request.nextUrl.searchParams.get("formato") || "xlsx"
+    
+    if (!Object.prototype.hasOwnProperty.call(FORMATOS_DOWNLOAD, formato)) {
+      console.error(`[BAIXAR-CONCILIACAO] Formato inválido: ${formato}`)
+      return NextResponse.json(
+        { sucesso: false, mensagem: `Formato inválido: use ${Object.keys(FORMATOS_DOWNLOAD).join(", ")}` },
+        { status: 400 }
+      )
+    }
+    
+    const arquivo = lerArquivoExecucao(params.id, formato)
+    if (!arquivo) {
+      console.error(`[BAIXAR-CONCILIACAO] Execução ${params.id} não encontrada ou expirada`)
+      return NextResponse.json(
+        { sucesso: false, codigoErro: "EXECUCAO_EXPIRADA", mensagem: "Esta conciliação expirou. Processe os arquivos de novo para baixá-la." },
+        { status: 404 }
+      )
+    }
+    
+    console.log(`[BAIXAR-CONCILIACAO] Execução ${params.id}: ${arquivo.nomeArquivo} (${arquivo.conteudo.length} bytes)`)
+    
+    return new NextResponse(arquivo.conteudo, {
+      status: 200,
+      headers: {
+        "Content-Type": arquivo.tipo,
+        "Content-Disposition": `attachment; filename="${arquivo.nomeArquivo}"`,
+        "Content-Length": String(arquivo.conteudo.length),
+        // O conteúdo do mesmo link muda com os ajustes manuais
+        "Cache-Control": "no-store"
+      }
+    })
+  
+  } catch (erro) {
+    console.error("[BAIXAR-CONCILIACAO] Erro ao gerar arquivo para download:", erro)
+    
+    return NextResponse.json(
+      {
+        sucesso: false,
+        mensagem: erro instanceof Error ? erro.message : "Erro ao baixar arquivo da conciliação"
+      },
+      { status: 500 }
+    )
+  }
+}
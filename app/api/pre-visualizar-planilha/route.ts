@@ -0,0 +1,70 @@
+import { NextRequest, NextResponse } from "next/server"
+// @ts-ignore - módulo JavaScript comum
+const { preVisualizarArquivo } = require("@/lib/scripts/concilia")
+// @ts-ignore - módulo JavaScript comum
+const { PERFIS_EXTRATO } = require("@/lib/scripts/perfis-extrato")
+
+/**
+ * Rota API para pré-visualizar um arquivo antes da conciliação
+ *
+ * Funcionalidade:
+ * - Recebe um arquivo (extrato ou relatório) via upload
+ * - Informa como foi lido: formato, codificação, delimitador e separador decimal (CSV/TXT)
+ * - Mostra qual coluna virou cada campo e as primeiras linhas de dados
+ * - Lista as abas do arquivo; `planilha` escolhe qual aba pré-visualizar (padrão: a primeira)
+ * - Informa a ordem das datas; `ordemData` declara a ordem do arquivo ("dma", "mda"; padrão: detectar)
+ *
+ * IMPORTANTE:
+ * - Nada é gravado em disco; o arquivo é lido apenas em memória
+ * - Problema de formato não é erro do servidor: volta em `previa.erro`
+ */
+
+export async function POST(request: NextRequest) {
+  try {
+    const formData = await request.formData()
+    const arquivo = formData.get("arquivo") as File | null
+    const tipo = formData.get("tipo")
+    
+    if (!arquivo || (tipo !== "extrato" && tipo !== "relatorio")) {
+      console.error("[PRE-VISUALIZAR] Arquivo ou tipo não fornecido")
+      return NextResponse.json(
+        { sucesso: false, mensagem: "Envie o arquivo e o tipo (extrato ou relatorio)" },
+        { status: 400 }
+      )
+    }
+    
+    // Perfil do banco: mesmo critério da conciliação ('auto' ou um id conhecido)
+    const perfilInformado = formData.get("perfilExtrato")
+    const perfilExtrato = typeof perfilInformado === "string" &&
+      PERFIS_EXTRATO.some((perfil: { id: string }) => perfil.id === perfilInformado)
+      ? perfilInformado
+      : "auto"
+    
+    const planilhaInformada = formData.get("planilha")
+    const planilha = typeof planilhaInformada === "string" && planilhaInformada !== "" ? planilhaInformada : null
+    
+    const ordemInformada = formData.get("ordemData")
+    const ordemData = ordemInformada === "dma" || ordemInformada === "mda" ? ordemInformada : "auto"
+    
+    console.log(`[PRE-VISUALIZAR] ${tipo}: ${arquivo.name} (${arquivo.size} bytes)${planilha ? `, aba "${planilha}"` : ""}`)
+    
+    const buffer = Buffer.from(await arquivo.arrayBuffer())
+    const previa = preVisualizarArquivo(buffer, tipo, { perfilExtrato, planilha, ordemData })
+    
+    console.log(`[PRE-VISUALIZAR] Formato: ${previa.formato}, linhas de dados: ${previa.totalLinhas}` +
+      (previa.erro ? `, problema: ${previa.erro.mensagem}` : ""))
+    
+    return NextResponse.json({ sucesso: true, previa }, { status: 200 })
+  
+  } catch (erro) {
+    console.error("[PRE-VISUALIZAR] Erro ao pré-visualizar arquivo:", erro)
+    
+    return NextResponse.json(
+      {
+        sucesso: false,
+        mensagem: erro instanceof Error ? erro.message : "Erro ao pré-visualizar arquivo"
+      },
+      { status: 500 }
+    )
+  }
+}
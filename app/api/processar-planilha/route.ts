@@ -4,7 +4,11 @@ import { join } from "path"
 import { tmpdir } from "os"
 import * as XLSX from "xlsx"
 // @ts-ignore - módulo JavaScript comum
-const { realizarConciliacao } = require("@/lib/scripts/concilia")
+const { realizarConciliacao, lerPlanilha } = require("@/lib/scripts/concilia")
+// @ts-ignore - módulo JavaScript comum
+const { PERFIS_EXTRATO } = require("@/lib/scripts/perfis-extrato")
+// @ts-ignore - módulo JavaScript comum
+const { registrarExecucao } = require("@/lib/scripts/execucoes")
 
 /**
  * Rota API para processar planilha
@@ -27,14 +31,15 @@ export async function POST(request: NextRequest) {
     // Recebe os arquivos do FormData
     const formData = await request.formData()
     
-    // Verifica se são duas planilhas (conciliação) ou uma (processamento normal)
-    const extratoBancario = formData.get("extratoBancario") as File | null
-    const relatorioFinanceiro = formData.get("relatorioFinanceiro") as File | null
+    // Verifica se são planilhas dos dois lados (conciliação) ou uma (processamento normal)
+    // Cada lado pode ter vários arquivos (o mesmo campo repetido no FormData)
+    const extratosBancarios = lerArquivosConciliacao(formData, "extratoBancario")
+    const relatoriosFinanceiros = lerArquivosConciliacao(formData, "relatorioFinanceiro")
     const arquivo = formData.get("arquivo") as File | null
     
-    // Modo conciliação: duas planilhas
-    if (extratoBancario && relatorioFinanceiro) {
-      return await processarConciliacao(extratoBancario, relatorioFinanceiro)
+    // Modo conciliação: extrato(s) + relatório(s)
+    if (extratosBancarios.length > 0 && relatoriosFinanceiros.length > 0) {
+      return await processarConciliacao(extratosBancarios, relatoriosFinanceiros, lerOpcoesConciliacao(formData))
     }
     
     // Modo normal: uma planilha
@@ -46,12 +51,12 @@ export async function POST(request: NextRequest) {
       )
     }
     
-    // Valida se é um arquivo Excel
+    // Valida se é uma planilha (Excel ou texto delimitado)
     const extensao = arquivo.name.toLowerCase().split('.').pop()
-    if (!['xlsx', 'xls'].includes(extensao || '')) {
-      console.error("[PROCESSAR-PLANILHA] Arquivo não é uma planilha Excel válida")
+    if (!['xlsx', 'xls', 'csv', 'txt'].includes(extensao || '')) {
+      console.error("[PROCESSAR-PLANILHA] Arquivo não é uma planilha válida")
       return NextResponse.json(
-        { sucesso: false, mensagem: "Arquivo deve ser uma planilha Excel (.xlsx ou .xls)" },
+        { sucesso: false, mensagem: "Arquivo deve ser uma planilha (.xlsx, .xls, .csv ou .txt)" },
         { status: 400 }
       )
     }
@@ -72,16 +77,12 @@ export async function POST(request: NextRequest) {
       await writeFile(caminhoTemporario, buffer)
       console.log(`[PROCESSAR-PLANILHA] Arquivo temporário criado: ${caminhoTemporario}`)
       
-      // Lê o arquivo Excel diretamente do buffer
-      // O XLSX detecta automaticamente o tipo baseado no conteúdo do arquivo
+      // Lê o arquivo diretamente do buffer
+      // XLSX/XLS pelo conteúdo; CSV/TXT com detecção de codificação e delimitador
       console.log(`[PROCESSAR-PLANILHA] Tipo de arquivo detectado: ${extensao}`)
       console.log(`[PROCESSAR-PLANILHA] Primeiros bytes do buffer (hex): ${buffer.slice(0, 8).toString('hex')}`)
       
-      // Tenta ler o arquivo com as opções padrão
-      const workbook = XLSX.read(buffer, { 
-        type: 'buffer',
-        cellDates: true
-      })
+      const { workbook }: { workbook: XLSX.WorkBook } = lerPlanilha(buffer)
       
       // Obtém informações sobre as planilhas
       const nomeDasPlanilhas = workbook.SheetNames
@@ -142,92 +143,214 @@ export async function POST(request: NextRequest) {
 }
 
 /**
- * Processa conciliação com duas planilhas
+ * Lê as opções da conciliação enviadas no FormData
+ * Campos ausentes ou inválidos ficam de fora (vale o padrão do script)
+ */
+function lerOpcoesConciliacao(formData: FormData): Record<string, unknown> {
+  const opcoes: Record<string, unknown> = {}
+  
+  // Campos numéricos não negativos
+  const camposNumericos = [
+    "janelaDiasUteis",
+    "divergenciaToleranciaCentavos",
+    "divergenciaToleranciaPercentual",
+    "confiancaMinima"
+  ]
+  camposNumericos.forEach((campo) => {
+    const valor = formData.get(campo)
+    if (typeof valor === "string" && valor.trim() !== "") {
+      const numero = Number(valor.replace(",", "."))
+      if (!isNaN(numero) && numero >= 0) {
+        opcoes[campo] = numero
+      }
+    }
+  })
+  
+  const estrategiaAtribuicao = formData.get("estrategiaAtribuicao")
+  if (estrategiaAtribuicao === "otima" || estrategiaAtribuicao === "gulosa") {
+    opcoes.estrategiaAtribuicao = estrategiaAtribuicao
+  }
+  
+  const naturezaCruzamento = formData.get("naturezaCruzamento")
+  if (naturezaCruzamento === "debito" || naturezaCruzamento === "todas") {
+    opcoes.naturezaCruzamento = naturezaCruzamento
+  }
+  
+  // Perfil do banco do extrato: 'auto' (detecção) ou um id de PERFIS_EXTRATO
+  const perfilExtrato = formData.get("perfilExtrato")
+  if (typeof perfilExtrato === "string" &&
+      (perfilExtrato === "auto" || PERFIS_EXTRATO.some((perfil: { id: string }) => perfil.id === perfilExtrato))) {
+    opcoes.perfilExtrato = perfilExtrato
+  }
+  
+  return opcoes
+}
+
+/**
+ * Arquivo de um lado da conciliação, com as abas e a ordem das datas escolhidas pelo usuário
+ */
+interface ArquivoConciliacao {
+  arquivo: File
+  planilhas: string[] | "todas" | null
+  ordemData: "dma" | "mda" | "auto"
+}
+
+/**
+ * Lê as abas escolhidas de um arquivo (JSON: lista de nomes ou "todas"; vazio = primeira aba)
  */
-async function processarConciliacao(extratoBancario: File, relatorioFinanceiro: File) {
+function lerPlanilhasEscolhidas(arquivo: File, valor: FormDataEntryValue | undefined): string[] | "todas" | null {
+  if (typeof valor !== "string" || valor.trim() === "") {
+    return null
+  }
+  try {
+    const abas = JSON.parse(valor)
+    if (abas === "todas") {
+      return "todas"
+    }
+    return Array.isArray(abas) && abas.length > 0 ? abas.map(String) : null
+  } catch {
+    console.error(`[PROCESSAR-PLANILHA] Abas inválidas para ${arquivo.name}: ${valor}`)
+    return null
+  }
+}
+
+/**
+ * Lê os arquivos de um lado da conciliação enviados no FormData
+ * - `${campo}`: um ou mais arquivos (campo repetido)
+ * - `${campo}Planilhas`: abas de cada arquivo, na mesma ordem (JSON: lista de nomes ou "todas";
+ *   vazio = primeira aba)
+ * - `${campo}OrdemData`: ordem das datas de cada arquivo, na mesma ordem ("dma", "mda";
+ *   vazio ou "auto" = detectar)
+ */
+function lerArquivosConciliacao(formData: FormData, campo: string): ArquivoConciliacao[] {
+  const arquivos = formData.getAll(campo).filter((valor): valor is File => valor instanceof File)
+  const planilhas = formData.getAll(`${campo}Planilhas`)
+  const ordensData = formData.getAll(`${campo}OrdemData`)
+  
+  return arquivos.map((arquivo, indice) => {
+    const ordemData = ordensData[indice]
+    return {
+      arquivo,
+      planilhas: lerPlanilhasEscolhidas(arquivo, planilhas[indice]),
+      ordemData: ordemData === "dma" || ordemData === "mda" ? ordemData : "auto"
+    }
+  })
+}
+
+/**
+ * Processa conciliação com os extratos e relatórios enviados (um ou mais de cada lado)
+ */
+async function processarConciliacao(
+  extratosBancarios: ArquivoConciliacao[],
+  relatoriosFinanceiros: ArquivoConciliacao[],
+  opcoes: Record<string, unknown> = {}
+) {
   try {
-    const nomeExtrato = extratoBancario.name
-    const nomeRelatorio = relatorioFinanceiro.name
-    
     console.log(`[PROCESSAR-PLANILHA] Iniciando conciliação:`)
-    console.log(`[PROCESSAR-PLANILHA] Extrato bancário: ${nomeExtrato} (${extratoBancario.size} bytes)`)
-    console.log(`[PROCESSAR-PLANILHA] Relatório financeiro: ${nomeRelatorio} (${relatorioFinanceiro.size} bytes)`)
-    
-    // Converte ambos os arquivos para buffer
-    const bytesExtrato = await extratoBancario.arrayBuffer()
-    const bufferExtrato = Buffer.from(bytesExtrato)
+    extratosBancarios.forEach(({ arquivo, planilhas, ordemData }) => {
+      console.log(`[PROCESSAR-PLANILHA] Extrato bancário: ${arquivo.name} (${arquivo.size} bytes)` +
+        (planilhas ? `, abas: ${planilhas === "todas" ? "todas" : planilhas.join(", ")}` : "") +
+        (ordemData !== "auto" ? `, datas: ${ordemData}` : ""))
+    })
+    relatoriosFinanceiros.forEach(({ arquivo, planilhas, ordemData }) => {
+      console.log(`[PROCESSAR-PLANILHA] Relatório financeiro: ${arquivo.name} (${arquivo.size} bytes)` +
+        (planilhas ? `, abas: ${planilhas === "todas" ? "todas" : planilhas.join(", ")}` : "") +
+        (ordemData !== "auto" ? `, datas: ${ordemData}` : ""))
+    })
     
-    const bytesRelatorio = await relatorioFinanceiro.arrayBuffer()
-    const bufferRelatorio = Buffer.from(bytesRelatorio)
+    // Converte todos os arquivos para buffer
+    const paraBuffer = async ({ arquivo, planilhas, ordemData }: ArquivoConciliacao) => ({
+      nome: arquivo.name,
+      buffer: Buffer.from(await arquivo.arrayBuffer()),
+      planilhas,
+      ordemData
+    })
+    const extratos = await Promise.all(extratosBancarios.map(paraBuffer))
+    const relatorios = await Promise.all(relatoriosFinanceiros.map(paraBuffer))
     
     // Cria arquivos temporários
-    const caminhoExtrato = join(tmpdir(), `extrato-${Date.now()}-${nomeExtrato}`)
-    const caminhoRelatorio = join(tmpdir(), `relatorio-${Date.now()}-${nomeRelatorio}`)
+    const caminhosTemporarios = [
+      ...extratos.map((extrato, indice) => ({ caminho: join(tmpdir(), `extrato-${Date.now()}-${indice}-${extrato.nome}`), buffer: extrato.buffer })),
+      ...relatorios.map((relatorio, indice) => ({ caminho: join(tmpdir(), `relatorio-${Date.now()}-${indice}-${relatorio.nome}`), buffer: relatorio.buffer }))
+    ]
     
     try {
       // Salva arquivos temporários
-      await writeFile(caminhoExtrato, bufferExtrato)
-      await writeFile(caminhoRelatorio, bufferRelatorio)
-      
-      console.log(`[PROCESSAR-PLANILHA] Arquivos temporários criados`)
-      
-      // Lê ambas as planilhas
-      const extensaoExtrato = nomeExtrato.toLowerCase().split('.').pop()
-      const extensaoRelatorio = nomeRelatorio.toLowerCase().split('.').pop()
+      for (const { caminho, buffer } of caminhosTemporarios) {
+        await writeFile(caminho, buffer)
+      }
       
-      console.log(`[PROCESSAR-PLANILHA] Tipo extrato: ${extensaoExtrato}`)
-      console.log(`[PROCESSAR-PLANILHA] Primeiros bytes extrato (hex): ${bufferExtrato.slice(0, 8).toString('hex')}`)
+      console.log(`[PROCESSAR-PLANILHA] Arquivos temporários criados: ${caminhosTemporarios.length}`)
       
-      const workbookExtrato = XLSX.read(bufferExtrato, { 
-        type: 'buffer',
-        cellDates: true
+      extratos.forEach((extrato) => {
+        console.log(`[PROCESSAR-PLANILHA] Primeiros bytes de ${extrato.nome} (hex): ${extrato.buffer.slice(0, 8).toString('hex')}`)
       })
       
-      // Realiza a conciliação usando o script modular
+      // A leitura dos arquivos (XLSX/XLS, CSV/TXT, OFX ou CNAB) fica a cargo do script de conciliação
+      
+      // Realiza a conciliação usando o script modular (todos os arquivos de cada lado em um único conjunto)
       console.log(`[PROCESSAR-PLANILHA] Iniciando conciliação com script modular...`)
       const relatorioConciliacao = await realizarConciliacao(
-        bufferExtrato,
-        bufferRelatorio
+        extratos,
+        relatorios,
+        opcoes
       )
       
       // Log de sucesso com informações corretas
+      const { arquivos } = relatorioConciliacao.resumo
       const mensagemSucesso = `Conciliação concluída com sucesso. ` +
+        (arquivos.extrato.length > 1 || arquivos.relatorio.length > 1
+          ? `Fontes: ${arquivos.extrato.length} extrato(s) e ${arquivos.relatorio.length} relatório(s), `
+          : '') +
+        `Extrato lido como: ${relatorioConciliacao.resumo.perfilExtrato.nome}, ` +
         `Encontrados: ${relatorioConciliacao.resumo.totalEncontrados}, ` +
+        `Para revisar (baixa confiança): ${relatorioConciliacao.resumo.revisar.quantidade}, ` +
+        `Lotes por soma: ${relatorioConciliacao.resumo.lotes.quantidade}, ` +
         `Não encontrados no extrato: ${relatorioConciliacao.resumo.naoEncontradosNoExtrato.quantidade} (R$ ${relatorioConciliacao.resumo.naoEncontradosNoExtrato.valorTotal.toFixed(2)}), ` +
         `Não encontrados no relatório: ${relatorioConciliacao.resumo.naoEncontradosNoRelatorio.quantidade} (R$ ${relatorioConciliacao.resumo.naoEncontradosNoRelatorio.valorTotal.toFixed(2)}), ` +
-        `Taxa de conciliação: ${relatorioConciliacao.resumo.taxaConciliacao}`
+        `Divergências de valor: ${relatorioConciliacao.resumo.divergenciaValor.quantidade}, ` +
+        `Possíveis duplicidades: ${relatorioConciliacao.resumo.possiveisDuplicidades.quantidade}, ` +
+        (relatorioConciliacao.resumo.retornoBanco
+          ? `Rejeitados pelo banco: ${relatorioConciliacao.resumo.retornoBanco.rejeitados}, Agendados: ${relatorioConciliacao.resumo.retornoBanco.agendados}, `
+          : '') +
+        (relatorioConciliacao.resumo.avisosLeitura.quantidade > 0
+          ? `Linhas ignoradas na leitura: ${relatorioConciliacao.resumo.avisosLeitura.linhasDescartadas}, Datas não reconhecidas: ${relatorioConciliacao.resumo.avisosLeitura.datasNaoReconhecidas}, `
+          : '') +
+        `Taxa de conciliação: ${relatorioConciliacao.resumo.taxaConciliacao}, ` +
+        `Saldo do extrato: ${relatorioConciliacao.resumo.verificacaoSaldo.situacao}` +
+        (relatorioConciliacao.resumo.verificacaoSaldo.lacunas > 0
+          ? ` (${relatorioConciliacao.resumo.verificacaoSaldo.lacunas} lacuna(s))`
+          : '')
       
       console.log(`[PROCESSAR-PLANILHA] ${mensagemSucesso}`)
       
       // Exclui arquivos temporários
-      await unlink(caminhoExtrato)
-      await unlink(caminhoRelatorio)
+      for (const { caminho } of caminhosTemporarios) {
+        await unlink(caminho)
+      }
       console.log(`[PROCESSAR-PLANILHA] Arquivos temporários excluídos com sucesso`)
       
-      // Retorna resultado da conciliação
-      // Se houver planilha de irregulares, inclui na resposta
+      // A planilha e o relatório PDF ficam guardados no servidor: a resposta leva só o id
+      // da execução e os links de download (GET /api/baixar-conciliacao/<id>)
+      const execucao = registrarExecucao(relatorioConciliacao)
       const resposta = {
         sucesso: true,
         tipo: 'conciliacao',
         mensagem: mensagemSucesso,
-        relatorio: {
-          ...relatorioConciliacao,
-          planilhaIrregulares: relatorioConciliacao.planilhaIrregulares || null
-        }
+        execucao: { id: execucao.id, downloads: execucao.downloads },
+        relatorio: execucao.resultado
       }
       
-      // Remove o buffer base64 do objeto relatorio para não enviar no JSON (muito grande)
-      if (resposta.relatorio.planilhaIrregulares) {
-        console.log(`[PROCESSAR-PLANILHA] Planilha de irregulares incluída na resposta`)
-      }
+      console.log(`[PROCESSAR-PLANILHA] Execução ${execucao.id} disponível para download`)
       
       return NextResponse.json(resposta, { status: 200 })
       
     } catch (erroProcessamento) {
       // Tenta excluir arquivos temporários em caso de erro
       try {
-        await unlink(caminhoExtrato).catch(() => {})
-        await unlink(caminhoRelatorio).catch(() => {})
+        for (const { caminho } of caminhosTemporarios) {
+          await unlink(caminho).catch(() => {})
+        }
       } catch (erroExclusao) {
         console.error("[PROCESSAR-PLANILHA] Erro ao excluir arquivos temporários:", erroExclusao)
       }
@@ -238,6 +361,20 @@ async function processarConciliacao(extratoBancario: File, relatorioFinanceiro:
   } catch (erro) {
     console.error("[PROCESSAR-PLANILHA] Erro ao processar conciliação:", erro)
     
+    // Erro de layout: informa quais colunas faltaram em cada planilha (não é erro do servidor)
+    const erroLayout = erro as { codigoErro?: string, errosLayout?: unknown[] }
+    if (erroLayout?.codigoErro === "VALIDACAO_FORMATO_INVALIDO") {
+      return NextResponse.json(
+        {
+          sucesso: false,
+          codigoErro: erroLayout.codigoErro,
+          mensagem: erro instanceof Error ? erro.message : "Formato de planilha não reconhecido",
+          errosLayout: erroLayout.errosLayout || []
+        },
+        { status: 422 }
+      )
+    }
+    
     return NextResponse.json(
       { 
         sucesso: false, 
@@ -4,11 +4,21 @@ import Image from "next/image"
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from "@/components/ui/card"
 import { Separator } from "@/components/ui/separator"
 import { UploadXlsx } from "@/components/upload-xlsx"
+import { ListaArquivos, type ArquivoSelecionado } from "@/components/lista-arquivos"
+import {
+  AJUSTES_VAZIOS,
+  ResultadoConciliacao,
+  type AjustesConciliacao,
+  type RelatorioConciliacao
+} from "@/components/resultado-conciliacao"
 import { Button } from "@/components/ui/button"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert"
 import { cn } from "@/lib/utils"
 import { useState } from "react"
-import { Loader2, Play } from "lucide-react"
+import { AlertTriangle, Download, FileText, Landmark, Loader2, Play } from "lucide-react"
 import { toast } from "sonner"
+import { PERFIS_EXTRATO } from "@/lib/scripts/perfis-extrato"
 
 /**
  * Página de Conciliação Bancária
@@ -25,21 +35,95 @@ import { toast } from "sonner"
  * 
  * Funcionalidade:
  * - Script de conciliação bancária
- * - Recebe duas planilhas:
- *   1. Instituição Financeira - Extrato de movimentações
+ * - Recebe os dois lados, cada um com um ou mais arquivos (e abas escolhidas):
+ *   1. Instituição Financeira - Extrato de movimentações (banco detectado automaticamente
+ *      ou escolhido no seletor; perfis em lib/scripts/perfis-extrato.js)
  *   2. Relatório Financeiro - Técnico Do Gerenciador da Planaltec
- * - Cruza os dados das duas planilhas para verificar se batem
+ * - Cruza todos os arquivos como um único conjunto para verificar se batem
+ * - Avisa quando linhas foram descartadas na leitura (valor ilegível) ou lidas sem data,
+ *   antes de o analista confiar na taxa de conciliação
+ * - Gera a planilha Excel (baixada automaticamente) e o relatório PDF para assinatura,
+ *   os dois disponíveis para download até a próxima conciliação
+ * - Mostra o resultado na tela: resumo, tabelas por situação e o detalhe de cada linha
  * 
  * Consulte lib/colors.md para documentação completa do sistema de cores
  */
+/**
+ * Resumo dos avisos de leitura da última conciliação (resumo.avisosLeitura)
+ */
+interface ResumoAvisosLeitura {
+  quantidade: number
+  linhasDescartadas: number
+  linhasDescartadasExtrato: number
+  linhasDescartadasRelatorio: number
+  datasNaoReconhecidas: number
+}
+
+/**
+ * Execução da última conciliação guardada no servidor: id e links de download por formato
+ * (ver /api/baixar-conciliacao)
+ */
+interface ExecucaoConciliacao {
+  id: string
+  downloads: Record<"xlsx" | "csv" | "json" | "pdf", string>
+}
+
+/**
+ * Baixa um arquivo da conciliação pelo link de download
+ * O nome do arquivo vem do Content-Disposition da resposta
+ * @throws {Error} Com a mensagem do servidor se o arquivo não puder ser baixado (ex: execução expirada)
+ */
+async function baixarArquivo(url: string) {
+  const response = await fetch(url)
+  if (!response.ok) {
+    const erro = await response.json().catch(() => null)
+    throw new Error(erro?.mensagem || `Erro ${response.status} ao baixar o arquivo`)
+  }
+
+  const nomeArquivo = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] ?? 'conciliacao'
+  const blob = await response.blob()
+
+  // Cria link para download
+  const urlArquivo = window.URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = urlArquivo
+  link.download = nomeArquivo
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  window.URL.revokeObjectURL(urlArquivo)
+}
+
 export default function ConciliacaoPage() {
-  const [arquivoExtratoBancario, setArquivoExtratoBancario] = useState<File | null>(null)
-  const [arquivoRelatorioFinanceiro, setArquivoRelatorioFinanceiro] = useState<File | null>(null)
+  const [arquivosExtratoBancario, setArquivosExtratoBancario] = useState<ArquivoSelecionado[]>([])
+  const [arquivosRelatorioFinanceiro, setArquivosRelatorioFinanceiro] = useState<ArquivoSelecionado[]>([])
   const [isProcessando, setIsProcessando] = useState(false)
+  const [perfilExtrato, setPerfilExtrato] = useState<string>("auto")
+  const [avisosLeitura, setAvisosLeitura] = useState<ResumoAvisosLeitura | null>(null)
+  const [execucao, setExecucao] = useState<ExecucaoConciliacao | null>(null)
+  const [resultadoConciliacao, setResultadoConciliacao] = useState<RelatorioConciliacao | null>(null)
+
+  // Ajustes manuais aceitos pelo servidor (sempre aplicados sobre o resultado original da execução)
+  const [ajustes, setAjustes] = useState<AjustesConciliacao>(AJUSTES_VAZIOS)
+  const [isAjustando, setIsAjustando] = useState(false)
+
+  // Perfil escolhido manualmente (null = detecção automática)
+  const perfilSelecionado = PERFIS_EXTRATO.find((perfil) => perfil.id === perfilExtrato) ?? null
 
   /**
-   * Callback chamado quando o arquivo do extrato bancário é selecionado
-   * @param file - Arquivo XLSX selecionado
+   * Monta o item da lista para um arquivo recém-escolhido
+   * @param file - Arquivo selecionado
+   */
+  const novoArquivoSelecionado = (file: File): ArquivoSelecionado => ({
+    id: `${file.name}-${file.lastModified}-${Date.now()}-${Math.random().toString(36).slice(2)}`,
+    arquivo: file,
+    planilhas: [],
+    ordemData: "auto"
+  })
+
+  /**
+   * Callback chamado quando um arquivo de extrato bancário é selecionado
+   * @param file - Arquivo selecionado (acrescentado à lista)
    */
   const handleExtratoBancarioSelecionado = (file: File) => {
     console.log('[ConciliacaoPage] Extrato bancário recebido:', {
@@ -48,21 +132,22 @@ export default function ConciliacaoPage() {
       tipo: file.type,
       ultimaModificacao: file.lastModified
     })
-    
-    setArquivoExtratoBancario(file)
+
+    setArquivosExtratoBancario((atuais) => [...atuais, novoArquivoSelecionado(file)])
   }
 
   /**
-   * Callback chamado quando o arquivo do extrato bancário é removido
+   * Callback chamado quando um arquivo de extrato bancário é removido
+   * @param id - Item da lista removido
    */
-  const handleExtratoBancarioRemovido = () => {
-    console.log('[ConciliacaoPage] Extrato bancário removido')
-    setArquivoExtratoBancario(null)
+  const handleExtratoBancarioRemovido = (id: string) => {
+    console.log('[ConciliacaoPage] Extrato bancário removido:', id)
+    setArquivosExtratoBancario((atuais) => atuais.filter((item) => item.id !== id))
   }
 
   /**
-   * Callback chamado quando o arquivo do relatório financeiro é selecionado
-   * @param file - Arquivo XLSX selecionado
+   * Callback chamado quando um arquivo do relatório financeiro é selecionado
+   * @param file - Arquivo selecionado (acrescentado à lista)
    */
   const handleRelatorioFinanceiroSelecionado = (file: File) => {
     console.log('[ConciliacaoPage] Relatório financeiro recebido:', {
@@ -71,24 +156,98 @@ export default function ConciliacaoPage() {
       tipo: file.type,
       ultimaModificacao: file.lastModified
     })
-    
-    setArquivoRelatorioFinanceiro(file)
+
+    setArquivosRelatorioFinanceiro((atuais) => [...atuais, novoArquivoSelecionado(file)])
   }
 
   /**
-   * Callback chamado quando o arquivo do relatório financeiro é removido
+   * Callback chamado quando um arquivo do relatório financeiro é removido
+   * @param id - Item da lista removido
    */
-  const handleRelatorioFinanceiroRemovido = () => {
-    console.log('[ConciliacaoPage] Relatório financeiro removido')
-    setArquivoRelatorioFinanceiro(null)
+  const handleRelatorioFinanceiroRemovido = (id: string) => {
+    console.log('[ConciliacaoPage] Relatório financeiro removido:', id)
+    setArquivosRelatorioFinanceiro((atuais) => atuais.filter((item) => item.id !== id))
   }
 
   /**
-   * Processa ambas as planilhas juntas
-   * Só funciona quando ambas estiverem selecionadas
+   * Atualiza um arquivo da lista (abas escolhidas, ordem das datas)
+   */
+  const atualizarArquivo = (lista: ArquivoSelecionado[], id: string, alteracao: Partial<ArquivoSelecionado>) =>
+    lista.map((item) => (item.id === id ? { ...item, ...alteracao } : item))
+
+  /**
+   * Baixa (de novo) um dos arquivos da conciliação; erro vira aviso na tela
+   * @param url - Link de download da execução (ver ExecucaoConciliacao)
+   */
+  const baixarArquivoGerado = async (url: string) => {
+    try {
+      await baixarArquivo(url)
+    } catch (erro) {
+      console.error('[ConciliacaoPage] Erro ao baixar arquivo:', erro)
+      toast.error('Erro ao baixar', {
+        description: erro instanceof Error ? erro.message : 'Não foi possível baixar o arquivo.',
+        duration: 5000
+      })
+    }
+  }
+
+  /**
+   * Reaplica a lista completa de ajustes manuais sobre o resultado original
+   * O servidor recalcula o resumo e gera de novo a planilha e o PDF; se recusar algum
+   * ajuste, a tela continua com os ajustes anteriores
+   * @param novosAjustes - Todos os ajustes (não só o que mudou)
+   */
+  const handleAjustesChange = async (novosAjustes: AjustesConciliacao) => {
+    if (!execucao) {
+      return
+    }
+
+    setIsAjustando(true)
+
+    try {
+      const response = await fetch('/api/ajustar-conciliacao', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ execucao: execucao.id, ajustes: novosAjustes })
+      })
+
+      const resultado = await response.json()
+
+      if (response.ok && resultado.sucesso) {
+        console.log('[ConciliacaoPage] Ajustes aplicados:', resultado.relatorio?.resumo?.ajustesManuais)
+
+        // Os links de download continuam os mesmos e já entregam os arquivos ajustados
+        setAjustes(novosAjustes)
+        setResultadoConciliacao(resultado.relatorio)
+
+        toast.success('Conciliação ajustada', {
+          description: `Taxa de conciliação: ${resultado.relatorio?.resumo?.taxaConciliacao}. Planilha e PDF atualizados.`,
+          duration: 4000
+        })
+      } else {
+        console.error('[ConciliacaoPage] Ajuste recusado:', resultado)
+        toast.error('Ajuste não aplicado', {
+          description: resultado.mensagem || 'Erro ao ajustar a conciliação. Verifique os logs do backend.',
+          duration: 6000
+        })
+      }
+    } catch (erro) {
+      console.error('[ConciliacaoPage] Erro ao ajustar conciliação:', erro)
+      toast.error('Erro ao ajustar', {
+        description: erro instanceof Error ? erro.message : 'Erro inesperado ao ajustar a conciliação.',
+        duration: 5000
+      })
+    } finally {
+      setIsAjustando(false)
+    }
+  }
+
+  /**
+   * Processa todos os arquivos dos dois lados juntos
+   * Só funciona quando os dois lados tiverem ao menos um arquivo
    */
   const handleProcessarConciliacao = async () => {
-    if (!arquivoExtratoBancario || !arquivoRelatorioFinanceiro) {
+    if (arquivosExtratoBancario.length === 0 || arquivosRelatorioFinanceiro.length === 0) {
       toast.error('Arquivos incompletos', {
         description: 'Selecione ambas as planilhas antes de processar.'
       })
@@ -96,17 +255,30 @@ export default function ConciliacaoPage() {
     }
 
     setIsProcessando(true)
-    
+    setAvisosLeitura(null)
+    setExecucao(null)
+    setResultadoConciliacao(null)
+    setAjustes(AJUSTES_VAZIOS)
+
     try {
       console.log('[ConciliacaoPage] Iniciando conciliação:', {
-        extrato: arquivoExtratoBancario.name,
-        relatorio: arquivoRelatorioFinanceiro.name
+        extratos: arquivosExtratoBancario.map((item) => item.arquivo.name),
+        relatorios: arquivosRelatorioFinanceiro.map((item) => item.arquivo.name)
       })
-      
-      // Cria FormData para enviar ambas as planilhas
+
+      // Cria FormData com todos os arquivos; as abas e a ordem das datas de cada um vão na mesma ordem
       const formData = new FormData()
-      formData.append('extratoBancario', arquivoExtratoBancario)
-      formData.append('relatorioFinanceiro', arquivoRelatorioFinanceiro)
+      arquivosExtratoBancario.forEach((item) => {
+        formData.append('extratoBancario', item.arquivo)
+        formData.append('extratoBancarioPlanilhas', item.planilhas.length > 0 ? JSON.stringify(item.planilhas) : '')
+        formData.append('extratoBancarioOrdemData', item.ordemData)
+      })
+      arquivosRelatorioFinanceiro.forEach((item) => {
+        formData.append('relatorioFinanceiro', item.arquivo)
+        formData.append('relatorioFinanceiroPlanilhas', item.planilhas.length > 0 ? JSON.stringify(item.planilhas) : '')
+        formData.append('relatorioFinanceiroOrdemData', item.ordemData)
+      })
+      formData.append('perfilExtrato', perfilExtrato)
 
       // Faz requisição para API de conciliação
       const response = await fetch('/api/processar-planilha', {
@@ -118,29 +290,33 @@ export default function ConciliacaoPage() {
 
       if (response.ok && resultado.sucesso) {
         console.log('[ConciliacaoPage] Conciliação concluída com sucesso:', resultado)
-        
-        // Se houver planilha de irregulares, oferece download
-        if (resultado.relatorio?.planilhaIrregulares) {
-          // Cria blob do arquivo Excel
-          const base64Data = resultado.relatorio.planilhaIrregulares
-          const binaryString = atob(base64Data)
-          const bytes = new Uint8Array(binaryString.length)
-          for (let i = 0; i < binaryString.length; i++) {
-            bytes[i] = binaryString.charCodeAt(i)
-          }
-          const blob = new Blob([bytes], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' })
-          
-          // Cria link para download
-          const url = window.URL.createObjectURL(blob)
-          const link = document.createElement('a')
-          link.href = url
-          link.download = `irregulares-conciliacao-${new Date().toISOString().split('T')[0]}.xlsx`
-          document.body.appendChild(link)
-          link.click()
-          document.body.removeChild(link)
-          window.URL.revokeObjectURL(url)
-          
+
+        // Resultado fica na tela até a próxima conciliação (os arquivos enviados são limpos abaixo)
+        if (resultado.relatorio?.resumo && resultado.relatorio?.detalhes) {
+          setResultadoConciliacao(resultado.relatorio)
+        }
+
+        // Linhas que ficaram fora da leitura: o aviso fica na tela até a próxima conciliação
+        const resumoAvisos: ResumoAvisosLeitura | undefined = resultado.relatorio?.resumo?.avisosLeitura
+        if (resumoAvisos && resumoAvisos.quantidade > 0) {
+          setAvisosLeitura(resumoAvisos)
+          toast.warning('Linhas ignoradas na leitura', {
+            description: `${resumoAvisos.linhasDescartadas} linha(s) descartada(s) e ${resumoAvisos.datasNaoReconhecidas} data(s) não reconhecida(s). Confira a aba "Linhas Ignoradas".`,
+            duration: 8000
+          })
+        }
+
+        // Planilha completa da conciliação (resumo, conciliados, divergências e subtotais),
+        // CSV, JSON e relatório PDF para assinatura: ficam no servidor para baixar de novo
+        const execucaoNova: ExecucaoConciliacao | null = resultado.execucao ?? null
+        setExecucao(execucaoNova)
+
+        if (execucaoNova) {
+          await baixarArquivoGerado(execucaoNova.downloads.xlsx)
+
+          const perfilLido = resultado.relatorio?.resumo?.perfilExtrato
           toast.success('Relatório gerado com sucesso. Acesse sua pasta de Downloads do seu navegador.', {
+            description: perfilLido ? `Extrato lido como: ${perfilLido.nome}` : undefined,
             duration: 5000
           })
         } else {
@@ -151,8 +327,8 @@ export default function ConciliacaoPage() {
         }
 
         // Remove os arquivos após processamento bem-sucedido
-        setArquivoExtratoBancario(null)
-        setArquivoRelatorioFinanceiro(null)
+        setArquivosExtratoBancario([])
+        setArquivosRelatorioFinanceiro([])
       } else {
         console.error('[ConciliacaoPage] Erro na conciliação:', resultado)
         toast.error('Erro na conciliação', {
@@ -198,27 +374,59 @@ export default function ConciliacaoPage() {
               <Card className="border-border/50 shadow-sm">
                 <CardHeader className="pb-3 p-4 sm:p-5 border-b border-border/50 text-center">
                   <div className="flex justify-center mb-2">
-                    <Image
-                      src="/bradesco.png"
-                      alt="Logo Bradesco"
-                      width={80}
-                      height={80}
-                      quality={100}
-                      className="h-12 w-auto sm:h-16 sm:w-auto md:h-20 md:w-auto object-contain"
-                    />
+                    {perfilSelecionado?.logo ? (
+                      <Image
+                        src={perfilSelecionado.logo}
+                        alt={`Logo ${perfilSelecionado.nome}`}
+                        width={80}
+                        height={80}
+                        quality={100}
+                        className="h-12 w-auto sm:h-16 sm:w-auto md:h-20 md:w-auto object-contain"
+                      />
+                    ) : (
+                      <Landmark className="h-12 w-12 sm:h-16 sm:w-16 md:h-20 md:w-20 text-muted-foreground" />
+                    )}
                   </div>
                   <CardTitle className="text-base sm:text-lg md:text-xl font-semibold">
                     Extrato Bancário
                   </CardTitle>
                   <CardDescription className="text-xs sm:text-sm mt-1">
-                    Instituição Financeira - Extrato de movimentações
+                    Instituição Financeira - Extrato de movimentações (planilha, CSV/TXT, OFX ou retorno CNAB)
                   </CardDescription>
                 </CardHeader>
-                <CardContent className="pt-4 p-3 sm:p-4">
+                <CardContent className="pt-4 p-3 sm:p-4 space-y-3">
+                  {/* Seletor do banco: automático por padrão, manual quando a detecção errar */}
+                  <Select value={perfilExtrato} onValueChange={setPerfilExtrato}>
+                    <SelectTrigger className="w-full" aria-label="Banco do extrato">
+                      <SelectValue placeholder="Banco do extrato" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="auto">Detectar banco automaticamente</SelectItem>
+                      {PERFIS_EXTRATO.map((perfil) => (
+                        <SelectItem key={perfil.id} value={perfil.id}>
+                          {perfil.nome}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
                   <UploadXlsx
                     onFileSelect={handleExtratoBancarioSelecionado}
-                    onFileRemove={handleExtratoBancarioRemovido}
                     desabilitarProcessamento={true}
+                    extensoesExtras={['csv', 'txt', 'ofx', 'ret']}
+                    multiplo={true}
+                  />
+                  {/* Arquivos escolhidos: como cada um foi lido e as primeiras linhas, antes de conciliar */}
+                  <ListaArquivos
+                    arquivos={arquivosExtratoBancario}
+                    tipo="extrato"
+                    perfilExtrato={perfilExtrato}
+                    onRemover={handleExtratoBancarioRemovido}
+                    onPlanilhasChange={(id, planilhas) =>
+                      setArquivosExtratoBancario((atuais) => atualizarArquivo(atuais, id, { planilhas }))
+                    }
+                    onOrdemDataChange={(id, ordemData) =>
+                      setArquivosExtratoBancario((atuais) => atualizarArquivo(atuais, id, { ordemData }))
+                    }
                   />
                 </CardContent>
               </Card>
@@ -243,28 +451,121 @@ export default function ConciliacaoPage() {
                     Relatório Financeiro Técnico Do Gerenciador da Planaltec
                   </CardDescription>
                 </CardHeader>
-                <CardContent className="pt-4 p-3 sm:p-4">
+                <CardContent className="pt-4 p-3 sm:p-4 space-y-3">
                   <UploadXlsx
                     onFileSelect={handleRelatorioFinanceiroSelecionado}
-                    onFileRemove={handleRelatorioFinanceiroRemovido}
                     desabilitarProcessamento={true}
+                    extensoesExtras={['csv', 'txt']}
+                    multiplo={true}
+                  />
+                  <ListaArquivos
+                    arquivos={arquivosRelatorioFinanceiro}
+                    tipo="relatorio"
+                    onRemover={handleRelatorioFinanceiroRemovido}
+                    onPlanilhasChange={(id, planilhas) =>
+                      setArquivosRelatorioFinanceiro((atuais) => atualizarArquivo(atuais, id, { planilhas }))
+                    }
+                    onOrdemDataChange={(id, ordemData) =>
+                      setArquivosRelatorioFinanceiro((atuais) => atualizarArquivo(atuais, id, { ordemData }))
+                    }
                   />
                 </CardContent>
               </Card>
             </div>
 
-          {/* Botão de Processamento Global - Só aparece quando ambas as planilhas estão selecionadas */}
-          {arquivoExtratoBancario && arquivoRelatorioFinanceiro && (
+          {/* Aviso de leitura da última conciliação: a taxa não considera as linhas descartadas */}
+          {avisosLeitura && (
+            <Alert className="border-border/50">
+              <AlertTriangle className="h-4 w-4" />
+              <AlertTitle className="text-sm">Confira as linhas ignoradas antes de confiar na taxa de conciliação</AlertTitle>
+              <AlertDescription className="text-xs sm:text-sm space-y-1">
+                <p>
+                  {avisosLeitura.linhasDescartadas} linha(s) descartada(s) por valor ilegível
+                  ({avisosLeitura.linhasDescartadasExtrato} no extrato, {avisosLeitura.linhasDescartadasRelatorio} no relatório)
+                  e {avisosLeitura.datasNaoReconhecidas} lançamento(s) lido(s) sem data.
+                </p>
+                <p className="text-muted-foreground">
+                  Linhas descartadas não entram no cruzamento nem na taxa. Cada uma está na aba &quot;Linhas Ignoradas&quot; da planilha gerada, com linha, célula, valor original e motivo.
+                </p>
+              </AlertDescription>
+            </Alert>
+          )}
+
+          {/* Arquivos da última conciliação: planilha Excel, CSV, JSON e relatório PDF para assinatura */}
+          {execucao && (
+            <Card className="border-border/50 shadow-sm">
+              <CardContent className="p-4 sm:p-6">
+                <div className="flex flex-col sm:flex-row items-center justify-between gap-4">
+                  <div className="space-y-1 text-center sm:text-left">
+                    <p className="text-sm font-medium text-foreground">Arquivos da conciliação</p>
+                    <p className="text-xs text-muted-foreground">
+                      Planilha com todos os detalhes, relatório PDF com resumo, divergências e campos de assinatura,
+                      CSV com a situação de cada pagamento e o resultado completo em JSON.
+                      {(ajustes.desfeitos.length + ajustes.aceitos.length + ajustes.pares.length + ajustes.ignorados.length) > 0 && " Já incluem os ajustes manuais."}
+                    </p>
+                  </div>
+                  <div className="flex flex-col sm:flex-row sm:flex-wrap gap-2 w-full sm:w-auto">
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => baixarArquivoGerado(execucao.downloads.xlsx)}
+                    >
+                      <Download className="h-4 w-4 mr-2" />
+                      Baixar planilha (Excel)
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => baixarArquivoGerado(execucao.downloads.csv)}
+                    >
+                      <Download className="h-4 w-4 mr-2" />
+                      CSV
+                    </Button>
+                    <Button
+                      type="button"
+                      variant="outline"
+                      onClick={() => baixarArquivoGerado(execucao.downloads.json)}
+                    >
+                      <Download className="h-4 w-4 mr-2" />
+                      JSON
+                    </Button>
+                    <Button
+                      type="button"
+                      onClick={() => baixarArquivoGerado(execucao.downloads.pdf)}
+                    >
+                      <FileText className="h-4 w-4 mr-2" />
+                      Baixar relatório (PDF)
+                    </Button>
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+          )}
+
+          {/* Resultado da última conciliação */}
+          {resultadoConciliacao && (
+            <ResultadoConciliacao
+              relatorio={resultadoConciliacao}
+              ajustes={ajustes}
+              onAjustesChange={handleAjustesChange}
+              isAjustando={isAjustando}
+            />
+          )}
+
+          {/* Botão de Processamento Global - Só aparece quando os dois lados têm ao menos um arquivo */}
+          {arquivosExtratoBancario.length > 0 && arquivosRelatorioFinanceiro.length > 0 && (
             <div className="flex justify-center pt-4">
               <Card className="border-border/50 shadow-sm bg-muted/50">
                 <CardContent className="p-4 sm:p-6">
                   <div className="flex flex-col items-center gap-4">
                     <div className="text-center space-y-2">
                       <p className="text-sm font-medium text-foreground">
-                        Ambas as planilhas selecionadas
+                        {arquivosExtratoBancario.length === 1 && arquivosRelatorioFinanceiro.length === 1
+                          ? "Ambas as planilhas selecionadas"
+                          : `${arquivosExtratoBancario.length} extrato(s) e ${arquivosRelatorioFinanceiro.length} relatório(s) selecionados`}
                       </p>
                       <p className="text-xs text-muted-foreground">
-                        {arquivoExtratoBancario.name} + {arquivoRelatorioFinanceiro.name}
+                        {arquivosExtratoBancario.map((item) => item.arquivo.name).join(", ")} + {arquivosRelatorioFinanceiro.map((item) => item.arquivo.name).join(", ")}
                       </p>
                     </div>
                     <Button
@@ -0,0 +1,122 @@
+"use client"
+
+import * as React from "react"
+import { FileSpreadsheet, X } from "lucide-react"
+import { Button } from "@/components/ui/button"
+import { PreviaPlanilha, type OrdemData } from "@/components/previa-planilha"
+import { cn } from "@/lib/utils"
+
+/**
+ * Componente de Lista de Arquivos da Conciliação
+ *
+ * IMPORTANTE - Sistema de Cores:
+ * - Este componente usa apenas classes Tailwind com variáveis do tema
+ * - Todas as cores vêm de app/globals.css (bg-background, text-foreground, etc)
+ * - NUNCA use cores hardcoded aqui ou em qualquer componente
+ *
+ * Funcionalidade:
+ * - Lista os arquivos escolhidos para um lado da conciliação (extrato ou relatório)
+ * - Cada arquivo tem a sua pré-visualização e, em pastas com várias abas, a escolha das abas
+ * - Cada arquivo tem a sua ordem de datas (detectada ou declarada pelo usuário)
+ * - Permite remover um arquivo da lista
+ *
+ * Consulte lib/colors.md para documentação completa do sistema de cores
+ */
+
+export interface ArquivoSelecionado {
+  /**
+   * Identificador estável do item na lista (o mesmo arquivo pode ser escolhido duas vezes)
+   */
+  id: string
+
+  arquivo: File
+
+  /**
+   * Abas escolhidas (vazio = primeira aba)
+   */
+  planilhas: string[]
+
+  /**
+   * Ordem das datas do arquivo ("auto" = detectar)
+   */
+  ordemData: OrdemData
+}
+
+interface ListaArquivosProps {
+  arquivos: ArquivoSelecionado[]
+
+  /**
+   * Lado da conciliação a que os arquivos pertencem
+   */
+  tipo: "extrato" | "relatorio"
+
+  /**
+   * Perfil do banco escolhido no seletor (somente extrato)
+   */
+  perfilExtrato?: string
+
+  /**
+   * Callback chamado quando um arquivo é removido da lista
+   */
+  onRemover: (id: string) => void
+
+  /**
+   * Callback chamado quando as abas de um arquivo mudam
+   */
+  onPlanilhasChange: (id: string, planilhas: string[]) => void
+
+  /**
+   * Callback chamado quando a ordem das datas de um arquivo muda
+   */
+  onOrdemDataChange: (id: string, ordemData: OrdemData) => void
+
+  /**
+   * Classe CSS adicional para o container
+   */
+  className?: string
+}
+
+export function ListaArquivos({ arquivos, tipo, perfilExtrato, onRemover, onPlanilhasChange, onOrdemDataChange, className }: ListaArquivosProps) {
+  if (arquivos.length === 0) {
+    return null
+  }
+
+  return (
+    <div className={cn("space-y-3", className)}>
+      {arquivos.map(({ id, arquivo, planilhas, ordemData }) => (
+        <div key={id} className="rounded-lg border border-border/50 p-3 space-y-2">
+          <div className="flex items-center gap-2">
+            <FileSpreadsheet className="h-4 w-4 text-primary flex-shrink-0" />
+            <div className="flex-1 min-w-0 text-left">
+              <p className="text-xs sm:text-sm font-medium text-foreground truncate break-all">
+                {arquivo.name}
+              </p>
+              <p className="text-xs text-muted-foreground">
+                {(arquivo.size / 1024).toFixed(2)} KB
+              </p>
+            </div>
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              onClick={() => onRemover(id)}
+              className="flex-shrink-0"
+              aria-label={`Remover ${arquivo.name}`}
+            >
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+          <PreviaPlanilha
+            arquivo={arquivo}
+            tipo={tipo}
+            perfilExtrato={perfilExtrato}
+            planilhasSelecionadas={planilhas}
+            onPlanilhasChange={(novas) => onPlanilhasChange(id, novas)}
+            ordemData={ordemData}
+            onOrdemDataChange={(ordem) => onOrdemDataChange(id, ordem)}
+          />
+        </div>
+      ))}
+    </div>
+  )
+}
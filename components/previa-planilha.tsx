@@ -0,0 +1,381 @@
+"use client"
+
+import * as React from "react"
+import { AlertTriangle, Loader2, Table2 } from "lucide-react"
+import { Alert, AlertDescription, AlertTitle } from "@/components/ui/alert"
+import { Badge } from "@/components/ui/badge"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { cn } from "@/lib/utils"
+
+/**
+ * Componente de Pré-visualização do Arquivo
+ *
+ * IMPORTANTE - Sistema de Cores:
+ * - Este componente usa apenas classes Tailwind com variáveis do tema
+ * - Todas as cores vêm de app/globals.css (bg-background, text-foreground, etc)
+ * - NUNCA use cores hardcoded aqui ou em qualquer componente
+ *
+ * Funcionalidade:
+ * - Envia o arquivo selecionado para /api/pre-visualizar-planilha assim que ele muda
+ * - Mostra como o arquivo foi lido (formato, codificação, delimitador, decimal)
+ * - Mostra qual coluna virou cada campo e as primeiras linhas de dados
+ * - Avisa antes da conciliação quando uma coluna obrigatória não foi encontrada
+ * - Avisa quantas linhas seriam descartadas (valor ilegível) ou lidas sem data
+ * - Em pastas com várias abas, permite escolher quais entram na conciliação
+ *   (a prévia mostra a primeira aba escolhida)
+ * - Mostra a ordem das datas (dia/mês ou mês/dia) detectada e permite declará-la
+ *
+ * Consulte lib/colors.md para documentação completa do sistema de cores
+ */
+
+interface CampoPrevia {
+  indice: number
+  coluna: string
+  rotulo: string
+}
+
+interface AvisoLeitura {
+  linhaOriginal: number
+  celula: string | null
+  campo: string
+  valorOriginal: string
+  motivo: string
+  descartada: boolean
+}
+
+/**
+ * Ordem dia/mês das datas do arquivo ("auto" = detectar nos dados)
+ */
+export type OrdemData = "auto" | "dma" | "mda"
+
+interface OrdemDataPrevia {
+  ordem: "dma" | "mda"
+  origem: "declarada" | "detectada" | "layout"
+  rejeitarAmbiguas: boolean
+  descricao: string
+}
+
+interface Previa {
+  tipo: "extrato" | "relatorio"
+  formato: string
+  descricaoLeitura: string | null
+  planilhasDisponiveis: string[]
+  planilha: string | null
+  perfil: { id: string, nome: string, detectadoAutomaticamente: boolean } | null
+  linhaCabecalho: number | null
+  cabecalho: string[]
+  campos: Record<string, CampoPrevia>
+  linhas: string[][]
+  totalLinhas: number
+  ordemData: OrdemDataPrevia | null
+  avisosLeitura: AvisoLeitura[]
+  erro: { mensagem: string, detalhes: string } | null
+}
+
+interface PreviaPlanilhaProps {
+  /**
+   * Arquivo a pré-visualizar (null = nada selecionado)
+   */
+  arquivo: File | null
+
+  /**
+   * Lado da conciliação a que o arquivo pertence
+   */
+  tipo: "extrato" | "relatorio"
+
+  /**
+   * Perfil do banco escolhido no seletor (somente extrato)
+   */
+  perfilExtrato?: string
+
+  /**
+   * Abas escolhidas para a conciliação (vazio = primeira aba)
+   */
+  planilhasSelecionadas?: string[]
+
+  /**
+   * Callback chamado quando o usuário marca/desmarca uma aba
+   */
+  onPlanilhasChange?: (planilhas: string[]) => void
+
+  /**
+   * Ordem das datas declarada para o arquivo (padrão: detectar)
+   */
+  ordemData?: OrdemData
+
+  /**
+   * Callback chamado quando o usuário declara a ordem das datas
+   */
+  onOrdemDataChange?: (ordemData: OrdemData) => void
+
+  /**
+   * Classe CSS adicional para o container
+   */
+  className?: string
+}
+
+// Nome amigável de cada formato lido
+const NOMES_FORMATO: Record<string, string> = {
+  planilha: "Planilha Excel",
+  csv: "CSV/TXT",
+  ofx: "OFX",
+  cnab240: "Retorno CNAB 240",
+  cnab400: "Retorno CNAB 400"
+}
+
+// Quantos avisos de leitura listar na prévia (o restante só é contado)
+const LIMITE_AVISOS = 3
+
+export function PreviaPlanilha({ arquivo, tipo, perfilExtrato = "auto", planilhasSelecionadas = [], onPlanilhasChange, ordemData = "auto", onOrdemDataChange, className }: PreviaPlanilhaProps) {
+  const [previa, setPrevia] = React.useState<Previa | null>(null)
+  const [isCarregando, setIsCarregando] = React.useState(false)
+  const [erroRequisicao, setErroRequisicao] = React.useState<string | null>(null)
+
+  // A prévia mostra a primeira aba escolhida (vazio = primeira aba do arquivo)
+  const planilhaPrevia = planilhasSelecionadas[0] ?? ""
+
+  React.useEffect(() => {
+    if (!arquivo) {
+      setPrevia(null)
+      setErroRequisicao(null)
+      return
+    }
+
+    // Ignora respostas de um arquivo/perfil que já foi trocado
+    let cancelado = false
+
+    const carregarPrevia = async () => {
+      setIsCarregando(true)
+      setErroRequisicao(null)
+
+      try {
+        const formData = new FormData()
+        formData.append("arquivo", arquivo)
+        formData.append("tipo", tipo)
+        formData.append("perfilExtrato", perfilExtrato)
+        formData.append("planilha", planilhaPrevia)
+        formData.append("ordemData", ordemData)
+
+        const response = await fetch("/api/pre-visualizar-planilha", {
+          method: "POST",
+          body: formData,
+        })
+        const resultado = await response.json()
+
+        if (cancelado) {
+          return
+        }
+
+        if (response.ok && resultado.sucesso) {
+          console.log("[PreviaPlanilha] Prévia recebida:", resultado.previa)
+          setPrevia(resultado.previa)
+        } else {
+          console.error("[PreviaPlanilha] Erro na prévia:", resultado)
+          setPrevia(null)
+          setErroRequisicao(resultado.mensagem || "Não foi possível pré-visualizar o arquivo.")
+        }
+      } catch (erro) {
+        if (!cancelado) {
+          console.error("[PreviaPlanilha] Erro ao pré-visualizar:", erro)
+          setPrevia(null)
+          setErroRequisicao(erro instanceof Error ? erro.message : "Erro inesperado ao pré-visualizar o arquivo.")
+        }
+      } finally {
+        if (!cancelado) {
+          setIsCarregando(false)
+        }
+      }
+    }
+
+    carregarPrevia()
+
+    return () => {
+      cancelado = true
+    }
+  }, [arquivo, tipo, perfilExtrato, planilhaPrevia, ordemData])
+
+  if (!arquivo) {
+    return null
+  }
+
+  if (isCarregando) {
+    return (
+      <div className={cn("flex items-center justify-center gap-2 text-xs text-muted-foreground py-2", className)}>
+        <Loader2 className="h-4 w-4 animate-spin" />
+        Lendo o arquivo...
+      </div>
+    )
+  }
+
+  if (erroRequisicao) {
+    return (
+      <Alert variant="destructive" className={className}>
+        <AlertTriangle className="h-4 w-4" />
+        <AlertDescription className="text-xs">{erroRequisicao}</AlertDescription>
+      </Alert>
+    )
+  }
+
+  if (!previa) {
+    return null
+  }
+
+  // Coluna do arquivo -> rótulo do campo que ela alimenta
+  const campoDaColuna = new Map(Object.values(previa.campos).map((campo) => [campo.indice, campo.rotulo]))
+
+  const linhasDescartadas = previa.avisosLeitura.filter((aviso) => aviso.descartada)
+  const datasNaoReconhecidas = previa.avisosLeitura.length - linhasDescartadas.length
+
+  // Sem escolha explícita, vale a aba que a prévia leu (a primeira)
+  const abasMarcadas = planilhasSelecionadas.length > 0
+    ? planilhasSelecionadas
+    : previa.planilha ? [previa.planilha] : []
+
+  /**
+   * Marca/desmarca uma aba, mantendo a ordem do arquivo e ao menos uma aba marcada
+   */
+  const alternarPlanilha = (planilha: string, marcada: boolean) => {
+    const novas = previa.planilhasDisponiveis.filter((nome) =>
+      nome === planilha ? marcada : abasMarcadas.includes(nome)
+    )
+    if (novas.length > 0 && onPlanilhasChange) {
+      onPlanilhasChange(novas)
+    }
+  }
+
+  return (
+    <div className={cn("space-y-2 text-left", className)}>
+      {/* Como o arquivo foi lido */}
+      <div className="flex flex-wrap items-center gap-1.5">
+        <Table2 className="h-4 w-4 text-muted-foreground" />
+        <Badge variant="secondary">{NOMES_FORMATO[previa.formato] ?? previa.formato}</Badge>
+        {previa.perfil && (
+          <Badge variant="outline">
+            {previa.perfil.nome}{previa.perfil.detectadoAutomaticamente ? " (detectado)" : ""}
+          </Badge>
+        )}
+        {previa.linhaCabecalho !== null && (
+          <Badge variant="outline">Cabeçalho na linha {previa.linhaCabecalho}</Badge>
+        )}
+        {!previa.erro && (
+          <span className="text-xs text-muted-foreground">{previa.totalLinhas} linha(s) de dados</span>
+        )}
+      </div>
+      {previa.descricaoLeitura && (
+        <p className="text-xs text-muted-foreground">{previa.descricaoLeitura}</p>
+      )}
+
+      {/* Abas da pasta de trabalho: todas as marcadas entram na conciliação */}
+      {previa.planilhasDisponiveis.length > 1 && onPlanilhasChange && (
+        <div className="flex flex-wrap items-center gap-x-3 gap-y-1.5">
+          <span className="text-xs text-muted-foreground">Abas:</span>
+          {previa.planilhasDisponiveis.map((planilha) => (
+            <label key={planilha} className="flex items-center gap-1.5 text-xs text-foreground cursor-pointer">
+              <Checkbox
+                checked={abasMarcadas.includes(planilha)}
+                onCheckedChange={(marcada) => alternarPlanilha(planilha, marcada === true)}
+                aria-label={`Incluir aba ${planilha}`}
+              />
+              {planilha}
+            </label>
+          ))}
+        </div>
+      )}
+      {/* Ordem das datas: detectada nos dados, ou declarada quando a detecção não basta */}
+      {previa.ordemData && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-xs text-muted-foreground">Datas:</span>
+          {onOrdemDataChange && (
+            <Select value={ordemData} onValueChange={(valor) => onOrdemDataChange(valor as OrdemData)}>
+              <SelectTrigger className="h-7 w-auto text-xs" aria-label={`Ordem das datas de ${arquivo.name}`}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="auto">Detectar automaticamente</SelectItem>
+                <SelectItem value="dma">Dia/mês/ano</SelectItem>
+                <SelectItem value="mda">Mês/dia/ano</SelectItem>
+              </SelectContent>
+            </Select>
+          )}
+          <span className={cn("text-xs", previa.ordemData.rejeitarAmbiguas ? "text-destructive" : "text-muted-foreground")}>
+            {previa.ordemData.descricao}
+          </span>
+        </div>
+      )}
+      {previa.planilha && previa.planilhasDisponiveis.length > 1 && (
+        <p className="text-xs text-muted-foreground">Prévia da aba &quot;{previa.planilha}&quot;</p>
+      )}
+
+      {/* Formato não reconhecido: mesma mensagem que a conciliação daria */}
+      {previa.erro && (
+        <Alert variant="destructive">
+          <AlertTriangle className="h-4 w-4" />
+          <AlertTitle className="text-xs sm:text-sm">{previa.erro.mensagem}</AlertTitle>
+          {previa.erro.detalhes && (
+            <AlertDescription className="text-xs break-words">{previa.erro.detalhes}</AlertDescription>
+          )}
+        </Alert>
+      )}
+
+      {/* Linhas que a conciliação deixaria de fora (ou leria sem data) */}
+      {previa.avisosLeitura.length > 0 && (
+        <Alert>
+          <AlertTriangle className="h-4 w-4" />
+          <AlertTitle className="text-xs sm:text-sm">
+            {linhasDescartadas.length} linha(s) serão ignoradas e {datasNaoReconhecidas} lida(s) sem data
+          </AlertTitle>
+          <AlertDescription className="text-xs break-words">
+            {previa.avisosLeitura.slice(0, LIMITE_AVISOS).map((aviso) => (
+              <p key={`${aviso.linhaOriginal}-${aviso.campo}`}>
+                Linha {aviso.linhaOriginal}{aviso.celula ? ` (${aviso.celula})` : ""}: {aviso.motivo}
+                {aviso.valorOriginal ? ` — "${aviso.valorOriginal}"` : ""}
+              </p>
+            ))}
+            {previa.avisosLeitura.length > LIMITE_AVISOS && (
+              <p className="text-muted-foreground">
+                e mais {previa.avisosLeitura.length - LIMITE_AVISOS}; todas vão para a aba &quot;Linhas Ignoradas&quot; da planilha gerada
+              </p>
+            )}
+          </AlertDescription>
+        </Alert>
+      )}
+
+      {/* Primeiras linhas, com o campo de cada coluna mapeada */}
+      {previa.cabecalho.length > 0 && (
+        <div className="rounded-md border border-border/50 max-h-64 overflow-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                {previa.cabecalho.map((titulo, indice) => (
+                  <TableHead key={indice} className="text-xs whitespace-nowrap">
+                    <div className={cn(campoDaColuna.has(indice) ? "text-foreground" : "text-muted-foreground")}>
+                      {titulo || "—"}
+                    </div>
+                    {campoDaColuna.has(indice) && (
+                      <Badge variant="secondary" className="mt-1 text-[10px] font-normal">
+                        {campoDaColuna.get(indice)}
+                      </Badge>
+                    )}
+                  </TableHead>
+                ))}
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {previa.linhas.map((linha, indiceLinha) => (
+                <TableRow key={indiceLinha}>
+                  {linha.map((celula, indiceCelula) => (
+                    <TableCell key={indiceCelula} className="text-xs whitespace-nowrap py-1.5">
+                      {celula}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      )}
+    </div>
+  )
+}
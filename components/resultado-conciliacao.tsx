@@ -0,0 +1,1152 @@
+"use client"
+
+import * as React from "react"
+import { ArrowDown, ArrowUp, ArrowUpDown, Check, ChevronLeft, ChevronRight, EyeOff, Link2, Loader2, Search, Undo2 } from "lucide-react"
+import { Badge } from "@/components/ui/badge"
+import { Button } from "@/components/ui/button"
+import { Card, CardContent } from "@/components/ui/card"
+import { Checkbox } from "@/components/ui/checkbox"
+import { Input } from "@/components/ui/input"
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from "@/components/ui/select"
+import { Sheet, SheetContent, SheetDescription, SheetHeader, SheetTitle } from "@/components/ui/sheet"
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table"
+import { Tabs, TabsContent, TabsList, TabsTrigger } from "@/components/ui/tabs"
+import { Textarea } from "@/components/ui/textarea"
+import {
+  Pagination,
+  PaginationContent,
+  PaginationEllipsis,
+  PaginationItem,
+  PaginationLink
+} from "@/components/ui/pagination"
+import { cn } from "@/lib/utils"
+
+/**
+ * Componente de Resultado da Conciliação
+ *
+ * IMPORTANTE - Sistema de Cores:
+ * - Este componente usa apenas classes Tailwind com variáveis do tema
+ * - Todas as cores vêm de app/globals.css (bg-background, text-foreground, etc)
+ * - NUNCA use cores hardcoded aqui ou em qualquer componente
+ *
+ * Funcionalidade:
+ * - Cartões com os números do resumo da conciliação
+ * - Abas com os conciliados, os pares a revisar (baixa confiança ou divergência de valor), os que
+ *   faltam no extrato, os que faltam no relatório e os ignorados
+ * - Cada tabela tem busca, ordenação por coluna, filtros por coluna e paginação
+ * - Clicar em uma linha abre o painel lateral com o detalhe do cruzamento:
+ *   explicação do par (conciliados) ou candidatos analisados (faltantes, campo `debug`)
+ * - Ajustes manuais do analista (recalculados pela API /api/ajustar-conciliacao):
+ *   - conciliar linhas marcadas nas abas de faltantes (1:1, 1:N ou N:1)
+ *   - desfazer um par automático (painel do conciliado ou do par a revisar)
+ *   - aceitar como conciliado um par a revisar ou com divergência de valor (painel do par a revisar)
+ *   - ignorar uma linha faltante com motivo (painel do faltante)
+ *   - remover qualquer ajuste feito (lista de ajustes)
+ *
+ * Consulte lib/colors.md para documentação completa do sistema de cores
+ */
+
+/**
+ * Pagamento como volta da API (datas em texto ISO)
+ */
+export interface PagamentoResultado {
+  linhaOriginal: number
+  centavos: number
+  celula?: string | null
+  arquivo?: string
+  planilha?: string | null
+  valor: number
+  data: string | null
+  dataOriginal?: string | number | null
+  descricao: string
+  dcto?: string | null
+  motivo?: string
+  detalhes?: string
+  debug?: DebugPagamento
+
+  /**
+   * Lado da linha ignorada manualmente
+   */
+  lado?: "relatorio" | "extrato"
+}
+
+/**
+ * Candidatos analisados para um pagamento não encontrado (ver cruzarPagamentos)
+ */
+interface DebugPagamento {
+  valorProcurado: number
+  valorOriginal?: string | number
+  valoresProximos?: { valor: number, diferenca: number, diferencaPercentual: string }[]
+  candidatosEncontrados?: number
+  candidatos?: {
+    linha: number
+    descricao: string
+    jaFoiUsado: boolean
+    palavrasComuns: number
+    similaridadeDescricao: number
+    explicacaoDescricao: string
+    dataMatch: boolean
+    diasDiferenca: number | null
+  }[]
+}
+
+interface ParConciliado {
+  extrato: PagamentoResultado
+  relatorio: PagamentoResultado
+  score: number | null
+  confianca: number | null
+  explicacao: string[]
+  metodo: string
+  diasDiferenca: number | null
+  aceitoManualmente?: boolean
+}
+
+/**
+ * Par com o mesmo pagamento dos dois lados, mas valor diferente (dentro da tolerância)
+ */
+interface ParDivergencia {
+  extrato: PagamentoResultado
+  relatorio: PagamentoResultado
+  diferenca: number
+  diferencaPercentual: string
+  diasDiferenca: number | null
+  metodo: string
+  explicacaoDescricao?: string
+}
+
+interface LoteConciliado {
+  extrato: PagamentoResultado[]
+  relatorio: PagamentoResultado[]
+  valorTotal: number
+  direcao: "muitos_para_um" | "um_para_muitos"
+  metodo: string
+  explicacao?: string[]
+}
+
+interface QuantidadeValor {
+  quantidade: number
+  valorTotal: number
+}
+
+/**
+ * Parte do resultado da conciliação usada na tela (resposta de /api/processar-planilha)
+ */
+export interface RelatorioConciliacao {
+  resumo: {
+    totalExtrato: number
+    totalRelatorio: number
+    totalEncontrados: number
+    valorTotalConciliado: number
+    taxaConciliacao: string
+    status: "totalmente_conciliado" | "divergencias_encontradas"
+    lotes: QuantidadeValor & { linhasRelatorio: number }
+    revisar: QuantidadeValor
+    naoEncontradosNoExtrato: QuantidadeValor
+    naoEncontradosNoRelatorio: QuantidadeValor
+    divergenciaValor: { quantidade: number, diferencaTotal: number }
+    estornos: QuantidadeValor
+  }
+  detalhes: {
+    encontrados: ParConciliado[]
+    revisar: ParConciliado[]
+    divergenciaValor: ParDivergencia[]
+    lotes: LoteConciliado[]
+    naoEncontradosNoExtrato: PagamentoResultado[]
+    naoEncontradosNoRelatorio: PagamentoResultado[]
+    ignoradosManualmente?: PagamentoResultado[]
+  }
+}
+
+/**
+ * Ajustes manuais sobre o resultado original (ver aplicarAjustesManuais em concilia.js)
+ * Cada pagamento vai como veio no resultado: o servidor o reconhece pela chave
+ */
+export interface AjustesConciliacao {
+  desfeitos: { pagamento: PagamentoResultado }[]
+  aceitos: { pagamento: PagamentoResultado, observacao: string }[]
+  pares: { relatorio: PagamentoResultado[], extrato: PagamentoResultado[], observacao: string }[]
+  ignorados: { pagamento: PagamentoResultado, motivo: string }[]
+}
+
+export const AJUSTES_VAZIOS: AjustesConciliacao = { desfeitos: [], aceitos: [], pares: [], ignorados: [] }
+
+interface ResultadoConciliacaoProps {
+  relatorio: RelatorioConciliacao
+
+  /**
+   * Ajustes manuais já aplicados ao resultado exibido
+   */
+  ajustes?: AjustesConciliacao
+
+  /**
+   * Callback chamado com a lista COMPLETA de ajustes quando o analista muda algum
+   * (sem callback, a tela fica só de consulta)
+   */
+  onAjustesChange?: (ajustes: AjustesConciliacao) => void
+
+  /**
+   * Ajustes sendo recalculados no servidor (desabilita as ações)
+   */
+  isAjustando?: boolean
+
+  /**
+   * Classe CSS adicional para o container
+   */
+  className?: string
+}
+
+/**
+ * Linha das abas de conciliados (par 1:1 ou uma linha de um lote por soma) e de pares a revisar
+ */
+interface LinhaConciliada {
+  id: string
+  situacao: "conciliado" | "revisar" | "divergencia"
+  relatorio: PagamentoResultado
+  extrato: PagamentoResultado
+  metodo: string
+  confianca: number | null
+  score: number | null
+  diasDiferenca: number | null
+  explicacao: string[]
+  lote: number | null
+
+  /**
+   * Par a revisar ou com divergência aceito pelo analista
+   */
+  aceito: boolean
+}
+
+/**
+ * Linha das abas de faltantes
+ */
+interface LinhaFaltante {
+  id: string
+  lado: "relatorio" | "extrato"
+  pagamento: PagamentoResultado
+}
+
+/**
+ * Coluna de uma tabela de resultado
+ */
+interface ColunaResultado<T> {
+  id: string
+  titulo: string
+
+  /**
+   * Texto exibido (e usado na busca e no filtro)
+   */
+  texto: (linha: T) => string
+
+  /**
+   * Valor usado na ordenação (padrão: o texto)
+   */
+  ordem?: (linha: T) => string | number
+
+  /**
+   * Mostra um filtro com os valores distintos da coluna
+   */
+  filtravel?: boolean
+
+  alinhamento?: "direita"
+}
+
+// Linhas por página das tabelas
+const LINHAS_POR_PAGINA = 20
+
+// Valor do filtro de coluna que não filtra nada
+const TODOS = "__todos__"
+
+// Nome de cada método de cruzamento (ver DESCRICOES_METODO em concilia.js)
+const NOMES_METODO: Record<string, string> = {
+  identificador: "Identificador",
+  valor_data_descricao: "Valor + data + descrição",
+  valor_data: "Valor + data",
+  valor_descricao: "Valor + descrição",
+  valor_apenas: "Somente valor",
+  lote_soma: "Lote (soma)",
+  divergencia_valor: "Divergência de valor",
+  manual: "Manual (analista)"
+}
+
+// Nome de cada situação de par na tela
+const NOMES_SITUACAO: Record<LinhaConciliada["situacao"], string> = {
+  conciliado: "Par conciliado",
+  revisar: "Par a revisar",
+  divergencia: "Divergência de valor"
+}
+
+/**
+ * Valor em reais, no mesmo formato da planilha gerada
+ */
+function formatarReais(valor: number | null | undefined) {
+  return `R$ ${(valor ?? 0).toFixed(2)}`
+}
+
+/**
+ * Data de um pagamento como dd/mm/aaaa
+ * A data chega em ISO (meia-noite do servidor convertida para UTC): arredonda para o dia
+ * UTC mais próximo, para o dia não mudar com o fuso do navegador
+ */
+function formatarData(pag: PagamentoResultado) {
+  if (!pag.data) {
+    return pag.dataOriginal ? String(pag.dataOriginal) : ""
+  }
+  const dia = new Date(Math.round(Date.parse(pag.data) / 86400000) * 86400000)
+  return `${String(dia.getUTCDate()).padStart(2, "0")}/${String(dia.getUTCMonth() + 1).padStart(2, "0")}/${dia.getUTCFullYear()}`
+}
+
+/**
+ * Data de um pagamento para ordenação (sem data vai para o fim)
+ */
+function ordemData(pag: PagamentoResultado) {
+  return pag.data ? Date.parse(pag.data) : Number.MAX_SAFE_INTEGER
+}
+
+/**
+ * Origem de um pagamento: "arquivo.xlsx › Aba"
+ */
+function descreverOrigem(pag: PagamentoResultado) {
+  if (!pag.arquivo) {
+    return ""
+  }
+  return pag.planilha ? `${pag.arquivo} › ${pag.planilha}` : pag.arquivo
+}
+
+/**
+ * Identificador de um pagamento na tela: arquivo, aba e linha de origem
+ */
+function idPagamento(pag: PagamentoResultado) {
+  return `${pag.arquivo ?? ""}|${pag.planilha ?? ""}|${pag.linhaOriginal}`
+}
+
+/**
+ * Referência curta de um pagamento nas mensagens: "Linha 12 (arquivo.xlsx › Aba)"
+ */
+function referenciaCurta(pag: PagamentoResultado) {
+  const origem = descreverOrigem(pag)
+  return `Linha ${pag.linhaOriginal}${origem ? ` (${origem})` : ""}`
+}
+
+/**
+ * Soma dos valores de uma lista de pagamentos, em centavos (sem erro de arredondamento)
+ */
+function somarCentavos(pagamentos: PagamentoResultado[]) {
+  return pagamentos.reduce((soma, pag) => soma + pag.centavos, 0)
+}
+
+/**
+ * Célula (ou linha) do valor no arquivo de origem
+ */
+function descreverCelula(pag: PagamentoResultado) {
+  return pag.celula ? pag.celula : `Linha ${pag.linhaOriginal}`
+}
+
+/**
+ * Páginas a mostrar na paginação: primeira, última e vizinhas da atual (null = reticências)
+ */
+function paginasVisiveis(atual: number, total: number): (number | null)[] {
+  const paginas: (number | null)[] = []
+  for (let pagina = 1; pagina <= total; pagina++) {
+    if (pagina === 1 || pagina === total || Math.abs(pagina - atual) <= 1) {
+      paginas.push(pagina)
+    } else if (paginas[paginas.length - 1] !== null) {
+      paginas.push(null)
+    }
+  }
+  return paginas
+}
+
+/**
+ * Tabela com busca, ordenação, filtros por coluna e paginação
+ */
+function TabelaResultado<T extends { id: string }>({ linhas, colunas, onSelecionar, vazio, marcadas, onAlternarMarcada }: {
+  linhas: T[]
+  colunas: ColunaResultado<T>[]
+  onSelecionar?: (linha: T) => void
+  vazio: string
+
+  /**
+   * Ids das linhas marcadas (com onAlternarMarcada, mostra a coluna de marcação)
+   */
+  marcadas?: Set<string>
+  onAlternarMarcada?: (linha: T) => void
+}) {
+  const [busca, setBusca] = React.useState("")
+  const [filtros, setFiltros] = React.useState<Record<string, string>>({})
+  const [ordenacao, setOrdenacao] = React.useState<{ coluna: string, crescente: boolean } | null>(null)
+  const [pagina, setPagina] = React.useState(1)
+
+  // Valores distintos de cada coluna filtrável
+  const opcoesFiltro = React.useMemo(() => colunas
+    .filter((coluna) => coluna.filtravel)
+    .map((coluna) => ({
+      coluna,
+      valores: [...new Set(linhas.map((linha) => coluna.texto(linha)))].filter(Boolean).sort()
+    })), [linhas, colunas])
+
+  const linhasVisiveis = React.useMemo(() => {
+    const termo = busca.trim().toLowerCase()
+    const filtradas = linhas.filter((linha) =>
+      colunas.every((coluna) => !filtros[coluna.id] || filtros[coluna.id] === TODOS || coluna.texto(linha) === filtros[coluna.id]) &&
+      (!termo || colunas.some((coluna) => coluna.texto(linha).toLowerCase().includes(termo)))
+    )
+
+    const coluna = ordenacao && colunas.find((item) => item.id === ordenacao.coluna)
+    if (!ordenacao || !coluna) {
+      return filtradas
+    }
+    const valorOrdem = coluna.ordem ?? coluna.texto
+    return [...filtradas].sort((a, b) => {
+      const valorA = valorOrdem(a)
+      const valorB = valorOrdem(b)
+      const comparacao = typeof valorA === "number" && typeof valorB === "number"
+        ? valorA - valorB
+        : String(valorA).localeCompare(String(valorB), "pt-BR", { numeric: true })
+      return ordenacao.crescente ? comparacao : -comparacao
+    })
+  }, [linhas, colunas, busca, filtros, ordenacao])
+
+  const totalPaginas = Math.max(1, Math.ceil(linhasVisiveis.length / LINHAS_POR_PAGINA))
+  const paginaAtual = Math.min(pagina, totalPaginas)
+  const linhasPagina = linhasVisiveis.slice((paginaAtual - 1) * LINHAS_POR_PAGINA, paginaAtual * LINHAS_POR_PAGINA)
+
+  /**
+   * Clique no título: ordena crescente, depois decrescente, depois volta à ordem original
+   */
+  const alternarOrdenacao = (coluna: string) => {
+    setOrdenacao((atual) => {
+      if (!atual || atual.coluna !== coluna) {
+        return { coluna, crescente: true }
+      }
+      return atual.crescente ? { coluna, crescente: false } : null
+    })
+  }
+
+  const irParaPagina = (evento: React.MouseEvent, destino: number) => {
+    evento.preventDefault()
+    setPagina(Math.min(Math.max(destino, 1), totalPaginas))
+  }
+
+  return (
+    <div className="space-y-3">
+      {/* Busca e filtros */}
+      <div className="flex flex-col sm:flex-row sm:flex-wrap gap-2">
+        <div className="relative flex-1 min-w-[200px]">
+          <Search className="absolute left-2.5 top-1/2 -translate-y-1/2 h-4 w-4 text-muted-foreground" />
+          <Input
+            value={busca}
+            onChange={(evento) => {
+              setBusca(evento.target.value)
+              setPagina(1)
+            }}
+            placeholder="Buscar em todas as colunas..."
+            className="pl-8 h-9"
+          />
+        </div>
+        {opcoesFiltro.map(({ coluna, valores }) => (
+          <Select
+            key={coluna.id}
+            value={filtros[coluna.id] ?? TODOS}
+            onValueChange={(valor) => {
+              setFiltros((atuais) => ({ ...atuais, [coluna.id]: valor }))
+              setPagina(1)
+            }}
+          >
+            <SelectTrigger className="h-9 w-full sm:w-[220px] text-xs" aria-label={`Filtrar por ${coluna.titulo}`}>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value={TODOS}>{coluna.titulo}: todos</SelectItem>
+              {valores.map((valor) => (
+                <SelectItem key={valor} value={valor}>{valor}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        ))}
+      </div>
+
+      <div className="rounded-md border border-border/50 overflow-auto">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              {onAlternarMarcada && <TableHead className="w-8" />}
+              {colunas.map((coluna) => (
+                <TableHead key={coluna.id} className={cn("text-xs whitespace-nowrap", coluna.alinhamento === "direita" && "text-right")}>
+                  <button
+                    type="button"
+                    onClick={() => alternarOrdenacao(coluna.id)}
+                    className="inline-flex items-center gap-1 hover:text-foreground"
+                  >
+                    {coluna.titulo}
+                    {ordenacao?.coluna === coluna.id
+                      ? ordenacao.crescente ? <ArrowUp className="h-3 w-3" /> : <ArrowDown className="h-3 w-3" />
+                      : <ArrowUpDown className="h-3 w-3 opacity-50" />}
+                  </button>
+                </TableHead>
+              ))}
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {linhasPagina.length === 0 ? (
+              <TableRow>
+                <TableCell colSpan={colunas.length + (onAlternarMarcada ? 1 : 0)} className="text-center text-xs text-muted-foreground py-6">
+                  {linhas.length === 0 ? vazio : "Nenhuma linha corresponde à busca ou aos filtros."}
+                </TableCell>
+              </TableRow>
+            ) : linhasPagina.map((linha) => (
+              <TableRow key={linha.id} onClick={() => onSelecionar?.(linha)} className={cn(onSelecionar && "cursor-pointer")}>
+                {onAlternarMarcada && (
+                  <TableCell className="py-1.5" onClick={(evento) => evento.stopPropagation()}>
+                    <Checkbox
+                      checked={marcadas?.has(linha.id) ?? false}
+                      onCheckedChange={() => onAlternarMarcada(linha)}
+                      aria-label="Marcar para conciliar manualmente"
+                    />
+                  </TableCell>
+                )}
+                {colunas.map((coluna) => (
+                  <TableCell
+                    key={coluna.id}
+                    className={cn("text-xs py-1.5", coluna.alinhamento === "direita" ? "text-right whitespace-nowrap" : "max-w-[280px] truncate")}
+                    title={coluna.texto(linha)}
+                  >
+                    {coluna.texto(linha)}
+                  </TableCell>
+                ))}
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+
+      {/* Paginação */}
+      <div className="flex flex-col sm:flex-row items-center justify-between gap-2">
+        <p className="text-xs text-muted-foreground">
+          {linhasVisiveis.length === linhas.length
+            ? `${linhas.length} linha(s)`
+            : `${linhasVisiveis.length} de ${linhas.length} linha(s)`}
+        </p>
+        {totalPaginas > 1 && (
+          <Pagination className="mx-0 w-auto">
+            <PaginationContent>
+              <PaginationItem>
+                <PaginationLink href="#" size="default" className="gap-1 pl-2.5" aria-label="Página anterior" onClick={(evento) => irParaPagina(evento, paginaAtual - 1)}>
+                  <ChevronLeft className="h-4 w-4" />
+                  <span>Anterior</span>
+                </PaginationLink>
+              </PaginationItem>
+              {paginasVisiveis(paginaAtual, totalPaginas).map((numero, indice) => (
+                <PaginationItem key={numero ?? `reticencias-${indice}`}>
+                  {numero === null ? (
+                    <PaginationEllipsis />
+                  ) : (
+                    <PaginationLink href="#" isActive={numero === paginaAtual} onClick={(evento) => irParaPagina(evento, numero)}>
+                      {numero}
+                    </PaginationLink>
+                  )}
+                </PaginationItem>
+              ))}
+              <PaginationItem>
+                <PaginationLink href="#" size="default" className="gap-1 pr-2.5" aria-label="Próxima página" onClick={(evento) => irParaPagina(evento, paginaAtual + 1)}>
+                  <span>Próxima</span>
+                  <ChevronRight className="h-4 w-4" />
+                </PaginationLink>
+              </PaginationItem>
+            </PaginationContent>
+          </Pagination>
+        )}
+      </div>
+    </div>
+  )
+}
+
+/**
+ * Campo do painel de detalhes: rótulo pequeno e valor
+ */
+function CampoDetalhe({ rotulo, valor }: { rotulo: string, valor: React.ReactNode }) {
+  return (
+    <div className="space-y-0.5">
+      <p className="text-[11px] uppercase tracking-wide text-muted-foreground">{rotulo}</p>
+      <p className="text-sm text-foreground break-words">{valor || "—"}</p>
+    </div>
+  )
+}
+
+/**
+ * Bloco com os dados de um pagamento (origem, data, valor, descrição)
+ */
+function DetalhePagamento({ titulo, pag }: { titulo: string, pag: PagamentoResultado }) {
+  return (
+    <div className="rounded-md border border-border/50 p-3 space-y-2">
+      <p className="text-sm font-medium text-foreground">{titulo}</p>
+      <div className="grid grid-cols-2 gap-2">
+        <CampoDetalhe rotulo="Arquivo" valor={descreverOrigem(pag)} />
+        <CampoDetalhe rotulo="Célula" valor={descreverCelula(pag)} />
+        <CampoDetalhe rotulo="Data" valor={formatarData(pag)} />
+        <CampoDetalhe rotulo="Valor" valor={formatarReais(pag.valor)} />
+      </div>
+      <CampoDetalhe rotulo="Descrição" valor={pag.descricao} />
+      {pag.dcto && <CampoDetalhe rotulo="Documento" valor={pag.dcto} />}
+    </div>
+  )
+}
+
+/**
+ * Candidatos analisados de um pagamento que ficou sem par (campo `debug`)
+ */
+function CandidatosDebug({ debug }: { debug: DebugPagamento }) {
+  if (debug.candidatos && debug.candidatos.length > 0) {
+    return (
+      <div className="space-y-2">
+        <p className="text-sm font-medium text-foreground">
+          Candidatos com o mesmo valor ({debug.candidatosEncontrados ?? debug.candidatos.length})
+        </p>
+        <div className="rounded-md border border-border/50 overflow-auto">
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead className="text-xs">Linha</TableHead>
+                <TableHead className="text-xs">Descrição</TableHead>
+                <TableHead className="text-xs">Data</TableHead>
+                <TableHead className="text-xs">Similaridade</TableHead>
+                <TableHead className="text-xs">Situação</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {debug.candidatos.map((candidato) => (
+                <TableRow key={candidato.linha}>
+                  <TableCell className="text-xs py-1.5">{candidato.linha}</TableCell>
+                  <TableCell className="text-xs py-1.5">{candidato.descricao}</TableCell>
+                  <TableCell className="text-xs py-1.5 whitespace-nowrap">
+                    {candidato.diasDiferenca === null ? "sem data" : `${candidato.diasDiferenca} dia(s) útil(eis)`}
+                    {!candidato.dataMatch && " (fora da janela)"}
+                  </TableCell>
+                  <TableCell className="text-xs py-1.5" title={candidato.explicacaoDescricao}>
+                    {Math.round(candidato.similaridadeDescricao * 100)}%
+                  </TableCell>
+                  <TableCell className="text-xs py-1.5">
+                    <Badge variant={candidato.jaFoiUsado ? "secondary" : "outline"} className="text-[10px] font-normal">
+                      {candidato.jaFoiUsado ? "Já usado em outro par" : "Livre"}
+                    </Badge>
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </div>
+      </div>
+    )
+  }
+
+  if (debug.valoresProximos && debug.valoresProximos.length > 0) {
+    return (
+      <div className="space-y-2">
+        <p className="text-sm font-medium text-foreground">Nenhum lançamento com o mesmo valor; valores próximos (até 1%)</p>
+        <ul className="space-y-1">
+          {debug.valoresProximos.map((proximo) => (
+            <li key={proximo.valor} className="text-xs text-foreground">
+              {formatarReais(proximo.valor)} — diferença de {formatarReais(proximo.diferenca)} ({proximo.diferencaPercentual})
+            </li>
+          ))}
+        </ul>
+      </div>
+    )
+  }
+
+  return (
+    <p className="text-xs text-muted-foreground">
+      Nenhum lançamento do outro lado com o mesmo valor ou com valor próximo (até 1%).
+    </p>
+  )
+}
+
+/**
+ * Descrição de um ajuste manual na lista de ajustes
+ */
+function descreverAjuste(tipo: keyof AjustesConciliacao, ajuste: AjustesConciliacao[keyof AjustesConciliacao][number]) {
+  if (tipo === "pares" && "extrato" in ajuste) {
+    const relatorio = ajuste.relatorio.map((pag) => pag.linhaOriginal).join(", ")
+    const extrato = ajuste.extrato.map((pag) => pag.linhaOriginal).join(", ")
+    return `Par manual: relatório linha(s) ${relatorio} ↔ extrato linha(s) ${extrato} ` +
+      `(${formatarReais(somarCentavos(ajuste.relatorio) / 100)})${ajuste.observacao ? ` — ${ajuste.observacao}` : ""}`
+  }
+  if (tipo === "ignorados" && "motivo" in ajuste) {
+    return `Ignorado: ${referenciaCurta(ajuste.pagamento)}, ${formatarReais(ajuste.pagamento.valor)} — ${ajuste.motivo}`
+  }
+  if (tipo === "aceitos" && "pagamento" in ajuste) {
+    return `Par aceito: ${referenciaCurta(ajuste.pagamento)}, ${formatarReais(ajuste.pagamento.valor)}`
+  }
+  if ("pagamento" in ajuste) {
+    return `Conciliação desfeita: ${referenciaCurta(ajuste.pagamento)}, ${formatarReais(ajuste.pagamento.valor)}`
+  }
+  return ""
+}
+
+export function ResultadoConciliacao({ relatorio, ajustes = AJUSTES_VAZIOS, onAjustesChange, isAjustando = false, className }: ResultadoConciliacaoProps) {
+  const { resumo, detalhes } = relatorio
+  const [conciliadoSelecionado, setConciliadoSelecionado] = React.useState<LinhaConciliada | null>(null)
+  const [faltanteSelecionado, setFaltanteSelecionado] = React.useState<LinhaFaltante | null>(null)
+
+  // Linhas faltantes marcadas para o par manual (id -> linha) e a observação do par
+  const [marcadas, setMarcadas] = React.useState<Map<string, LinhaFaltante>>(new Map())
+  const [observacao, setObservacao] = React.useState("")
+  const [motivoIgnorado, setMotivoIgnorado] = React.useState("")
+
+  // Resultado novo: as linhas marcadas podem ter saído das abas de faltantes
+  React.useEffect(() => {
+    setMarcadas(new Map())
+    setObservacao("")
+  }, [relatorio])
+
+  // Pares 1:1 e cada linha dos lotes por soma (como na aba "Conciliados" da planilha)
+  const linhasConciliadas = React.useMemo(() => {
+    const linhas: LinhaConciliada[] = detalhes.encontrados.map((par, indice) => ({
+      id: `par-${indice}`,
+      situacao: "conciliado",
+      relatorio: par.relatorio,
+      extrato: par.extrato,
+      metodo: par.metodo,
+      confianca: par.confianca,
+      score: par.score,
+      diasDiferenca: par.diasDiferenca,
+      explicacao: par.explicacao,
+      lote: null,
+      aceito: Boolean(par.aceitoManualmente)
+    }))
+    detalhes.lotes.forEach((lote, indiceLote) => {
+      const muitosParaUm = lote.direcao === "muitos_para_um"
+      const itens = muitosParaUm ? lote.relatorio : lote.extrato
+      const explicacao = [
+        muitosParaUm
+          ? `Soma de ${lote.relatorio.length} linha(s) do relatório = ${formatarReais(lote.valorTotal)} em uma linha do extrato`
+          : `${formatarReais(lote.valorTotal)} do relatório pagos em ${lote.extrato.length} linha(s) do extrato`,
+        ...(lote.explicacao ?? [])
+      ]
+      itens.forEach((item, indiceItem) => linhas.push({
+        id: `lote-${indiceLote}-${indiceItem}`,
+        situacao: "conciliado",
+        relatorio: muitosParaUm ? item : lote.relatorio[0],
+        extrato: muitosParaUm ? lote.extrato[0] : item,
+        metodo: lote.metodo,
+        confianca: null,
+        score: null,
+        diasDiferenca: null,
+        explicacao,
+        lote: indiceLote + 1,
+        aceito: false
+      }))
+    })
+    return linhas
+  }, [detalhes])
+
+  // Pares de baixa confiança e pares com divergência de valor: o analista aceita ou desfaz
+  const linhasRevisar = React.useMemo(() => [
+    ...detalhes.revisar.map((par, indice): LinhaConciliada => ({
+      id: `revisar-${indice}`,
+      situacao: "revisar",
+      relatorio: par.relatorio,
+      extrato: par.extrato,
+      metodo: par.metodo,
+      confianca: par.confianca,
+      score: par.score,
+      diasDiferenca: par.diasDiferenca,
+      explicacao: par.explicacao,
+      lote: null,
+      aceito: false
+    })),
+    ...detalhes.divergenciaValor.map((par, indice): LinhaConciliada => ({
+      id: `divergencia-${indice}`,
+      situacao: "divergencia",
+      relatorio: par.relatorio,
+      extrato: par.extrato,
+      metodo: par.metodo,
+      confianca: null,
+      score: null,
+      diasDiferenca: par.diasDiferenca,
+      explicacao: [
+        `Diferença de ${formatarReais(par.diferenca)} (${par.diferencaPercentual}) entre extrato e relatório`,
+        ...(par.explicacaoDescricao ? [par.explicacaoDescricao] : [])
+      ],
+      lote: null,
+      aceito: false
+    }))
+  ], [detalhes])
+
+  const faltamNoExtrato = React.useMemo(() => detalhes.naoEncontradosNoExtrato.map((pagamento): LinhaFaltante => ({
+    id: `relatorio|${idPagamento(pagamento)}`,
+    lado: "relatorio",
+    pagamento
+  })), [detalhes])
+  const faltamNoRelatorio = React.useMemo(() => detalhes.naoEncontradosNoRelatorio.map((pagamento): LinhaFaltante => ({
+    id: `extrato|${idPagamento(pagamento)}`,
+    lado: "extrato",
+    pagamento
+  })), [detalhes])
+  const ignorados = React.useMemo(() => (detalhes.ignoradosManualmente ?? []).map((pagamento): LinhaFaltante => ({
+    id: `${pagamento.lado}|${idPagamento(pagamento)}`,
+    lado: pagamento.lado ?? "relatorio",
+    pagamento
+  })), [detalhes])
+
+  const colunasConciliados = React.useMemo((): ColunaResultado<LinhaConciliada>[] => [
+    { id: "dataRelatorio", titulo: "Data", texto: (linha) => formatarData(linha.relatorio), ordem: (linha) => ordemData(linha.relatorio) },
+    { id: "descricaoRelatorio", titulo: "Descrição Relatório", texto: (linha) => linha.relatorio.descricao || "" },
+    { id: "descricaoExtrato", titulo: "Descrição Extrato", texto: (linha) => linha.extrato.descricao || "" },
+    { id: "valor", titulo: "Valor", texto: (linha) => formatarReais(linha.relatorio.valor), ordem: (linha) => linha.relatorio.valor, alinhamento: "direita" },
+    { id: "metodo", titulo: "Método", texto: (linha) => NOMES_METODO[linha.metodo] ?? linha.metodo, filtravel: true },
+    { id: "confianca", titulo: "Confiança", texto: (linha) => linha.confianca === null ? "" : `${linha.confianca}%`, ordem: (linha) => linha.confianca ?? -1, alinhamento: "direita" },
+    { id: "arquivoExtrato", titulo: "Arquivo Extrato", texto: (linha) => descreverOrigem(linha.extrato), filtravel: true }
+  ], [])
+
+  const colunasRevisar = React.useMemo((): ColunaResultado<LinhaConciliada>[] => [
+    { id: "situacao", titulo: "Situação", texto: (linha) => NOMES_SITUACAO[linha.situacao], filtravel: true },
+    ...colunasConciliados.filter((coluna) => coluna.id !== "metodo"),
+    { id: "valorExtrato", titulo: "Valor Extrato", texto: (linha) => formatarReais(linha.extrato.valor), ordem: (linha) => linha.extrato.valor, alinhamento: "direita" }
+  ], [colunasConciliados])
+
+  const colunasFaltantes = React.useMemo((): ColunaResultado<LinhaFaltante>[] => [
+    { id: "arquivo", titulo: "Arquivo", texto: (linha) => descreverOrigem(linha.pagamento), filtravel: true },
+    { id: "celula", titulo: "Célula", texto: (linha) => descreverCelula(linha.pagamento), ordem: (linha) => linha.pagamento.linhaOriginal },
+    { id: "data", titulo: "Data", texto: (linha) => formatarData(linha.pagamento), ordem: (linha) => ordemData(linha.pagamento) },
+    { id: "descricao", titulo: "Descrição", texto: (linha) => linha.pagamento.descricao || "" },
+    { id: "valor", titulo: "Valor", texto: (linha) => formatarReais(linha.pagamento.valor), ordem: (linha) => linha.pagamento.valor, alinhamento: "direita" },
+    { id: "motivo", titulo: "Motivo", texto: (linha) => linha.pagamento.motivo || "", filtravel: true }
+  ], [])
+
+  const colunasIgnorados = React.useMemo((): ColunaResultado<LinhaFaltante>[] => [
+    { id: "lado", titulo: "Lado", texto: (linha) => linha.lado === "relatorio" ? "Relatório" : "Extrato", filtravel: true },
+    ...colunasFaltantes
+  ], [colunasFaltantes])
+
+  const podeAjustar = Boolean(onAjustesChange)
+  const marcadasRelatorio = [...marcadas.values()].filter((linha) => linha.lado === "relatorio").map((linha) => linha.pagamento)
+  const marcadasExtrato = [...marcadas.values()].filter((linha) => linha.lado === "extrato").map((linha) => linha.pagamento)
+  const diferencaMarcadas = (somarCentavos(marcadasRelatorio) - somarCentavos(marcadasExtrato)) / 100
+
+  // Par manual aceito pelo servidor: os dois lados marcados e no máximo um deles com várias linhas
+  const avisoPar = marcadasRelatorio.length === 0 || marcadasExtrato.length === 0
+    ? "Marque linhas nas duas abas de faltantes"
+    : marcadasRelatorio.length > 1 && marcadasExtrato.length > 1
+      ? "Use 1 para 1, 1 para N ou N para 1: várias linhas dos dois lados não formam um par"
+      : null
+
+  const totalAjustes = ajustes.desfeitos.length + ajustes.aceitos.length + ajustes.pares.length + ajustes.ignorados.length
+
+  const alternarMarcada = (linha: LinhaFaltante) => {
+    setMarcadas((atuais) => {
+      const novas = new Map(atuais)
+      if (novas.has(linha.id)) {
+        novas.delete(linha.id)
+      } else {
+        novas.set(linha.id, linha)
+      }
+      return novas
+    })
+  }
+
+  const conciliarMarcadas = () => {
+    if (avisoPar) {
+      return
+    }
+    onAjustesChange?.({
+      ...ajustes,
+      pares: [...ajustes.pares, { relatorio: marcadasRelatorio, extrato: marcadasExtrato, observacao: observacao.trim() }]
+    })
+  }
+
+  /**
+   * Desfaz o par do painel: automático vira ajuste "desfeito"; manual ou aceito só tem o ajuste removido
+   */
+  const desfazerConciliado = (linha: LinhaConciliada) => {
+    const chave = idPagamento(linha.relatorio)
+    if (linha.metodo === "manual") {
+      onAjustesChange?.({
+        ...ajustes,
+        pares: ajustes.pares.filter((par) => !par.relatorio.some((pag) => idPagamento(pag) === chave))
+      })
+    } else if (linha.aceito) {
+      onAjustesChange?.({ ...ajustes, aceitos: ajustes.aceitos.filter((aceito) => idPagamento(aceito.pagamento) !== chave) })
+    } else {
+      onAjustesChange?.({ ...ajustes, desfeitos: [...ajustes.desfeitos, { pagamento: linha.relatorio }] })
+    }
+    setConciliadoSelecionado(null)
+  }
+
+  /**
+   * Aceita como conciliado o par a revisar (ou com divergência de valor) do painel
+   */
+  const aceitarPar = (linha: LinhaConciliada) => {
+    onAjustesChange?.({ ...ajustes, aceitos: [...ajustes.aceitos, { pagamento: linha.relatorio, observacao: "" }] })
+    setConciliadoSelecionado(null)
+  }
+
+  const ignorarFaltante = (linha: LinhaFaltante) => {
+    if (!motivoIgnorado.trim()) {
+      return
+    }
+    onAjustesChange?.({ ...ajustes, ignorados: [...ajustes.ignorados, { pagamento: linha.pagamento, motivo: motivoIgnorado.trim() }] })
+    setFaltanteSelecionado(null)
+    setMotivoIgnorado("")
+  }
+
+  const removerAjuste = (tipo: keyof AjustesConciliacao, indice: number) => {
+    onAjustesChange?.({ ...ajustes, [tipo]: ajustes[tipo].filter((_, posicao) => posicao !== indice) })
+  }
+
+  // Números do resumo em cartões (valor em destaque, detalhe embaixo)
+  const cartoes = [
+    { titulo: "Taxa de conciliação", valor: resumo.taxaConciliacao, detalhe: resumo.status === "totalmente_conciliado" ? "Totalmente conciliado" : "Divergências encontradas", alerta: resumo.status !== "totalmente_conciliado" },
+    { titulo: "Pagamentos no relatório", valor: String(resumo.totalRelatorio), detalhe: `${resumo.totalExtrato} lançamento(s) no extrato` },
+    { titulo: "Conciliados", valor: String(resumo.totalEncontrados), detalhe: `${formatarReais(resumo.valorTotalConciliado)} + ${resumo.lotes.quantidade} lote(s) por soma` },
+    { titulo: "Para revisar", valor: String(resumo.revisar.quantidade), detalhe: formatarReais(resumo.revisar.valorTotal), alerta: resumo.revisar.quantidade > 0 },
+    { titulo: "Faltam no extrato", valor: String(resumo.naoEncontradosNoExtrato.quantidade), detalhe: formatarReais(resumo.naoEncontradosNoExtrato.valorTotal), alerta: resumo.naoEncontradosNoExtrato.quantidade > 0 },
+    { titulo: "Faltam no relatório", valor: String(resumo.naoEncontradosNoRelatorio.quantidade), detalhe: formatarReais(resumo.naoEncontradosNoRelatorio.valorTotal), alerta: resumo.naoEncontradosNoRelatorio.quantidade > 0 },
+    { titulo: "Divergência de valor", valor: String(resumo.divergenciaValor.quantidade), detalhe: `Diferença de ${formatarReais(resumo.divergenciaValor.diferencaTotal)}`, alerta: resumo.divergenciaValor.quantidade > 0 },
+    { titulo: "Estornos no extrato", valor: String(resumo.estornos.quantidade), detalhe: formatarReais(resumo.estornos.valorTotal) }
+  ]
+
+  return (
+    <div className={cn("space-y-4", className)}>
+      {/* Resumo */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+        {cartoes.map((cartao) => (
+          <Card key={cartao.titulo} className="border-border/50 shadow-sm">
+            <CardContent className="p-3 sm:p-4 space-y-1">
+              <p className="text-xs text-muted-foreground">{cartao.titulo}</p>
+              <p className={cn("text-xl sm:text-2xl font-semibold", cartao.alerta ? "text-destructive" : "text-foreground")}>
+                {cartao.valor}
+              </p>
+              <p className="text-xs text-muted-foreground">{cartao.detalhe}</p>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      {/* Ajustes manuais já aplicados (cada um pode ser removido) */}
+      {podeAjustar && totalAjustes > 0 && (
+        <Card className="border-border/50 shadow-sm">
+          <CardContent className="p-3 sm:p-4 space-y-2">
+            <div className="flex items-center gap-2">
+              <p className="text-sm font-medium text-foreground">Ajustes manuais ({totalAjustes})</p>
+              {isAjustando && <Loader2 className="h-4 w-4 animate-spin text-muted-foreground" />}
+            </div>
+            <ul className="space-y-1">
+              {(["desfeitos", "aceitos", "pares", "ignorados"] as const).flatMap((tipo) => ajustes[tipo].map((ajuste, indice) => (
+                <li key={`${tipo}-${indice}`} className="flex items-center justify-between gap-2">
+                  <span className="text-xs text-foreground">{descreverAjuste(tipo, ajuste)}</span>
+                  <Button
+                    variant="ghost"
+                    size="sm"
+                    className="h-7 text-xs shrink-0"
+                    disabled={isAjustando}
+                    onClick={() => removerAjuste(tipo, indice)}
+                  >
+                    <Undo2 className="mr-1 h-3 w-3" />
+                    Remover
+                  </Button>
+                </li>
+              )))}
+            </ul>
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Linhas marcadas para o par manual */}
+      {podeAjustar && marcadas.size > 0 && (
+        <Card className="border-primary/50 shadow-sm">
+          <CardContent className="p-3 sm:p-4 space-y-2">
+            <p className="text-xs text-foreground">
+              Marcadas: {marcadasRelatorio.length} do relatório ({formatarReais(somarCentavos(marcadasRelatorio) / 100)})
+              {" · "}{marcadasExtrato.length} do extrato ({formatarReais(somarCentavos(marcadasExtrato) / 100)})
+              {diferencaMarcadas !== 0 && ` · diferença de ${formatarReais(diferencaMarcadas)}`}
+            </p>
+            <div className="flex flex-col sm:flex-row gap-2">
+              <Input
+                value={observacao}
+                onChange={(evento) => setObservacao(evento.target.value)}
+                placeholder="Observação do par (opcional)"
+                className="h-9 flex-1"
+              />
+              <Button size="sm" className="h-9" disabled={isAjustando || avisoPar !== null} onClick={conciliarMarcadas}>
+                {isAjustando ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Link2 className="mr-2 h-4 w-4" />}
+                Conciliar manualmente
+              </Button>
+              <Button variant="outline" size="sm" className="h-9" disabled={isAjustando} onClick={() => setMarcadas(new Map())}>
+                Limpar
+              </Button>
+            </div>
+            {avisoPar && <p className="text-xs text-muted-foreground">{avisoPar}</p>}
+          </CardContent>
+        </Card>
+      )}
+
+      {/* Detalhes por situação */}
+      <Tabs defaultValue="conciliados">
+        <TabsList className="flex-wrap h-auto">
+          <TabsTrigger value="conciliados">Conciliados ({linhasConciliadas.length})</TabsTrigger>
+          <TabsTrigger value="revisar">Revisar ({linhasRevisar.length})</TabsTrigger>
+          <TabsTrigger value="faltamNoExtrato">Faltam no extrato ({faltamNoExtrato.length})</TabsTrigger>
+          <TabsTrigger value="faltamNoRelatorio">Faltam no relatório ({faltamNoRelatorio.length})</TabsTrigger>
+          <TabsTrigger value="ignorados">Ignorados ({ignorados.length})</TabsTrigger>
+        </TabsList>
+        <TabsContent value="conciliados">
+          <TabelaResultado
+            linhas={linhasConciliadas}
+            colunas={colunasConciliados}
+            onSelecionar={setConciliadoSelecionado}
+            vazio="Nenhum pagamento conciliado."
+          />
+        </TabsContent>
+        <TabsContent value="revisar">
+          <TabelaResultado
+            linhas={linhasRevisar}
+            colunas={colunasRevisar}
+            onSelecionar={setConciliadoSelecionado}
+            vazio="Nenhum par a revisar ou com divergência de valor."
+          />
+        </TabsContent>
+        <TabsContent value="faltamNoExtrato">
+          <TabelaResultado
+            linhas={faltamNoExtrato}
+            colunas={colunasFaltantes}
+            onSelecionar={setFaltanteSelecionado}
+            vazio="Todos os pagamentos do relatório foram encontrados no extrato."
+            marcadas={podeAjustar ? new Set(marcadas.keys()) : undefined}
+            onAlternarMarcada={podeAjustar ? alternarMarcada : undefined}
+          />
+        </TabsContent>
+        <TabsContent value="faltamNoRelatorio">
+          <TabelaResultado
+            linhas={faltamNoRelatorio}
+            colunas={colunasFaltantes}
+            onSelecionar={setFaltanteSelecionado}
+            vazio="Todos os lançamentos do extrato foram encontrados no relatório."
+            marcadas={podeAjustar ? new Set(marcadas.keys()) : undefined}
+            onAlternarMarcada={podeAjustar ? alternarMarcada : undefined}
+          />
+        </TabsContent>
+        <TabsContent value="ignorados">
+          <TabelaResultado
+            linhas={ignorados}
+            colunas={colunasIgnorados}
+            vazio="Nenhuma linha ignorada."
+          />
+        </TabsContent>
+      </Tabs>
+
+      {/* Painel lateral: par conciliado ou a revisar */}
+      <Sheet open={conciliadoSelecionado !== null} onOpenChange={(aberto) => !aberto && setConciliadoSelecionado(null)}>
+        <SheetContent side="right" className="w-full sm:max-w-xl overflow-y-auto">
+          {conciliadoSelecionado && (
+            <>
+              <SheetHeader>
+                <SheetTitle>
+                  {conciliadoSelecionado.lote ? `Lote ${conciliadoSelecionado.lote}` : NOMES_SITUACAO[conciliadoSelecionado.situacao]}
+                </SheetTitle>
+                <SheetDescription>
+                  {NOMES_METODO[conciliadoSelecionado.metodo] ?? conciliadoSelecionado.metodo}
+                  {conciliadoSelecionado.confianca !== null && ` · confiança ${conciliadoSelecionado.confianca}% · score ${conciliadoSelecionado.score}`}
+                </SheetDescription>
+              </SheetHeader>
+              <div className="mt-4 space-y-3">
+                <DetalhePagamento titulo="Relatório Planaltec" pag={conciliadoSelecionado.relatorio} />
+                <DetalhePagamento titulo="Extrato bancário" pag={conciliadoSelecionado.extrato} />
+                <div className="space-y-1">
+                  <p className="text-sm font-medium text-foreground">
+                    {conciliadoSelecionado.situacao === "conciliado" ? "Por que bateu" : "Por que precisa de conferência"}
+                  </p>
+                  <ul className="list-disc pl-5 space-y-0.5">
+                    {conciliadoSelecionado.explicacao.map((item) => (
+                      <li key={item} className="text-xs text-foreground">{item}</li>
+                    ))}
+                  </ul>
+                </div>
+                {podeAjustar && (
+                  <div className="flex flex-wrap gap-2">
+                    {conciliadoSelecionado.situacao !== "conciliado" && (
+                      <Button size="sm" disabled={isAjustando} onClick={() => aceitarPar(conciliadoSelecionado)}>
+                        <Check className="mr-2 h-4 w-4" />
+                        Aceitar como conciliado
+                      </Button>
+                    )}
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={isAjustando}
+                      onClick={() => desfazerConciliado(conciliadoSelecionado)}
+                    >
+                      <Undo2 className="mr-2 h-4 w-4" />
+                      {conciliadoSelecionado.metodo === "manual"
+                        ? "Remover par manual"
+                        : conciliadoSelecionado.aceito
+                          ? "Remover aceite"
+                          : conciliadoSelecionado.lote ? "Desfazer lote inteiro" : "Desfazer par"}
+                    </Button>
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </SheetContent>
+      </Sheet>
+
+      {/* Painel lateral: pagamento sem par e os candidatos analisados */}
+      <Sheet
+        open={faltanteSelecionado !== null}
+        onOpenChange={(aberto) => {
+          if (!aberto) {
+            setFaltanteSelecionado(null)
+            setMotivoIgnorado("")
+          }
+        }}
+      >
+        <SheetContent side="right" className="w-full sm:max-w-xl overflow-y-auto">
+          {faltanteSelecionado && (
+            <>
+              <SheetHeader>
+                <SheetTitle>
+                  {faltanteSelecionado.lado === "relatorio" ? "Falta no extrato" : "Falta no relatório"}
+                </SheetTitle>
+                <SheetDescription>{faltanteSelecionado.pagamento.motivo}</SheetDescription>
+              </SheetHeader>
+              <div className="mt-4 space-y-3">
+                <DetalhePagamento
+                  titulo={faltanteSelecionado.lado === "relatorio" ? "Relatório Planaltec" : "Extrato bancário"}
+                  pag={faltanteSelecionado.pagamento}
+                />
+                {faltanteSelecionado.pagamento.detalhes && (
+                  <CampoDetalhe rotulo="Detalhes" valor={faltanteSelecionado.pagamento.detalhes} />
+                )}
+                {faltanteSelecionado.pagamento.debug ? (
+                  <CandidatosDebug debug={faltanteSelecionado.pagamento.debug} />
+                ) : (
+                  <p className="text-xs text-muted-foreground">Sem candidatos registrados para esta linha.</p>
+                )}
+                {podeAjustar && (
+                  <div className="rounded-md border border-border/50 p-3 space-y-2">
+                    <p className="text-sm font-medium text-foreground">Ignorar esta linha</p>
+                    <Textarea
+                      value={motivoIgnorado}
+                      onChange={(evento) => setMotivoIgnorado(evento.target.value)}
+                      placeholder="Motivo (obrigatório): ex. tarifa bancária, pagamento de outro período..."
+                      className="min-h-[60px] text-sm"
+                    />
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      disabled={isAjustando || !motivoIgnorado.trim()}
+                      onClick={() => ignorarFaltante(faltanteSelecionado)}
+                    >
+                      <EyeOff className="mr-2 h-4 w-4" />
+                      Marcar como ignorado
+                    </Button>
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </SheetContent>
+      </Sheet>
+    </div>
+  )
+}
@@ -51,22 +51,37 @@ interface UploadXlsxProps {
    * Usado quando o processamento é feito externamente (ex: conciliação)
    */
   desabilitarProcessamento?: boolean
+
+  /**
+   * Extensões aceitas além das planilhas Excel (ex: ['ofx'] para o extrato bancário)
+   */
+  extensoesExtras?: string[]
+
+  /**
+   * Se true, aceita vários arquivos de uma vez (onFileSelect é chamado para cada um)
+   * e a área de upload continua disponível para acrescentar mais; a lista fica com quem usa
+   */
+  multiplo?: boolean
 }
 
-export function UploadXlsx({ onFileSelect, onFileRemove, className, desabilitarProcessamento = false }: UploadXlsxProps) {
+export function UploadXlsx({ onFileSelect, onFileRemove, className, desabilitarProcessamento = false, extensoesExtras = [], multiplo = false }: UploadXlsxProps) {
   const [arquivoSelecionado, setArquivoSelecionado] = React.useState<File | null>(null)
   const [isDragOver, setIsDragOver] = React.useState(false)
   const [isProcessando, setIsProcessando] = React.useState(false)
   const inputRef = React.useRef<HTMLInputElement>(null)
 
+  // Texto dos formatos aceitos (ex: "XLSX, XLS ou OFX")
+  const formatosAceitos = ['XLSX', 'XLS', ...extensoesExtras.map((extensao) => extensao.toUpperCase())]
+  const descricaoFormatos = `${formatosAceitos.slice(0, -1).join(', ')} ou ${formatosAceitos[formatosAceitos.length - 1]}`
+
   /**
-   * Valida se o arquivo é um XLSX válido
+   * Valida se o arquivo é um XLSX/XLS (ou de uma das extensões extras) válido
    * @param file - Arquivo a ser validado
    * @returns true se for XLSX válido, false caso contrário
    */
   const validarArquivo = (file: File): boolean => {
     const extensao = file.name.toLowerCase().split('.').pop()
-    const tiposPermitidos = ['xlsx', 'xls']
+    const tiposPermitidos = ['xlsx', 'xls', ...extensoesExtras]
     const tipoMimePermitidos = [
       'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
       'application/vnd.ms-excel'
@@ -95,7 +110,7 @@ export function UploadXlsx({ onFileSelect, onFileRemove, className, desabilitarP
     if (!validarArquivo(file)) {
       console.warn('[UploadXlsx] Arquivo inválido rejeitado:', file.name)
       toast.error('Arquivo inválido', {
-        description: 'Por favor, selecione um arquivo XLSX ou XLS válido.'
+        description: `Por favor, selecione um arquivo ${descricaoFormatos} válido.`
       })
       return
     }
@@ -106,7 +121,10 @@ export function UploadXlsx({ onFileSelect, onFileRemove, className, desabilitarP
       tipo: file.type
     })
 
-    setArquivoSelecionado(file)
+    // No modo múltiplo quem chamou guarda a lista: a área de upload fica livre para o próximo
+    if (!multiplo) {
+      setArquivoSelecionado(file)
+    }
     toast.success('Arquivo selecionado', {
       description: `${file.name} foi selecionado com sucesso.`
     })
@@ -121,9 +139,13 @@ export function UploadXlsx({ onFileSelect, onFileRemove, className, desabilitarP
    * Manipula o evento de mudança do input de arquivo
    */
   const handleInputChange = (event: React.ChangeEvent<HTMLInputElement>) => {
-    const file = event.target.files?.[0]
-    if (file) {
-      processarArquivo(file)
+    const files = Array.from(event.target.files ?? [])
+    const selecionados = multiplo ? files : files.slice(0, 1)
+    selecionados.forEach(processarArquivo)
+
+    // Limpa o input para permitir escolher o mesmo arquivo de novo no modo múltiplo
+    if (multiplo && inputRef.current) {
+      inputRef.current.value = ''
     }
   }
 
@@ -153,10 +175,9 @@ export function UploadXlsx({ onFileSelect, onFileRemove, className, desabilitarP
     event.stopPropagation()
     setIsDragOver(false)
 
-    const file = event.dataTransfer.files?.[0]
-    if (file) {
-      processarArquivo(file)
-    }
+    const files = Array.from(event.dataTransfer.files ?? [])
+    const selecionados = multiplo ? files : files.slice(0, 1)
+    selecionados.forEach(processarArquivo)
   }
 
   /**
@@ -247,14 +268,15 @@ export function UploadXlsx({ onFileSelect, onFileRemove, className, desabilitarP
     <div className={cn("space-y-4", className)}>
       {/* Descrição */}
       <p className="text-xs sm:text-sm text-muted-foreground text-center">
-        Selecione ou arraste uma planilha Excel (XLSX ou XLS) para fazer o upload
+        Selecione ou arraste {multiplo ? "um ou mais arquivos" : extensoesExtras.length > 0 ? "um arquivo" : "uma planilha Excel"} ({descricaoFormatos}) para fazer o upload
       </p>
 
       {/* Input de arquivo oculto */}
       <Input
         ref={inputRef}
         type="file"
-        accept=".xlsx,.xls,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet,application/vnd.ms-excel"
+        multiple={multiplo}
+        accept={[".xlsx", ".xls", ...extensoesExtras.map((extensao) => `.${extensao}`), "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet", "application/vnd.ms-excel"].join(",")}
         onChange={handleInputChange}
         className="hidden"
       />
@@ -283,7 +305,7 @@ export function UploadXlsx({ onFileSelect, onFileRemove, className, desabilitarP
             
             <div className="text-center space-y-2 w-full">
               <p className="text-xs sm:text-sm font-medium text-foreground px-2">
-                Arraste e solte o arquivo aqui
+                {multiplo ? "Arraste e solte os arquivos aqui" : "Arraste e solte o arquivo aqui"}
               </p>
               <p className="text-xs text-muted-foreground">
                 ou
@@ -296,12 +318,12 @@ export function UploadXlsx({ onFileSelect, onFileRemove, className, desabilitarP
                 size="sm"
               >
                 <Upload className="h-4 w-4 mr-2" />
-                Selecionar Arquivo
+                {multiplo ? "Selecionar Arquivos" : "Selecionar Arquivo"}
               </Button>
             </div>
             
             <p className="text-xs text-muted-foreground text-center mt-2 px-2">
-              Apenas arquivos XLSX ou XLS são aceitos
+              Apenas arquivos {descricaoFormatos} são aceitos
             </p>
           </div>
         ) : (
@@ -0,0 +1,120 @@
+/**
+ * Atribuição Ótima (Algoritmo Húngaro)
+ *
+ * Usado pela conciliação dentro de cada grupo de pagamentos com o mesmo valor:
+ * escolhe os pares relatório x extrato que MAXIMIZAM a soma dos scores,
+ * em vez de pegar sempre o melhor par disponível (estratégia gulosa).
+ *
+ * Na estratégia gulosa um empate logo no início pode "roubar" o candidato
+ * que outra linha precisava; aqui isso não acontece.
+ */
+
+/**
+ * Resolve o problema de atribuição minimizando o custo total
+ * Implementação clássica O(n² · m) com potenciais (n linhas <= m colunas)
+ *
+ * @param {Array<Array<number>>} custos - Matriz n x m de custos (n <= m)
+ * @returns {Array<number>} Para cada linha, o índice da coluna atribuída
+ */
+function resolverHungaro(custos) {
+  const n = custos.length
+  const m = n > 0 ? custos[0].length : 0
+  const INFINITO = Number.POSITIVE_INFINITY
+  
+  // Vetores 1-indexados (posição 0 é auxiliar)
+  const u = new Array(n + 1).fill(0)
+  const v = new Array(m + 1).fill(0)
+  const p = new Array(m + 1).fill(0)   // p[coluna] = linha atribuída
+  const caminho = new Array(m + 1).fill(0)
+  
+  for (let i = 1; i <= n; i++) {
+    p[0] = i
+    let j0 = 0
+    const minimo = new Array(m + 1).fill(INFINITO)
+    const usado = new Array(m + 1).fill(false)
+    
+    do {
+      usado[j0] = true
+      const i0 = p[j0]
+      let delta = INFINITO
+      let j1 = 0
+      
+      for (let j = 1; j <= m; j++) {
+        if (usado[j]) continue
+        const atual = custos[i0 - 1][j - 1] - u[i0] - v[j]
+        if (atual < minimo[j]) {
+          minimo[j] = atual
+          caminho[j] = j0
+        }
+        if (minimo[j] < delta) {
+          delta = minimo[j]
+          j1 = j
+        }
+      }
+      
+      for (let j = 0; j <= m; j++) {
+        if (usado[j]) {
+          u[p[j]] += delta
+          v[j] -= delta
+        } else {
+          minimo[j] -= delta
+        }
+      }
+      
+      j0 = j1
+    } while (p[j0] !== 0)
+    
+    do {
+      const j1 = caminho[j0]
+      p[j0] = p[j1]
+      j0 = j1
+    } while (j0 !== 0)
+  }
+  
+  const atribuicao = new Array(n).fill(-1)
+  for (let j = 1; j <= m; j++) {
+    if (p[j] !== 0) {
+      atribuicao[p[j] - 1] = j - 1
+    }
+  }
+  
+  return atribuicao
+}
+
+/**
+ * Encontra os pares que maximizam a soma dos scores
+ * Aceita matriz retangular em qualquer orientação
+ *
+ * @param {Array<Array<number>>} scores - Matriz linhas x colunas de scores (maior = melhor)
+ * @returns {Array<[number, number]>} Pares [linha, coluna] escolhidos
+ */
+function atribuirMaximoScore(scores) {
+  const linhas = scores.length
+  const colunas = linhas > 0 ? scores[0].length : 0
+  
+  if (linhas === 0 || colunas === 0) {
+    return []
+  }
+  
+  // O algoritmo exige linhas <= colunas: transpõe se necessário
+  const transpor = linhas > colunas
+  const matriz = transpor
+    ? Array.from({ length: colunas }, (_, j) => scores.map(linha => linha[j]))
+    : scores
+  
+  // Converte maximização em minimização
+  let maior = -Infinity
+  matriz.forEach(linha => linha.forEach(score => { if (score > maior) maior = score }))
+  const custos = matriz.map(linha => linha.map(score => maior - score))
+  
+  const atribuicao = resolverHungaro(custos)
+  
+  return atribuicao
+    .map((coluna, linha) => (transpor ? [coluna, linha] : [linha, coluna]))
+    .filter(([linha, coluna]) => linha >= 0 && coluna >= 0)
+}
+
+module.exports = {
+  resolverHungaro,
+  atribuirMaximoScore
+}
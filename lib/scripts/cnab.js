@@ -0,0 +1,486 @@
+/**
+ * Leitura de Arquivo de Retorno CNAB (240 e 400)
+ *
+ * Remessas CNAB vão ao banco e o banco devolve um arquivo de RETORNO com a
+ * situação de cada registro.
+ *
+ * CNAB 240 (FEBRABAN), pagamentos a fornecedores (natureza débito): segmentos A
+ * (crédito em conta/TED/DOC), B (CPF/CNPJ do favorecido, complementa o A) e J
+ * (boletos; o J-52 opcional é ignorado)
+ * - liquidado: o dinheiro saiu (entra na conciliação como lançamento do extrato)
+ * - agendado: aceito, mas ainda não pago
+ * - rejeitado: o banco recusou (com os códigos de ocorrência traduzidos)
+ *
+ * CNAB 400, cobrança (títulos a receber, natureza crédito): registro de detalhe
+ * tipo 1, posições em LAYOUTS_CNAB400 (por banco)
+ * - liquidado: o título foi pago e o dinheiro entrou na conta
+ * - confirmado: entrada do título confirmada, aguardando pagamento
+ * - baixado: título baixado sem pagamento
+ * - rejeitado: entrada ou instrução recusada pelo banco
+ * - informativo: demais ocorrências (sem efeito no saldo)
+ *
+ * Posições seguem os manuais (base 1, inclusivas): campo(linha, 120, 134).
+ */
+
+const { validarCPF, validarCNPJ } = require('./identificadores')
+
+/**
+ * Ocorrências de retorno CNAB 240 (FEBRABAN, posições 231-240: até 5 códigos de 2 caracteres)
+ */
+const OCORRENCIAS_CNAB240 = {
+  '00': 'Crédito ou Débito Efetivado',
+  '01': 'Insuficiência de Fundos - Débito Não Efetuado',
+  '02': 'Crédito ou Débito Cancelado pelo Pagador/Credor',
+  '03': 'Débito Autorizado pela Agência - Efetuado',
+  'AA': 'Controle Inválido',
+  'AB': 'Tipo de Operação Inválido',
+  'AC': 'Tipo de Serviço Inválido',
+  'AD': 'Forma de Lançamento Inválida',
+  'AE': 'Tipo/Número de Inscrição Inválido',
+  'AF': 'Código de Convênio Inválido',
+  'AG': 'Agência/Conta Corrente/DV Inválido',
+  'AH': 'Nº Sequencial do Registro no Lote Inválido',
+  'AI': 'Código de Segmento de Detalhe Inválido',
+  'AJ': 'Tipo de Movimento Inválido',
+  'AK': 'Código da Câmara de Compensação do Banco Favorecido Inválido',
+  'AL': 'Código do Banco Favorecido Inválido',
+  'AM': 'Agência Mantenedora da Conta do Favorecido Inválida',
+  'AN': 'Conta Corrente/DV do Favorecido Inválido',
+  'AO': 'Nome do Favorecido Não Informado',
+  'AP': 'Data do Lançamento Inválida',
+  'AQ': 'Tipo/Quantidade da Moeda Inválido',
+  'AR': 'Valor do Lançamento Inválido',
+  'AS': 'Aviso ao Favorecido - Identificação Inválida',
+  'AT': 'Tipo/Número de Inscrição do Favorecido Inválido',
+  'AU': 'Logradouro do Favorecido Não Informado',
+  'AV': 'Nº do Local do Favorecido Não Informado',
+  'AW': 'Cidade do Favorecido Não Informada',
+  'AX': 'CEP/Complemento do Favorecido Inválido',
+  'AY': 'Sigla do Estado do Favorecido Inválida',
+  'AZ': 'Código/Nome do Banco Depositário Inválido',
+  'BA': 'Código/Nome da Agência Depositária Não Informado',
+  'BB': 'Seu Número Inválido',
+  'BC': 'Nosso Número Inválido',
+  'BD': 'Inclusão Efetuada com Sucesso (pagamento agendado)',
+  'BE': 'Alteração Efetuada com Sucesso',
+  'BF': 'Exclusão Efetuada com Sucesso',
+  'BG': 'Agência/Conta Impedida Legalmente',
+  'CA': 'Código de Barras - Código do Banco Inválido',
+  'CB': 'Código de Barras - Código da Moeda Inválido',
+  'CC': 'Código de Barras - Dígito Verificador Geral Inválido',
+  'CD': 'Código de Barras - Valor do Título Inválido',
+  'CE': 'Código de Barras - Campo Livre Inválido',
+  'CF': 'Valor do Documento Inválido',
+  'CG': 'Valor do Abatimento Inválido',
+  'CH': 'Valor do Desconto Inválido',
+  'CI': 'Valor de Mora Inválido',
+  'CJ': 'Valor da Multa Inválido',
+  'CK': 'Valor do IR Inválido',
+  'CL': 'Valor do ISS Inválido',
+  'CM': 'Valor do IOF Inválido',
+  'CN': 'Valor de Outras Deduções Inválido',
+  'CO': 'Valor de Outros Acréscimos Inválido',
+  'CP': 'Valor do INSS Inválido',
+  'HA': 'Lote Não Aceito',
+  'HB': 'Inscrição da Empresa Inválida para o Contrato',
+  'HC': 'Convênio com a Empresa Inexistente/Inválido para o Contrato',
+  'HD': 'Agência/Conta Corrente da Empresa Inexistente/Inválido para o Contrato',
+  'HE': 'Tipo de Serviço Inválido para o Contrato',
+  'HF': 'Conta Corrente da Empresa com Saldo Insuficiente',
+  'HG': 'Lote de Serviço Fora de Sequência',
+  'HH': 'Lote de Serviço Inválido',
+  'HI': 'Arquivo Não Aceito',
+  'HJ': 'Tipo de Registro Inválido',
+  'HK': 'Código Remessa/Retorno Inválido',
+  'HL': 'Versão de Layout Inválida',
+  'TA': 'Lote Não Aceito - Totais do Lote com Diferença',
+  'YA': 'Título Não Encontrado',
+  'ZA': 'Agência/Conta do Favorecido Substituída',
+  'ZB': 'Divergência entre nome do beneficiário e nome na Receita Federal',
+  'ZK': 'Boleto Já Liquidado'
+}
+
+// Situação de cada ocorrência CNAB 240 (as demais são rejeição)
+const LIQUIDADO_CNAB240 = ['00', '03']
+const AGENDADO_CNAB240 = ['BD', 'BE']
+const INFORMATIVAS_CNAB240 = ['BF', 'ZA', 'ZB']
+
+/**
+ * Ocorrências de retorno CNAB 400 (posições 109-110)
+ */
+const OCORRENCIAS_CNAB400 = {
+  '02': 'Entrada Confirmada',
+  '03': 'Entrada Rejeitada',
+  '06': 'Liquidação Normal',
+  '09': 'Baixado Automaticamente',
+  '10': 'Baixado Conforme Instruções da Agência',
+  '15': 'Liquidação em Cartório',
+  '17': 'Liquidação Após Baixa',
+  '24': 'Entrada Rejeitada por CEP Irregular',
+  '27': 'Baixa Rejeitada',
+  '30': 'Alteração de Outros Dados Rejeitada',
+  '32': 'Instrução Rejeitada'
+}
+
+// Situação de cada ocorrência CNAB 400 (as demais são informativas)
+const LIQUIDADO_CNAB400 = ['06', '15', '17']
+const CONFIRMADO_CNAB400 = ['02']
+const BAIXADO_CNAB400 = ['09', '10']
+const REJEITADO_CNAB400 = ['03', '24', '27', '30', '32']
+
+/**
+ * Motivos de rejeição CNAB 400 (complementam a ocorrência)
+ */
+const MOTIVOS_CNAB400 = {
+  '01': 'Código do Banco Inválido',
+  '02': 'Código do Registro Detalhe Inválido',
+  '05': 'Código da Ocorrência Inválido',
+  '08': 'Nosso Número Inválido',
+  '10': 'Carteira Inválida',
+  '16': 'Data de Vencimento Inválida',
+  '18': 'Vencimento Fora do Prazo de Operação',
+  '20': 'Valor Inválido',
+  '21': 'Espécie do Título Inválida',
+  '24': 'Data de Emissão Inválida',
+  '44': 'Agência Não Prevista',
+  '45': 'Nome Não Informado',
+  '46': 'Tipo/Número de Inscrição Inválidos',
+  '47': 'Endereço Não Informado',
+  '48': 'CEP Inválido',
+  '63': 'Entrada para Registro Já Cadastrado'
+}
+
+/**
+ * Posições do detalhe CNAB 400 por banco (código do banco no header, posições 77-79)
+ * Os campos principais coincidem entre os bancos; os motivos de rejeição mudam de lugar
+ */
+const LAYOUTS_CNAB400 = {
+  padrao: {
+    usoEmpresa: [38, 62],
+    ocorrencia: [109, 110],
+    dataOcorrencia: [111, 116],
+    documento: [117, 126],
+    nossoNumero: [127, 146],
+    vencimento: [147, 152],
+    valorTitulo: [153, 165],
+    valorPago: [254, 266],
+    dataCredito: [296, 301],
+    motivos: [319, 328]
+  },
+  '341': {
+    nossoNumero: [127, 134],
+    motivos: [378, 385]
+  }
+}
+
+/**
+ * Lê um campo pelas posições do manual (base 1, inclusivas)
+ */
+function campo(linha, inicio, fim) {
+  return linha.substring(inicio - 1, fim).trim()
+}
+
+/**
+ * Lê valor CNAB (somente dígitos, 2 casas implícitas) em centavos inteiros
+ * Ex: "000000000015000" -> 15000
+ */
+function lerValorCnab(texto) {
+  return /^\d+$/.test(texto) ? parseInt(texto, 10) : null
+}
+
+/**
+ * Lê data CNAB: DDMMAAAA (240) ou DDMMAA (400); zeros = sem data
+ * @returns {Date|null}
+ */
+function lerDataCnab(texto) {
+  const partes = String(texto || '').match(/^(\d{2})(\d{2})(\d{2}|\d{4})$/)
+  if (!partes || Number(texto) === 0) {
+    return null
+  }
+  
+  const dia = parseInt(partes[1], 10)
+  const mes = parseInt(partes[2], 10) - 1
+  const ano = partes[3].length === 2 ? 2000 + parseInt(partes[3], 10) : parseInt(partes[3], 10)
+  const data = new Date(ano, mes, dia)
+  
+  return data.getFullYear() === ano && data.getMonth() === mes && data.getDate() === dia ? data : null
+}
+
+/**
+ * Separa as linhas do arquivo (descarta linhas vazias e o fim de arquivo ^Z)
+ */
+function lerLinhas(buffer) {
+  return buffer.toString('latin1')
+    .split(/\r?\n/)
+    .map((texto, indice) => ({ texto: texto.replace(/[\r\x1a]+$/, ''), numero: indice + 1 }))
+    .filter(linha => linha.texto.trim() !== '')
+}
+
+/**
+ * Verifica se o buffer é um arquivo de retorno CNAB 240/400 (pelo conteúdo)
+ * Todas as linhas com 240 (ou 400) posições e header de arquivo na primeira
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {boolean}
+ */
+function ehArquivoCnab(buffer) {
+  return detectarFormatoCnab(lerLinhas(buffer.slice(0, 64 * 1024))) !== null
+}
+
+/**
+ * @returns {'cnab240'|'cnab400'|null}
+ */
+function detectarFormatoCnab(linhas) {
+  if (linhas.length < 2) {
+    return null
+  }
+  
+  // A última linha pode vir cortada quando só o início do arquivo é lido
+  const completas = linhas.slice(0, -1)
+  const primeira = linhas[0].texto
+  
+  if (completas.every(linha => linha.texto.length === 240) && primeira[7] === '0') {
+    return 'cnab240'
+  }
+  if (completas.every(linha => linha.texto.length === 400) && primeira.startsWith('02RETORNO')) {
+    return 'cnab400'
+  }
+  return null
+}
+
+/**
+ * Traduz códigos de ocorrência para texto
+ * @param {Array<string>} codigos - Códigos de 2 caracteres
+ * @param {Object} tabela - OCORRENCIAS_CNAB240, OCORRENCIAS_CNAB400 ou MOTIVOS_CNAB400
+ * @returns {Array<{codigo: string, descricao: string}>}
+ */
+function traduzirOcorrencias(codigos, tabela) {
+  return codigos.map(codigo => ({
+    codigo,
+    descricao: tabela[codigo] || `Código ${codigo} (consulte o manual do banco)`
+  }))
+}
+
+/**
+ * Separa as ocorrências CNAB 240 (5 códigos de 2 caracteres, posições 231-240)
+ */
+function lerCodigosOcorrencia(texto) {
+  return (texto.match(/.{1,2}/g) || [])
+    .map(codigo => codigo.trim())
+    .filter(codigo => codigo.length === 2)
+}
+
+/**
+ * Situação do pagamento CNAB 240 a partir das ocorrências
+ * Sem ocorrência: liquidado se o banco informou a efetivação, senão agendado
+ */
+function situacaoCnab240(codigos, efetivado) {
+  const relevantes = codigos.filter(codigo => !INFORMATIVAS_CNAB240.includes(codigo))
+  if (relevantes.some(codigo => !LIQUIDADO_CNAB240.includes(codigo) && !AGENDADO_CNAB240.includes(codigo))) {
+    return 'rejeitado'
+  }
+  if (relevantes.some(codigo => AGENDADO_CNAB240.includes(codigo))) {
+    return 'agendado'
+  }
+  if (relevantes.length > 0 || efetivado) {
+    return 'liquidado'
+  }
+  return 'agendado'
+}
+
+/**
+ * Situação do título CNAB 400 a partir da ocorrência (posições 109-110)
+ */
+function situacaoCnab400(ocorrencia) {
+  if (LIQUIDADO_CNAB400.includes(ocorrencia)) {
+    return 'liquidado'
+  }
+  if (CONFIRMADO_CNAB400.includes(ocorrencia)) {
+    return 'confirmado'
+  }
+  if (BAIXADO_CNAB400.includes(ocorrencia)) {
+    return 'baixado'
+  }
+  if (REJEITADO_CNAB400.includes(ocorrencia)) {
+    return 'rejeitado'
+  }
+  return 'informativo'
+}
+
+/**
+ * Lê os pagamentos de um retorno CNAB 240 (segmentos A, B e J)
+ */
+function lerCnab240(linhas) {
+  const registros = []
+  let ultimoSegmentoA = null
+  
+  linhas.forEach(({ texto, numero }) => {
+    if (texto[7] !== '3') {
+      return // Só registros de detalhe
+    }
+    
+    const segmento = texto[13]
+    
+    if (segmento === 'A') {
+      const dataPagamento = campo(texto, 94, 101)
+      const dataEfetivacao = campo(texto, 155, 162)
+      const valorEfetivado = lerValorCnab(campo(texto, 163, 177))
+      const efetivado = Boolean(lerDataCnab(dataEfetivacao)) && valorEfetivado > 0
+      const codigos = lerCodigosOcorrencia(texto.substring(230, 240))
+      
+      ultimoSegmentoA = {
+        linha: numero,
+        segmento: 'A',
+        favorecido: campo(texto, 44, 73),
+        seuNumero: campo(texto, 74, 93),
+        nossoNumero: campo(texto, 135, 154),
+        dataOriginal: efetivado ? dataEfetivacao : dataPagamento,
+        data: lerDataCnab(efetivado ? dataEfetivacao : dataPagamento),
+        centavos: efetivado ? valorEfetivado : lerValorCnab(campo(texto, 120, 134)),
+        status: situacaoCnab240(codigos, efetivado),
+        ocorrencias: traduzirOcorrencias(codigos, OCORRENCIAS_CNAB240),
+        identificadores: [],
+        natureza: 'debito'
+      }
+      registros.push(ultimoSegmentoA)
+      return
+    }
+    
+    if (segmento === 'B' && ultimoSegmentoA) {
+      // CPF (1) ou CNPJ (2) do favorecido do segmento A anterior
+      const tipoInscricao = campo(texto, 18, 18)
+      const inscricao = campo(texto, 19, 32)
+      if (tipoInscricao === '1' && validarCPF(inscricao.slice(-11))) {
+        ultimoSegmentoA.identificadores.push({ tipo: 'cpf', valor: inscricao.slice(-11) })
+      } else if (tipoInscricao === '2' && validarCNPJ(inscricao)) {
+        ultimoSegmentoA.identificadores.push({ tipo: 'cnpj', valor: inscricao })
+      }
+      return
+    }
+    
+    // J-52 (dados do pagador/beneficiário) começa com "52" e não tem código de barras (moeda "9" na posição 21)
+    if (segmento === 'J' && !(campo(texto, 18, 19) === '52' && texto[20] !== '9')) {
+      ultimoSegmentoA = null
+      const codigoBarras = campo(texto, 18, 61)
+      const dataPagamento = campo(texto, 145, 152)
+      const codigos = lerCodigosOcorrencia(texto.substring(230, 240))
+      const valorPago = lerValorCnab(campo(texto, 153, 167))
+      
+      registros.push({
+        linha: numero,
+        segmento: 'J',
+        favorecido: campo(texto, 62, 91),
+        seuNumero: campo(texto, 183, 202),
+        nossoNumero: campo(texto, 203, 222),
+        dataOriginal: dataPagamento,
+        data: lerDataCnab(dataPagamento),
+        centavos: valorPago || lerValorCnab(campo(texto, 100, 114)),
+        status: situacaoCnab240(codigos, Boolean(lerDataCnab(dataPagamento)) && valorPago > 0),
+        ocorrencias: traduzirOcorrencias(codigos, OCORRENCIAS_CNAB240),
+        identificadores: /^\d{44}$/.test(codigoBarras) ? [{ tipo: 'boleto', valor: codigoBarras }] : [],
+        natureza: 'debito'
+      })
+    }
+  })
+  
+  return registros
+}
+
+/**
+ * Lê os títulos de um retorno CNAB 400 (registros de detalhe tipo 1)
+ * Cobrança: o título liquidado é dinheiro que ENTROU na conta (natureza crédito)
+ */
+function lerCnab400(linhas, banco) {
+  const posicoes = { ...LAYOUTS_CNAB400.padrao, ...(LAYOUTS_CNAB400[banco] || {}) }
+  const ler = (texto, nome) => campo(texto, posicoes[nome][0], posicoes[nome][1])
+  
+  return linhas
+    .filter(({ texto }) => texto[0] === '1')
+    .map(({ texto, numero }) => {
+      const ocorrencia = ler(texto, 'ocorrencia')
+      const motivos = lerCodigosOcorrencia(ler(texto, 'motivos')).filter(codigo => codigo !== '00')
+      const status = situacaoCnab400(ocorrencia)
+      const valorPago = lerValorCnab(ler(texto, 'valorPago'))
+      const dataOriginal = ler(texto, 'dataCredito') || ler(texto, 'dataOcorrencia')
+      
+      return {
+        linha: numero,
+        segmento: '1',
+        favorecido: ler(texto, 'usoEmpresa'),
+        seuNumero: ler(texto, 'documento'),
+        nossoNumero: ler(texto, 'nossoNumero'),
+        dataOriginal,
+        data: lerDataCnab(dataOriginal) || lerDataCnab(ler(texto, 'dataOcorrencia')),
+        centavos: valorPago || lerValorCnab(ler(texto, 'valorTitulo')),
+        status,
+        ocorrencias: [
+          ...traduzirOcorrencias([ocorrencia], OCORRENCIAS_CNAB400),
+          ...(status === 'rejeitado' ? traduzirOcorrencias(motivos, MOTIVOS_CNAB400) : [])
+        ],
+        identificadores: [],
+        natureza: 'credito'
+      }
+    })
+}
+
+/**
+ * Lê um arquivo de retorno CNAB 240 ou 400
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {{formato: string, banco: string, nomeBanco: string, agencia: string|null, conta: string|null,
+ *   dataGeracao: Date|null, registros: Array<{linha: number, segmento: string, favorecido: string, seuNumero: string,
+ *     nossoNumero: string, data: Date|null, dataOriginal: string, centavos: number|null,
+ *     status: 'liquidado'|'agendado'|'rejeitado'|'confirmado'|'baixado'|'informativo',
+ *     ocorrencias: Array<{codigo: string, descricao: string}>, identificadores: Array<{tipo: string, valor: string}>,
+ *     natureza: 'debito'|'credito'}>}} status e natureza: ver o cabeçalho deste arquivo
+ * @throws {Error} codigoErro 'CNAB_INVALIDO' se o arquivo não for um retorno CNAB 240/400
+ */
+function lerCnab(buffer) {
+  const linhas = lerLinhas(buffer)
+  const formato = detectarFormatoCnab(linhas)
+  
+  if (!formato) {
+    const erro = new Error('Arquivo de retorno CNAB inválido: as linhas devem ter 240 ou 400 posições')
+    erro.codigoErro = 'CNAB_INVALIDO'
+    erro.tipoPlanilha = 'extrato'
+    erro.detalhes = `Tamanhos de linha encontrados: ${[...new Set(linhas.map(linha => linha.texto.length))].join(', ')}`
+    throw erro
+  }
+  
+  const header = linhas[0].texto
+  
+  if (formato === 'cnab240') {
+    // Conta da empresa no header de arquivo: agência 53-57, conta 59-70 e DV 71 (sem zeros à esquerda)
+    const agencia = campo(header, 53, 57).replace(/^0+(?=\d)/, '')
+    const conta = campo(header, 59, 70).replace(/^0+(?=\d)/, '')
+    const digitoConta = campo(header, 71, 71)
+    return {
+      formato,
+      banco: campo(header, 1, 3),
+      nomeBanco: campo(header, 103, 132),
+      agencia: agencia || null,
+      conta: conta ? `${conta}${digitoConta ? `-${digitoConta}` : ''}` : null,
+      dataGeracao: lerDataCnab(campo(header, 144, 151)),
+      registros: lerCnab240(linhas)
+    }
+  }
+  
+  const banco = campo(header, 77, 79)
+  return {
+    formato,
+    banco,
+    nomeBanco: campo(header, 80, 94),
+    // No CNAB 400 a conta no header muda de banco para banco: não é lida
+    agencia: null,
+    conta: null,
+    dataGeracao: lerDataCnab(campo(header, 95, 100)),
+    registros: lerCnab400(linhas, banco)
+  }
+}
+
+module.exports = {
+  OCORRENCIAS_CNAB240,
+  OCORRENCIAS_CNAB400,
+  LAYOUTS_CNAB400,
+  ehArquivoCnab,
+  lerCnab,
+  traduzirOcorrencias
+}
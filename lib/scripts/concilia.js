@@ -5,113 +5,196 @@
  * 1. Instituição Financeira (Extrato Bancário)
  * 2. Relatório Planaltec
  * 
- * Critérios de cruzamento:
- * 1. Valor absoluto (ignora sinal)
- * 2. Match de palavras entre descrições (quem tiver mais palavras em comum ganha)
+ * Valores: sempre comparados e somados em centavos inteiros (ver valores.js)
+ *
+ * O extrato pode vir em planilha (perfis por banco), OFX ou retorno CNAB 240/400
+ * Planilhas podem ser XLSX/XLS ou CSV/TXT delimitado (ver csv.js)
+ * Cada lado pode ter vários arquivos (e várias abas): tudo vira um único conjunto,
+ * e cada pagamento guarda o arquivo e a aba de onde veio (campos `arquivo` e `planilha`)
+ *
+ * Critérios de cruzamento, na ordem em que são aplicados (ver cruzarPagamentos):
+ * 1. Natureza: por padrão só débitos do extrato; estornos (débito + crédito) e lançamentos
+ *    de outra natureza são separados antes
+ * 2. Identificadores em comum (DCTO, CPF/CNPJ, NF, boleto) + mesmo valor, dentro da janela
+ * 3. Valor absoluto (obrigatório), escolhendo o par por:
+ *    - proximidade de datas em dias úteis (janela configurável)
+ *    - similaridade entre descrições (0 a 1, ver similaridade.js), só como desempate
+ * 4. Lote por soma: uma linha de um lado = soma de várias do outro (ver lote-soma.js)
+ * 5. Divergência de valor: valor próximo (dentro da tolerância) com data e descrição batendo
+ * Pares com confiança abaixo de confiancaMinima vão para revisão; itens do relatório sem par
+ * são ligados depois ao retorno CNAB, quando houver (ver vincularRetornoBanco)
  */
 
 const XLSX = require('xlsx')
 const ExcelJS = require('exceljs')
+const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const { diferencaDiasUteis } = require('./dias-uteis')
+const { buscarSubconjuntoSoma } = require('./lote-soma')
+const { converterParaCentavos, centavosParaReais, somarCentavos } = require('./valores')
+const { atribuirMaximoScore } = require('./atribuicao-otima')
+const { calcularSimilaridade, removerAcentos } = require('./similaridade')
+const {
+  extrairIdentificadores,
+  normalizarDcto,
+  identificadoresEmComum
+} = require('./identificadores')
+const { detectarLayout, detectarPerfilExtrato, lerLinhasComLayout, normalizarCabecalho, indiceParaColuna } = require('./layout')
+const { PERFIL_PADRAO, obterPerfilExtrato } = require('./perfis-extrato')
+const { ehArquivoOfx, lerOfx } = require('./ofx')
+const { ehArquivoCnab, lerCnab } = require('./cnab')
+const { ehPlanilhaBinaria, ehArquivoDelimitado, csvParaWorkbook, escreverCsv, descreverLeitura } = require('./csv')
+const { verificarSaldos, DESCRICOES_SITUACAO_SALDO } = require('./saldos')
+const { ORDENS_DATA, lerData, resolverOrdemData, formatarDataCurta } = require('./datas')
+const {
+  A4,
+  quebrarTexto,
+  criarDocumentoPdf,
+  adicionarPagina,
+  escreverTexto,
+  desenharRetangulo,
+  desenharLinha,
+  lerImagemPng,
+  desenharImagem,
+  gerarPdf
+} = require('./pdf')
+
+// Quantidade de linhas de dados mostradas na pré-visualização
+const LINHAS_PREVIA = 5
 
 /**
- * Normaliza valor ignorando sinal
- * "-123,00" = "123.00" = 123.00
+ * Configuração padrão da conciliação
+ * Pode ser sobrescrita parcialmente via parâmetro `opcoes` de realizarConciliacao/cruzarPagamentos
  */
-function normalizarValorAbsoluto(valor) {
-  if (!valor || valor === '' || valor === null || valor === undefined) {
-    return null
-  }
+const CONFIGURACAO_PADRAO = {
+  // Janela de tolerância entre as datas (em dias úteis, para mais ou para menos)
+  // O banco costuma lançar o pagamento 1 ou 2 dias úteis depois da data do relatório
+  janelaDiasUteis: 3,
+  // Pontuação máxima de data (mesmo dia). Cai linearmente conforme a distância cresce
+  pontuacaoDataMaxima: 10000,
+  // Pontuação máxima da descrição (similaridade 100%). Limitada a menos de um "degrau" de
+  // data (um dia útil) seja qual for a janela, para que a data continue decidindo e a
+  // descrição sirva de desempate (ver pontuarPar)
+  pontuacaoDescricaoMaxima: 1000,
+  // Similaridade mínima (0 a 1) para o match ser considerado "com descrição" no método
+  similaridadeMinimaDescricao: 0.3,
+  // Pesos do motor de similaridade (sobrescreve PESOS_PADRAO de similaridade.js)
+  pesosSimilaridade: {},
   
-  let valorStr = String(valor).trim()
+  // Como escolher os pares dentro de cada grupo de mesmo valor:
+  // 'otima'  = algoritmo húngaro (maximiza a soma dos scores do grupo)
+  // 'gulosa' = lógica original (melhor par primeiro), mantida para comparação
+  estrategiaAtribuicao: 'otima',
   
-  // Remove espaços e símbolos
-  valorStr = valorStr.replace(/[R$\s]/g, '')
+  // Cruzamento por soma (lote): uma linha do extrato = soma de várias do relatório (e vice-versa)
+  loteSomaAtivo: true,
+  // Quantidade máxima de candidatos avaliados por alvo (os de data mais próxima têm preferência)
+  loteMaxCandidatos: 25,
+  // Quantidade máxima de itens em um mesmo lote
+  loteMaxItens: 15,
+  // Limite de passos da busca por alvo (evita travar em extratos muito grandes)
+  loteLimiteIteracoes: 100000,
+  // Só entra no lote o item com identificador em comum com o alvo ou descrição ao menos
+  // tão parecida quanto isto (0 a 1): a soma sozinha junta valores sem relação entre si
+  loteSimilaridadeMinima: 0.3,
   
-  // Remove sinal negativo
-  valorStr = valorStr.replace(/^-/, '')
+  // Divergência de valor: pares com data e descrição batendo, mas valor um pouco diferente
+  divergenciaValorAtiva: true,
+  // Diferença máxima aceita em centavos (0 = não usa limite absoluto)
+  divergenciaToleranciaCentavos: 0,
+  // Diferença máxima aceita em % do valor do relatório (0 = não usa limite percentual)
+  // Basta estar dentro de UM dos dois limites
+  divergenciaToleranciaPercentual: 1,
+  // Similaridade mínima da descrição (0 a 1) para aceitar o par como divergência
+  divergenciaSimilaridadeMinima: 0.5,
   
-  // Detecta se usa ponto ou vírgula como decimal
-  const temVirgula = valorStr.includes(',')
-  const temPonto = valorStr.includes('.')
+  // Natureza dos lançamentos do extrato que entram no cruzamento:
+  // 'debito' = só débitos (pagamentos saem da conta); 'todas' = ignora o sinal (lógica original)
+  naturezaCruzamento: 'debito',
+  // Detecta pares débito + crédito de mesmo valor no extrato que se anulam (estornos)
+  detectarEstornos: true,
+  // Distância máxima (dias úteis) entre o débito e o crédito do estorno
+  janelaEstornoDiasUteis: 5,
+  // Sem palavra de estorno no crédito ("ESTORNO", "DEVOLUCAO"...), exige descrições parecidas (0 a 1)
+  estornoSimilaridadeMinima: 0.5,
   
-  // Se tem vírgula E ponto: ponto é milhares, vírgula é decimal
-  // Ex: 1.234,56 -> 1234.56
-  if (temVirgula && temPonto) {
-    valorStr = valorStr.replace(/\./g, '').replace(',', '.')
-  }
-  // Se só tem vírgula: vírgula é decimal
-  // Ex: 123,45 -> 123.45
-  else if (temVirgula && !temPonto) {
-    valorStr = valorStr.replace(',', '.')
-  }
-  // Se só tem ponto: pode ser decimal ou milhares
-  // Se tiver 2 dígitos depois do ponto: é decimal (ex: 123.45)
-  // Se tiver 3+ dígitos depois do ponto: é milhares (ex: 1.234)
-  else if (temPonto && !temVirgula) {
-    const partes = valorStr.split('.')
-    if (partes.length === 2 && partes[1].length <= 2) {
-      // É decimal: mantém o ponto
-      // Ex: 123.45 -> 123.45
-    } else {
-      // É milhares: remove o ponto
-      valorStr = valorStr.replace(/\./g, '')
-    }
-  }
+  // Possíveis duplicidades dentro de cada planilha (mesmo valor, favorecido parecido, datas próximas)
+  detectarDuplicidades: true,
+  // Distância máxima (dias úteis) entre os lançamentos duplicados
+  janelaDuplicidadeDiasUteis: 3,
+  // Similaridade mínima do favorecido/descrição (0 a 1)
+  duplicidadeSimilaridadeMinima: 0.8,
   
-  // Converte para número
-  const numero = parseFloat(valorStr)
+  // Confiança de cada par conciliado (0 a 100) = soma dos pesos abaixo
+  confiancaPesoValor: 40, // Valor idêntico (sempre verdadeiro no cruzamento 1:1)
+  confiancaPesoData: 40, // Proporcional à pontuação de data (cai com a distância em dias úteis)
+  confiancaPesoDescricao: 20, // Proporcional à similaridade das descrições
+  // Pares abaixo desta confiança vão para "revisar" em vez de serem aceitos como conciliados
+  confiancaMinima: 60,
   
-  if (isNaN(numero)) {
-    return null
-  }
+  // Identificadores (DCTO, CPF/CNPJ, NF, boleto): pares com documento em comum são cruzados primeiro
+  // (dentro da mesma janela de datas; a confiança é a calculada normalmente)
+  identificadoresAtivos: true
+}
+
+// Termos que identificam o crédito como devolução de um débito anterior
+// Sem as abreviações soltas "EST" e "DEV": aparecem em nomes e históricos comuns (ex: "DEV SOFTWARE")
+const TERMOS_ESTORNO = /\b(ESTORNO|ESTORNADO|DEVOLUCAO|DEVOLVIDO|DEVOL|CANCELAMENTO|CANCEL|REJEITADO|REJEICAO)\b/
+
+/**
+ * Mescla as opções informadas com a configuração padrão
+ * @param {Object} opcoes - Opções parciais
+ * @returns {Object} Configuração completa
+ */
+function montarConfiguracao(opcoes = {}) {
+  return { ...CONFIGURACAO_PADRAO, ...opcoes }
+}
+
+/**
+ * Normaliza valor ignorando sinal
+ * "-123,00" = "123.00" = 123.00
+ * A leitura é feita em centavos inteiros (converterParaCentavos); o retorno em reais
+ * serve só para exibição - comparações e somas usam o campo `centavos` do pagamento
+ */
+function normalizarValorAbsoluto(valor) {
+  const centavos = converterParaCentavos(valor)
   
-  return Math.abs(numero) // Sempre retorna absoluto
+  return centavos === null ? null : centavosParaReais(centavos)
 }
 
 /**
- * Normaliza data no formato dd/mm/aaaa
- * Retorna objeto Date ou null se inválido
+ * Detecta a natureza do lançamento a partir do sinal do valor original
+ * normalizarValorAbsoluto descarta o sinal; aqui ele é preservado
+ * Débito: "-123,00", "123,00-", "(123,00)", "123,00 D", número negativo
+ * Crédito: qualquer outro valor ("123,00", "123,00 C", número positivo)
+ * @returns {'debito'|'credito'|null} null se o valor estiver vazio
  */
-function normalizarData(data) {
-  if (!data || data === '' || data === null || data === undefined) {
+function detectarNatureza(valor) {
+  if (valor === null || valor === undefined || valor === '') {
     return null
   }
   
-  // Se já é um objeto Date, retorna
-  if (data instanceof Date) {
-    return isNaN(data.getTime()) ? null : data
+  if (typeof valor === 'number') {
+    return valor < 0 ? 'debito' : 'credito'
   }
   
-  const dataStr = String(data).trim()
-  
-  // Tenta parsear formato dd/mm/aaaa ou dd-mm-aaaa
-  const partes = dataStr.split(/[\/\-]/)
-  if (partes.length === 3) {
-    const dia = parseInt(partes[0], 10)
-    const mesOriginal = parseInt(partes[1], 10)
-    const mes = mesOriginal - 1 // JavaScript Date usa 0-11 para meses
-    const ano = parseInt(partes[2], 10)
-    
-    // Valida valores: dia entre 1-31, mês original entre 1-12, ano > 1900
-    if (!isNaN(dia) && !isNaN(mesOriginal) && !isNaN(ano) && 
-        dia > 0 && dia <= 31 && 
-        mesOriginal >= 1 && mesOriginal <= 12 && 
-        ano > 1900 && ano < 2100) {
-      const dataObj = new Date(ano, mes, dia)
-      // Verifica se a data é válida (ex: não permite 32/01/2024)
-      if (dataObj.getDate() === dia && dataObj.getMonth() === mes && dataObj.getFullYear() === ano) {
-        return dataObj
-      }
-    }
-  }
+  const valorStr = String(valor).replace(/[R$\s]/g, '').toUpperCase()
   
-  // Tenta parsear como ISO ou outros formatos
-  const dataParsed = new Date(dataStr)
-  if (!isNaN(dataParsed.getTime())) {
-    return dataParsed
+  if (valorStr.startsWith('-') || valorStr.endsWith('-') || valorStr.endsWith('D') ||
+      (valorStr.startsWith('(') && valorStr.endsWith(')'))) {
+    return 'debito'
   }
   
-  return null
+  return 'credito'
+}
+
+/**
+ * Normaliza data no formato dd/mm/aaaa (também Date, serial do Excel, ISO e texto com hora)
+ * Retorna objeto Date ou null se inválido - a leitura fica em datas.js (lerData)
+ */
+function normalizarData(data) {
+  return lerData(data).data
 }
 
 /**
@@ -136,181 +219,404 @@ function compararDatas(data1, data2) {
 }
 
 /**
- * Remove acentos de uma string
- * Ex: "Antônio" -> "Antonio", "José" -> "Jose"
+ * Calcula a diferença em dias úteis entre a data do relatório e a do extrato
+ * Positivo: o extrato é posterior ao relatório (banco lançou depois)
+ * @returns {number|null} Dias úteis de diferença ou null se alguma data for inválida
  */
-function removerAcentos(texto) {
-  if (!texto) return ''
+function calcularDiasDiferenca(dataRelatorio, dataExtrato) {
+  const d1 = normalizarData(dataRelatorio)
+  const d2 = normalizarData(dataExtrato)
+  
+  if (!d1 || !d2) {
+    return null
+  }
   
-  return String(texto)
-    .normalize('NFD') // Normaliza para NFD (Normalization Form Decomposed)
-    .replace(/[\u0300-\u036f]/g, '') // Remove diacríticos (acentos)
+  return diferencaDiasUteis(d1, d2)
 }
 
 /**
- * Conta quantas palavras em comum entre duas descrições
- * Ignora maiúsculas/minúsculas e acentos
+ * Pontua a proximidade de datas dentro da janela configurada
+ * Mesmo dia = pontuação máxima; cai linearmente até zero fora da janela
+ * Ex (janela 3, máximo 10000): 0 dias = 10000, 1 = 7500, 2 = 5000, 3 = 2500, 4+ = 0
+ * @param {number|null} diasDiferenca - Diferença em dias úteis
+ * @param {Object} configuracao - Configuração da conciliação
+ * @returns {number} Pontuação da data
  */
-function contarPalavrasComuns(desc1, desc2) {
-  if (!desc1 || !desc2) {
+function pontuarProximidadeData(diasDiferenca, configuracao) {
+  if (diasDiferenca === null || diasDiferenca === undefined) {
     return 0
   }
   
-  // Normaliza: remove acentos, converte para minúsculas e divide em palavras
-  const palavras1 = removerAcentos(desc1).toLowerCase().split(/\s+/).filter(p => p.length > 0)
-  const palavras2 = removerAcentos(desc2).toLowerCase().split(/\s+/).filter(p => p.length > 0)
+  const distancia = Math.abs(diasDiferenca)
+  const janela = Math.max(0, configuracao.janelaDiasUteis)
   
-  // Conta palavras em comum
-  let comum = 0
-  const palavras2Set = new Set(palavras2)
+  if (distancia > janela) {
+    return 0
+  }
   
-  palavras1.forEach(palavra => {
-    if (palavras2Set.has(palavra)) {
-      comum++
-    }
-  })
+  return Math.round(configuracao.pontuacaoDataMaxima * (janela + 1 - distancia) / (janela + 1))
+}
+
+/**
+ * Score de um par para ordenar candidatos: a data decide e a descrição desempata
+ * A descrição vale menos que um degrau de data (pontuacaoDataMaxima / (janela + 1)): com
+ * janela grande o degrau encolhe, e pontuacaoDescricaoMaxima sozinha passaria na frente da data
+ * @param {number} pontuacaoData - Retorno de pontuarProximidadeData
+ * @param {number} similaridade - Similaridade das descrições (0 a 1)
+ * @param {Object} configuracao - Configuração da conciliação
+ * @returns {number} Score do par
+ */
+function pontuarPar(pontuacaoData, similaridade, configuracao) {
+  const degrauData = Math.floor(configuracao.pontuacaoDataMaxima / (Math.max(0, configuracao.janelaDiasUteis) + 1))
+  // 2 pontos abaixo do degrau: o arredondamento da data pode encolher o degrau em 1
+  const descricaoMaxima = Math.max(0, Math.min(configuracao.pontuacaoDescricaoMaxima, degrauData - 2))
+  return pontuacaoData + Math.round(similaridade * descricaoMaxima)
+}
+
+/**
+ * Descreve a diferença de datas para o analista
+ * Ex: 0 -> "mesma data", 1 -> "data +1 dia útil", -2 -> "data -2 dias úteis"
+ */
+function descreverDiferencaData(diasDiferenca, configuracao) {
+  if (diasDiferenca === null || diasDiferenca === undefined) {
+    return 'data ausente ou inválida em uma das planilhas'
+  }
+  if (diasDiferenca === 0) {
+    return 'mesma data'
+  }
+  
+  const sinal = diasDiferenca > 0 ? '+' : '-'
+  const distancia = Math.abs(diasDiferenca)
+  const texto = `data ${sinal}${distancia} ${distancia === 1 ? 'dia útil' : 'dias úteis'}`
   
-  return comum
+  return distancia > configuracao.janelaDiasUteis
+    ? `${texto} (fora da janela de ±${configuracao.janelaDiasUteis})`
+    : texto
 }
 
 /**
- * Converte nome de coluna (ex: "E") para índice (ex: 4)
+ * Calcula a confiança (0 a 100) de um par relatório x extrato e a explicação de cada critério
+ * Ex: { confianca: 87, explicacao: ["valor idêntico (R$ 150.00)", "data +1 dia útil", "2 palavras em comum: SILVA, TRANSPORTES (similaridade 68%)"] }
+ * @param {Object} match - Par com diasDiferenca, similaridadeDescricao e explicacaoDescricao
+ * @param {Object} configuracao - Configuração da conciliação
+ * @returns {{confianca: number, explicacao: Array<string>}}
  */
-function colunaParaIndice(coluna) {
-  let indice = 0
-  for (let i = 0; i < coluna.length; i++) {
-    indice = indice * 26 + (coluna.charCodeAt(i) - 64)
+function avaliarConfianca(match, configuracao) {
+  const proporcaoData = configuracao.pontuacaoDataMaxima > 0
+    ? pontuarProximidadeData(match.diasDiferenca, configuracao) / configuracao.pontuacaoDataMaxima
+    : 0
+  
+  const confianca = configuracao.confiancaPesoValor +
+    configuracao.confiancaPesoData * proporcaoData +
+    configuracao.confiancaPesoDescricao * (match.similaridadeDescricao || 0)
+  
+  return {
+    confianca: Math.max(0, Math.min(100, Math.round(confianca))),
+    explicacao: [
+      `valor idêntico (R$ ${match.relatorio.valor.toFixed(2)})`,
+      descreverDiferencaData(match.diasDiferenca, configuracao),
+      match.explicacaoDescricao || 'nenhuma palavra em comum'
+    ]
   }
-  return indice - 1 // Ajusta para base 0
 }
 
 /**
- * Obtém valor da coluna por letra (ex: "E", "B")
+ * Filtra e ordena pares pela confiança (para telas e exportações)
+ * @param {Array} pares - Itens com campo `confianca`
+ * @param {Object} filtro - { minima: 0, maxima: 100, ordem: 'asc'|'desc' }
+ * @returns {Array} Nova lista filtrada e ordenada (menor confiança primeiro por padrão)
  */
-function obterValorColuna(linha, colunaLetra) {
-  const indice = colunaParaIndice(colunaLetra)
-  const chaves = Object.keys(linha)
+function filtrarPorConfianca(pares, filtro = {}) {
+  const minima = filtro.minima ?? 0
+  const maxima = filtro.maxima ?? 100
+  const direcao = filtro.ordem === 'desc' ? -1 : 1
   
-  // XLSX usa __EMPTY, __EMPTY_1, __EMPTY_2, etc
-  // A primeira coluna é índice 0, segunda é 1, etc
-  if (indice < chaves.length) {
-    return linha[chaves[indice]]
+  return pares
+    .filter(par => par.confianca >= minima && par.confianca <= maxima)
+    .sort((a, b) => direcao * (a.confianca - b.confianca) || a.relatorio.linhaOriginal - b.relatorio.linhaOriginal)
+}
+
+/**
+ * Conta quantas palavras significativas as duas descrições têm em comum
+ * Mantida por compatibilidade: usa o mesmo motor de similaridade do cruzamento
+ * (ignora pontuação, stopwords como "PAGTO"/"LTDA" e tolera erros de digitação)
+ */
+function contarPalavrasComuns(desc1, desc2) {
+  if (!desc1 || !desc2) {
+    return 0
   }
   
-  return null
+  return calcularSimilaridade(desc1, desc2).palavrasComuns.length
 }
 
 /**
  * Valida formato do extrato bancário
- * Verifica se a célula A9 contém o texto "Data"
+ * Identifica o perfil do banco (perfis-extrato.js), procura a linha de cabeçalho
+ * ("Data", "Histórico", "Valor"/"Débito"...) e mapeia as colunas
  * @param {Object} workbook - Workbook do XLSX
- * @throws {Error} Se a validação falhar
+ * @param {string} perfilId - Perfil escolhido pelo usuário ou 'auto'
+ * @param {string} planilha - Aba a validar (padrão: a primeira)
+ * @returns {Object} Layout detectado (ver layout.js) com `perfil` e `perfilAutomatico`
+ * @throws {Error} Se alguma coluna obrigatória não for encontrada (codigoErro LAYOUT_NAO_RECONHECIDO)
  */
-function validarExtratoBancario(workbook) {
-  console.log('[CONCILIA] Validando formato do extrato bancário...')
+function validarExtratoBancario(workbook, perfilId = 'auto', planilha = workbook.SheetNames[0]) {
+  console.log(`[CONCILIA] Validando formato do extrato bancário (aba "${planilha}")...`)
   
-  const planilha = workbook.SheetNames[0]
-  const worksheet = workbook.Sheets[planilha]
-  
-  // Verifica célula A9 (coordenadas começam em 1, mas XLSX usa base diferente)
-  // A9 = coluna A (índice 0), linha 9 (índice 8 em base 0)
-  const cellA9 = worksheet['A9']
-  const valorA9 = cellA9 ? String(cellA9.v || cellA9.w || '').trim() : ''
-  
-  console.log(`[CONCILIA] Valor encontrado na célula A9 do extrato: "${valorA9}"`)
-  
-  if (!valorA9 || !valorA9.toLowerCase().includes('data')) {
-    const erro = new Error('Arquivo estranho: 1')
-    erro.codigoErro = 'EXTRATO_FORMATO_INVALIDO'
-    erro.detalhes = `Célula A9 deveria conter "Data", mas foi encontrado: "${valorA9}"`
-    throw erro
-  }
+  const { perfil, layout, automatico } = detectarPerfilExtrato(workbook.Sheets[planilha], perfilId)
   
+  console.log(`[CONCILIA] Perfil do extrato: ${perfil.nome} (${automatico ? 'detectado automaticamente' : 'escolhido pelo usuário'})`)
+  console.log(`[CONCILIA] Cabeçalho do extrato na linha ${layout.linhaCabecalho}: ${Object.entries(layout.cabecalhos).map(([campo, coluna]) => `${campo}=${coluna}`).join(', ')}`)
   console.log('[CONCILIA] Validação do extrato bancário passou')
+  
+  return { ...layout, perfil, perfilAutomatico: automatico }
 }
 
 /**
  * Valida formato do relatório Planaltec
- * Verifica se a célula C2 contém o texto "Favorecido"
+ * Procura a linha de cabeçalho ("Favorecido", "Valor", "Dt. Pagto"...) e mapeia as colunas
  * @param {Object} workbook - Workbook do XLSX
- * @throws {Error} Se a validação falhar
+ * @param {string} planilha - Aba a validar (padrão: a primeira)
+ * @returns {Object} Layout detectado (ver layout.js)
+ * @throws {Error} Se alguma coluna obrigatória não for encontrada (codigoErro LAYOUT_NAO_RECONHECIDO)
  */
-function validarRelatorioPlanaltec(workbook) {
-  console.log('[CONCILIA] Validando formato do relatório Planaltec...')
+function validarRelatorioPlanaltec(workbook, planilha = workbook.SheetNames[0]) {
+  console.log(`[CONCILIA] Validando formato do relatório Planaltec (aba "${planilha}")...`)
   
-  const planilha = workbook.SheetNames[0]
-  const worksheet = workbook.Sheets[planilha]
+  const layout = detectarLayout(workbook.Sheets[planilha], 'relatorio')
   
-  // Verifica célula C2 (coluna C, linha 2)
-  const cellC2 = worksheet['C2']
-  const valorC2 = cellC2 ? String(cellC2.v || cellC2.w || '').trim() : ''
+  console.log(`[CONCILIA] Cabeçalho do relatório na linha ${layout.linhaCabecalho}: ${Object.entries(layout.cabecalhos).map(([campo, coluna]) => `${campo}=${coluna}`).join(', ')}`)
+  console.log('[CONCILIA] Validação do relatório Planaltec passou')
   
-  console.log(`[CONCILIA] Valor encontrado na célula C2 do relatório: "${valorC2}"`)
+  return layout
+}
+
+/**
+ * Decide a ordem dia/mês das datas de um arquivo (ver resolverOrdemData em datas.js)
+ * Sem declaração e sem evidência nos dados, vale o formato do layout: o do perfil do banco
+ * ou dd/mm/aaaa do relatório Planaltec. O perfil genérico não é uma declaração: nele,
+ * datas ambíguas ficam sem data
+ * @param {Object} layout - Layout do extrato ou do relatório
+ * @param {string} declarada - 'dma', 'mda' ou 'auto'
+ * @returns {Object} Retorno de resolverOrdemData
+ */
+function resolverOrdemDataDoLayout(layout, declarada = 'auto') {
+  const valores = lerLinhasComLayout(layout).map(({ campos, brutos }) => brutos.data ?? campos.data)
+  const padrao = layout.perfil
+    ? { formato: layout.perfil.formatoData, confiavel: layout.perfil.id !== PERFIL_PADRAO }
+    : { formato: 'dd/mm/aaaa', confiavel: true }
   
-  if (!valorC2 || !valorC2.toLowerCase().includes('favorecido')) {
-    const erro = new Error('Arquivo estranho: 2')
-    erro.codigoErro = 'RELATORIO_FORMATO_INVALIDO'
-    erro.detalhes = `Célula C2 deveria conter "Favorecido", mas foi encontrado: "${valorC2}"`
-    throw erro
+  return resolverOrdemData(valores, declarada, padrao)
+}
+
+/**
+ * Lê a data de uma linha na ordem do arquivo; sem data, registra o aviso de leitura
+ * A célula sem formatação (Date/serial do Excel) tem preferência sobre o texto exibido; só
+ * planilhas binárias têm células de data (ver lerPlanilha), nas demais o bruto é o próprio texto
+ * @param {Object} linha - Linha lida (lerLinhasComLayout)
+ * @param {Object} ordemData - Retorno de resolverOrdemDataDoLayout, com o data1904 do workbook
+ * @param {Array} avisos - Recebe o aviso de leitura
+ * @param {string} item - 'lançamento' ou 'pagamento' (para o texto do aviso)
+ * @returns {Date|null}
+ */
+function lerDataDaLinha(linha, ordemData, avisos, item) {
+  const dataOriginal = linha.campos.data
+  const leitura = lerData(linha.brutos.data ?? dataOriginal, ordemData)
+  
+  if (!leitura.data) {
+    let motivo = `${item.charAt(0).toUpperCase()}${item.slice(1)} sem data: mantido sem data`
+    if (leitura.ambigua) {
+      motivo = `Data ambígua (${leitura.leituras.map(formatarDataCurta).join(' ou ')}): ${item} mantido sem data - ` +
+        'declare a ordem das datas do arquivo'
+    } else if (celulaPreenchida(dataOriginal)) {
+      motivo = `Data não reconhecida (esperado ${ORDENS_DATA[ordemData.ordem]}): ${item} mantido sem data`
+    }
+    avisos.push(avisoLeitura(linha, 'data', dataOriginal, motivo, false))
   }
   
-  console.log('[CONCILIA] Validação do relatório Planaltec passou')
+  return leitura.data
+}
+
+/**
+ * Convenção de sinal efetiva do extrato
+ * A do perfil, exceto quando um perfil de 'sinal' (ex: genérico) mapeou o valor numa coluna
+ * "Débito": o valor sem sinal ali é débito, então vale a convenção 'colunas'
+ * @param {Object} layout - Layout detectado (detectarLayout)
+ * @param {Object} perfil - Perfil do extrato
+ * @returns {'sinal'|'colunas'|'indicador'}
+ */
+function convencaoSinalDoLayout(layout, perfil) {
+  if (perfil.convencaoSinal !== 'sinal' || layout.colunas.valor === undefined) {
+    return perfil.convencaoSinal
+  }
+  
+  const cabecalho = (layout.matriz.linhas[layout.indiceCabecalho] || [])[layout.colunas.valor]
+  return normalizarCabecalho(cabecalho).startsWith('debito') ? 'colunas' : 'sinal'
+}
+
+/**
+ * Define a natureza (débito/crédito) de uma linha do extrato pela convenção de sinal
+ * - 'colunas': a coluna de onde veio o valor decide (Débito ou Crédito)
+ * - 'indicador': coluna D/C, Entrada/Saída (perfil.indicadores); sem indicador reconhecido, usa o sinal
+ * - 'sinal': sinal do próprio valor (detectarNatureza)
+ * @param {Object} campos - Campos da linha (lerLinhasComLayout)
+ * @param {Object} perfil - Perfil do extrato
+ * @param {boolean} valorDaColunaCredito - Se o valor foi lido da coluna Crédito
+ * @param {string} convencaoSinal - Convenção efetiva (ver convencaoSinalDoLayout)
+ * @returns {'debito'|'credito'|null}
+ */
+function naturezaPeloPerfil(campos, perfil, valorDaColunaCredito, convencaoSinal = perfil.convencaoSinal) {
+  if (valorDaColunaCredito) {
+    return 'credito'
+  }
+  
+  if (convencaoSinal === 'colunas') {
+    return 'debito'
+  }
+  
+  if (convencaoSinal === 'indicador' && perfil.indicadores) {
+    const indicador = normalizarCabecalho(campos.indicador)
+    if (perfil.indicadores.debito.includes(indicador)) {
+      return 'debito'
+    }
+    if (perfil.indicadores.credito.includes(indicador)) {
+      return 'credito'
+    }
+  }
+  
+  return detectarNatureza(campos.valor)
+}
+
+/**
+ * Verifica se o histórico (já normalizado) é um dos termos do perfil (ex: ignorarLinhas)
+ * O termo vale sozinho ou no início do texto ("saldo do dia 15/01")
+ */
+function historicoComecaCom(historico, termos) {
+  return termos.some(termo => historico === termo || historico.startsWith(`${termo} `))
+}
+
+/**
+ * Aviso de leitura: linha descartada (ou mantida sem um dado) ao ler um arquivo
+ * `origem`, `arquivo` e `planilha` são preenchidos por processarFontesExtrato/Relatorio
+ * @param {Object} linha - Linha lida (lerLinhasComLayout) ou { linhaPlanilha } em OFX
+ * @param {string} campo - Campo com problema ('valor', 'data'...)
+ * @param {*} valorOriginal - Conteúdo da célula como veio do arquivo
+ * @param {string} motivo - Explicação para o analista
+ * @param {boolean} descartada - true se a linha ficou fora da conciliação
+ */
+function avisoLeitura(linha, campo, valorOriginal, motivo, descartada) {
+  return {
+    linhaOriginal: linha.linhaPlanilha,
+    celula: linha.enderecos ? linha.enderecos[campo] : null,
+    campo,
+    valorOriginal: valorOriginal === null || valorOriginal === undefined ? '' : String(valorOriginal),
+    motivo,
+    descartada,
+    celulasOriginais: linha.celulasOriginais || null
+  }
+}
+
+/**
+ * Verifica se o workbook usa o sistema de datas 1904 (Excel antigo do Mac)
+ * Os seriais de data sem formatação são contados a partir de 01/01/1904 (ver serialExcelParaData)
+ */
+function usaDatas1904(workbook) {
+  return Boolean(workbook.Workbook?.WBProps?.date1904)
+}
+
+/**
+ * Verifica se uma célula tem conteúdo
+ */
+function celulaPreenchida(valor) {
+  return valor !== null && valor !== undefined && String(valor).trim() !== ''
 }
 
 /**
  * Processa planilha do extrato bancário (Instituição Financeira)
- * Coluna E: valores (formato "-123,00")
- * Coluna B: descrições
- * Coluna A: data (formato dd/mm/aaaa)
+ * Colunas localizadas pelo cabeçalho, com sinônimos do perfil do banco (perfis-extrato.js):
+ * - Valor/Débito: valores (formato "-123,00"); Crédito (opcional) quando o débito está vazio
+ * - Histórico: descrições; linhas de saldo/total do perfil (ignorarLinhas) são descartadas
+ * - Dcto. (opcional): sequência numérica do documento
+ * - Data: na ordem declarada/detectada para o arquivo (ver resolverOrdemDataDoLayout)
+ * - Natureza: pela convenção de sinal do perfil (ver convencaoSinalDoLayout e naturezaPeloPerfil)
+ * Linhas com valor ilegível e datas não reconhecidas viram avisos de leitura (ver avisoLeitura)
+ * @param {Object} workbook - Workbook do XLSX
+ * @param {Object} layout - Layout já detectado (opcional; detecta se não for informado)
+ * @param {Array} avisos - Recebe os avisos de leitura
+ * @param {Object} ordemData - Ordem das datas (opcional; resolve pelo layout se não for informada)
  */
-function processarExtratoBancario(workbook) {
+function processarExtratoBancario(workbook, layout = null, avisos = [], ordemData = null) {
   console.log('[CONCILIA] Processando extrato bancário...')
   
-  const planilha = workbook.SheetNames[0]
-  const worksheet = workbook.Sheets[planilha]
-  const dados = XLSX.utils.sheet_to_json(worksheet, { 
-    defval: null,
-    raw: false,
-    cellDates: true // Permite parsear datas automaticamente
-  })
+  const layoutExtrato = layout || validarExtratoBancario(workbook)
+  const perfil = layoutExtrato.perfil || obterPerfilExtrato(PERFIL_PADRAO)
+  const linhas = lerLinhasComLayout(layoutExtrato)
+  const ordemDatas = { ...(ordemData || resolverOrdemDataDoLayout(layoutExtrato)), data1904: usaDatas1904(workbook) }
+  console.log(`[CONCILIA] Datas do extrato: ${ordemDatas.descricao}`)
+  const convencaoSinal = convencaoSinalDoLayout(layoutExtrato, perfil)
+  if (convencaoSinal !== perfil.convencaoSinal) {
+    console.log(`[CONCILIA] Coluna de valor é de débito: valores sem sinal lidos como débito`)
+  }
   
   const pagamentos = []
+  let linhasIgnoradas = 0
   
-  dados.forEach((linha, index) => {
-    // Ignora linhas vazias
-    if (!linha || Object.keys(linha).length === 0) {
+  linhas.forEach(linha => {
+    const { linhaPlanilha, campos, enderecos, celulasOriginais } = linha
+    
+    // Saldos e totais não são lançamentos
+    const historico = normalizarCabecalho(campos.descricao)
+    if (historicoComecaCom(historico, perfil.ignorarLinhas)) {
+      linhasIgnoradas++
       return
     }
     
-    // Coluna E: valor (formato "-123,00")
-    const valorOriginal = obterValorColuna(linha, 'E')
-    const valor = normalizarValorAbsoluto(valorOriginal)
+    // Valor/Débito (formato "-123,00"); débito vazio ou "0,00" (bancos que preenchem
+    // as duas colunas) usa a coluna Crédito se existir
+    let valorOriginal = campos.valor
+    const valorDaColunaCredito = !converterParaCentavos(valorOriginal) && Boolean(converterParaCentavos(campos.credito))
+    if (valorDaColunaCredito) {
+      valorOriginal = campos.credito
+    }
+    const natureza = naturezaPeloPerfil(campos, perfil, valorDaColunaCredito, convencaoSinal)
+    
+    const centavos = converterParaCentavos(valorOriginal)
+    const valor = centavos === null ? null : centavosParaReais(centavos)
     
-    // Ignora se não tiver valor válido
-    if (!valor || valor <= 0) {
-      // Log de debug para valores inválidos
-      if (valorOriginal !== null && valorOriginal !== undefined && valorOriginal !== '') {
-        console.log(`[CONCILIA DEBUG] Valor inválido no EXTRATO linha ${index + 1}: "${valorOriginal}" -> normalizado: ${valor}`)
+    // Ignora se não tiver valor válido (e avisa se a linha tinha algo que parecia um lançamento)
+    if (!centavos) {
+      if (celulaPreenchida(valorOriginal)) {
+        avisos.push(avisoLeitura(linha, 'valor', valorOriginal,
+          centavos === 0 ? 'Valor zerado' : 'Valor não reconhecido como número', true))
+      } else if (celulaPreenchida(campos.data) && celulaPreenchida(campos.descricao)) {
+        avisos.push(avisoLeitura(linha, 'valor', valorOriginal, 'Linha com data e histórico, mas sem valor', true))
       }
       return
     }
     
-    // Coluna B: descrição
-    const descricao = obterValorColuna(linha, 'B') || ''
+    const descricao = campos.descricao || ''
     
-    // Coluna C: dcto (sequência numérica de 7 dígitos)
-    const dcto = obterValorColuna(linha, 'C') || ''
+    // Dcto: sequência numérica de 7 dígitos (coluna opcional)
+    const dcto = campos.dcto || ''
     
-    // Coluna A: data (formato dd/mm/aaaa)
-    const dataOriginal = obterValorColuna(linha, 'A')
-    const data = normalizarData(dataOriginal)
+    // Data (ordem do arquivo)
+    const dataOriginal = campos.data
+    const data = lerDataDaLinha(linha, ordemDatas, avisos, 'lançamento')
     
     const pagamento = {
-      linhaOriginal: index - 1, // Extrato bancário: ajuste específico (estrutura diferente - estava 3 linhas à frente)
+      linhaOriginal: linhaPlanilha, // Número real da linha no Excel
+      celula: valorDaColunaCredito ? enderecos.credito : enderecos.valor, // Endereço A1 da célula do valor
+      enderecos: enderecos, // Endereço A1 de cada campo
+      celulasOriginais: celulasOriginais, // Células da linha como aparecem na planilha
       valor: valor,
+      centavos: centavos, // Valor exato em centavos inteiros: use este campo para comparar e somar
       valorOriginal: valorOriginal,
       descricao: String(descricao),
-      dcto: String(dcto), // Sequência numérica de 7 dígitos da coluna C
+      dcto: String(dcto), // Sequência numérica de 7 dígitos da coluna Dcto.
+      identificadores: [
+        ...(normalizarDcto(dcto) ? [{ tipo: 'dcto', valor: normalizarDcto(dcto) }] : []),
+        ...extrairIdentificadores(descricao)
+      ],
+      natureza: natureza, // 'debito' (saída) ou 'credito' (entrada)
       data: data,
       dataOriginal: dataOriginal,
       tipo: 'extrato_bancario'
@@ -319,619 +625,3302 @@ function processarExtratoBancario(workbook) {
     pagamentos.push(pagamento)
   })
   
+  if (linhasIgnoradas > 0) {
+    console.log(`[CONCILIA] ${linhasIgnoradas} linhas de saldo/total ignoradas no extrato (perfil ${perfil.nome})`)
+  }
   console.log(`[CONCILIA] ${pagamentos.length} pagamentos encontrados no extrato bancário`)
   
   return pagamentos
 }
 
 /**
- * Processa planilha do relatório Planaltec
- * Coluna I: valores (formato "123.00")
- * Coluna C: descrições
- * Coluna J: data (formato dd/mm/aaaa)
+ * Lê um saldo com sinal em centavos (saldo devedor: "-1.234,56", "1.234,56 D", "(1.234,56)")
+ * @returns {number|null}
  */
-function processarRelatorioPlanaltec(workbook) {
-  console.log('[CONCILIA] Processando relatório Planaltec...')
-  
-  const planilha = workbook.SheetNames[0]
-  const worksheet = workbook.Sheets[planilha]
-  const dados = XLSX.utils.sheet_to_json(worksheet, { 
-    defval: null,
-    raw: false,
-    cellDates: true // Permite parsear datas automaticamente
-  })
-  
-  const pagamentos = []
+function lerSaldoComSinal(valor) {
+  const centavos = converterParaCentavos(valor)
+  if (centavos === null) {
+    return null
+  }
+  return detectarNatureza(valor) === 'debito' ? -centavos : centavos
+}
+
+/**
+ * Lê os saldos informados no extrato, para a verificação de saldos (saldos.js)
+ * - Linhas de saldo do perfil (linhasSaldo): saldo inicial, parciais ("SALDO DO DIA") e final;
+ *   o valor vem da coluna Saldo ou, sem ela, da coluna de valor da linha
+ * - Demais linhas com a coluna Saldo preenchida: saldo após o lançamento (parcial)
+ * Outras linhas ignoradas pelo perfil (totais, saldo bloqueado...) não entram
+ * @param {Object} layout - Layout do extrato (retorno de validarExtratoBancario)
+ * @returns {Array<{tipo: string, linha: number, celula: string, centavos: number}>}
+ */
+function lerSaldosExtrato(layout) {
+  const perfil = layout.perfil || obterPerfilExtrato(PERFIL_PADRAO)
+  const linhasSaldo = perfil.linhasSaldo || { inicial: [], parcial: [], final: [] }
+  const saldos = []
   
-  dados.forEach((linha, index) => {
-    // Ignora linhas vazias
-    if (!linha || Object.keys(linha).length === 0) {
+  lerLinhasComLayout(layout).forEach(({ linhaPlanilha, campos, enderecos }) => {
+    const historico = normalizarCabecalho(campos.descricao)
+    const tipo = ['inicial', 'final', 'parcial'].find(tipoSaldo => historicoComecaCom(historico, linhasSaldo[tipoSaldo]))
+    
+    if (!tipo && historicoComecaCom(historico, perfil.ignorarLinhas)) {
       return
     }
     
-    // Coluna I: valor (formato "123.00")
-    const valorOriginal = obterValorColuna(linha, 'I')
-    const valor = normalizarValorAbsoluto(valorOriginal)
+    // Lançamento: só conta se a linha informa o saldo; linha de saldo: coluna Saldo ou a de valor
+    const campoSaldo = ['saldo', ...(tipo ? ['valor', 'credito'] : [])]
+      .find(campo => lerSaldoComSinal(campos[campo]) !== null)
+    if (!campoSaldo) {
+      return
+    }
     
+    saldos.push({
+      tipo: tipo || 'parcial',
+      linha: linhaPlanilha,
+      celula: enderecos[campoSaldo],
+      centavos: lerSaldoComSinal(campos[campoSaldo])
+    })
+  })
+  
+  return saldos
+}
+
+/**
+ * Verifica os saldos de uma fonte do extrato (ver saldos.js)
+ * - Planilha/CSV: saldos lidos por lerSaldosExtrato
+ * - OFX: só o saldo final (LEDGERBAL); sem saldo inicial, a verificação fica incompleta
+ * - Retorno CNAB: não tem saldo (null)
+ * @param {Object} fonte - Fonte do extrato (validarFontes)
+ * @param {Array} pagamentos - Pagamentos lidos desta fonte
+ * @returns {Object|null}
+ */
+function verificarSaldosDaFonte(fonte, pagamentos) {
+  if (fonte.cnab) {
+    return null
+  }
+  
+  const movimentos = pagamentos.map(pag => ({
+    linha: pag.linhaOriginal,
+    centavos: pag.natureza === 'debito' ? -pag.centavos : pag.centavos
+  }))
+  const saldos = fonte.ofx
+    ? (fonte.ofx.saldo ? [{ tipo: 'final', linha: null, celula: null, centavos: fonte.ofx.saldo.centavos }] : [])
+    : lerSaldosExtrato(fonte.layout)
+  
+  return verificarSaldos(movimentos, saldos)
+}
+
+/**
+ * Valida e lê o extrato em OFX
+ * @param {Buffer} buffer - Conteúdo do arquivo OFX
+ * @returns {Object} Retorno de lerOfx (ver ofx.js)
+ * @throws {Error} codigoErro 'OFX_INVALIDO' se o arquivo não tiver extrato
+ */
+function validarExtratoOfx(buffer) {
+  console.log('[CONCILIA] Validando extrato bancário em OFX...')
+  
+  const ofx = lerOfx(buffer)
+  
+  console.log(`[CONCILIA] OFX: banco ${ofx.banco || '?'}, conta ${ofx.conta || '?'}, ${ofx.transacoes.length} lançamentos`)
+  console.log('[CONCILIA] Validação do extrato bancário passou')
+  
+  return ofx
+}
+
+/**
+ * Converte os lançamentos do OFX nos mesmos objetos de pagamento de processarExtratoBancario
+ * - FITID: chave única e estável do lançamento (campo `fitid`, usado por chavePagamento)
+ * - TRNAMT: sinal define a natureza (negativo = débito)
+ * - CHECKNUM/REFNUM: vira o `dcto` (e identificador), como a coluna Dcto. da planilha
+ * - linhaOriginal: linha do arquivo OFX em que o lançamento começa
+ * @param {Object} ofx - Retorno de lerOfx
+ * @param {Array} avisos - Recebe os avisos de leitura (TRNAMT ilegível, DTPOSTED inválida)
+ */
+function processarExtratoOfx(ofx, avisos = []) {
+  console.log('[CONCILIA] Processando extrato bancário (OFX)...')
+  
+  const pagamentos = []
+  
+  ofx.transacoes.forEach(transacao => {
     // Ignora se não tiver valor válido
-    if (!valor || valor <= 0) {
-      // Log de debug para valores inválidos
-      if (valorOriginal !== null && valorOriginal !== undefined && valorOriginal !== '') {
-        console.log(`[CONCILIA DEBUG] Valor inválido no RELATÓRIO linha ${index + 2}: "${valorOriginal}" -> normalizado: ${valor}`)
-      }
+    if (!transacao.centavos) {
+      avisos.push(avisoLeitura({ linhaPlanilha: transacao.linha }, 'valor', transacao.valorOriginal,
+        transacao.centavos === 0 ? 'Valor zerado (TRNAMT)' : 'Valor não reconhecido (TRNAMT)', true))
       return
     }
-    
-    // Coluna C: descrição
-    const descricao = obterValorColuna(linha, 'C') || ''
-    
-    // Coluna J: data (formato dd/mm/aaaa)
-    const dataOriginal = obterValorColuna(linha, 'J')
-    const data = normalizarData(dataOriginal)
-    
-    const pagamento = {
-      linhaOriginal: index + 2, // index + 2 porque sheet_to_json pula a linha 1 (cabeçalho)
-      valor: valor,
-      valorOriginal: valorOriginal,
-      descricao: String(descricao),
-      data: data,
-      dataOriginal: dataOriginal,
-      tipo: 'relatorio_planaltec'
+    if (!transacao.data) {
+      avisos.push(avisoLeitura({ linhaPlanilha: transacao.linha }, 'data', transacao.dataOriginal,
+        'Data não reconhecida (DTPOSTED): lançamento mantido sem data', false))
     }
     
-    pagamentos.push(pagamento)
+    const centavos = Math.abs(transacao.centavos)
+    const dcto = transacao.documento
+    
+    pagamentos.push({
+      linhaOriginal: transacao.linha, // Linha do arquivo OFX
+      fitid: transacao.fitid, // Identificador único do lançamento no banco
+      valor: centavosParaReais(centavos),
+      centavos: centavos,
+      valorOriginal: transacao.valorOriginal,
+      descricao: transacao.memo,
+      dcto: dcto,
+      identificadores: [
+        ...(normalizarDcto(dcto) ? [{ tipo: 'dcto', valor: normalizarDcto(dcto) }] : []),
+        ...extrairIdentificadores(transacao.memo)
+      ],
+      natureza: transacao.centavos < 0 ? 'debito' : 'credito',
+      data: transacao.data,
+      dataOriginal: transacao.dataOriginal,
+      tipo: 'extrato_bancario'
+    })
   })
   
-  console.log(`[CONCILIA] ${pagamentos.length} pagamentos encontrados no relatório Planaltec`)
+  console.log(`[CONCILIA] ${pagamentos.length} pagamentos encontrados no extrato bancário (OFX)`)
   
   return pagamentos
 }
 
+// Nome de cada situação de registro do retorno CNAB (ver cnab.js)
+const SITUACOES_RETORNO_BANCO = {
+  liquidado: 'Liquidado',
+  agendado: 'Agendado',
+  rejeitado: 'Rejeitado',
+  confirmado: 'Entrada confirmada',
+  baixado: 'Baixado',
+  informativo: 'Informativo'
+}
+
 /**
- * Cruza os pagamentos entre as duas planilhas
- * NOVA LÓGICA: Avalia TODOS os matches possíveis primeiro, depois escolhe os melhores
- * Critério 1: Valor absoluto (obrigatório)
- * Critério 2: Data (match exato)
- * Critério 3: Quantidade de palavras em comum (desempate)
+ * Valida e lê o retorno CNAB usado como extrato
+ * @param {Buffer} buffer - Conteúdo do arquivo de retorno
+ * @returns {Object} Retorno de lerCnab (ver cnab.js)
+ * @throws {Error} codigoErro 'CNAB_INVALIDO'
  */
-function cruzarPagamentos(pagamentosExtrato, pagamentosRelatorio) {
-  console.log('[CONCILIA] Cruzando pagamentos com nova lógica (avalia todos os matches primeiro)...')
+function validarExtratoCnab(buffer) {
+  console.log('[CONCILIA] Validando retorno CNAB...')
   
-  const resultados = {
-    encontrados: [],
-    naoEncontradosNoExtrato: [], // Está no relatório mas NÃO está no extrato
-    naoEncontradosNoRelatorio: [] // Está no extrato mas NÃO está no relatório
+  const cnab = lerCnab(buffer)
+  const porStatus = {}
+  cnab.registros.forEach(registro => {
+    porStatus[registro.status] = (porStatus[registro.status] || 0) + 1
+  })
+  
+  console.log(`[CONCILIA] Retorno ${cnab.formato.toUpperCase()} do banco ${cnab.banco} ${cnab.nomeBanco}: ` +
+    Object.entries(porStatus).map(([status, quantidade]) => `${quantidade} ${SITUACOES_RETORNO_BANCO[status].toLowerCase()}`).join(', '))
+  console.log('[CONCILIA] Validação do extrato bancário passou')
+  
+  return cnab
+}
+
+/**
+ * Converte um registro do retorno CNAB no objeto de pagamento do extrato
+ * - linhaOriginal: linha do arquivo de retorno
+ * - dcto: "seu número" (número que a empresa mandou na remessa)
+ * - identificadores: CPF/CNPJ do segmento B, código de barras do segmento J e o seu número
+ * - natureza: débito nos pagamentos (CNAB 240), crédito na cobrança (CNAB 400)
+ */
+function pagamentoDoRetornoCnab(registro) {
+  const dcto = registro.seuNumero
+  return {
+    linhaOriginal: registro.linha,
+    valor: centavosParaReais(registro.centavos),
+    centavos: registro.centavos,
+    valorOriginal: centavosParaReais(registro.centavos).toFixed(2),
+    descricao: registro.favorecido,
+    dcto: dcto,
+    identificadores: [
+      ...(normalizarDcto(dcto) ? [{ tipo: 'dcto', valor: normalizarDcto(dcto) }] : []),
+      ...registro.identificadores
+    ],
+    natureza: registro.natureza,
+    data: registro.data,
+    dataOriginal: registro.dataOriginal,
+    tipo: 'extrato_bancario'
   }
+}
+
+/**
+ * Pagamentos LIQUIDADOS do retorno CNAB, no formato de processarExtratoBancario
+ * Agendados e rejeitados não saíram da conta: ficam em pendenciasRetornoBanco
+ * @param {Object} cnab - Retorno de lerCnab
+ */
+function processarExtratoCnab(cnab) {
+  console.log('[CONCILIA] Processando retorno CNAB como extrato...')
   
-  // Cria índice do extrato por valor
-  const indicesPorValor = new Map() // valor -> [pagamentos]
+  const pagamentos = cnab.registros
+    .filter(registro => registro.status === 'liquidado' && registro.centavos)
+    .map(pagamentoDoRetornoCnab)
   
-  pagamentosExtrato.forEach(pag => {
-    if (!indicesPorValor.has(pag.valor)) {
-      indicesPorValor.set(pag.valor, [])
-    }
-    indicesPorValor.get(pag.valor).push(pag)
-  })
+  console.log(`[CONCILIA] ${pagamentos.length} ${cnab.formato === 'cnab400' ? 'títulos de cobrança liquidados (créditos)' : 'pagamentos liquidados'} no retorno CNAB`)
   
-  console.log(`[CONCILIA] Índices criados: ${indicesPorValor.size} valores únicos no extrato`)
+  return pagamentos
+}
+
+/**
+ * Registros do retorno CNAB que NÃO movimentaram a conta (rejeitados, agendados e, na cobrança,
+ * confirmados, baixados e informativos)
+ * @param {Object} cnab - Retorno de lerCnab
+ * @returns {Array} Pagamentos com `status`, `ocorrencias`, `linhaRelatorio`, `origemRelatorio` e `celulaRelatorio` (preenchidas em vincularRetornoBanco)
+ */
+function pendenciasRetornoBanco(cnab) {
+  return cnab.registros
+    .filter(registro => registro.status !== 'liquidado' && registro.centavos)
+    .map(registro => ({
+      ...pagamentoDoRetornoCnab(registro),
+      status: registro.status,
+      ocorrencias: registro.ocorrencias,
+      linhaRelatorio: null,
+      origemRelatorio: '',
+      celulaRelatorio: ''
+    }))
+}
+
+/**
+ * Liga cada pagamento rejeitado/agendado no banco ao item do relatório que ficou
+ * sem par no extrato, para diferenciar "rejeitado pelo banco" de "simplesmente ausente"
+ * Só pagamentos (natureza débito): títulos de cobrança não explicam pagamentos do relatório
+ * Par: mesmo valor em centavos; desempate por identificador em comum, data e descrição
+ * @param {Array} pendencias - Retorno de pendenciasRetornoBanco (recebe `linhaRelatorio`)
+ * @param {Array} naoEncontradosNoExtrato - Itens do relatório sem par (recebem motivo/detalhes do banco)
+ * @param {Object} configuracao - Configuração da conciliação
+ */
+function vincularRetornoBanco(pendencias, naoEncontradosNoExtrato, configuracao) {
+  if (pendencias.length === 0) {
+    return
+  }
   
-  // NOVA ABORDAGEM: Cria lista de TODOS os matches possíveis primeiro
-  const todosMatchesPossiveis = []
+  const vinculados = new Set()
   
-  pagamentosRelatorio.forEach(pagRelatorio => {
-    const candidatos = indicesPorValor.get(pagRelatorio.valor) || []
+  pendencias.filter(pendencia => pendencia.natureza === 'debito').forEach(pendencia => {
+    const candidatos = naoEncontradosNoExtrato
+      .filter(pag => pag.centavos === pendencia.centavos && !vinculados.has(pag))
+      .map(pag => ({
+        pag,
+        pontuacao: (identificadoresEmComum(pag, pendencia).length > 0 ? 100000 : 0) + pontuarPar(
+          pontuarProximidadeData(calcularDiasDiferenca(pag.data, pendencia.data), configuracao),
+          calcularSimilaridade(pag.descricao, pendencia.descricao, configuracao.pesosSimilaridade).score,
+          configuracao
+        )
+      }))
+      .sort((a, b) => b.pontuacao - a.pontuacao)
     
     if (candidatos.length === 0) {
-      // Não tem candidatos com mesmo valor - será tratado depois como não encontrado
       return
     }
     
-    // Para cada candidato, calcula o score
-    candidatos.forEach(pagExtrato => {
-      const palavrasComuns = contarPalavrasComuns(pagExtrato.descricao, pagRelatorio.descricao)
-      const dataMatch = compararDatas(pagExtrato.data, pagRelatorio.data)
-      
-      // Calcula score composto: data match tem peso maior
-      // Score: (dataMatch ? 10000 : 0) + palavrasComuns
-      // Isso garante que quem tem data match sempre fica na frente
-      const score = (dataMatch ? 10000 : 0) + palavrasComuns
-      
-      todosMatchesPossiveis.push({
-        relatorio: pagRelatorio,
-        extrato: pagExtrato,
-        palavrasComuns: palavrasComuns,
-        dataMatch: dataMatch,
-        score: score,
-        chaveExtrato: `${pagExtrato.linhaOriginal}|${pagExtrato.valor}|${pagExtrato.descricao}`,
-        chaveRelatorio: `${pagRelatorio.linhaOriginal}|${pagRelatorio.valor}|${pagRelatorio.descricao}`
-      })
-    })
+    const { pag } = candidatos[0]
+    vinculados.add(pag)
+    pendencia.linhaRelatorio = pag.linhaOriginal
+    pendencia.origemRelatorio = descreverOrigem(pag)
+    pendencia.celulaRelatorio = referenciaCelula(pag)
+    pag.motivo = pendencia.status === 'rejeitado'
+      ? `Pagamento REJEITADO pelo banco (retorno CNAB, linha ${pendencia.linhaOriginal})`
+      : `Pagamento AGENDADO no banco e ainda não liquidado (retorno CNAB, linha ${pendencia.linhaOriginal})`
+    pag.detalhes = pendencia.ocorrencias.map(o => `${o.codigo} - ${o.descricao}`).join('; ')
   })
   
-  console.log(`[CONCILIA] Total de matches possíveis encontrados: ${todosMatchesPossiveis.length}`)
+  console.log(`[CONCILIA] Retorno do banco: ${vinculados.size} de ${pendencias.length} pendências ligadas ao relatório`)
+}
+
+/**
+ * Extrai identificadores de uma linha do relatório Planaltec
+ * CPF/CNPJ, NF e boleto são procurados em todas as células (têm formato próprio);
+ * o DCTO só sai da coluna de documento detectada no layout, como no extrato
+ * (números soltos como centro de custo ou conta não viram identificador)
+ * @param {Array} celulas - Células da linha
+ * @param {string|null} dcto - Célula da coluna de documento (null se o relatório não tiver a coluna)
+ */
+function extrairIdentificadoresRelatorio(celulas, dcto) {
+  const preenchidas = celulas.filter(celula => celula !== null && celula !== undefined)
   
-  // Ordena matches por qualidade (melhor primeiro)
-  // Primeiro por score (decrescente), depois por linha do relatório (crescente) para manter ordem original em caso de empate
-  todosMatchesPossiveis.sort((a, b) => {
-    if (b.score !== a.score) {
-      return b.score - a.score // Maior score primeiro
-    }
-    // Se empate no score, mantém ordem original do relatório
-    return a.relatorio.linhaOriginal - b.relatorio.linhaOriginal
-  })
+  const encontrados = [
+    ...(normalizarDcto(dcto) ? [{ tipo: 'dcto', valor: normalizarDcto(dcto) }] : []),
+    ...extrairIdentificadores(preenchidas.join(' | '))
+  ]
   
-  // Processa matches na ordem de qualidade, garantindo que cada item seja usado apenas uma vez
-  const extratoUsados = new Set()
-  const relatorioUsados = new Set()
-  const matchesAplicados = []
+  const identificadores = new Map()
+  encontrados.forEach(id => identificadores.set(`${id.tipo}:${id.valor}`, id))
   
-  todosMatchesPossiveis.forEach(match => {
-    // Só aplica se nem extrato nem relatório foram usados ainda
-    if (!extratoUsados.has(match.chaveExtrato) && !relatorioUsados.has(match.chaveRelatorio)) {
-      extratoUsados.add(match.chaveExtrato)
-      relatorioUsados.add(match.chaveRelatorio)
-      matchesAplicados.push(match)
-      
-      resultados.encontrados.push({
-        extrato: match.extrato,
-        relatorio: match.relatorio,
-        palavrasComuns: match.palavrasComuns,
-        dataMatch: match.dataMatch,
-        metodo: match.dataMatch 
-          ? (match.palavrasComuns > 0 ? 'valor_data_descricao' : 'valor_data') 
-          : (match.palavrasComuns > 0 ? 'valor_descricao' : 'valor_apenas')
-      })
+  return Array.from(identificadores.values())
+}
+
+/**
+ * Processa planilha do relatório Planaltec
+ * Colunas localizadas pelo cabeçalho (ver LAYOUTS.relatorio em layout.js):
+ * - Valor: valores (formato "123.00")
+ * - Favorecido: descrições
+ * - Dt. Pagto: data (dd/mm/aaaa, salvo ordem declarada/detectada para o arquivo)
+ * Linhas com valor ilegível e datas não reconhecidas viram avisos de leitura (ver avisoLeitura)
+ * @param {Object} workbook - Workbook do XLSX
+ * @param {Object} layout - Layout já detectado (opcional; detecta se não for informado)
+ * @param {Array} avisos - Recebe os avisos de leitura
+ * @param {Object} ordemData - Ordem das datas (opcional; resolve pelo layout se não for informada)
+ */
+function processarRelatorioPlanaltec(workbook, layout = null, avisos = [], ordemData = null) {
+  console.log('[CONCILIA] Processando relatório Planaltec...')
+  
+  const layoutRelatorio = layout || detectarLayout(workbook.Sheets[workbook.SheetNames[0]], 'relatorio')
+  const linhas = lerLinhasComLayout(layoutRelatorio)
+  const ordemDatas = { ...(ordemData || resolverOrdemDataDoLayout(layoutRelatorio)), data1904: usaDatas1904(workbook) }
+  console.log(`[CONCILIA] Datas do relatório: ${ordemDatas.descricao}`)
+  
+  const pagamentos = []
+  
+  linhas.forEach(linha => {
+    const { linhaPlanilha, campos, celulas, enderecos, celulasOriginais } = linha
+    
+    // Valor (formato "123.00")
+    const valorOriginal = campos.valor
+    const centavos = converterParaCentavos(valorOriginal)
+    const valor = centavos === null ? null : centavosParaReais(centavos)
+    
+    // Ignora se não tiver valor válido (e avisa se a linha tinha algo que parecia um pagamento)
+    if (!centavos) {
+      if (celulaPreenchida(valorOriginal)) {
+        avisos.push(avisoLeitura(linha, 'valor', valorOriginal,
+          centavos === 0 ? 'Valor zerado' : 'Valor não reconhecido como número', true))
+      } else if (celulaPreenchida(campos.data) && celulaPreenchida(campos.descricao)) {
+        avisos.push(avisoLeitura(linha, 'valor', valorOriginal, 'Linha com favorecido e data, mas sem valor', true))
+      }
+      return
     }
+    
+    // Favorecido: descrição
+    const descricao = campos.descricao || ''
+    
+    // Dt. Pagto (ordem do arquivo; padrão dd/mm/aaaa)
+    const dataOriginal = campos.data
+    const data = lerDataDaLinha(linha, ordemDatas, avisos, 'pagamento')
+    
+    const pagamento = {
+      linhaOriginal: linhaPlanilha, // Número real da linha no Excel
+      celula: enderecos.valor, // Endereço A1 da célula do valor
+      enderecos: enderecos, // Endereço A1 de cada campo
+      celulasOriginais: celulasOriginais, // Células da linha como aparecem na planilha
+      valor: valor,
+      centavos: centavos, // Valor exato em centavos inteiros: use este campo para comparar e somar
+      valorOriginal: valorOriginal,
+      descricao: String(descricao),
+      natureza: 'debito', // O relatório lista pagamentos feitos: sempre saída de caixa
+      identificadores: extrairIdentificadoresRelatorio(celulas, campos.dcto),
+      data: data,
+      dataOriginal: dataOriginal,
+      tipo: 'relatorio_planaltec'
+    }
+    
+    pagamentos.push(pagamento)
   })
   
-  console.log(`[CONCILIA] Matches aplicados: ${matchesAplicados.length}`)
+  console.log(`[CONCILIA] ${pagamentos.length} pagamentos encontrados no relatório Planaltec`)
   
-  // Agora identifica os que NÃO foram encontrados
-  // Relatórios não encontrados
-  pagamentosRelatorio.forEach(pagRelatorio => {
-    const chaveRelatorio = `${pagRelatorio.linhaOriginal}|${pagRelatorio.valor}|${pagRelatorio.descricao}`
+  return pagamentos
+}
+
+/**
+ * Chave única de um pagamento (FITID no OFX; linha + valor + descrição nas planilhas)
+ * Prefixada pela origem: com vários arquivos, a mesma linha/FITID pode aparecer em mais de um
+ */
+function chavePagamento(pag) {
+  const origem = `${pag.arquivo || ''}|${pag.planilha || ''}`
+  if (pag.fitid) {
+    return `${origem}|fitid:${pag.fitid}`
+  }
+  return `${origem}|${pag.linhaOriginal}|${pag.centavos}|${pag.descricao}`
+}
+
+/**
+ * Origem de um pagamento para exibição: "arquivo.xlsx › Aba" (OFX, CNAB e CSV não têm aba)
+ */
+function descreverOrigem(pag) {
+  if (!pag.arquivo) {
+    return ''
+  }
+  return pag.planilha ? `${pag.arquivo} › ${pag.planilha}` : pag.arquivo
+}
+
+/**
+ * Referência A1 da célula do valor de um pagamento: "'Semana 1'!I5" (só "I5" em CSV/TXT)
+ * OFX e retorno CNAB não têm células: devolve ''
+ */
+function referenciaCelula(pag) {
+  if (!pag.celula) {
+    return ''
+  }
+  return pag.planilha ? `'${pag.planilha.replace(/'/g, "''")}'!${pag.celula}` : pag.celula
+}
+
+/**
+ * Texto com os valores originais da linha de um pagamento (nota da planilha de irregulares)
+ * Planilhas: cada célula preenchida com endereço e cabeçalho; OFX/CNAB: os campos lidos do arquivo
+ */
+function descreverValoresOriginais(pag) {
+  if (pag.celulasOriginais) {
+    return pag.celulasOriginais
+      .map(celula => `${celula.endereco}${celula.cabecalho ? ` (${celula.cabecalho})` : ''}: ${celula.valor}`)
+      .join('\n')
+  }
+  
+  return [
+    `Linha ${pag.linhaOriginal} de ${pag.arquivo || 'arquivo'}`,
+    pag.fitid ? `FITID: ${pag.fitid}` : null,
+    `Data: ${pag.dataOriginal ?? ''}`,
+    `Valor: ${pag.valorOriginal ?? ''}`,
+    `Descrição: ${pag.descricao}`,
+    pag.dcto ? `Documento: ${pag.dcto}` : null
+  ].filter(Boolean).join('\n')
+}
+
+/**
+ * Hyperlink para a célula no arquivo de origem ("relatorio.xlsx#'Aba'!I5")
+ * Só para pastas do Excel com nome real: o link abre o arquivo salvo na mesma pasta da planilha gerada
+ */
+function linkCelula(pag) {
+  if (!pag.celula || !pag.planilha || !/\.xls[xm]?$/i.test(pag.arquivo || '')) {
+    return null
+  }
+  return `${pag.arquivo}#${referenciaCelula(pag)}`
+}
+
+/**
+ * Célula de referência da planilha de irregulares: endereço A1, nota com os valores
+ * originais da linha e hyperlink para o arquivo de origem (quando houver)
+ */
+function celulaDeReferencia(pag) {
+  return {
+    texto: referenciaCelula(pag) || `Linha ${pag.linhaOriginal}`,
+    nota: descreverValoresOriginais(pag),
+    link: linkCelula(pag)
+  }
+}
+
+/**
+ * Ordena pagamentos pela posição de origem: arquivo, aba e linha
+ * Com um único arquivo equivale a ordenar pela linha
+ */
+function compararOrigem(a, b) {
+  return (a.arquivo || '').localeCompare(b.arquivo || '') ||
+    (a.planilha || '').localeCompare(b.planilha || '') ||
+    a.linhaOriginal - b.linhaOriginal
+}
+
+/**
+ * Cruza por soma os pagamentos que sobraram do cruzamento 1:1
+ * Para cada alvo ainda não usado, procura um grupo de itens (também não usados,
+ * dentro da janela de datas) cuja soma seja exatamente o valor do alvo
+ * Cada item precisa ter ligação com o alvo: identificador em comum ou descrição
+ * parecida (loteSimilaridadeMinima); a explicação do lote registra a ligação de cada um
+ *
+ * @param {Array} alvos - Pagamentos que podem representar um lote (ex: linhas do extrato)
+ * @param {Array} itens - Pagamentos que podem compor o lote (ex: linhas do relatório)
+ * @param {Set} alvosUsados - Chaves dos alvos já conciliados (é atualizado)
+ * @param {Set} itensUsados - Chaves dos itens já conciliados (é atualizado)
+ * @param {Object} configuracao - Configuração da conciliação
+ * @returns {Array<{alvo: Object, itens: Array, diasDiferencaMaximo: number|null, explicacao: Array<string>}>} Lotes encontrados
+ */
+function cruzarLotesPorSoma(alvos, itens, alvosUsados, itensUsados, configuracao) {
+  const lotes = []
+  
+  // Maiores valores primeiro: lotes grandes costumam ser os débitos consolidados
+  const alvosDisponiveis = alvos
+    .filter(alvo => !alvosUsados.has(chavePagamento(alvo)))
+    .sort((a, b) => b.centavos - a.centavos)
+  
+  alvosDisponiveis.forEach(alvo => {
+    const alvoCentavos = alvo.centavos
     
-    if (!relatorioUsados.has(chaveRelatorio)) {
-      const candidatos = indicesPorValor.get(pagRelatorio.valor) || []
+    const candidatos = itens
+      .filter(item => !itensUsados.has(chavePagamento(item)))
+      .map(item => ({
+        pagamento: item,
+        centavos: item.centavos,
+        diasDiferenca: calcularDiasDiferenca(item.data, alvo.data)
+      }))
+      .filter(c => c.centavos < alvoCentavos &&
+                   c.diasDiferenca !== null &&
+                   Math.abs(c.diasDiferenca) <= configuracao.janelaDiasUteis)
+      .map(c => ({
+        ...c,
+        identificadores: configuracao.identificadoresAtivos ? identificadoresEmComum(c.pagamento, alvo) : [],
+        similaridade: calcularSimilaridade(c.pagamento.descricao, alvo.descricao, configuracao.pesosSimilaridade).score
+      }))
+      .filter(c => c.identificadores.length > 0 || c.similaridade >= configuracao.loteSimilaridadeMinima)
+      // Data mais próxima primeiro, depois maior valor (poda mais cedo)
+      .sort((a, b) => Math.abs(a.diasDiferenca) - Math.abs(b.diasDiferenca) || b.centavos - a.centavos)
+      .slice(0, configuracao.loteMaxCandidatos)
+    
+    const grupo = buscarSubconjuntoSoma(alvoCentavos, candidatos, {
+      maxItens: configuracao.loteMaxItens,
+      limiteIteracoes: configuracao.loteLimiteIteracoes
+    })
+    
+    if (!grupo) {
+      return
+    }
+    
+    alvosUsados.add(chavePagamento(alvo))
+    grupo.forEach(c => itensUsados.add(chavePagamento(c.pagamento)))
+    
+    lotes.push({
+      alvo,
+      itens: grupo.map(c => c.pagamento),
+      diasDiferencaMaximo: Math.max(...grupo.map(c => Math.abs(c.diasDiferenca))),
+      explicacao: grupo.map(c => c.identificadores.length > 0
+        ? `Linha ${c.pagamento.linhaOriginal}: identificador em comum: ${c.identificadores.map(formatarIdentificador).join(', ')}`
+        : `Linha ${c.pagamento.linhaOriginal}: descrição ${Math.round(c.similaridade * 100)}% parecida`)
+    })
+  })
+  
+  return lotes
+}
+
+/**
+ * Separa os lançamentos do extrato antes do cruzamento
+ * 1. Estornos: débito + crédito de mesmo valor que se anulam dentro do próprio extrato
+ *    (crédito com termo de estorno no histórico ou com descrição parecida com a do débito)
+ * 2. Ignorados: lançamentos fora da natureza cruzada (por padrão, créditos)
+ * 3. Cruzáveis: o que segue para o cruzamento com o relatório
+ *
+ * @param {Array} pagamentosExtrato - Pagamentos do extrato bancário
+ * @param {Object} configuracao - Configuração da conciliação
+ * @returns {{cruzaveis: Array, estornos: Array, ignorados: Array}}
+ */
+function separarExtratoPorNatureza(pagamentosExtrato, configuracao) {
+  const estornos = []
+  const emEstorno = new Set()
+  
+  if (configuracao.detectarEstornos) {
+    const debitos = pagamentosExtrato.filter(pag => pag.natureza === 'debito')
+    const creditos = pagamentosExtrato
+      .filter(pag => pag.natureza === 'credito')
+      .sort((a, b) => (a.data ? a.data.getTime() : 0) - (b.data ? b.data.getTime() : 0))
+    
+    creditos.forEach(credito => {
+      const centavos = credito.centavos
       
-      if (candidatos.length === 0) {
-        // Não encontrou nenhum com mesmo valor
-        const valoresProximos = []
-        const todosValores = Array.from(indicesPorValor.keys()).sort((a, b) => a - b)
-        const tolerancia = pagRelatorio.valor * 0.01
-        todosValores.forEach(val => {
-          const diff = Math.abs(val - pagRelatorio.valor)
-          if (diff <= tolerancia && diff > 0) {
-            valoresProximos.push({
-              valor: val,
-              diferenca: diff,
-              diferencaPercentual: ((diff / pagRelatorio.valor) * 100).toFixed(2) + '%'
-            })
-          }
-        })
-        
-        const detalhesDebug = valoresProximos.length > 0
-          ? `Valor procurado: R$ ${pagRelatorio.valor.toFixed(2)} | Valores próximos encontrados: ${valoresProximos.slice(0, 3).map(v => `R$ ${v.valor.toFixed(2)} (dif: ${v.diferencaPercentual})`).join(', ')}`
-          : `Valor: R$ ${pagRelatorio.valor.toFixed(2)}, Descrição: ${pagRelatorio.descricao}`
-        
-        console.log(`[CONCILIA DEBUG] Não encontrado no EXTRATO: Linha ${pagRelatorio.linhaOriginal} | Valor: R$ ${pagRelatorio.valor.toFixed(2)} | Descrição: "${pagRelatorio.descricao}"`)
-        
-        resultados.naoEncontradosNoExtrato.push({
-          ...pagRelatorio,
-          motivo: 'Pagamento presente no Relatório Planaltec mas AUSENTE no Extrato Bancário - Valor não encontrado',
-          detalhes: detalhesDebug,
-          debug: {
-            valorProcurado: pagRelatorio.valor,
-            valorOriginal: pagRelatorio.valorOriginal,
-            valoresProximos: valoresProximos.slice(0, 5)
-          }
-        })
-      } else {
-        // Tem candidatos mas nenhum deu match (provavelmente já foram usados por outros do relatório)
-        let candidatosAnalisados = candidatos.map(pagExtrato => {
-          const chaveExtrato = `${pagExtrato.linhaOriginal}|${pagExtrato.valor}|${pagExtrato.descricao}`
-          const jaFoiUsado = extratoUsados.has(chaveExtrato)
-          const palavrasComuns = contarPalavrasComuns(pagExtrato.descricao, pagRelatorio.descricao)
-          const dataMatch = compararDatas(pagExtrato.data, pagRelatorio.data)
-          
-          return {
-            pagamento: pagExtrato,
-            jaFoiUsado,
-            palavrasComuns,
-            dataMatch
-          }
-        })
-        
-        console.log(`[CONCILIA DEBUG] Não encontrado no EXTRATO (valor existe mas sem match): Linha ${pagRelatorio.linhaOriginal}`)
-        console.log(`[CONCILIA DEBUG]   → Valor: R$ ${pagRelatorio.valor.toFixed(2)}`)
-        console.log(`[CONCILIA DEBUG]   → Data: ${pagRelatorio.dataOriginal || 'N/A'} (${pagRelatorio.data ? pagRelatorio.data.toLocaleDateString('pt-BR') : 'inválida'})`)
-        console.log(`[CONCILIA DEBUG]   → Descrição Relatório: "${pagRelatorio.descricao}"`)
-        console.log(`[CONCILIA DEBUG]   → Candidatos encontrados: ${candidatosAnalisados.length}`)
-        candidatosAnalisados.forEach((cand, idx) => {
-          const dataStr = cand.pagamento.dataOriginal || (cand.pagamento.data ? cand.pagamento.data.toLocaleDateString('pt-BR') : 'N/A')
-          console.log(`[CONCILIA DEBUG]     ${idx + 1}. Linha ${cand.pagamento.linhaOriginal} | Data: ${dataStr} | Data match: ${cand.dataMatch ? 'SIM' : 'NÃO'} | Já usado: ${cand.jaFoiUsado} | Palavras comuns: ${cand.palavrasComuns} | "${cand.pagamento.descricao}"`)
-        })
-        
-        resultados.naoEncontradosNoExtrato.push({
-          ...pagRelatorio,
-          motivo: 'Pagamento presente no Relatório Planaltec mas AUSENTE no Extrato Bancário - Todos os candidatos com mesmo valor já foram usados',
-          detalhes: `Valor: R$ ${pagRelatorio.valor.toFixed(2)}, Descrição: ${pagRelatorio.descricao}`,
-          debug: {
-            valorProcurado: pagRelatorio.valor,
-            candidatosEncontrados: candidatosAnalisados.length,
-            candidatos: candidatosAnalisados.map(c => ({
-              linha: c.pagamento.linhaOriginal,
-              descricao: c.pagamento.descricao,
-              jaFoiUsado: c.jaFoiUsado,
-              palavrasComuns: c.palavrasComuns,
-              dataMatch: c.dataMatch
-            }))
-          }
+      const creditoEhEstorno = TERMOS_ESTORNO.test(removerAcentos(credito.descricao).toUpperCase())
+      
+      // Débito de mesmo valor, ainda livre, lançado no mesmo dia ou antes do crédito (mais próximo primeiro)
+      // Sem termo de estorno no crédito, só aceita se as descrições forem parecidas
+      let melhorDebito = null
+      let menorDistancia = Infinity
+      let maiorSimilaridade = -1
+      debitos.forEach(debito => {
+        if (emEstorno.has(chavePagamento(debito)) || debito.centavos !== centavos) {
+          return
+        }
+        const dias = calcularDiasDiferenca(debito.data, credito.data)
+        if (dias === null || dias < 0 || dias > configuracao.janelaEstornoDiasUteis) {
+          return
+        }
+        const similaridade = calcularSimilaridade(debito.descricao, credito.descricao, configuracao.pesosSimilaridade).score
+        if (!creditoEhEstorno && similaridade < configuracao.estornoSimilaridadeMinima) {
+          return
+        }
+        if (dias < menorDistancia || (dias === menorDistancia && similaridade > maiorSimilaridade)) {
+          menorDistancia = dias
+          maiorSimilaridade = similaridade
+          melhorDebito = debito
+        }
+      })
+      
+      if (melhorDebito) {
+        emEstorno.add(chavePagamento(melhorDebito))
+        emEstorno.add(chavePagamento(credito))
+        estornos.push({
+          debito: melhorDebito,
+          credito: credito,
+          valor: credito.valor,
+          centavos: credito.centavos,
+          diasDiferenca: menorDistancia,
+          metodo: 'estorno'
         })
       }
-    }
-  })
+    })
+  }
   
-  // Cria índice do relatório por valor para buscar valores próximos
-  const indicesRelatorioPorValor = new Map() // valor -> [pagamentos]
-  pagamentosRelatorio.forEach(pag => {
-    if (!indicesRelatorioPorValor.has(pag.valor)) {
-      indicesRelatorioPorValor.set(pag.valor, [])
+  const restantes = pagamentosExtrato.filter(pag => !emEstorno.has(chavePagamento(pag)))
+  // Sem natureza informada = débito (pagamento)
+  const cruzaNatureza = pag => configuracao.naturezaCruzamento === 'todas' ||
+    (pag.natureza || 'debito') === configuracao.naturezaCruzamento
+  
+  return {
+    cruzaveis: restantes.filter(cruzaNatureza),
+    estornos,
+    ignorados: restantes.filter(pag => !cruzaNatureza(pag))
+  }
+}
+
+/**
+ * Procura possíveis pagamentos duplicados dentro de UMA planilha
+ * Dois lançamentos são suspeitos quando têm o mesmo valor, a mesma natureza,
+ * datas próximas e favorecido/descrição parecidos (sem descrição, nunca são
+ * suspeitos). Suspeitos ligados entre si formam um único grupo (ex: o mesmo
+ * pagamento lançado três vezes)
+ *
+ * @param {Array} pagamentos - Pagamentos de uma das planilhas
+ * @param {string} origem - 'relatorio' ou 'extrato'
+ * @param {Object} configuracao - Configuração da conciliação
+ * @returns {Array<{origem: string, valor: number, linhas: Array<number>, itens: Array, motivo: string}>}
+ */
+function detectarDuplicidades(pagamentos, origem, configuracao) {
+  // Agrupa por valor exato (em centavos) + natureza
+  const porValor = new Map()
+  pagamentos.forEach(pag => {
+    const chave = `${pag.centavos}|${pag.natureza || 'debito'}`
+    if (!porValor.has(chave)) {
+      porValor.set(chave, [])
     }
-    indicesRelatorioPorValor.get(pag.valor).push(pag)
+    porValor.get(chave).push(pag)
   })
   
-  // Agora verifica pagamentos do extrato que NÃO foram encontrados
-  pagamentosExtrato.forEach(pagExtrato => {
-    // Ignora se descrição for null, undefined ou vazia
-    const descricaoValida = pagExtrato.descricao && String(pagExtrato.descricao).trim().length > 0
-    if (!descricaoValida) {
-      // Registro sem descrição válida - ignora e não adiciona aos não encontrados
+  const duplicidades = []
+  
+  porValor.forEach(itens => {
+    if (itens.length < 2) {
       return
     }
     
-    const chaveExtrato = `${pagExtrato.linhaOriginal}|${pagExtrato.valor}|${pagExtrato.descricao}`
+    // União de suspeitos: cada item aponta para o representante do seu grupo
+    const representante = itens.map((_, i) => i)
+    const raiz = i => (representante[i] === i ? i : (representante[i] = raiz(representante[i])))
     
-    if (!extratoUsados.has(chaveExtrato)) {
-      // Busca valores próximos no relatório
-      const valoresProximos = []
-      const todosValoresRelatorio = Array.from(indicesRelatorioPorValor.keys()).sort((a, b) => a - b)
-      
-      // Busca valores próximos (dentro de 1% de diferença)
-      const tolerancia = pagExtrato.valor * 0.01
-      todosValoresRelatorio.forEach(val => {
-        const diff = Math.abs(val - pagExtrato.valor)
-        if (diff <= tolerancia && diff > 0) {
-          valoresProximos.push({
-            valor: val,
-            diferenca: diff,
-            diferencaPercentual: ((diff / pagExtrato.valor) * 100).toFixed(2) + '%'
-          })
+    for (let i = 0; i < itens.length; i++) {
+      for (let j = i + 1; j < itens.length; j++) {
+        const dias = calcularDiasDiferenca(itens[i].data, itens[j].data)
+        if (dias === null || Math.abs(dias) > configuracao.janelaDuplicidadeDiasUteis) {
+          continue
+        }
+        // Sem descrição não há favorecido para comparar: mesmo valor e data não bastam
+        const descricaoI = removerAcentos(itens[i].descricao || '').trim().toLowerCase()
+        const descricaoJ = removerAcentos(itens[j].descricao || '').trim().toLowerCase()
+        if (!descricaoI || !descricaoJ) {
+          continue
         }
+        const similaridade = calcularSimilaridade(itens[i].descricao, itens[j].descricao, configuracao.pesosSimilaridade)
+        const mesmaDescricao = descricaoI === descricaoJ
+        if (mesmaDescricao || similaridade.score >= configuracao.duplicidadeSimilaridadeMinima) {
+          representante[raiz(j)] = raiz(i)
+        }
+      }
+    }
+    
+    const grupos = new Map()
+    itens.forEach((pag, i) => {
+      const r = raiz(i)
+      if (!grupos.has(r)) {
+        grupos.set(r, [])
+      }
+      grupos.get(r).push(pag)
+    })
+    
+    grupos.forEach(grupo => {
+      if (grupo.length < 2) {
+        return
+      }
+      const ordenado = [...grupo].sort(compararOrigem)
+      duplicidades.push({
+        origem,
+        valor: ordenado[0].valor,
+        centavos: ordenado[0].centavos,
+        linhas: ordenado.map(pag => pag.linhaOriginal),
+        itens: ordenado,
+        motivo: `${ordenado.length} lançamentos de R$ ${ordenado[0].valor.toFixed(2)} com favorecido parecido ` +
+                `e datas a até ${configuracao.janelaDuplicidadeDiasUteis} dia(s) útil(eis) de distância`
       })
+    })
+  })
+  
+  return duplicidades.sort((a, b) => compararOrigem(a.itens[0], b.itens[0]))
+}
+
+/**
+ * Verifica se a diferença entre dois valores está dentro da tolerância de divergência
+ * @param {number} centavosRelatorio - Valor do relatório em centavos (base do percentual)
+ * @param {number} centavosExtrato - Valor do extrato em centavos
+ * @param {Object} configuracao - Configuração da conciliação
+ * @returns {boolean}
+ */
+function dentroToleranciaDivergencia(centavosRelatorio, centavosExtrato, configuracao) {
+  const diferencaCentavos = Math.abs(centavosExtrato - centavosRelatorio)
+  
+  if (diferencaCentavos === 0) {
+    return false
+  }
+  
+  const limiteAbsoluto = configuracao.divergenciaToleranciaCentavos
+  const limitePercentual = centavosRelatorio * configuracao.divergenciaToleranciaPercentual / 100
+  
+  return (limiteAbsoluto > 0 && diferencaCentavos <= limiteAbsoluto) ||
+         (configuracao.divergenciaToleranciaPercentual > 0 && diferencaCentavos <= limitePercentual)
+}
+
+/**
+ * Pareia pagamentos que sobraram com valores PRÓXIMOS (dentro da tolerância),
+ * desde que a data esteja na janela e a descrição seja parecida
+ * Em vez de virar dois "não encontrados", o par vai para divergenciaValor
+ *
+ * @param {Array} pagamentosExtrato - Pagamentos do extrato bancário
+ * @param {Array} pagamentosRelatorio - Pagamentos do relatório Planaltec
+ * @param {Set} extratoUsados - Chaves do extrato já conciliadas (é atualizado)
+ * @param {Set} relatorioUsados - Chaves do relatório já conciliadas (é atualizado)
+ * @param {Object} configuracao - Configuração da conciliação
+ * @returns {Array} Pares com divergência de valor
+ */
+function cruzarDivergenciasValor(pagamentosExtrato, pagamentosRelatorio, extratoUsados, relatorioUsados, configuracao) {
+  const extratoDisponivel = pagamentosExtrato.filter(pag => !extratoUsados.has(chavePagamento(pag)))
+  const relatorioDisponivel = pagamentosRelatorio.filter(pag => !relatorioUsados.has(chavePagamento(pag)))
+  
+  // Pares elegíveis: valor dentro da tolerância + data na janela + descrição parecida
+  const paresElegiveis = []
+  relatorioDisponivel.forEach(pagRelatorio => {
+    extratoDisponivel.forEach(pagExtrato => {
+      if (!dentroToleranciaDivergencia(pagRelatorio.centavos, pagExtrato.centavos, configuracao)) {
+        return
+      }
       
-      const detalhesDebug = valoresProximos.length > 0
-        ? `Valor procurado: R$ ${pagExtrato.valor.toFixed(2)} | Valores próximos encontrados no relatório: ${valoresProximos.slice(0, 3).map(v => `R$ ${v.valor.toFixed(2)} (dif: ${v.diferencaPercentual})`).join(', ')}`
-        : `Valor: R$ ${pagExtrato.valor.toFixed(2)}, Descrição: ${pagExtrato.descricao}`
+      const diasDiferenca = calcularDiasDiferenca(pagRelatorio.data, pagExtrato.data)
+      const pontuacaoData = pontuarProximidadeData(diasDiferenca, configuracao)
+      if (pontuacaoData === 0) {
+        return
+      }
       
-      console.log(`[CONCILIA DEBUG] Não encontrado no RELATÓRIO: Linha ${pagExtrato.linhaOriginal} | Valor: R$ ${pagExtrato.valor.toFixed(2)} | Descrição: "${pagExtrato.descricao}"`)
-      if (valoresProximos.length > 0) {
-        console.log(`[CONCILIA DEBUG]   → Valores próximos no relatório: ${valoresProximos.slice(0, 3).map(v => `R$ ${v.valor.toFixed(2)}`).join(', ')}`)
+      const similaridade = calcularSimilaridade(pagExtrato.descricao, pagRelatorio.descricao, configuracao.pesosSimilaridade)
+      if (similaridade.score < configuracao.divergenciaSimilaridadeMinima) {
+        return
+      }
+      
+      paresElegiveis.push({
+        relatorio: pagRelatorio,
+        extrato: pagExtrato,
+        diasDiferenca,
+        similaridade,
+        score: pontuarPar(pontuacaoData, similaridade.score, configuracao),
+        chaveExtrato: chavePagamento(pagExtrato),
+        chaveRelatorio: chavePagamento(pagRelatorio)
+      })
+    })
+  })
+  
+  if (paresElegiveis.length === 0) {
+    return []
+  }
+  
+  // Resolve conflitos (um item elegível para vários pares) com a atribuição ótima
+  const divergencias = []
+  resolverParesOtimos(paresElegiveis).forEach(par => {
+    extratoUsados.add(par.chaveExtrato)
+    relatorioUsados.add(par.chaveRelatorio)
+    
+    const diferencaCentavos = par.extrato.centavos - par.relatorio.centavos
+    divergencias.push({
+      extrato: par.extrato,
+      relatorio: par.relatorio,
+      diferenca: centavosParaReais(diferencaCentavos),
+      diferencaCentavos: diferencaCentavos,
+      diferencaPercentual: ((Math.abs(diferencaCentavos) / par.relatorio.centavos) * 100).toFixed(2) + '%',
+      diasDiferenca: par.diasDiferenca,
+      similaridadeDescricao: par.similaridade.score,
+      explicacaoDescricao: par.similaridade.explicacao,
+      metodo: 'divergencia_valor'
+    })
+  })
+  
+  return divergencias.sort((a, b) => compararOrigem(a.relatorio, b.relatorio))
+}
+
+/**
+ * Monta um par candidato relatório x extrato com score e dados da descrição
+ * Score: pontuacaoData (0 a 10000, cai com a distância em dias úteis) + similaridade (menos que
+ * um dia útil de data, ver pontuarPar): quem tem a data mais próxima sempre fica na frente
+ * @param {Object} pagRelatorio - Pagamento do relatório
+ * @param {Object} pagExtrato - Pagamento do extrato
+ * @param {Object} configuracao - Configuração da conciliação
+ * @returns {Object} Par candidato (com score e chaves)
+ */
+function montarParCandidato(pagRelatorio, pagExtrato, configuracao) {
+  const similaridade = calcularSimilaridade(pagExtrato.descricao, pagRelatorio.descricao, configuracao.pesosSimilaridade)
+  const diasDiferenca = calcularDiasDiferenca(pagRelatorio.data, pagExtrato.data)
+  const pontuacaoData = pontuarProximidadeData(diasDiferenca, configuracao)
+  
+  return {
+    relatorio: pagRelatorio,
+    extrato: pagExtrato,
+    palavrasComuns: similaridade.palavrasComuns.length,
+    palavrasEmComum: similaridade.palavrasComuns,
+    similaridadeDescricao: similaridade.score,
+    explicacaoDescricao: similaridade.explicacao,
+    dataMatch: pontuacaoData > 0,
+    diasDiferenca: diasDiferenca,
+    score: pontuarPar(pontuacaoData, similaridade.score, configuracao),
+    chaveExtrato: chavePagamento(pagExtrato),
+    chaveRelatorio: chavePagamento(pagRelatorio)
+  }
+}
+
+/**
+ * Monta os pares candidatos que compartilham um identificador forte e têm o mesmo valor
+ * O mesmo CNPJ pode aparecer em vários pagamentos do fornecedor: o valor igual
+ * e o score (data + descrição) decidem entre eles na atribuição
+ * Datas fora da janela de dias úteis não formam par (a mensalidade do mesmo fornecedor
+ * não cruza com a do mês seguinte); sem data em um dos lados, o par entra e a confiança
+ * baixa o manda para "revisar"
+ * @param {Array} pagamentosExtrato - Pagamentos do extrato (cruzáveis)
+ * @param {Array} pagamentosRelatorio - Pagamentos do relatório
+ * @param {Object} configuracao - Configuração da conciliação
+ * @returns {Array} Pares candidatos com `identificadoresComuns`
+ */
+function montarParesPorIdentificador(pagamentosExtrato, pagamentosRelatorio, configuracao) {
+  // Índice do extrato: "tipo:valor" -> pagamentos
+  const porIdentificador = new Map()
+  pagamentosExtrato.forEach(pag => {
+    const identificadores = pag.identificadores || []
+    identificadores.forEach(id => {
+      const chave = `${id.tipo}:${id.valor}`
+      if (!porIdentificador.has(chave)) {
+        porIdentificador.set(chave, [])
+      }
+      porIdentificador.get(chave).push(pag)
+    })
+  })
+  
+  const pares = []
+  pagamentosRelatorio.forEach(pagRelatorio => {
+    const candidatos = new Set()
+    const identificadores = pagRelatorio.identificadores || []
+    identificadores.forEach(id => {
+      const comMesmoIdentificador = porIdentificador.get(`${id.tipo}:${id.valor}`) || []
+      comMesmoIdentificador.forEach(pag => candidatos.add(pag))
+    })
+    
+    candidatos.forEach(pagExtrato => {
+      if (pagExtrato.centavos !== pagRelatorio.centavos) {
+        return
+      }
+      const par = montarParCandidato(pagRelatorio, pagExtrato, configuracao)
+      if (par.diasDiferenca !== null && Math.abs(par.diasDiferenca) > configuracao.janelaDiasUteis) {
+        return
+      }
+      pares.push({
+        ...par,
+        identificadoresComuns: identificadoresEmComum(pagRelatorio, pagExtrato)
+      })
+    })
+  })
+  
+  return pares
+}
+
+/**
+ * Formata uma chave de identificador para o analista
+ * Ex: "cnpj:11222333000181" -> "CNPJ 11222333000181"
+ */
+function formatarIdentificador(chave) {
+  const [tipo, valor] = chave.split(':')
+  return `${tipo.toUpperCase()} ${valor}`
+}
+
+/**
+ * Estratégia GULOSA (lógica original)
+ * Ordena todos os pares possíveis pelo score e aplica do melhor para o pior,
+ * pulando pares em que o extrato ou o relatório já foram usados
+ * @param {Array} todosMatchesPossiveis - Pares candidatos (com score e chaves)
+ * @returns {Array} Pares aplicados, na ordem em que foram escolhidos
+ */
+function selecionarMatchesGuloso(todosMatchesPossiveis) {
+  // Ordena matches por qualidade (melhor primeiro)
+  // Primeiro por score (decrescente), depois por linha do relatório (crescente) para manter ordem original em caso de empate
+  const ordenados = [...todosMatchesPossiveis].sort((a, b) => {
+    if (b.score !== a.score) {
+      return b.score - a.score // Maior score primeiro
+    }
+    // Se empate no score, mantém ordem original do relatório
+    return compararOrigem(a.relatorio, b.relatorio)
+  })
+  
+  const extratoUsados = new Set()
+  const relatorioUsados = new Set()
+  const aplicados = []
+  
+  ordenados.forEach(match => {
+    // Só aplica se nem extrato nem relatório foram usados ainda
+    if (!extratoUsados.has(match.chaveExtrato) && !relatorioUsados.has(match.chaveRelatorio)) {
+      extratoUsados.add(match.chaveExtrato)
+      relatorioUsados.add(match.chaveRelatorio)
+      aplicados.push(match)
+    }
+  })
+  
+  return aplicados
+}
+
+/**
+ * Resolve a atribuição ótima de uma lista de pares relatório x extrato
+ * Pares ausentes da lista valem 0 e nunca são devolvidos
+ * @param {Array} pares - Pares com chaveRelatorio, chaveExtrato e score
+ * @returns {Array} Pares escolhidos (cada chave aparece no máximo uma vez)
+ */
+function resolverParesOtimos(pares) {
+  // Índices das linhas (relatório) e colunas (extrato)
+  const chavesRelatorio = [...new Set(pares.map(m => m.chaveRelatorio))]
+  const chavesExtrato = [...new Set(pares.map(m => m.chaveExtrato))]
+  const posicaoRelatorio = new Map(chavesRelatorio.map((chave, i) => [chave, i]))
+  const posicaoExtrato = new Map(chavesExtrato.map((chave, j) => [chave, j]))
+  
+  const scores = chavesRelatorio.map(() => new Array(chavesExtrato.length).fill(0))
+  const paresPorPosicao = new Map()
+  pares.forEach(match => {
+    const i = posicaoRelatorio.get(match.chaveRelatorio)
+    const j = posicaoExtrato.get(match.chaveExtrato)
+    scores[i][j] = match.score
+    paresPorPosicao.set(`${i}|${j}`, match)
+  })
+  
+  const escolhidos = []
+  atribuirMaximoScore(scores).forEach(([i, j]) => {
+    const match = paresPorPosicao.get(`${i}|${j}`)
+    if (match) {
+      escolhidos.push(match)
+    }
+  })
+  
+  return escolhidos
+}
+
+/**
+ * Estratégia ÓTIMA (padrão)
+ * Agrupa os pares pelo valor e, dentro de cada grupo, resolve a atribuição
+ * com o algoritmo húngaro: maximiza a soma dos scores do grupo inteiro
+ * @param {Array} todosMatchesPossiveis - Pares candidatos (com score e chaves)
+ * @returns {Array} Pares aplicados, ordenados pela linha do relatório
+ */
+function selecionarMatchesOtimo(todosMatchesPossiveis) {
+  // Grupo por valor: centavos -> pares possíveis
+  const grupos = new Map()
+  todosMatchesPossiveis.forEach(match => {
+    const centavos = match.relatorio.centavos
+    if (!grupos.has(centavos)) {
+      grupos.set(centavos, [])
+    }
+    grupos.get(centavos).push(match)
+  })
+  
+  const aplicados = []
+  
+  grupos.forEach(pares => {
+    aplicados.push(...resolverParesOtimos(pares))
+  })
+  
+  return aplicados.sort((a, b) => compararOrigem(a.relatorio, b.relatorio))
+}
+
+/**
+ * Cruza os pagamentos entre as duas planilhas
+ * NOVA LÓGICA: Avalia TODOS os matches possíveis primeiro, depois escolhe os melhores
+ * (estratégia 'otima' por padrão; 'gulosa' mantém a lógica original para comparação)
+ * Critério 1: Valor absoluto (obrigatório)
+ * Critério 2: Data (dentro da janela de dias úteis, quanto mais próxima melhor)
+ * Critério 3: Similaridade das descrições (desempate)
+ * Depois do 1:1, tenta fechar por soma (lote) o que sobrou de cada lado
+ * @param {Array} pagamentosExtrato - Pagamentos do extrato bancário
+ * @param {Array} pagamentosRelatorio - Pagamentos do relatório Planaltec
+ * @param {Object} opcoes - Sobrescreve CONFIGURACAO_PADRAO (ex: { janelaDiasUteis: 2 })
+ */
+function cruzarPagamentos(pagamentosExtrato, pagamentosRelatorio, opcoes = {}) {
+  console.log('[CONCILIA] Cruzando pagamentos com nova lógica (avalia todos os matches primeiro)...')
+  
+  const configuracao = montarConfiguracao(opcoes)
+  console.log(`[CONCILIA] Janela de datas: ±${configuracao.janelaDiasUteis} dias úteis`)
+  console.log(`[CONCILIA] Estratégia de atribuição: ${configuracao.estrategiaAtribuicao}`)
+  
+  const resultados = {
+    encontrados: [],
+    revisar: [], // Pares aplicados com confiança abaixo de confiancaMinima: precisam de conferência manual
+    lotes: [], // Uma linha de um lado = soma de várias linhas do outro (metodo 'lote_soma')
+    divergenciaValor: [], // Mesmo pagamento nos dois lados, mas com valor um pouco diferente
+    estornos: [], // Débito + crédito do próprio extrato que se anulam
+    ignoradosPorNatureza: [], // Lançamentos do extrato fora da natureza cruzada (ex: créditos)
+    naoEncontradosNoExtrato: [], // Está no relatório mas NÃO está no extrato
+    naoEncontradosNoRelatorio: [] // Está no extrato mas NÃO está no relatório
+  }
+  
+  // Separa estornos e lançamentos de outra natureza antes de cruzar
+  const separacao = separarExtratoPorNatureza(pagamentosExtrato, configuracao)
+  const extratoCruzavel = separacao.cruzaveis
+  resultados.estornos = separacao.estornos
+  resultados.ignoradosPorNatureza = separacao.ignorados
+  console.log(`[CONCILIA] Natureza cruzada: ${configuracao.naturezaCruzamento} | Estornos: ${separacao.estornos.length} | Ignorados por natureza: ${separacao.ignorados.length}`)
+  
+  // Cria índice do extrato por valor (centavos inteiros: chave exata, sem erro de float)
+  const indicesPorValor = new Map() // centavos -> [pagamentos]
+  
+  extratoCruzavel.forEach(pag => {
+    if (!indicesPorValor.has(pag.centavos)) {
+      indicesPorValor.set(pag.centavos, [])
+    }
+    indicesPorValor.get(pag.centavos).push(pag)
+  })
+  
+  console.log(`[CONCILIA] Índices criados: ${indicesPorValor.size} valores únicos no extrato`)
+  
+  const extratoUsados = new Set()
+  const relatorioUsados = new Set()
+  
+  // Registra um par aplicado em encontrados (ou revisar, se a confiança for baixa)
+  const aplicarMatch = (match, metodo, avaliacao) => {
+    extratoUsados.add(match.chaveExtrato)
+    relatorioUsados.add(match.chaveRelatorio)
+    
+    const { confianca, explicacao } = avaliacao
+    const destino = confianca >= configuracao.confiancaMinima ? resultados.encontrados : resultados.revisar
+    
+    destino.push({
+      extrato: match.extrato,
+      relatorio: match.relatorio,
+      palavrasComuns: match.palavrasComuns,
+      palavrasEmComum: match.palavrasEmComum,
+      similaridadeDescricao: match.similaridadeDescricao,
+      explicacaoDescricao: match.explicacaoDescricao,
+      dataMatch: match.dataMatch,
+      diasDiferenca: match.diasDiferenca,
+      score: match.score,
+      ...(match.identificadoresComuns ? { identificadoresComuns: match.identificadoresComuns } : {}),
+      confianca: confianca,
+      explicacao: explicacao,
+      metodo: metodo
+    })
+  }
+  
+  // PASSE 1: identificadores em comum (DCTO, CPF/CNPJ, NF, boleto) + mesmo valor, dentro da janela
+  // Dentro da janela, quem compartilha o documento é o par certo; a confiança continua
+  // vindo de data e descrição, para que um par fraco ainda vá para "revisar"
+  if (configuracao.identificadoresAtivos) {
+    const paresIdentificador = resolverParesOtimos(
+      montarParesPorIdentificador(extratoCruzavel, pagamentosRelatorio, configuracao)
+    )
+    paresIdentificador.forEach(match => {
+      const avaliacao = avaliarConfianca(match, configuracao)
+      aplicarMatch(match, 'identificador', {
+        confianca: avaliacao.confianca,
+        explicacao: [
+          `identificador em comum: ${match.identificadoresComuns.map(formatarIdentificador).join(', ')}`,
+          ...avaliacao.explicacao
+        ]
+      })
+    })
+    console.log(`[CONCILIA] Pares por identificador: ${paresIdentificador.length}`)
+  }
+  
+  // PASSE 2 (NOVA ABORDAGEM): Cria lista de TODOS os matches possíveis por valor primeiro
+  const todosMatchesPossiveis = []
+  
+  pagamentosRelatorio.forEach(pagRelatorio => {
+    if (relatorioUsados.has(chavePagamento(pagRelatorio))) {
+      return
+    }
+    
+    const candidatos = (indicesPorValor.get(pagRelatorio.centavos) || [])
+      .filter(pagExtrato => !extratoUsados.has(chavePagamento(pagExtrato)))
+    
+    if (candidatos.length === 0) {
+      // Não tem candidatos com mesmo valor - será tratado depois como não encontrado
+      return
+    }
+    
+    // Para cada candidato, calcula o score
+    candidatos.forEach(pagExtrato => {
+      todosMatchesPossiveis.push(montarParCandidato(pagRelatorio, pagExtrato, configuracao))
+    })
+  })
+  
+  console.log(`[CONCILIA] Total de matches possíveis encontrados: ${todosMatchesPossiveis.length}`)
+  
+  // Escolhe quais pares serão aplicados (cada item é usado apenas uma vez)
+  const matchesAplicados = configuracao.estrategiaAtribuicao === 'gulosa'
+    ? selecionarMatchesGuloso(todosMatchesPossiveis)
+    : selecionarMatchesOtimo(todosMatchesPossiveis)
+  
+  matchesAplicados.forEach(match => {
+    const metodo = match.dataMatch 
+      ? (match.similaridadeDescricao >= configuracao.similaridadeMinimaDescricao ? 'valor_data_descricao' : 'valor_data') 
+      : (match.similaridadeDescricao >= configuracao.similaridadeMinimaDescricao ? 'valor_descricao' : 'valor_apenas')
+    aplicarMatch(match, metodo, avaliarConfianca(match, configuracao))
+  })
+  
+  console.log(`[CONCILIA] Matches aplicados: ${matchesAplicados.length} (${resultados.revisar.length} com confiança abaixo de ${configuracao.confiancaMinima} para revisar)`)
+  
+  // Cruzamento por soma (lote) com o que sobrou do 1:1
+  if (configuracao.loteSomaAtivo) {
+    // Muitos para um: uma linha do extrato paga várias linhas do relatório
+    cruzarLotesPorSoma(extratoCruzavel, pagamentosRelatorio, extratoUsados, relatorioUsados, configuracao)
+      .forEach(lote => {
+        resultados.lotes.push({
+          extrato: [lote.alvo],
+          relatorio: lote.itens,
+          valorTotal: lote.alvo.valor,
+          centavosTotal: lote.alvo.centavos,
+          diasDiferencaMaximo: lote.diasDiferencaMaximo,
+          direcao: 'muitos_para_um',
+          metodo: 'lote_soma',
+          explicacao: lote.explicacao
+        })
+      })
+    
+    // Um para muitos: uma linha do relatório foi paga em várias linhas do extrato
+    cruzarLotesPorSoma(pagamentosRelatorio, extratoCruzavel, relatorioUsados, extratoUsados, configuracao)
+      .forEach(lote => {
+        resultados.lotes.push({
+          extrato: lote.itens,
+          relatorio: [lote.alvo],
+          valorTotal: lote.alvo.valor,
+          centavosTotal: lote.alvo.centavos,
+          diasDiferencaMaximo: lote.diasDiferencaMaximo,
+          direcao: 'um_para_muitos',
+          metodo: 'lote_soma',
+          explicacao: lote.explicacao
+        })
+      })
+    
+    console.log(`[CONCILIA] Lotes por soma encontrados: ${resultados.lotes.length}`)
+  }
+  
+  // Pares com valor próximo (dentro da tolerância), data e descrição batendo
+  if (configuracao.divergenciaValorAtiva) {
+    resultados.divergenciaValor = cruzarDivergenciasValor(
+      extratoCruzavel, pagamentosRelatorio, extratoUsados, relatorioUsados, configuracao
+    )
+    console.log(`[CONCILIA] Divergências de valor encontradas: ${resultados.divergenciaValor.length}`)
+  }
+  
+  // Agora identifica os que NÃO foram encontrados
+  // Relatórios não encontrados
+  pagamentosRelatorio.forEach(pagRelatorio => {
+    const chaveRelatorio = chavePagamento(pagRelatorio)
+    
+    if (!relatorioUsados.has(chaveRelatorio)) {
+      const candidatos = indicesPorValor.get(pagRelatorio.centavos) || []
+      
+      if (candidatos.length === 0) {
+        // Não encontrou nenhum com mesmo valor
+        const valoresProximos = []
+        const todosValores = Array.from(indicesPorValor.keys()).sort((a, b) => a - b)
+        const tolerancia = pagRelatorio.centavos * 0.01
+        todosValores.forEach(centavos => {
+          const diff = Math.abs(centavos - pagRelatorio.centavos)
+          if (diff <= tolerancia && diff > 0) {
+            valoresProximos.push({
+              valor: centavosParaReais(centavos),
+              diferenca: centavosParaReais(diff),
+              diferencaPercentual: ((diff / pagRelatorio.centavos) * 100).toFixed(2) + '%'
+            })
+          }
+        })
+        
+        const detalhesDebug = valoresProximos.length > 0
+          ? `Valor procurado: R$ ${pagRelatorio.valor.toFixed(2)} | Valores próximos encontrados: ${valoresProximos.slice(0, 3).map(v => `R$ ${v.valor.toFixed(2)} (dif: ${v.diferencaPercentual})`).join(', ')}`
+          : `Valor: R$ ${pagRelatorio.valor.toFixed(2)}, Descrição: ${pagRelatorio.descricao}`
+        
+        console.log(`[CONCILIA DEBUG] Não encontrado no EXTRATO: Linha ${pagRelatorio.linhaOriginal} | Valor: R$ ${pagRelatorio.valor.toFixed(2)} | Descrição: "${pagRelatorio.descricao}"`)
+        
+        resultados.naoEncontradosNoExtrato.push({
+          ...pagRelatorio,
+          motivo: 'Pagamento presente no Relatório Planaltec mas AUSENTE no Extrato Bancário - Valor não encontrado',
+          detalhes: detalhesDebug,
+          debug: {
+            valorProcurado: pagRelatorio.valor,
+            valorOriginal: pagRelatorio.valorOriginal,
+            valoresProximos: valoresProximos.slice(0, 5)
+          }
+        })
+      } else {
+        // Tem candidatos mas nenhum deu match (provavelmente já foram usados por outros do relatório)
+        let candidatosAnalisados = candidatos.map(pagExtrato => {
+          const chaveExtrato = chavePagamento(pagExtrato)
+          const jaFoiUsado = extratoUsados.has(chaveExtrato)
+          const similaridade = calcularSimilaridade(pagExtrato.descricao, pagRelatorio.descricao, configuracao.pesosSimilaridade)
+          const diasDiferenca = calcularDiasDiferenca(pagRelatorio.data, pagExtrato.data)
+          const dataMatch = pontuarProximidadeData(diasDiferenca, configuracao) > 0
+          
+          return {
+            pagamento: pagExtrato,
+            jaFoiUsado,
+            palavrasComuns: similaridade.palavrasComuns.length,
+            similaridadeDescricao: similaridade.score,
+            explicacaoDescricao: similaridade.explicacao,
+            dataMatch,
+            diasDiferenca
+          }
+        })
+        
+        console.log(`[CONCILIA DEBUG] Não encontrado no EXTRATO (valor existe mas sem match): Linha ${pagRelatorio.linhaOriginal}`)
+        console.log(`[CONCILIA DEBUG]   → Valor: R$ ${pagRelatorio.valor.toFixed(2)}`)
+        console.log(`[CONCILIA DEBUG]   → Data: ${pagRelatorio.dataOriginal || 'N/A'} (${pagRelatorio.data ? pagRelatorio.data.toLocaleDateString('pt-BR') : 'inválida'})`)
+        console.log(`[CONCILIA DEBUG]   → Descrição Relatório: "${pagRelatorio.descricao}"`)
+        console.log(`[CONCILIA DEBUG]   → Candidatos encontrados: ${candidatosAnalisados.length}`)
+        candidatosAnalisados.forEach((cand, idx) => {
+          const dataStr = cand.pagamento.dataOriginal || (cand.pagamento.data ? cand.pagamento.data.toLocaleDateString('pt-BR') : 'N/A')
+          console.log(`[CONCILIA DEBUG]     ${idx + 1}. Linha ${cand.pagamento.linhaOriginal} | Data: ${dataStr} | Data match: ${cand.dataMatch ? 'SIM' : 'NÃO'} (${cand.diasDiferenca ?? 'N/A'} dias úteis) | Já usado: ${cand.jaFoiUsado} | Descrição: ${cand.explicacaoDescricao} | "${cand.pagamento.descricao}"`)
+        })
+        
+        resultados.naoEncontradosNoExtrato.push({
+          ...pagRelatorio,
+          motivo: 'Pagamento presente no Relatório Planaltec mas AUSENTE no Extrato Bancário - Todos os candidatos com mesmo valor já foram usados',
+          detalhes: `Valor: R$ ${pagRelatorio.valor.toFixed(2)}, Descrição: ${pagRelatorio.descricao}`,
+          debug: {
+            valorProcurado: pagRelatorio.valor,
+            candidatosEncontrados: candidatosAnalisados.length,
+            candidatos: candidatosAnalisados.map(c => ({
+              linha: c.pagamento.linhaOriginal,
+              descricao: c.pagamento.descricao,
+              jaFoiUsado: c.jaFoiUsado,
+              palavrasComuns: c.palavrasComuns,
+              similaridadeDescricao: c.similaridadeDescricao,
+              explicacaoDescricao: c.explicacaoDescricao,
+              dataMatch: c.dataMatch,
+              diasDiferenca: c.diasDiferenca
+            }))
+          }
+        })
+      }
+    }
+  })
+  
+  // Cria índice do relatório por valor para buscar valores próximos
+  const indicesRelatorioPorValor = new Map() // centavos -> [pagamentos]
+  pagamentosRelatorio.forEach(pag => {
+    if (!indicesRelatorioPorValor.has(pag.centavos)) {
+      indicesRelatorioPorValor.set(pag.centavos, [])
+    }
+    indicesRelatorioPorValor.get(pag.centavos).push(pag)
+  })
+  
+  // Agora verifica pagamentos do extrato que NÃO foram encontrados
+  extratoCruzavel.forEach(pagExtrato => {
+    // Ignora se descrição for null, undefined ou vazia
+    const descricaoValida = pagExtrato.descricao && String(pagExtrato.descricao).trim().length > 0
+    if (!descricaoValida) {
+      // Registro sem descrição válida - ignora e não adiciona aos não encontrados
+      return
+    }
+    
+    const chaveExtrato = chavePagamento(pagExtrato)
+    
+    if (!extratoUsados.has(chaveExtrato)) {
+      // Busca valores próximos no relatório
+      const valoresProximos = []
+      const todosValoresRelatorio = Array.from(indicesRelatorioPorValor.keys()).sort((a, b) => a - b)
+      
+      // Busca valores próximos (dentro de 1% de diferença)
+      const tolerancia = pagExtrato.centavos * 0.01
+      todosValoresRelatorio.forEach(centavos => {
+        const diff = Math.abs(centavos - pagExtrato.centavos)
+        if (diff <= tolerancia && diff > 0) {
+          valoresProximos.push({
+            valor: centavosParaReais(centavos),
+            diferenca: centavosParaReais(diff),
+            diferencaPercentual: ((diff / pagExtrato.centavos) * 100).toFixed(2) + '%'
+          })
+        }
+      })
+      
+      const detalhesDebug = valoresProximos.length > 0
+        ? `Valor procurado: R$ ${pagExtrato.valor.toFixed(2)} | Valores próximos encontrados no relatório: ${valoresProximos.slice(0, 3).map(v => `R$ ${v.valor.toFixed(2)} (dif: ${v.diferencaPercentual})`).join(', ')}`
+        : `Valor: R$ ${pagExtrato.valor.toFixed(2)}, Descrição: ${pagExtrato.descricao}`
+      
+      console.log(`[CONCILIA DEBUG] Não encontrado no RELATÓRIO: Linha ${pagExtrato.linhaOriginal} | Valor: R$ ${pagExtrato.valor.toFixed(2)} | Descrição: "${pagExtrato.descricao}"`)
+      if (valoresProximos.length > 0) {
+        console.log(`[CONCILIA DEBUG]   → Valores próximos no relatório: ${valoresProximos.slice(0, 3).map(v => `R$ ${v.valor.toFixed(2)}`).join(', ')}`)
+      }
+      
+      resultados.naoEncontradosNoRelatorio.push({
+        ...pagExtrato,
+        motivo: 'Pagamento presente no Extrato Bancário mas AUSENTE no Relatório Planaltec',
+        detalhes: detalhesDebug,
+        debug: {
+          valorProcurado: pagExtrato.valor,
+          valorOriginal: pagExtrato.valorOriginal,
+          valoresProximos: valoresProximos.slice(0, 5)
+        }
+      })
+    }
+  })
+  
+  console.log(`[CONCILIA] Resultados do cruzamento:`)
+  console.log(`[CONCILIA] - Encontrados (bateram): ${resultados.encontrados.length}`)
+  console.log(`[CONCILIA] - Para revisar (baixa confiança): ${resultados.revisar.length}`)
+  console.log(`[CONCILIA] - Lotes por soma: ${resultados.lotes.length}`)
+  console.log(`[CONCILIA] - Divergência de valor: ${resultados.divergenciaValor.length}`)
+  console.log(`[CONCILIA] - Estornos (débito + crédito no extrato): ${resultados.estornos.length}`)
+  console.log(`[CONCILIA] - NÃO encontrados no EXTRATO (está no relatório, falta no extrato): ${resultados.naoEncontradosNoExtrato.length}`)
+  console.log(`[CONCILIA] - NÃO encontrados no RELATÓRIO (está no extrato, falta no relatório): ${resultados.naoEncontradosNoRelatorio.length}`)
+  
+  return resultados
+}
+
+
+/**
+ * Formata a data de um pagamento para exibição (dd/mm/aaaa)
+ * Se a data não for válida, devolve o texto original da planilha
+ */
+function formatarDataPagamento(pag) {
+  let dataFormatada = ''
+  if (pag.data) {
+    const dataObj = pag.data instanceof Date ? pag.data : new Date(pag.data)
+    if (!isNaN(dataObj.getTime())) {
+      const dia = String(dataObj.getDate()).padStart(2, '0')
+      const mes = String(dataObj.getMonth() + 1).padStart(2, '0')
+      const ano = dataObj.getFullYear()
+      dataFormatada = `${dia}/${mes}/${ano}`
+    }
+  }
+  if (!dataFormatada && pag.dataOriginal) {
+    dataFormatada = String(pag.dataOriginal)
+  }
+  
+  return dataFormatada
+}
+
+/**
+ * Cria uma aba formatada na planilha da conciliação
+ * Cabeçalho azul com filtro e congelado, linhas zebradas com bordas, tudo centralizado
+ * Células de referência (ver celulaDeReferencia) viram hyperlink, com os valores originais na nota
+ * @param {Object} workbook - Workbook do ExcelJS
+ * @param {Array<Object>} dados - Uma linha por item (chave = coluna)
+ * @param {string} nomeAba - Nome da aba
+ * @param {string} tipoPlanilha - Texto exibido abaixo de "Linha" no cabeçalho (planilha de origem da linha)
+ * @param {Array<string>} colunas - Colunas da aba (padrão: chaves da primeira linha; informe para abas que podem ficar vazias)
+ */
+function adicionarAbaFormatada(workbook, dados, nomeAba, tipoPlanilha, colunas = Object.keys(dados[0] || {})) {
+  const worksheet = workbook.addWorksheet(nomeAba)
+  
+  colunas.forEach((col, index) => {
+    let largura = 15
+    
+    // Larguras específicas por coluna
+    if (col === 'Linha') largura = 10
+    if (col === 'Valor') largura = 20
+    if (col === 'Valor Normalizado') largura = 18
+    if (col === 'Descrição') largura = 60
+    if (col === 'Motivo') largura = 70
+    if (col === 'Detalhes') largura = 70
+    if (col === 'Data') largura = 15
+    if (col === 'Grupo' || col === 'Lote') largura = 8
+    if (col === 'Origem') largura = 20
+    if (col === 'Confiança') largura = 12
+    if (col === 'Explicação') largura = 70
+    if (col === 'DCTO') largura = 10 // 7 dígitos numéricos
+    if (col === 'Seção') largura = 35
+    if (col === 'Indicador') largura = 40
+    if (col === 'Resultado') largura = 45
+    if (col === 'Método') largura = 25
+    if (col === 'Favorecido') largura = 45
+    if (col === 'Arquivo' || col.startsWith('Arquivo ')) largura = 30
+    if (col === 'Célula' || col.startsWith('Célula ')) largura = 18
+    if (col.startsWith('Linha ')) largura = 12
+    if (col.startsWith('Valor ') || col.startsWith('Diferença')) largura = 18
+    if (col.startsWith('Descrição ')) largura = 45
+    if (col.startsWith('Data ')) largura = 15
+    
+    worksheet.getColumn(index + 1).width = largura
+    worksheet.getColumn(index + 1).alignment = { horizontal: 'center', vertical: 'middle', wrapText: true }
+  })
+  
+  // Cabeçalho: a coluna "Linha" ganha, abaixo, o tipo de planilha de onde a linha veio
+  const indiceLinha = colunas.indexOf('Linha')
+  const headerValues = colunas.map((col, index) => {
+    if (index === indiceLinha) {
+      return `Linha\n${tipoPlanilha}`
+    }
+    return col
+  })
+  
+  const headerRow = worksheet.addRow(headerValues)
+  
+  // Formata cabeçalho
+  headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' }, size: 11 }
+  headerRow.fill = {
+    type: 'pattern',
+    pattern: 'solid',
+    fgColor: { argb: 'FF366092' } // Azul escuro
+  }
+  headerRow.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true }
+  headerRow.height = 35 // Altura maior para acomodar duas linhas de texto
+  
+  // Adiciona bordas no cabeçalho e garante wrapText
+  headerRow.eachCell((cell) => {
+    cell.border = {
+      top: { style: 'thin', color: { argb: 'FF000000' } },
+      bottom: { style: 'thin', color: { argb: 'FF000000' } },
+      left: { style: 'thin', color: { argb: 'FF000000' } },
+      right: { style: 'thin', color: { argb: 'FF000000' } }
+    }
+    // Garante wrapText para que a quebra de linha funcione
+    cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true }
+  })
+  
+  // Adiciona dados com zebra (cores alternadas)
+  dados.forEach((linha, index) => {
+    // Células de referência (ver celulaDeReferencia) viram hyperlink quando há link
+    // Zero é um resultado (ex: 0 divergências): só vazio/nulo vira célula em branco
+    const row = worksheet.addRow(colunas.map(col => {
+      const valor = linha[col]
+      if (valor && typeof valor === 'object' && 'texto' in valor) {
+        return valor.link ? { text: valor.texto, hyperlink: valor.link } : valor.texto
+      }
+      return valor ?? ''
+    }))
+    
+    // Zebra: linhas pares = cinza claro, linhas ímpares = branco
+    const corFundo = (index + 1) % 2 === 0 ? 'FFF2F2F2' : 'FFFFFFFF'
+    
+    row.fill = {
+      type: 'pattern',
+      pattern: 'solid',
+      fgColor: { argb: corFundo }
+    }
+    
+    row.height = 35
+    row.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true }
+    
+    // Adiciona bordas em todas as células e centraliza
+    row.eachCell((cell) => {
+      cell.border = {
+        top: { style: 'thin', color: { argb: 'FFCCCCCC' } },
+        bottom: { style: 'thin', color: { argb: 'FFCCCCCC' } },
+        left: { style: 'thin', color: { argb: 'FFCCCCCC' } },
+        right: { style: 'thin', color: { argb: 'FFCCCCCC' } }
+      }
+      // Centraliza todas as células
+      cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true }
+    })
+    
+    // Nota com os valores originais e estilo de link nas células de referência
+    colunas.forEach((col, indiceColuna) => {
+      const valor = linha[col]
+      if (!valor || typeof valor !== 'object' || !('texto' in valor)) {
+        return
+      }
+      const cell = row.getCell(indiceColuna + 1)
+      if (valor.nota) {
+        cell.note = valor.nota
+      }
+      if (valor.link) {
+        cell.font = { color: { argb: 'FF0563C1' }, underline: true }
+      }
+    })
+  })
+  
+  // Congela primeira linha (cabeçalho)
+  worksheet.views = [{ state: 'frozen', ySplit: 1 }]
+  
+  // Filtro no cabeçalho: permite ordenar/filtrar (ex: por Confiança) direto no Excel
+  if (colunas.length > 0) {
+    worksheet.autoFilter = { from: { row: 1, column: 1 }, to: { row: 1, column: colunas.length } }
+  }
+  
+  return worksheet
+}
+
+/**
+ * Valor em reais para as abas da planilha ("R$ 123.45")
+ */
+function formatarReaisPlanilha(centavos) {
+  return `R$ ${centavosParaReais(centavos).toFixed(2)}`
+}
+
+// Rótulos dos campos do resumo na aba "Resumo" (campos sem rótulo aparecem com o nome interno)
+const ROTULOS_RESUMO = {
+  totalExtrato: 'Pagamentos no extrato',
+  totalRelatorio: 'Pagamentos no relatório',
+  totalEncontrados: 'Conciliados 1:1',
+  perfilExtrato: 'Perfil do extrato',
+  arquivos: 'Arquivos',
+  extrato: 'Extrato',
+  relatorio: 'Relatório',
+  saldoExtrato: 'Saldo informado pelo banco',
+  retornoBanco: 'Retorno do banco (CNAB)',
+  lotes: 'Lotes por soma',
+  revisar: 'Revisar',
+  confianca: 'Confiança dos pares',
+  naoEncontradosNoExtrato: 'Faltam no extrato',
+  naoEncontradosNoRelatorio: 'Faltam no relatório',
+  divergenciaValor: 'Divergência de valor',
+  avisosLeitura: 'Avisos de leitura',
+  estornos: 'Estornos',
+  possiveisDuplicidades: 'Possíveis duplicidades',
+  ignoradosPorNatureza: 'Ignorados por natureza',
+  valorTotalConciliado: 'Valor total conciliado',
+  valorTotalFaltanteNoExtrato: 'Valor total faltante no extrato',
+  valorTotalFaltanteNoRelatorio: 'Valor total faltante no relatório',
+  taxaConciliacao: 'Taxa de conciliação',
+  verificacaoSaldo: 'Verificação de saldo',
+  status: 'Situação geral',
+  id: 'Identificador',
+  nome: 'Nome',
+  detectadoAutomaticamente: 'Detectado automaticamente',
+  linhaCabecalho: 'Linha do cabeçalho',
+  arquivo: 'Arquivo',
+  planilha: 'Aba',
+  sha256: 'SHA-256',
+  periodo: 'Período',
+  inicio: 'Início',
+  fim: 'Fim',
+  leituraComo: 'Lido como',
+  datas: 'Ordem das datas',
+  pagamentos: 'Pagamentos',
+  valor: 'Valor',
+  centavos: 'Centavos',
+  data: 'Data',
+  conta: 'Conta',
+  fonte: 'Fonte',
+  formato: 'Formato',
+  banco: 'Banco',
+  liquidados: 'Liquidados',
+  agendados: 'Agendados',
+  rejeitados: 'Rejeitados',
+  valorAgendado: 'Valor agendado',
+  valorRejeitado: 'Valor rejeitado',
+  outrasOcorrencias: 'Outras ocorrências (cobrança)',
+  ligadosAoRelatorio: 'Ligados ao relatório',
+  quantidade: 'Quantidade',
+  linhasRelatorio: 'Linhas do relatório',
+  linhasExtrato: 'Linhas do extrato',
+  valorTotal: 'Valor total',
+  confiancaMinima: 'Confiança mínima',
+  media: 'Média',
+  alta: 'Alta (85 ou mais)',
+  moderada: 'Moderada',
+  baixa: 'Baixa (abaixo da mínima)',
+  valorTotalRelatorio: 'Valor total no relatório',
+  valorTotalExtrato: 'Valor total no extrato',
+  diferencaTotal: 'Diferença total',
+  linhasDescartadas: 'Linhas descartadas',
+  linhasDescartadasExtrato: 'Linhas descartadas do extrato',
+  linhasDescartadasRelatorio: 'Linhas descartadas do relatório',
+  valoresIlegiveis: 'Valores ilegíveis',
+  datasNaoReconhecidas: 'Datas não reconhecidas',
+  gruposRelatorio: 'Grupos no relatório',
+  gruposExtrato: 'Grupos no extrato',
+  valorEmDuplicidadeRelatorio: 'Valor a mais no relatório',
+  valorEmDuplicidadeExtrato: 'Valor a mais no extrato',
+  situacao: 'Situação',
+  lacunas: 'Lacunas',
+  fontes: 'Fontes',
+  saldoInicial: 'Saldo inicial',
+  linhaSaldoInicial: 'Linha do saldo inicial',
+  saldoFinal: 'Saldo final',
+  linhaSaldoFinal: 'Linha do saldo final',
+  totalMovimentos: 'Total dos lançamentos',
+  saldoFinalCalculado: 'Saldo final calculado',
+  diferencaFechamento: 'Diferença no fechamento',
+  saldoInicialImplicito: 'Saldo inicial implícito',
+  saldosConferidos: 'Saldos conferidos',
+  linha: 'Linha',
+  celula: 'Célula',
+  tipo: 'Tipo',
+  linhaSaldoAnterior: 'Linha do saldo anterior',
+  saldoAnterior: 'Saldo anterior',
+  movimentos: 'Lançamentos desde o saldo anterior',
+  saldoEsperado: 'Saldo esperado',
+  saldoInformado: 'Saldo informado',
+  diferenca: 'Diferença',
+  ajustesManuais: 'Ajustes manuais',
+  paresDesfeitos: 'Pares automáticos desfeitos',
+  paresAceitos: 'Pares a revisar ou com divergência aceitos',
+  paresManuais: 'Pares manuais',
+  ignorados: 'Ignorados',
+  valorIgnorado: 'Valor ignorado'
+}
+
+// Campos do resumo em reais (os demais números são quantidades, linhas ou centavos)
+const CAMPO_MONETARIO_RESUMO = /^(valor|saldo|diferenca)([A-Z]|$)|^(totalMovimentos|movimentos)$/
+
+// Parâmetros da execução exibidos na aba "Resumo"
+const CONFIGURACAO_NO_RESUMO = {
+  janelaDiasUteis: 'Janela de datas (dias úteis)',
+  estrategiaAtribuicao: 'Estratégia de atribuição',
+  naturezaCruzamento: 'Natureza cruzada',
+  confiancaMinima: 'Confiança mínima para conciliar',
+  identificadoresAtivos: 'Cruzamento por identificadores',
+  loteSomaAtivo: 'Cruzamento por soma (lote)',
+  loteSimilaridadeMinima: 'Similaridade mínima no lote',
+  divergenciaValorAtiva: 'Divergência de valor',
+  divergenciaToleranciaPercentual: 'Tolerância da divergência (%)',
+  divergenciaToleranciaCentavos: 'Tolerância da divergência (centavos)',
+  detectarEstornos: 'Detecção de estornos',
+  detectarDuplicidades: 'Detecção de duplicidades'
+}
+
+/**
+ * Valor de um campo do resumo como aparece na aba "Resumo"
+ */
+function formatarValorResumo(campo, valor) {
+  if (valor === null || valor === undefined) {
+    return ''
+  }
+  if (typeof valor === 'boolean') {
+    return valor ? 'Sim' : 'Não'
+  }
+  if (valor instanceof Date) {
+    return formatarDataCurta(valor)
+  }
+  if (typeof valor === 'number' && CAMPO_MONETARIO_RESUMO.test(campo)) {
+    return `R$ ${valor.toFixed(2)}`
+  }
+  return valor
+}
+
+/**
+ * Transforma o resumo (objetos aninhados) nas linhas da aba "Resumo": uma linha por número
+ * Percorre o objeto inteiro, para que todo campo novo do resumo apareça sem mudar a planilha
+ * A `descricao` de cada grupo vai para a coluna Detalhes da primeira linha do grupo
+ * @param {Object} objeto - Resumo (ou parte dele)
+ * @param {string} secao - Seção das linhas ("Lotes por soma", "Arquivos › Extrato (1)")
+ * @param {Array} linhas - Linhas acumuladas (é atualizado)
+ * @returns {Array<{Seção: string, Indicador: string, Resultado: *, Detalhes: string}>}
+ */
+function linhasDoResumo(objeto, secao, linhas = []) {
+  const primeiraDoGrupo = linhas.length
+  
+  Object.entries(objeto).forEach(([campo, valor]) => {
+    if (campo === 'descricao') {
+      return
+    }
+    const rotulo = ROTULOS_RESUMO[campo] || campo
+    
+    if (Array.isArray(valor)) {
+      // Lista de objetos (arquivos, fontes do saldo, lacunas): um grupo por item
+      if (valor.length > 0 && typeof valor[0] === 'object') {
+        valor.forEach((item, indice) => linhasDoResumo(item, `${secao} › ${rotulo} (${indice + 1})`, linhas))
+      } else {
+        linhas.push({ 'Seção': secao, 'Indicador': rotulo, 'Resultado': valor.length > 0 ? valor.join(', ') : 0, 'Detalhes': '' })
+      }
+      return
+    }
+    if (valor && typeof valor === 'object' && !(valor instanceof Date)) {
+      linhasDoResumo(valor, secao === 'Conciliação' ? rotulo : `${secao} › ${rotulo}`, linhas)
+      return
+    }
+    
+    linhas.push({ 'Seção': secao, 'Indicador': rotulo, 'Resultado': formatarValorResumo(campo, valor), 'Detalhes': '' })
+  })
+  
+  if (objeto.descricao && linhas.length > primeiraDoGrupo) {
+    linhas[primeiraDoGrupo]['Detalhes'] = objeto.descricao
+  }
+  
+  return linhas
+}
+
+// Método de cada par conciliado, como aparece na aba "Conciliados"
+const DESCRICOES_METODO = {
+  identificador: 'Identificador em comum',
+  valor_data_descricao: 'Valor + data + descrição',
+  valor_data: 'Valor + data',
+  valor_descricao: 'Valor + descrição',
+  valor_apenas: 'Somente valor',
+  lote_soma: 'Lote por soma',
+  manual: 'Manual (analista)'
+}
+
+/**
+ * Linha da aba "Conciliados": relatório e extrato lado a lado
+ */
+function linhaConciliada(pagRelatorio, pagExtrato, par) {
+  return {
+    'Lote': par.lote ?? '',
+    'Método': DESCRICOES_METODO[par.metodo] || par.metodo,
+    'Confiança': par.confianca ?? '',
+    'Score': par.score ?? '',
+    'Arquivo Relatório': descreverOrigem(pagRelatorio),
+    'Linha Relatório': pagRelatorio.linhaOriginal,
+    'Célula Relatório': celulaDeReferencia(pagRelatorio),
+    'Data Relatório': formatarDataPagamento(pagRelatorio),
+    'Descrição Relatório': pagRelatorio.descricao || '',
+    'Valor Relatório': formatarReaisPlanilha(pagRelatorio.centavos),
+    'Arquivo Extrato': descreverOrigem(pagExtrato),
+    'Linha Extrato': pagExtrato.linhaOriginal,
+    'Célula Extrato': celulaDeReferencia(pagExtrato),
+    'Data Extrato': formatarDataPagamento(pagExtrato),
+    'Descrição Extrato': pagExtrato.descricao || '',
+    'Valor Extrato': formatarReaisPlanilha(pagExtrato.centavos),
+    'Dias de Diferença': calcularDiasDiferenca(pagRelatorio.data, pagExtrato.data) ?? '',
+    'Explicação': par.explicacao
+  }
+}
+
+/**
+ * Situação de cada pagamento cruzado, para os subtotais
+ * Estornos e lançamentos fora da natureza cruzada não entram: não participaram do cruzamento
+ * Ignorados manualmente entram nos totais de cada lado, mas em nenhuma situação
+ * @param {Object} detalhes - Detalhes da conciliação
+ * @returns {Array<{pag: Object, lado: 'relatorio'|'extrato', situacao: 'conciliado'|'revisar'|'divergencia'|'faltante'|'ignorado'}>}
+ */
+function classificarPagamentosCruzados(detalhes) {
+  const itens = []
+  const registrar = (pagamentos, lado, situacao) => {
+    pagamentos.forEach(pag => itens.push({ pag, lado, situacao }))
+  }
+  
+  const registrarPares = (pares, situacao) => {
+    pares.forEach(par => {
+      registrar([par.relatorio], 'relatorio', situacao)
+      registrar([par.extrato], 'extrato', situacao)
+    })
+  }
+  
+  registrarPares(detalhes.encontrados, 'conciliado')
+  registrarPares(detalhes.revisar, 'revisar')
+  registrarPares(detalhes.divergenciaValor, 'divergencia')
+  detalhes.lotes.forEach(lote => {
+    registrar(lote.relatorio, 'relatorio', 'conciliado')
+    registrar(lote.extrato, 'extrato', 'conciliado')
+  })
+  registrar(detalhes.naoEncontradosNoExtrato, 'relatorio', 'faltante')
+  registrar(detalhes.naoEncontradosNoRelatorio, 'extrato', 'faltante')
+  const ignoradosManualmente = detalhes.ignoradosManualmente || []
+  ignoradosManualmente.forEach(pag => registrar([pag], pag.lado, 'ignorado'))
+  
+  return itens
+}
+
+/**
+ * Agrupa os pagamentos classificados para os subtotais
+ * @param {Array} itens - Ver classificarPagamentosCruzados
+ * @param {Function} obterGrupo - pag -> { chave, rotulo, ordem }
+ * @returns {Array<Object>} Grupos ordenados por `ordem`, com os pagamentos de cada lado e situação
+ *   (situações contadas pelo lado do relatório, exceto faltamNoRelatorio)
+ */
+function agruparSubtotais(itens, obterGrupo) {
+  const grupos = new Map()
+  
+  itens.forEach(item => {
+    const grupo = obterGrupo(item.pag)
+    if (!grupos.has(grupo.chave)) {
+      grupos.set(grupo.chave, { rotulo: grupo.rotulo, ordem: grupo.ordem, itens: [] })
+    }
+    grupos.get(grupo.chave).itens.push(item)
+  })
+  
+  return [...grupos.values()]
+    .sort((a, b) => (a.ordem < b.ordem ? -1 : a.ordem > b.ordem ? 1 : 0))
+    .map(grupo => {
+      const filtrar = (lado, situacao) => grupo.itens
+        .filter(item => item.lado === lado && (!situacao || item.situacao === situacao))
+        .map(item => item.pag)
+      
+      return {
+        rotulo: grupo.rotulo,
+        relatorio: filtrar('relatorio'),
+        extrato: filtrar('extrato'),
+        conciliados: filtrar('relatorio', 'conciliado'),
+        revisar: filtrar('relatorio', 'revisar'),
+        divergencia: filtrar('relatorio', 'divergencia'),
+        faltamNoExtrato: filtrar('relatorio', 'faltante'),
+        faltamNoRelatorio: filtrar('extrato', 'faltante')
+      }
+    })
+}
+
+/**
+ * Soma os valores de uma lista de pagamentos (em centavos)
+ */
+function somarPagamentos(pagamentos) {
+  return somarCentavos(pagamentos, pag => pag.centavos)
+}
+
+/**
+ * Gera a planilha Excel completa da conciliação (sempre, mesmo sem divergências)
+ * Usa ExcelJS para formatação completa (cores zebra, larguras, bordas, filtros)
+ *
+ * Abas:
+ * 1. Resumo: todos os números do resumo e os parâmetros da execução
+ * 2. Conciliados: relatório e extrato lado a lado, com método, confiança e score
+ * 3. Faltam no Extrato / 4. Faltam no Relatório: sempre presentes (vazias = nada faltando)
+ * 5 a 11. Divergência de Valor, Estornos, Possíveis Duplicidades, Revisar, Retorno do Banco,
+ *    Linhas Ignoradas e Ignorados Manualmente: só quando há itens
+ * 12. Subtotais por Dia / 13. Subtotais por Favorecido
+ *
+ * @param {Object} relatorio - Resultado da conciliação ({ dataConciliação, resumo, detalhes })
+ * @param {Object} configuracao - Configuração usada na conciliação (ver montarConfiguracao)
+ * @returns {Promise<Buffer>} Buffer da planilha Excel gerada
+ */
+async function gerarPlanilhaConciliacao(relatorio, configuracao = CONFIGURACAO_PADRAO) {
+  console.log('[CONCILIA] Gerando planilha da conciliação formatada com ExcelJS...')
+  
+  const workbook = new ExcelJS.Workbook()
+  const { resumo, detalhes } = relatorio
+  
+  // Aba 1: Resumo - execução (data e parâmetros) + todos os números do resumo
+  const dataConciliacao = new Date(relatorio.dataConciliação)
+  const linhasExecucao = [
+    {
+      'Seção': 'Execução',
+      'Indicador': 'Data da conciliação',
+      'Resultado': `${formatarDataCurta(dataConciliacao)} ${dataConciliacao.toTimeString().slice(0, 5)}`,
+      'Detalhes': ''
+    },
+    ...Object.entries(CONFIGURACAO_NO_RESUMO).map(([campo, rotulo]) => ({
+      'Seção': 'Execução',
+      'Indicador': rotulo,
+      'Resultado': formatarValorResumo(campo, configuracao[campo]),
+      'Detalhes': ''
+    }))
+  ]
+  const dadosResumo = linhasDoResumo(resumo, 'Conciliação', linhasExecucao)
+  
+  adicionarAbaFormatada(workbook, dadosResumo, 'Resumo', '')
+  console.log(`[CONCILIA] Aba "Resumo": ${dadosResumo.length} indicadores formatados`)
+  
+  // Aba 2: Conciliados (pares 1:1 aceitos e lotes por soma, uma linha por par de linhas)
+  const dadosConciliados = [...detalhes.encontrados]
+    .sort((a, b) => compararOrigem(a.relatorio, b.relatorio))
+    .map(par => linhaConciliada(par.relatorio, par.extrato, {
+      metodo: par.metodo,
+      confianca: par.confianca,
+      score: par.score,
+      explicacao: par.explicacao.join(' | ')
+    }))
+  detalhes.lotes.forEach((lote, indiceLote) => {
+    const muitosParaUm = lote.direcao === 'muitos_para_um'
+    // Lote manual traz a observação do analista junto
+    const explicacao = [
+      muitosParaUm
+        ? `Soma de ${lote.relatorio.length} linha(s) do relatório = ${formatarReaisPlanilha(lote.centavosTotal)} em uma linha do extrato`
+        : `${formatarReaisPlanilha(lote.centavosTotal)} do relatório pagos em ${lote.extrato.length} linha(s) do extrato`,
+      ...(lote.explicacao || [])
+    ].join(' | ')
+    const itens = muitosParaUm ? lote.relatorio : lote.extrato
+    itens.forEach(item => {
+      const pagRelatorio = muitosParaUm ? item : lote.relatorio[0]
+      const pagExtrato = muitosParaUm ? lote.extrato[0] : item
+      dadosConciliados.push(linhaConciliada(pagRelatorio, pagExtrato, {
+        lote: indiceLote + 1,
+        metodo: lote.metodo,
+        explicacao
+      }))
+    })
+  })
+  
+  adicionarAbaFormatada(workbook, dadosConciliados, 'Conciliados', '', [
+    'Lote', 'Método', 'Confiança', 'Score',
+    'Arquivo Relatório', 'Linha Relatório', 'Célula Relatório', 'Data Relatório', 'Descrição Relatório', 'Valor Relatório',
+    'Arquivo Extrato', 'Linha Extrato', 'Célula Extrato', 'Data Extrato', 'Descrição Extrato', 'Valor Extrato',
+    'Dias de Diferença', 'Explicação'
+  ])
+  console.log(`[CONCILIA] Aba "Conciliados": ${detalhes.encontrados.length} pares e ${detalhes.lotes.length} lotes formatados`)
+  
+  // Aba 3: Pagamentos não encontrados no Extrato (estão no Relatório, faltam no Extrato)
+  const colunasFaltantes = ['Arquivo', 'Linha', 'Célula', 'Valor', 'Valor Normalizado', 'Descrição', 'Motivo', 'Detalhes', 'Data']
+  const dadosExtrato = detalhes.naoEncontradosNoExtrato.map((pag, index) => {
+    const dataFormatada = formatarDataPagamento(pag)
+    
+    return {
+      'Arquivo': descreverOrigem(pag),
+      'Linha': pag.linhaOriginal || index + 1,
+      'Célula': celulaDeReferencia(pag),
+      'Valor': pag.valorOriginal || pag.valor,
+      'Valor Normalizado': `R$ ${pag.valor?.toFixed(2) || '0.00'}`,
+      'Descrição': pag.descricao || '',
+      'Motivo': pag.motivo || 'Pagamento presente no Relatório Planaltec mas AUSENTE no Extrato Bancário',
+      'Detalhes': pag.detalhes || '',
+      'Data': dataFormatada
+    }
+  })
+  
+  adicionarAbaFormatada(workbook, dadosExtrato, 'Faltam no Extrato', 'Relatorio', colunasFaltantes)
+  console.log(`[CONCILIA] Aba "Faltam no Extrato": ${dadosExtrato.length} registros formatados`)
+  
+  // Aba 4: Pagamentos não encontrados no Relatório (estão no Extrato, faltam no Relatório)
+  const dadosRelatorio = detalhes.naoEncontradosNoRelatorio.map((pag, index) => {
+    const dataFormatada = formatarDataPagamento(pag)
+    
+    return {
+      'Arquivo': descreverOrigem(pag),
+      'Linha': pag.linhaOriginal || index + 1,
+      'Célula': celulaDeReferencia(pag),
+      'Valor': pag.valorOriginal || pag.valor,
+      'Valor Normalizado': `R$ ${pag.valor?.toFixed(2) || '0.00'}`,
+      'Descrição': pag.descricao || '',
+      'Motivo': pag.motivo || 'Pagamento presente no Extrato Bancário mas AUSENTE no Relatório Planaltec',
+      'Detalhes': pag.detalhes || '',
+      'Data': dataFormatada,
+      'DCTO': pag.dcto || '' // Sequência numérica de 7 dígitos da coluna C do extrato
+    }
+  })
+  
+  adicionarAbaFormatada(workbook, dadosRelatorio, 'Faltam no Relatório', 'Extrato', [...colunasFaltantes, 'DCTO'])
+  console.log(`[CONCILIA] Aba "Faltam no Relatório": ${dadosRelatorio.length} registros formatados`)
+  
+  // Aba 5: Pares com divergência de valor (estão nos dois lados, mas o valor não bate)
+  if (detalhes.divergenciaValor.length > 0) {
+    const dadosDivergencia = detalhes.divergenciaValor.map(par => ({
+      'Arquivo Relatório': descreverOrigem(par.relatorio),
+      'Linha Relatório': par.relatorio.linhaOriginal,
+      'Célula Relatório': celulaDeReferencia(par.relatorio),
+      'Arquivo Extrato': descreverOrigem(par.extrato),
+      'Linha Extrato': par.extrato.linhaOriginal,
+      'Célula Extrato': celulaDeReferencia(par.extrato),
+      'Valor Relatório': `R$ ${par.relatorio.valor.toFixed(2)}`,
+      'Valor Extrato': `R$ ${par.extrato.valor.toFixed(2)}`,
+      'Diferença (R$)': `R$ ${par.diferenca.toFixed(2)}`,
+      'Diferença (%)': par.diferencaPercentual,
+      'Data Relatório': formatarDataPagamento(par.relatorio),
+      'Data Extrato': formatarDataPagamento(par.extrato),
+      'Descrição Relatório': par.relatorio.descricao || '',
+      'Descrição Extrato': par.extrato.descricao || '',
+      'Detalhes': par.explicacaoDescricao || ''
+    }))
+    
+    adicionarAbaFormatada(workbook, dadosDivergencia, 'Divergência de Valor', '')
+    console.log(`[CONCILIA] Aba "Divergência de Valor": ${dadosDivergencia.length} registros formatados`)
+  }
+  
+  // Aba 6: Estornos (débito e crédito do próprio extrato que se anulam)
+  if (detalhes.estornos.length > 0) {
+    const dadosEstornos = detalhes.estornos.map(estorno => ({
+      'Arquivo Débito': descreverOrigem(estorno.debito),
+      'Linha Débito': estorno.debito.linhaOriginal,
+      'Célula Débito': celulaDeReferencia(estorno.debito),
+      'Arquivo Crédito': descreverOrigem(estorno.credito),
+      'Linha Crédito': estorno.credito.linhaOriginal,
+      'Célula Crédito': celulaDeReferencia(estorno.credito),
+      'Valor': `R$ ${estorno.valor.toFixed(2)}`,
+      'Data Débito': formatarDataPagamento(estorno.debito),
+      'Data Crédito': formatarDataPagamento(estorno.credito),
+      'Descrição Débito': estorno.debito.descricao || '',
+      'Descrição Crédito': estorno.credito.descricao || '',
+      'Detalhes': `Crédito ${estorno.diasDiferenca} dia(s) útil(eis) após o débito`
+    }))
+    
+    adicionarAbaFormatada(workbook, dadosEstornos, 'Estornos', '')
+    console.log(`[CONCILIA] Aba "Estornos": ${dadosEstornos.length} registros formatados`)
+  }
+  
+  // Aba 7: Possíveis duplicidades (um item por linha, agrupados)
+  if (detalhes.possiveisDuplicidades.length > 0) {
+    const dadosDuplicidades = []
+    detalhes.possiveisDuplicidades.forEach((grupo, indiceGrupo) => {
+      grupo.itens.forEach(pag => {
+        dadosDuplicidades.push({
+          'Grupo': indiceGrupo + 1,
+          'Origem': grupo.origem === 'relatorio' ? 'Relatório Planaltec' : 'Extrato Bancário',
+          'Arquivo': descreverOrigem(pag),
+          'Linha': pag.linhaOriginal,
+          'Célula': celulaDeReferencia(pag),
+          'Valor': `R$ ${pag.valor.toFixed(2)}`,
+          'Data': formatarDataPagamento(pag),
+          'Descrição': pag.descricao || '',
+          'Detalhes': `${grupo.motivo} (linhas ${grupo.linhas.join(', ')})`
+        })
+      })
+    })
+    
+    adicionarAbaFormatada(workbook, dadosDuplicidades, 'Possíveis Duplicidades', 'na origem')
+    console.log(`[CONCILIA] Aba "Possíveis Duplicidades": ${detalhes.possiveisDuplicidades.length} grupos formatados`)
+  }
+  
+  // Aba 8: Pares de baixa confiança (menor confiança primeiro)
+  if (detalhes.revisar.length > 0) {
+    const dadosRevisar = filtrarPorConfianca(detalhes.revisar).map(par => ({
+      'Confiança': par.confianca,
+      'Arquivo Relatório': descreverOrigem(par.relatorio),
+      'Linha Relatório': par.relatorio.linhaOriginal,
+      'Célula Relatório': celulaDeReferencia(par.relatorio),
+      'Arquivo Extrato': descreverOrigem(par.extrato),
+      'Linha Extrato': par.extrato.linhaOriginal,
+      'Célula Extrato': celulaDeReferencia(par.extrato),
+      'Valor': `R$ ${par.relatorio.valor.toFixed(2)}`,
+      'Data Relatório': formatarDataPagamento(par.relatorio),
+      'Data Extrato': formatarDataPagamento(par.extrato),
+      'Descrição Relatório': par.relatorio.descricao || '',
+      'Descrição Extrato': par.extrato.descricao || '',
+      'Explicação': par.explicacao.join(' | ')
+    }))
+    
+    adicionarAbaFormatada(workbook, dadosRevisar, 'Revisar', '')
+    console.log(`[CONCILIA] Aba "Revisar": ${dadosRevisar.length} pares de baixa confiança formatados`)
+  }
+  
+  // Aba 9: Retorno do banco (CNAB) - registros não liquidados (rejeitados, agendados, baixados...)
+  if (detalhes.retornoBanco.length > 0) {
+    const dadosRetorno = detalhes.retornoBanco.map(pag => ({
+      'Situação': SITUACOES_RETORNO_BANCO[pag.status],
+      'Arquivo Retorno': descreverOrigem(pag),
+      'Linha Retorno': pag.linhaOriginal,
+      'Arquivo Relatório': pag.origemRelatorio,
+      'Linha Relatório': pag.linhaRelatorio ?? '',
+      'Célula Relatório': pag.celulaRelatorio,
+      'Valor': `R$ ${pag.valor.toFixed(2)}`,
+      'Data': formatarDataPagamento(pag),
+      'Descrição': pag.descricao || '',
+      'Seu Número': pag.dcto || '',
+      'Motivo': pag.ocorrencias.map(o => `${o.codigo} - ${o.descricao}`).join('; ')
+    }))
+    
+    adicionarAbaFormatada(workbook, dadosRetorno, 'Retorno do Banco', '')
+    console.log(`[CONCILIA] Aba "Retorno do Banco": ${dadosRetorno.length} registros não liquidados formatados`)
+  }
+  
+  // Aba 10: Linhas ignoradas na leitura (valor ilegível) ou lidas sem data
+  if (detalhes.avisosLeitura.length > 0) {
+    const dadosAvisos = [...detalhes.avisosLeitura].sort(compararOrigem).map(aviso => ({
+      'Situação': aviso.descartada ? 'Descartada' : 'Mantida',
+      'Origem': aviso.origem === 'relatorio' ? 'Relatório Planaltec' : 'Extrato Bancário',
+      'Arquivo': descreverOrigem(aviso),
+      'Linha': aviso.linhaOriginal,
+      'Célula': celulaDeReferencia(aviso),
+      'Campo': aviso.campo === 'data' ? 'Data' : 'Valor',
+      'Valor Original': aviso.valorOriginal,
+      'Motivo': aviso.motivo
+    }))
+    
+    adicionarAbaFormatada(workbook, dadosAvisos, 'Linhas Ignoradas', 'na origem')
+    console.log(`[CONCILIA] Aba "Linhas Ignoradas": ${dadosAvisos.length} avisos de leitura formatados`)
+  }
+  
+  // Aba 11: Linhas tiradas das divergências pelo analista (ajuste manual), com o motivo
+  const ignoradosManualmente = detalhes.ignoradosManualmente || []
+  if (ignoradosManualmente.length > 0) {
+    const dadosIgnorados = [...ignoradosManualmente].sort(compararOrigem).map(pag => ({
+      'Origem': pag.lado === 'relatorio' ? 'Relatório Planaltec' : 'Extrato Bancário',
+      'Arquivo': descreverOrigem(pag),
+      'Linha': pag.linhaOriginal,
+      'Célula': celulaDeReferencia(pag),
+      'Data': formatarDataPagamento(pag),
+      'Descrição': pag.descricao || '',
+      'Valor': formatarReaisPlanilha(pag.centavos),
+      'Motivo': pag.motivo
+    }))
+    
+    adicionarAbaFormatada(workbook, dadosIgnorados, 'Ignorados Manualmente', 'na origem')
+    console.log(`[CONCILIA] Aba "Ignorados Manualmente": ${dadosIgnorados.length} linhas formatadas`)
+  }
+  
+  // Abas 12 e 13: subtotais (relatório pela data/favorecido do relatório, extrato pela data do extrato)
+  const pagamentosCruzados = classificarPagamentosCruzados(detalhes)
+  const colunasSituacao = subtotal => ({
+    'Conciliados': subtotal.conciliados.length,
+    'Valor Conciliado': formatarReaisPlanilha(somarPagamentos(subtotal.conciliados)),
+    'Revisar': subtotal.revisar.length,
+    'Divergência de Valor': subtotal.divergencia.length,
+    'Faltam no Extrato': subtotal.faltamNoExtrato.length,
+    'Valor Faltante no Extrato': formatarReaisPlanilha(somarPagamentos(subtotal.faltamNoExtrato))
+  })
+  
+  // Por dia: "Sem data" por último; a diferença é extrato - relatório (positiva = saiu mais do que o previsto)
+  const subtotaisDia = agruparSubtotais(pagamentosCruzados, pag => {
+    const data = normalizarData(pag.data)
+    return data
+      ? { chave: data.getTime(), rotulo: formatarDataCurta(data), ordem: data.getTime() }
+      : { chave: 'sem_data', rotulo: 'Sem data', ordem: Infinity }
+  })
+  const dadosDia = subtotaisDia.map(subtotal => {
+    const centavosRelatorio = somarPagamentos(subtotal.relatorio)
+    const centavosExtrato = somarPagamentos(subtotal.extrato)
+    return {
+      'Data': subtotal.rotulo,
+      'Pagamentos Relatório': subtotal.relatorio.length,
+      'Valor Relatório': formatarReaisPlanilha(centavosRelatorio),
+      'Lançamentos Extrato': subtotal.extrato.length,
+      'Valor Extrato': formatarReaisPlanilha(centavosExtrato),
+      'Diferença (R$)': formatarReaisPlanilha(centavosExtrato - centavosRelatorio),
+      ...colunasSituacao(subtotal),
+      'Faltam no Relatório': subtotal.faltamNoRelatorio.length,
+      'Valor Faltante no Relatório': formatarReaisPlanilha(somarPagamentos(subtotal.faltamNoRelatorio))
+    }
+  })
+  
+  adicionarAbaFormatada(workbook, dadosDia, 'Subtotais por Dia', '', [
+    'Data', 'Pagamentos Relatório', 'Valor Relatório', 'Lançamentos Extrato', 'Valor Extrato', 'Diferença (R$)',
+    'Conciliados', 'Valor Conciliado', 'Revisar', 'Divergência de Valor',
+    'Faltam no Extrato', 'Valor Faltante no Extrato', 'Faltam no Relatório', 'Valor Faltante no Relatório'
+  ])
+  console.log(`[CONCILIA] Aba "Subtotais por Dia": ${dadosDia.length} dias formatados`)
+  
+  // Por favorecido: descrição do relatório (o extrato traz o histórico do banco, não o favorecido)
+  // Mesmo favorecido com caixa/acentos/espaços diferentes fica no mesmo grupo
+  const subtotaisFavorecido = agruparSubtotais(pagamentosCruzados.filter(item => item.lado === 'relatorio'), pag => {
+    const favorecido = String(pag.descricao || '').trim().replace(/\s+/g, ' ')
+    const chave = removerAcentos(favorecido).toUpperCase()
+    // Sem favorecido vai para o fim da lista
+    return { chave, rotulo: favorecido || '(sem favorecido)', ordem: chave || '\uffff' }
+  })
+  const dadosFavorecido = subtotaisFavorecido.map(subtotal => ({
+    'Favorecido': subtotal.rotulo,
+    'Pagamentos': subtotal.relatorio.length,
+    'Valor Total': formatarReaisPlanilha(somarPagamentos(subtotal.relatorio)),
+    ...colunasSituacao(subtotal)
+  }))
+  
+  adicionarAbaFormatada(workbook, dadosFavorecido, 'Subtotais por Favorecido', '', [
+    'Favorecido', 'Pagamentos', 'Valor Total', 'Conciliados', 'Valor Conciliado', 'Revisar',
+    'Divergência de Valor', 'Faltam no Extrato', 'Valor Faltante no Extrato'
+  ])
+  console.log(`[CONCILIA] Aba "Subtotais por Favorecido": ${dadosFavorecido.length} favorecidos formatados`)
+  
+  // Converte para buffer
+  const buffer = await workbook.xlsx.writeBuffer()
+  console.log(`[CONCILIA] Planilha da conciliação formatada gerada com sucesso`)
+  
+  return Buffer.from(buffer)
+}
+
+// Situação de cada pagamento no CSV (ver classificarPagamentosCruzados)
+const SITUACOES_CSV = {
+  conciliado: 'Conciliado',
+  revisar: 'Revisar',
+  divergencia: 'Divergência de valor',
+  ignorado: 'Ignorado manualmente'
+}
+
+/**
+ * Gera o CSV da conciliação: uma linha por pagamento cruzado, dos dois lados, com a situação
+ * Para importar em outra ferramenta; a planilha Excel continua sendo o registro completo
+ * Valores com vírgula decimal e sem "R$", como o Excel brasileiro espera
+ * @param {Object} relatorio - Resultado da conciliação ({ detalhes })
+ * @returns {Buffer} CSV em UTF-8 com BOM, separado por ";"
+ */
+function gerarCsvConciliacao(relatorio) {
+  const linhas = classificarPagamentosCruzados(relatorio.detalhes).map(({ pag, lado, situacao }) => [
+    situacao === 'faltante'
+      ? (lado === 'relatorio' ? 'Falta no extrato' : 'Falta no relatório')
+      : SITUACOES_CSV[situacao],
+    lado === 'relatorio' ? 'Relatório' : 'Extrato',
+    descreverOrigem(pag),
+    pag.linhaOriginal,
+    referenciaCelula(pag) || `Linha ${pag.linhaOriginal}`,
+    formatarDataPagamento(pag),
+    pag.descricao || '',
+    centavosParaReais(pag.centavos).toFixed(2).replace('.', ','),
+    situacao === 'faltante' || situacao === 'ignorado' ? pag.motivo || '' : ''
+  ])
+  
+  console.log(`[CONCILIA] CSV da conciliação gerado: ${linhas.length} linhas`)
+  return escreverCsv([
+    ['Situação', 'Lado', 'Arquivo', 'Linha', 'Célula', 'Data', 'Descrição', 'Valor', 'Motivo'],
+    ...linhas
+  ])
+}
+
+// Relatório PDF: margens, cores (as mesmas da planilha) e logo
+const MARGEM_PDF = 40
+const LARGURA_UTIL_PDF = A4.largura - 2 * MARGEM_PDF
+const RODAPE_PDF = 30
+const COR_CABECALHO_PDF = '#366092'
+const COR_ZEBRA_PDF = '#F2F2F2'
+const COR_BORDA_PDF = '#BFBFBF'
+const CAMINHO_LOGO_PDF = path.join(process.cwd(), 'public', 'planaltec-logo.png')
+
+/**
+ * Valor em reais para o relatório PDF, no formato brasileiro ("R$ 1.234,56")
+ * O espaço depois de "R$" é não separável (existe no WinAnsi, ver pdf.js)
+ */
+function formatarReaisPdf(valor) {
+  return (valor ?? 0).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' })
+}
+
+/**
+ * Origem de um pagamento no relatório PDF: arquivo/aba e célula (ou linha) em duas linhas
+ */
+function origemPdf(pag) {
+  return `${descreverOrigem(pag)}\n${referenciaCelula(pag) || `Linha ${pag.linhaOriginal}`}`
+}
+
+/**
+ * Começa uma página do relatório PDF e posiciona o cursor no topo
+ * @param {Object} estado - { documento, pagina, y }
+ */
+function novaPaginaPdf(estado) {
+  estado.pagina = adicionarPagina(estado.documento)
+  estado.y = MARGEM_PDF
+}
+
+/**
+ * Quebra a página quando o próximo bloco não cabe antes do rodapé
+ * @returns {boolean} true se começou uma página nova
+ */
+function garantirEspacoPdf(estado, altura) {
+  if (estado.y + altura <= A4.altura - MARGEM_PDF - RODAPE_PDF) {
+    return false
+  }
+  novaPaginaPdf(estado)
+  return true
+}
+
+/**
+ * Escreve um parágrafo com quebra de linha automática na largura útil
+ */
+function escreverParagrafoPdf(estado, texto, opcoes = {}) {
+  const { tamanho = 9, negrito = false, cor = '#000000' } = opcoes
+  quebrarTexto(texto, LARGURA_UTIL_PDF, tamanho, negrito).forEach(linha => {
+    garantirEspacoPdf(estado, tamanho * 1.4)
+    estado.y += tamanho * 1.4
+    escreverTexto(estado.pagina, linha, MARGEM_PDF, estado.y - tamanho * 0.3, { tamanho, negrito, cor })
+  })
+}
+
+/**
+ * Título de seção (sempre na mesma página que o início do conteúdo)
+ */
+function escreverTituloSecaoPdf(estado, titulo) {
+  garantirEspacoPdf(estado, 60)
+  estado.y += 14
+  escreverTexto(estado.pagina, titulo, MARGEM_PDF, estado.y + 11, { tamanho: 12, negrito: true, cor: COR_CABECALHO_PDF })
+  estado.y += 16
+  desenharLinha(estado.pagina, MARGEM_PDF, estado.y, A4.largura - MARGEM_PDF, estado.y, { cor: COR_CABECALHO_PDF, espessura: 1 })
+  estado.y += 6
+}
+
+/**
+ * Desenha uma tabela com cabeçalho azul e linhas zebradas
+ * Textos longos quebram dentro da célula; na quebra de página o cabeçalho é repetido
+ * @param {Object} estado - { documento, pagina, y }
+ * @param {Array<{titulo: string, largura: number, alinhamento?: string}>} colunas - largura = fração da largura útil
+ * @param {Array<Array<string|number>>} linhas - Textos das células, na ordem das colunas
+ */
+function desenharTabelaPdf(estado, colunas, linhas) {
+  const tamanho = 7.5
+  const espacamento = 3
+  const alturaLinhaTexto = tamanho * 1.25
+  const larguras = colunas.map(coluna => coluna.largura * LARGURA_UTIL_PDF)
+  
+  const desenharLinhaTabela = (textos, opcoes) => {
+    const celulas = textos.map((texto, indice) =>
+      quebrarTexto(texto, larguras[indice] - 2 * espacamento, tamanho, opcoes.negrito))
+    const altura = Math.max(...celulas.map(linhasCelula => linhasCelula.length)) * alturaLinhaTexto + 2 * espacamento
+    
+    desenharRetangulo(estado.pagina, MARGEM_PDF, estado.y, LARGURA_UTIL_PDF, altura, {
+      preenchimento: opcoes.fundo,
+      borda: COR_BORDA_PDF
+    })
+    let x = MARGEM_PDF
+    celulas.forEach((linhasCelula, indice) => {
+      const alinhamento = colunas[indice].alinhamento || 'esquerda'
+      const xTexto = alinhamento === 'direita' ? x + larguras[indice] - espacamento : x + espacamento
+      linhasCelula.forEach((linha, numeroLinha) => {
+        escreverTexto(estado.pagina, linha, xTexto, estado.y + espacamento + (numeroLinha + 1) * alturaLinhaTexto - tamanho * 0.3, {
+          tamanho,
+          negrito: opcoes.negrito,
+          cor: opcoes.cor,
+          alinhamento
+        })
+      })
+      x += larguras[indice]
+    })
+    estado.y += altura
+  }
+  const alturaLinha = (textos, negrito = false) => Math.max(...textos.map((texto, indice) =>
+    quebrarTexto(texto, larguras[indice] - 2 * espacamento, tamanho, negrito).length)) * alturaLinhaTexto + 2 * espacamento
+  const titulos = colunas.map(coluna => coluna.titulo)
+  const cabecalho = () => desenharLinhaTabela(titulos, {
+    negrito: true,
+    cor: '#FFFFFF',
+    fundo: COR_CABECALHO_PDF
+  })
+  
+  // Cabeçalho sozinho no pé da página não serve: só começa a tabela onde cabe também a primeira linha
+  garantirEspacoPdf(estado, alturaLinha(titulos, true) + (linhas.length > 0 ? alturaLinha(linhas[0]) : 0))
+  cabecalho()
+  linhas.forEach((textos, indice) => {
+    if (garantirEspacoPdf(estado, alturaLinha(textos))) {
+      cabecalho()
+    }
+    desenharLinhaTabela(textos, {
+      negrito: false,
+      cor: '#000000',
+      fundo: indice % 2 === 1 ? COR_ZEBRA_PDF : null
+    })
+  })
+  estado.y += 4
+}
+
+/**
+ * Seção de divergência: título com quantidade e total, e a tabela (ou "Nenhum item")
+ */
+function escreverSecaoDivergenciaPdf(estado, titulo, descricao, colunas, linhas) {
+  escreverTituloSecaoPdf(estado, `${titulo} (${linhas.length})`)
+  escreverParagrafoPdf(estado, descricao, { tamanho: 8, cor: '#595959' })
+  estado.y += 4
+  if (linhas.length === 0) {
+    escreverParagrafoPdf(estado, 'Nenhum item.', { tamanho: 9 })
+    return
+  }
+  desenharTabelaPdf(estado, colunas, linhas)
+}
+
+/**
+ * Gera o relatório PDF da conciliação para conferência e assinatura
+ * Gerado localmente (pdf.js), sem serviço externo
+ *
+ * Conteúdo:
+ * 1. Cabeçalho: logo, período e data de geração
+ * 2. Contas e arquivos conciliados, com o SHA-256 de cada arquivo
+ * 3. Resumo: totais, valores e taxa de conciliação
+ * 4. Divergências: faltam no extrato, faltam no relatório, divergência de valor e pares a revisar
+ *    (e as linhas ignoradas pelo analista, se houver ajustes manuais)
+ * 5. Assinaturas: elaborado, conferido e aprovado
+ * Rodapé com "Página X de Y" em todas as páginas
+ *
+ * @param {Object} relatorio - Resultado da conciliação ({ dataConciliação, resumo, detalhes })
+ * @returns {Buffer} Arquivo PDF
+ */
+function gerarRelatorioPdf(relatorio) {
+  console.log('[CONCILIA] Gerando relatório PDF da conciliação...')
+  
+  const { resumo, detalhes } = relatorio
+  const dataConciliacao = new Date(relatorio.dataConciliação)
+  const geradoEm = `${formatarDataCurta(dataConciliacao)} ${dataConciliacao.toTimeString().slice(0, 5)}`
+  const periodo = resumo.periodo.inicio
+    ? `${formatarDataCurta(resumo.periodo.inicio)} a ${formatarDataCurta(resumo.periodo.fim)}`
+    : 'não identificado (pagamentos sem data)'
+  
+  const documento = criarDocumentoPdf({
+    titulo: 'Relatório de Conciliação Bancária',
+    autor: 'Planaltec',
+    assunto: `Conciliação do período ${periodo}`
+  })
+  const estado = { documento, pagina: null, y: 0 }
+  novaPaginaPdf(estado)
+  
+  // 1. Cabeçalho (sem o logo, o relatório sai do mesmo jeito)
+  let xTitulo = MARGEM_PDF
+  try {
+    const logo = lerImagemPng(fs.readFileSync(CAMINHO_LOGO_PDF))
+    const larguraLogo = 90
+    const alturaLogo = larguraLogo * logo.altura / logo.largura
+    desenharImagem(documento, estado.pagina, logo, MARGEM_PDF, MARGEM_PDF, larguraLogo, alturaLogo)
+    xTitulo = MARGEM_PDF + larguraLogo + 20
+  } catch (erro) {
+    console.warn(`[CONCILIA] Logo não incluído no relatório PDF: ${erro.message}`)
+  }
+  escreverTexto(estado.pagina, 'Relatório de Conciliação Bancária', xTitulo, MARGEM_PDF + 18, { tamanho: 16, negrito: true })
+  escreverTexto(estado.pagina, `Período: ${periodo}`, xTitulo, MARGEM_PDF + 36, { tamanho: 10 })
+  escreverTexto(estado.pagina, `Gerado em: ${geradoEm}`, xTitulo, MARGEM_PDF + 50, { tamanho: 10 })
+  escreverTexto(estado.pagina, resumo.status === 'totalmente_conciliado' ? 'Situação: totalmente conciliado' : 'Situação: divergências encontradas',
+    xTitulo, MARGEM_PDF + 64, { tamanho: 10, negrito: true, cor: resumo.status === 'totalmente_conciliado' ? '#2E7D32' : '#C62828' })
+  estado.y = MARGEM_PDF + 72
+  
+  // 2. Contas e arquivos (o SHA-256 identifica exatamente o arquivo conferido)
+  escreverTituloSecaoPdf(estado, 'Contas e arquivos')
+  desenharTabelaPdf(estado, [
+    { titulo: 'Lado', largura: 0.1 },
+    { titulo: 'Arquivo', largura: 0.3 },
+    { titulo: 'Conta', largura: 0.22 },
+    { titulo: 'SHA-256', largura: 0.38 }
+  ], [
+    ...resumo.arquivos.extrato.map(arquivo => [
+      'Extrato',
+      arquivo.planilha ? `${arquivo.arquivo} › ${arquivo.planilha}` : arquivo.arquivo,
+      arquivo.conta || '-',
+      arquivo.sha256
+    ]),
+    ...resumo.arquivos.relatorio.map(arquivo => [
+      'Relatório',
+      arquivo.planilha ? `${arquivo.arquivo} › ${arquivo.planilha}` : arquivo.arquivo,
+      '-',
+      arquivo.sha256
+    ])
+  ])
+  
+  // 3. Resumo
+  escreverTituloSecaoPdf(estado, 'Resumo')
+  desenharTabelaPdf(estado, [
+    { titulo: 'Indicador', largura: 0.45 },
+    { titulo: 'Quantidade', largura: 0.2, alinhamento: 'direita' },
+    { titulo: 'Valor', largura: 0.35, alinhamento: 'direita' }
+  ], [
+    ['Pagamentos no relatório', resumo.totalRelatorio, ''],
+    ['Lançamentos no extrato', resumo.totalExtrato, ''],
+    ['Conciliados (1 para 1)', resumo.totalEncontrados, ''],
+    ['Conciliados por soma (lotes)', `${resumo.lotes.quantidade} lote(s), ${resumo.lotes.linhasRelatorio} linha(s)`, formatarReaisPdf(resumo.lotes.valorTotal)],
+    ['Valor total conciliado', '', formatarReaisPdf(resumo.valorTotalConciliado)],
+    ['Taxa de conciliação', resumo.taxaConciliacao, ''],
+    ['Faltam no extrato', resumo.naoEncontradosNoExtrato.quantidade, formatarReaisPdf(resumo.naoEncontradosNoExtrato.valorTotal)],
+    ['Faltam no relatório', resumo.naoEncontradosNoRelatorio.quantidade, formatarReaisPdf(resumo.naoEncontradosNoRelatorio.valorTotal)],
+    ['Divergência de valor (diferença)', resumo.divergenciaValor.quantidade, formatarReaisPdf(resumo.divergenciaValor.diferencaTotal)],
+    ['Para revisar', resumo.revisar.quantidade, formatarReaisPdf(resumo.revisar.valorTotal)],
+    ['Estornos no extrato', resumo.estornos.quantidade, formatarReaisPdf(resumo.estornos.valorTotal)],
+    ['Possíveis duplicidades (grupos)', resumo.possiveisDuplicidades.quantidade, ''],
+    ['Linhas descartadas na leitura', resumo.avisosLeitura.linhasDescartadas, ''],
+    ['Verificação de saldos', resumo.verificacaoSaldo.descricao || resumo.verificacaoSaldo.situacao, ''],
+    // Só depois de ajustes do analista: o documento assinado precisa mostrar que houve intervenção
+    ...(resumo.ajustesManuais
+      ? [
+          ['Ajustes manuais: pares automáticos desfeitos', resumo.ajustesManuais.paresDesfeitos, ''],
+          ['Ajustes manuais: pares aceitos (revisar/divergência)', resumo.ajustesManuais.paresAceitos, ''],
+          ['Ajustes manuais: pares manuais', resumo.ajustesManuais.paresManuais, ''],
+          ['Ajustes manuais: linhas ignoradas', resumo.ajustesManuais.ignorados, formatarReaisPdf(resumo.ajustesManuais.valorIgnorado)]
+        ]
+      : [])
+  ])
+  
+  // 4. Divergências
+  const colunasFaltantes = [
+    { titulo: 'Origem', largura: 0.28 },
+    { titulo: 'Data', largura: 0.1 },
+    { titulo: 'Descrição', largura: 0.45 },
+    { titulo: 'Valor', largura: 0.17, alinhamento: 'direita' }
+  ]
+  const linhaFaltante = pag => [origemPdf(pag), formatarDataPagamento(pag), pag.descricao || '', formatarReaisPdf(pag.valor)]
+  
+  escreverSecaoDivergenciaPdf(estado, 'Faltam no Extrato', resumo.naoEncontradosNoExtrato.descricao,
+    colunasFaltantes, [...detalhes.naoEncontradosNoExtrato].sort(compararOrigem).map(linhaFaltante))
+  escreverSecaoDivergenciaPdf(estado, 'Faltam no Relatório', resumo.naoEncontradosNoRelatorio.descricao,
+    colunasFaltantes, [...detalhes.naoEncontradosNoRelatorio].sort(compararOrigem).map(linhaFaltante))
+  
+  escreverSecaoDivergenciaPdf(estado, 'Divergência de Valor', resumo.divergenciaValor.descricao, [
+    { titulo: 'Relatório', largura: 0.22 },
+    { titulo: 'Extrato', largura: 0.22 },
+    { titulo: 'Descrição', largura: 0.23 },
+    { titulo: 'Valor Relatório', largura: 0.11, alinhamento: 'direita' },
+    { titulo: 'Valor Extrato', largura: 0.11, alinhamento: 'direita' },
+    { titulo: 'Diferença', largura: 0.11, alinhamento: 'direita' }
+  ], detalhes.divergenciaValor.map(par => [
+    `${origemPdf(par.relatorio)}\n${formatarDataPagamento(par.relatorio)}`,
+    `${origemPdf(par.extrato)}\n${formatarDataPagamento(par.extrato)}`,
+    par.relatorio.descricao || '',
+    formatarReaisPdf(par.relatorio.valor),
+    formatarReaisPdf(par.extrato.valor),
+    formatarReaisPdf(par.diferenca)
+  ]))
+  
+  escreverSecaoDivergenciaPdf(estado, 'Revisar', resumo.revisar.descricao, [
+    { titulo: 'Relatório', largura: 0.22 },
+    { titulo: 'Extrato', largura: 0.22 },
+    { titulo: 'Descrição Relatório', largura: 0.19 },
+    { titulo: 'Descrição Extrato', largura: 0.19 },
+    { titulo: 'Valor', largura: 0.11, alinhamento: 'direita' },
+    { titulo: 'Confiança', largura: 0.07, alinhamento: 'direita' }
+  ], detalhes.revisar.map(par => [
+    `${origemPdf(par.relatorio)}\n${formatarDataPagamento(par.relatorio)}`,
+    `${origemPdf(par.extrato)}\n${formatarDataPagamento(par.extrato)}`,
+    par.relatorio.descricao || '',
+    par.extrato.descricao || '',
+    formatarReaisPdf(par.relatorio.valor),
+    `${par.confianca}%`
+  ]))
+  
+  const ignoradosManualmente = detalhes.ignoradosManualmente || []
+  if (ignoradosManualmente.length > 0) {
+    escreverSecaoDivergenciaPdf(estado, 'Ignorados Manualmente', resumo.ajustesManuais.descricao, [
+      { titulo: 'Origem', largura: 0.25 },
+      { titulo: 'Data', largura: 0.1 },
+      { titulo: 'Descrição', largura: 0.25 },
+      { titulo: 'Motivo', largura: 0.25 },
+      { titulo: 'Valor', largura: 0.15, alinhamento: 'direita' }
+    ], [...ignoradosManualmente].sort(compararOrigem).map(pag => [
+      `${pag.lado === 'relatorio' ? 'Relatório' : 'Extrato'}: ${origemPdf(pag)}`,
+      formatarDataPagamento(pag),
+      pag.descricao || '',
+      pag.motivo,
+      formatarReaisPdf(pag.valor)
+    ]))
+  }
+  
+  // 5. Assinaturas: três blocos lado a lado, com linha para assinatura, nome e data
+  escreverTituloSecaoPdf(estado, 'Assinaturas')
+  garantirEspacoPdf(estado, 110)
+  const assinaturas = ['Elaborado por', 'Conferido por', 'Aprovado por']
+  const larguraBloco = (LARGURA_UTIL_PDF - 2 * 20) / assinaturas.length
+  assinaturas.forEach((rotulo, indice) => {
+    const x = MARGEM_PDF + indice * (larguraBloco + 20)
+    escreverTexto(estado.pagina, rotulo, x, estado.y + 14, { tamanho: 9, negrito: true })
+    desenharLinha(estado.pagina, x, estado.y + 55, x + larguraBloco, estado.y + 55)
+    escreverTexto(estado.pagina, 'Assinatura', x, estado.y + 64, { tamanho: 7, cor: '#595959' })
+    escreverTexto(estado.pagina, 'Nome:', x, estado.y + 82, { tamanho: 8 })
+    desenharLinha(estado.pagina, x + 26, estado.y + 83, x + larguraBloco, estado.y + 83)
+    escreverTexto(estado.pagina, 'Data:      /      /', x, estado.y + 100, { tamanho: 8 })
+  })
+  estado.y += 110
+  
+  // Rodapé: só agora se sabe o total de páginas
+  documento.paginas.forEach((pagina, indice) => {
+    const yRodape = A4.altura - MARGEM_PDF + 5
+    desenharLinha(pagina, MARGEM_PDF, yRodape - 12, A4.largura - MARGEM_PDF, yRodape - 12, { cor: COR_BORDA_PDF })
+    escreverTexto(pagina, `Conciliação bancária - período ${periodo} - gerado em ${geradoEm}`, MARGEM_PDF, yRodape,
+      { tamanho: 7, cor: '#595959' })
+    escreverTexto(pagina, `Página ${indice + 1} de ${documento.paginas.length}`, A4.largura - MARGEM_PDF, yRodape,
+      { tamanho: 7, cor: '#595959', alinhamento: 'direita' })
+  })
+  
+  const buffer = gerarPdf(documento)
+  console.log(`[CONCILIA] Relatório PDF gerado: ${documento.paginas.length} página(s), ${buffer.length} bytes`)
+  
+  return buffer
+}
+
+/**
+ * Lê o arquivo enviado como workbook: XLSX/XLS pelo SheetJS ou CSV/TXT delimitado (csv.js)
+ * ".xls" em HTML/XML/texto (exportação comum de bancos) é lido com raw: sem isso o SheetJS
+ * converte "03/04/2025" em data na ordem americana e "150,00" em 15000; as células ficam
+ * como texto e passam pela leitura de datas e valores em português
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {{workbook: Object, leitura: Object|null}} leitura = codificação/delimitador/decimal (só CSV/TXT)
+ */
+function lerPlanilha(buffer) {
+  if (ehArquivoDelimitado(buffer)) {
+    const { workbook, leitura } = csvParaWorkbook(buffer)
+    console.log(`[CONCILIA] Arquivo de texto delimitado: ${descreverLeitura(leitura)}`)
+    return { workbook, leitura }
+  }
+  
+  return {
+    workbook: XLSX.read(buffer, {
+      type: 'buffer',
+      cellDates: true,
+      raw: !ehPlanilhaBinaria(buffer)
+    }),
+    leitura: null
+  }
+}
+
+/**
+ * Pré-visualização de OFX/CNAB: os lançamentos já lidos, em colunas fixas
+ */
+function previaDePagamentos(previa, pagamentos) {
+  return {
+    ...previa,
+    cabecalho: ['Linha', 'Data', 'Descrição', 'Documento', 'Valor', 'Natureza'],
+    linhas: pagamentos.slice(0, LINHAS_PREVIA).map(pag => [
+      String(pag.linhaOriginal),
+      formatarDataPagamento(pag),
+      pag.descricao,
+      pag.dcto || '',
+      `R$ ${pag.valor.toFixed(2)}`,
+      pag.natureza
+    ]),
+    totalLinhas: pagamentos.length
+  }
+}
+
+/**
+ * Pré-visualiza um arquivo antes da conciliação: como foi lido (codificação,
+ * delimitador, decimal), onde está o cabeçalho, qual coluna virou cada campo e
+ * as primeiras linhas de dados. Usa a mesma leitura/detecção da conciliação,
+ * inclusive os avisos de leitura (`avisosLeitura`: linhas que ficariam de fora)
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @param {'extrato'|'relatorio'} tipo - Qual lado da conciliação
+ * @param {Object} opcoes - { perfilExtrato } (somente extrato), { planilha } (aba; padrão a primeira)
+ *   e { ordemData } ('dma', 'mda' ou 'auto')
+ * @returns {Object} Prévia (com as abas do arquivo em `planilhasDisponiveis`); em caso de problema no formato, `erro` vem preenchido (não lança)
+ */
+function preVisualizarArquivo(buffer, tipo, opcoes = {}) {
+  const previa = {
+    tipo,
+    formato: 'planilha',
+    leitura: null,
+    descricaoLeitura: null,
+    planilhasDisponiveis: [],
+    planilha: null,
+    perfil: null,
+    linhaCabecalho: null,
+    cabecalho: [],
+    campos: {},
+    linhas: [],
+    totalLinhas: 0,
+    ordemData: null,
+    avisosLeitura: [],
+    erro: null
+  }
+  
+  try {
+    if (tipo === 'extrato' && ehArquivoOfx(buffer)) {
+      const pagamentos = processarExtratoOfx(validarExtratoOfx(buffer), previa.avisosLeitura)
+      return previaDePagamentos({ ...previa, formato: 'ofx' }, pagamentos)
+    }
+    
+    if (tipo === 'extrato' && ehArquivoCnab(buffer)) {
+      const cnab = validarExtratoCnab(buffer)
+      return previaDePagamentos({ ...previa, formato: cnab.formato }, processarExtratoCnab(cnab))
+    }
+    
+    const { workbook, leitura } = lerPlanilha(buffer)
+    if (leitura) {
+      previa.formato = 'csv'
+      previa.leitura = leitura
+      previa.descricaoLeitura = descreverLeitura(leitura)
+    } else {
+      previa.planilhasDisponiveis = workbook.SheetNames
+    }
+    
+    const [planilha] = selecionarPlanilhas(workbook, opcoes.planilha ? [opcoes.planilha] : null)
+    previa.planilha = leitura ? null : planilha
+    
+    const layout = tipo === 'extrato'
+      ? validarExtratoBancario(workbook, opcoes.perfilExtrato || 'auto', planilha)
+      : validarRelatorioPlanaltec(workbook, planilha)
+    const linhasDados = lerLinhasComLayout(layout)
+    const cabecalho = (layout.matriz.linhas[layout.indiceCabecalho] || []).map(celula => (celula === null ? '' : String(celula)))
+    
+    if (layout.perfil) {
+      previa.perfil = { id: layout.perfil.id, nome: layout.perfil.nome, detectadoAutomaticamente: layout.perfilAutomatico }
+    }
+    previa.linhaCabecalho = layout.linhaCabecalho
+    previa.cabecalho = cabecalho
+    Object.entries(layout.colunas).forEach(([campo, indice]) => {
+      previa.campos[campo] = {
+        indice,
+        coluna: indiceParaColuna(layout.matriz.primeiraColuna + indice),
+        rotulo: layout.rotulos[campo]
+      }
+    })
+    previa.linhas = linhasDados.slice(0, LINHAS_PREVIA).map(({ celulas }) =>
+      cabecalho.map((_, indice) => (celulas[indice] === null || celulas[indice] === undefined ? '' : String(celulas[indice])))
+    )
+    previa.totalLinhas = linhasDados.length
+    
+    // Mesma leitura da conciliação, só para antecipar as linhas que ficariam de fora
+    previa.ordemData = resolverOrdemDataDoLayout(layout, opcoes.ordemData || 'auto')
+    if (tipo === 'extrato') {
+      processarExtratoBancario(workbook, layout, previa.avisosLeitura, previa.ordemData)
+    } else {
+      processarRelatorioPlanaltec(workbook, layout, previa.avisosLeitura, previa.ordemData)
+    }
+  } catch (erro) {
+    console.error(`[CONCILIA] Pré-visualização (${tipo}) falhou:`, erro.message)
+    previa.erro = { mensagem: erro.message, detalhes: erro.detalhes || '' }
+  }
+  
+  return previa
+}
+
+/**
+ * Normaliza os arquivos de um lado da conciliação
+ * Aceita um Buffer (um arquivo) ou uma lista de Buffers / { nome, buffer, planilhas, ordemData }
+ * - planilhas: nomes das abas a ler, 'todas', ou ausente (= primeira aba)
+ * - ordemData: ordem dia/mês das datas do arquivo ('dma', 'mda' ou ausente = 'auto')
+ * Nomes repetidos ganham sufixo " (2)" para a origem de cada pagamento continuar única
+ * @param {Buffer|Array} entrada - Arquivo(s) recebido(s)
+ * @param {string} tipo - 'extrato' ou 'relatorio' (nome padrão de arquivos sem nome)
+ * @returns {Array<{nome: string, buffer: Buffer, planilhas: Array<string>|string|null, ordemData: string}>}
+ */
+function normalizarArquivos(entrada, tipo) {
+  const lista = Buffer.isBuffer(entrada) ? [entrada] : (entrada || [])
+  const nomesVistos = new Map()
+  
+  return lista.map((arquivo, indice) => {
+    const { nome, buffer, planilhas, ordemData } = Buffer.isBuffer(arquivo) ? { buffer: arquivo } : arquivo
+    const base = nome || (lista.length > 1 ? `${tipo} ${indice + 1}` : tipo)
+    const repeticoes = (nomesVistos.get(base) || 0) + 1
+    nomesVistos.set(base, repeticoes)
+    
+    return {
+      nome: repeticoes > 1 ? `${base} (${repeticoes})` : base,
+      buffer,
+      planilhas: planilhas && planilhas.length > 0 ? planilhas : null,
+      ordemData: ORDENS_DATA[ordemData] ? ordemData : 'auto'
+    }
+  })
+}
+
+/**
+ * Abas de um workbook que entram na conciliação
+ * @param {Object} workbook - Workbook do XLSX
+ * @param {Array<string>|string|null} planilhas - Abas pedidas, 'todas' ou null (= primeira aba)
+ * @returns {Array<string>}
+ * @throws {Error} codigoErro 'PLANILHA_NAO_ENCONTRADA' se alguma aba pedida não existir
+ */
+function selecionarPlanilhas(workbook, planilhas) {
+  if (!planilhas) {
+    return [workbook.SheetNames[0]]
+  }
+  if (planilhas === 'todas') {
+    return workbook.SheetNames
+  }
+  
+  const inexistentes = planilhas.filter(nome => !workbook.SheetNames.includes(nome))
+  if (inexistentes.length > 0) {
+    const erro = new Error(`Aba(s) não encontrada(s): ${inexistentes.map(nome => `"${nome}"`).join(', ')}`)
+    erro.codigoErro = 'PLANILHA_NAO_ENCONTRADA'
+    erro.detalhes = `Abas do arquivo: ${workbook.SheetNames.join(', ')}`
+    throw erro
+  }
+  
+  return planilhas
+}
+
+/**
+ * Lê e valida todos os arquivos de um lado da conciliação
+ * Cada arquivo (e cada aba escolhida) vira uma fonte; os erros de layout de todas
+ * as fontes são acumulados em `erros`, já identificados com arquivo e aba
+ * @param {Array} arquivos - Retorno de normalizarArquivos
+ * @param {'extrato'|'relatorio'} tipo - Lado da conciliação
+ * @param {Object} opcoes - { perfilExtrato } (somente extrato)
+ * @param {Array} erros - Recebe os erros de validação
+ * @returns {Array<{arquivo: string, sha256: string, planilha: string|null, workbook: Object|null, layout: Object|null,
+ *   ordemData: Object|null, ofx: Object|null, cnab: Object|null}>} sha256 = hash do arquivo recebido (identifica o arquivo conciliado)
+ */
+function validarFontes(arquivos, tipo, opcoes, erros) {
+  const fontes = []
+  // Com mais de um arquivo (ou abas escolhidas), a mensagem de erro diz de qual fonte é
+  const identificarErro = arquivos.length > 1 || arquivos.some(arquivo => arquivo.planilhas)
+  
+  const registrarErro = (erro, arquivo, planilha) => {
+    erro.tipoPlanilha = erro.tipoPlanilha || tipo
+    erro.arquivo = arquivo
+    erro.planilha = planilha
+    if (identificarErro) {
+      erro.message = `${planilha ? `${arquivo} › ${planilha}` : arquivo}: ${erro.message}`
+    }
+    erros.push(erro)
+  }
+  
+  arquivos.forEach(({ nome, buffer, planilhas, ordemData = 'auto' }) => {
+    const fonte = {
+      arquivo: nome,
+      sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+      planilha: null,
+      workbook: null,
+      layout: null,
+      ordemData: null,
+      ofx: null,
+      cnab: null
+    }
+    
+    try {
+      // O extrato também pode vir em OFX ou retorno CNAB, detectados pelo conteúdo
+      if (tipo === 'extrato' && ehArquivoOfx(buffer)) {
+        fontes.push({ ...fonte, ofx: validarExtratoOfx(buffer) })
+        return
+      }
+      if (tipo === 'extrato' && ehArquivoCnab(buffer)) {
+        fontes.push({ ...fonte, cnab: validarExtratoCnab(buffer) })
+        return
       }
       
-      resultados.naoEncontradosNoRelatorio.push({
-        ...pagExtrato,
-        motivo: 'Pagamento presente no Extrato Bancário mas AUSENTE no Relatório Planaltec',
-        detalhes: detalhesDebug,
-        debug: {
-          valorProcurado: pagExtrato.valor,
-          valorOriginal: pagExtrato.valorOriginal,
-          valoresProximos: valoresProximos.slice(0, 5)
+      const { workbook, leitura } = lerPlanilha(buffer)
+      selecionarPlanilhas(workbook, planilhas).forEach(planilha => {
+        // CSV/TXT tem uma única aba artificial: a origem é só o arquivo
+        const nomePlanilha = leitura ? null : planilha
+        try {
+          const layout = tipo === 'extrato'
+            ? validarExtratoBancario(workbook, opcoes.perfilExtrato || 'auto', planilha)
+            : validarRelatorioPlanaltec(workbook, planilha)
+          fontes.push({
+            ...fonte,
+            planilha: nomePlanilha,
+            workbook,
+            layout,
+            ordemData: resolverOrdemDataDoLayout(layout, ordemData)
+          })
+        } catch (erro) {
+          registrarErro(erro, nome, nomePlanilha)
         }
       })
+    } catch (erro) {
+      registrarErro(erro, nome, null)
     }
   })
   
-  console.log(`[CONCILIA] Resultados do cruzamento:`)
-  console.log(`[CONCILIA] - Encontrados (bateram): ${resultados.encontrados.length}`)
-  console.log(`[CONCILIA] - NÃO encontrados no EXTRATO (está no relatório, falta no extrato): ${resultados.naoEncontradosNoExtrato.length}`)
-  console.log(`[CONCILIA] - NÃO encontrados no RELATÓRIO (está no extrato, falta no relatório): ${resultados.naoEncontradosNoRelatorio.length}`)
+  return fontes
+}
+
+/**
+ * Identifica de qual fonte vieram os avisos de leitura e acrescenta na lista geral
+ */
+function registrarAvisosDaFonte(avisosDaFonte, origem, fonte, avisos) {
+  avisosDaFonte.forEach(aviso => {
+    avisos.push({ origem, arquivo: fonte.arquivo, planilha: fonte.planilha, ...aviso })
+  })
+}
+
+/**
+ * Processa as fontes do extrato e junta os pagamentos, cada um com `arquivo` e `planilha`
+ * @param {Array} fontes - Retorno de validarFontes (recebem `totalPagamentos` e `verificacaoSaldo`)
+ * @param {Array} avisos - Recebe os avisos de leitura de todas as fontes
+ */
+function processarFontesExtrato(fontes, avisos = []) {
+  return fontes.flatMap(fonte => {
+    const avisosDaFonte = []
+    let pagamentos
+    if (fonte.ofx) {
+      pagamentos = processarExtratoOfx(fonte.ofx, avisosDaFonte)
+    } else if (fonte.cnab) {
+      pagamentos = processarExtratoCnab(fonte.cnab)
+    } else {
+      pagamentos = processarExtratoBancario(fonte.workbook, fonte.layout, avisosDaFonte, fonte.ordemData)
+    }
+    fonte.totalPagamentos = pagamentos.length
+    fonte.verificacaoSaldo = verificarSaldosDaFonte(fonte, pagamentos)
+    registrarAvisosDaFonte(avisosDaFonte, 'extrato', fonte, avisos)
+    return pagamentos.map(pag => ({ ...pag, arquivo: fonte.arquivo, planilha: fonte.planilha }))
+  })
+}
+
+/**
+ * Processa as fontes do relatório e junta os pagamentos, cada um com `arquivo` e `planilha`
+ * @param {Array} fontes - Retorno de validarFontes (recebem `totalPagamentos`)
+ * @param {Array} avisos - Recebe os avisos de leitura de todas as fontes
+ */
+function processarFontesRelatorio(fontes, avisos = []) {
+  return fontes.flatMap(fonte => {
+    const avisosDaFonte = []
+    const pagamentos = processarRelatorioPlanaltec(fonte.workbook, fonte.layout, avisosDaFonte, fonte.ordemData)
+    fonte.totalPagamentos = pagamentos.length
+    registrarAvisosDaFonte(avisosDaFonte, 'relatorio', fonte, avisos)
+    return pagamentos.map(pag => ({ ...pag, arquivo: fonte.arquivo, planilha: fonte.planilha }))
+  })
+}
+
+/**
+ * Descreve de onde veio uma fonte do extrato (perfil de planilha, OFX ou retorno CNAB)
+ */
+function descreverFonteExtrato(fonte) {
+  if (fonte.ofx) {
+    return {
+      id: 'ofx',
+      nome: `OFX${fonte.ofx.banco ? ` (banco ${fonte.ofx.banco})` : ''}`,
+      detectadoAutomaticamente: true,
+      linhaCabecalho: null
+    }
+  }
   
-  return resultados
+  if (fonte.cnab) {
+    return {
+      id: fonte.cnab.formato,
+      nome: `Retorno CNAB ${fonte.cnab.formato.replace('cnab', '')} (banco ${fonte.cnab.banco})`,
+      detectadoAutomaticamente: true,
+      linhaCabecalho: null
+    }
+  }
+  
+  return {
+    id: fonte.layout.perfil.id,
+    nome: fonte.layout.perfil.nome,
+    detectadoAutomaticamente: fonte.layout.perfilAutomatico,
+    linhaCabecalho: fonte.layout.linhaCabecalho
+  }
+}
+
+/**
+ * Conta bancária de uma fonte do extrato, como informada no próprio arquivo
+ * - OFX: banco (BANKID) e conta (ACCTID)
+ * - Retorno CNAB 240: agência e conta do header de arquivo
+ * - Planilha/CSV: linha acima do cabeçalho que cita agência ou conta ("Agência: 1234 Conta: 56789-0")
+ * @returns {string|null} null quando o arquivo não informa a conta
+ */
+function descreverContaDaFonte(fonte) {
+  if (fonte.ofx) {
+    const partes = [fonte.ofx.banco && `Banco ${fonte.ofx.banco}`, fonte.ofx.conta && `Conta ${fonte.ofx.conta}`]
+    return partes.some(Boolean) ? partes.filter(Boolean).join(', ') : null
+  }
+  
+  if (fonte.cnab) {
+    if (!fonte.cnab.conta) {
+      return null
+    }
+    return [`Banco ${fonte.cnab.banco}`, fonte.cnab.agencia && `Agência ${fonte.cnab.agencia}`, `Conta ${fonte.cnab.conta}`]
+      .filter(Boolean)
+      .join(', ')
+  }
+  
+  const linhaDaConta = fonte.layout.matriz.linhas
+    .slice(0, fonte.layout.indiceCabecalho)
+    .map(linha => (linha || []).filter(celulaPreenchida).map(celula => String(celula).trim()).join(' '))
+    .find(texto => /\b(agencia|conta)\b/.test(normalizarCabecalho(texto)))
+  return linhaDaConta ? linhaDaConta.slice(0, 120) : null
 }
 
+/**
+ * Resume as fontes do extrato em um único perfil para o resumo
+ * Com várias fontes de bancos/formatos diferentes, o nome lista todos (id 'multiplos')
+ */
+function descreverFontesExtrato(fontes) {
+  const descricoes = fontes.map(descreverFonteExtrato)
+  if (descricoes.length === 1) {
+    return descricoes[0]
+  }
+  
+  const nomes = [...new Set(descricoes.map(descricao => descricao.nome))]
+  return {
+    id: nomes.length === 1 ? descricoes[0].id : 'multiplos',
+    nome: nomes.join(', '),
+    detectadoAutomaticamente: descricoes.every(descricao => descricao.detectadoAutomaticamente),
+    linhaCabecalho: null
+  }
+}
 
 /**
- * Gera planilha Excel formatada com os pagamentos irregulares (não encontrados)
- * Usa ExcelJS para formatação completa (cores zebra, larguras, bordas)
- * @param {Array} naoEncontradosNoExtrato - Pagamentos do relatório não encontrados no extrato
- * @param {Array} naoEncontradosNoRelatorio - Pagamentos do extrato não encontrados no relatório
- * @returns {Promise<Buffer>} Buffer da planilha Excel gerada
+ * Números do resumo que dependem só do resultado do cruzamento
+ * Calculados na conciliação e de novo a cada ajuste manual (ver aplicarAjustesManuais)
+ * Soma sempre em centavos inteiros e só converte para reais no final (totais exatos)
+ * @param {Object} resultados - Detalhes da conciliação (encontrados, revisar, lotes, divergências, ...)
+ * @param {number} totalRelatorio - Pagamentos lidos do relatório
+ * @param {Object} configuracao - Configuração da conciliação
+ * @returns {Object} Campos do resumo (mesmos nomes de relatorio.resumo)
  */
-async function gerarPlanilhaIrregulares(naoEncontradosNoExtrato, naoEncontradosNoRelatorio) {
-  console.log('[CONCILIA] Gerando planilha de irregulares formatada com ExcelJS...')
+function resumirCruzamento(resultados, totalRelatorio, configuracao) {
+  const centavosDoPagamento = pag => pag.centavos
+  const valorTotalFaltanteNoExtrato = centavosParaReais(
+    somarCentavos(resultados.naoEncontradosNoExtrato, centavosDoPagamento)
+  )
+  const valorTotalFaltanteNoRelatorio = centavosParaReais(
+    somarCentavos(resultados.naoEncontradosNoRelatorio, centavosDoPagamento)
+  )
+  const centavosDivergenciaRelatorio = somarCentavos(resultados.divergenciaValor, par => par.relatorio.centavos)
+  const centavosDivergenciaExtrato = somarCentavos(resultados.divergenciaValor, par => par.extrato.centavos)
+  const centavosLotes = somarCentavos(resultados.lotes, lote => lote.centavosTotal)
+  const valorTotalConciliado = centavosParaReais(
+    somarCentavos(resultados.encontrados, item => item.relatorio.centavos) + centavosLotes
+  )
+  // Distribuição da confiança de todos os pares 1:1 aplicados (aceitos + revisar); pares manuais não têm score
+  const confiancas = [...resultados.encontrados, ...resultados.revisar]
+    .filter(item => item.confianca !== null)
+    .map(item => item.confianca)
   
-  const workbook = new ExcelJS.Workbook()
+  // Linhas do relatório conciliadas (1:1 + as que estão dentro de lotes)
+  // Linhas ignoradas manualmente saem da base da taxa: foram resolvidas pelo analista
+  const relatorioEmLotes = resultados.lotes.reduce((soma, lote) => soma + lote.relatorio.length, 0)
+  const extratoEmLotes = resultados.lotes.reduce((soma, lote) => soma + lote.extrato.length, 0)
+  const totalRelatorioConciliado = resultados.encontrados.length + relatorioEmLotes
+  const relatorioIgnorado = (resultados.ignoradosManualmente || []).filter(item => item.lado === 'relatorio').length
+  const baseTaxa = totalRelatorio - relatorioIgnorado
   
-  // Função auxiliar para criar worksheet formatado
-  const criarAbaFormatada = async (dados, nomeAba, tipoPlanilha) => {
-    const worksheet = workbook.addWorksheet(nomeAba)
+  return {
+    totalEncontrados: resultados.encontrados.length,
     
-    // Define colunas e larguras
-    const colunas = Object.keys(dados[0] || {})
+    // Conciliados por soma (lote)
+    lotes: {
+      quantidade: resultados.lotes.length,
+      linhasRelatorio: relatorioEmLotes,
+      linhasExtrato: extratoEmLotes,
+      valorTotal: centavosParaReais(centavosLotes),
+      descricao: 'Linhas de um lado cuja SOMA bate com uma única linha do outro lado'
+    },
     
-    colunas.forEach((col, index) => {
-      let largura = 15
-      
-      // Larguras específicas por coluna
-      if (col === 'Linha') largura = 10
-      if (col === 'Valor') largura = 20
-      if (col === 'Valor Normalizado') largura = 18
-      if (col === 'Descrição') largura = 60
-      if (col === 'Motivo') largura = 70
-      if (col === 'Detalhes') largura = 70
-      if (col === 'Data') largura = 15
-      if (col === 'DCTO') largura = 10 // 7 dígitos numéricos
-      
-      worksheet.getColumn(index + 1).width = largura
-      worksheet.getColumn(index + 1).alignment = { horizontal: 'center', vertical: 'middle', wrapText: true }
-    })
-    
-    // Adiciona cabeçalho com tipo de planilha dentro da célula "Linha"
-    // Encontra o índice da coluna "Linha"
-    const indiceLinha = colunas.indexOf('Linha')
-    
-    // Cria cabeçalho modificando apenas a coluna "Linha" para incluir o tipo de planilha
-    const headerValues = colunas.map((col, index) => {
-      // Se for a coluna "Linha", adiciona quebra de linha e tipo de planilha
-      if (index === indiceLinha) {
-        return `Linha\n${tipoPlanilha}`
-      }
-      return col
-    })
-    
-    const headerRow = worksheet.addRow(headerValues)
-    
-    // Formata cabeçalho
-    headerRow.font = { bold: true, color: { argb: 'FFFFFFFF' }, size: 11 }
-    headerRow.fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FF366092' } // Azul escuro
-    }
-    headerRow.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true }
-    headerRow.height = 35 // Altura maior para acomodar duas linhas de texto
-    
-    // Adiciona bordas no cabeçalho e garante wrapText
-    headerRow.eachCell((cell, colNumber) => {
-      cell.border = {
-        top: { style: 'thin', color: { argb: 'FF000000' } },
-        bottom: { style: 'thin', color: { argb: 'FF000000' } },
-        left: { style: 'thin', color: { argb: 'FF000000' } },
-        right: { style: 'thin', color: { argb: 'FF000000' } }
-      }
-      // Garante wrapText para que a quebra de linha funcione
-      cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true }
-    })
+    // Pares com baixa confiança (não entram como conciliados)
+    revisar: {
+      quantidade: resultados.revisar.length,
+      valorTotal: centavosParaReais(somarCentavos(resultados.revisar, item => item.relatorio.centavos)),
+      confiancaMinima: configuracao.confiancaMinima,
+      descricao: 'Pares com mesmo valor, mas data/descrição fracas: conferir antes de aceitar'
+    },
+    confianca: {
+      media: confiancas.length > 0
+        ? Math.round(confiancas.reduce((soma, c) => soma + c, 0) / confiancas.length)
+        : null,
+      // Faixas: alta (>= 85), moderada (entre a mínima e 84), baixa (abaixo da mínima = revisar)
+      alta: confiancas.filter(c => c >= 85).length,
+      moderada: confiancas.filter(c => c >= configuracao.confiancaMinima && c < 85).length,
+      baixa: confiancas.filter(c => c < configuracao.confiancaMinima).length
+    },
     
-    // Adiciona dados com zebra (cores alternadas)
-    dados.forEach((linha, index) => {
-      const row = worksheet.addRow(colunas.map(col => linha[col] || ''))
-      
-      // Zebra: linhas pares = cinza claro, linhas ímpares = branco
-      const corFundo = (index + 1) % 2 === 0 ? 'FFF2F2F2' : 'FFFFFFFF'
-      
-      row.fill = {
-        type: 'pattern',
-        pattern: 'solid',
-        fgColor: { argb: corFundo }
-      }
-      
-      row.height = 35
-      row.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true }
-      
-      // Adiciona bordas em todas as células e centraliza
-      row.eachCell((cell) => {
-        cell.border = {
-          top: { style: 'thin', color: { argb: 'FFCCCCCC' } },
-          bottom: { style: 'thin', color: { argb: 'FFCCCCCC' } },
-          left: { style: 'thin', color: { argb: 'FFCCCCCC' } },
-          right: { style: 'thin', color: { argb: 'FFCCCCCC' } }
-        }
-        // Centraliza todas as células
-        cell.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true }
-      })
-    })
+    // Divergências - o que NÃO está em cada planilha
+    naoEncontradosNoExtrato: {
+      quantidade: resultados.naoEncontradosNoExtrato.length,
+      valorTotal: valorTotalFaltanteNoExtrato,
+      descricao: 'Pagamentos presentes no RELATÓRIO PLANALTEC mas AUSENTES no EXTRATO BANCÁRIO'
+    },
+    naoEncontradosNoRelatorio: {
+      quantidade: resultados.naoEncontradosNoRelatorio.length,
+      valorTotal: valorTotalFaltanteNoRelatorio,
+      descricao: 'Pagamentos presentes no EXTRATO BANCÁRIO mas AUSENTES no RELATÓRIO PLANALTEC'
+    },
+    divergenciaValor: {
+      quantidade: resultados.divergenciaValor.length,
+      valorTotalRelatorio: centavosParaReais(centavosDivergenciaRelatorio),
+      valorTotalExtrato: centavosParaReais(centavosDivergenciaExtrato),
+      diferencaTotal: centavosParaReais(centavosDivergenciaExtrato - centavosDivergenciaRelatorio),
+      descricao: 'Pagamentos presentes nos DOIS lados, mas com VALOR DIFERENTE (dentro da tolerância)'
+    },
     
-    // Congela primeira linha (cabeçalho)
-    worksheet.views = [{ state: 'frozen', ySplit: 1 }]
+    // Lançamentos do extrato que não entram no cruzamento
+    estornos: {
+      quantidade: resultados.estornos.length,
+      valorTotal: centavosParaReais(somarCentavos(resultados.estornos, centavosDoPagamento)),
+      descricao: 'Débitos do EXTRATO BANCÁRIO anulados por um crédito de mesmo valor (estorno)'
+    },
+    ignoradosPorNatureza: {
+      quantidade: resultados.ignoradosPorNatureza.length,
+      valorTotal: centavosParaReais(somarCentavos(resultados.ignoradosPorNatureza, centavosDoPagamento)),
+      descricao: 'Lançamentos do EXTRATO BANCÁRIO fora da natureza cruzada (ex: créditos)'
+    },
     
-    return worksheet
-  }
-  
-  // Aba 1: Pagamentos não encontrados no Extrato (estão no Relatório, faltam no Extrato)
-  if (naoEncontradosNoExtrato.length > 0) {
-    const dadosExtrato = naoEncontradosNoExtrato.map((pag, index) => {
-      // Formata data para exibição (dd/mm/aaaa)
-      let dataFormatada = ''
-      if (pag.data) {
-        const dataObj = pag.data instanceof Date ? pag.data : new Date(pag.data)
-        if (!isNaN(dataObj.getTime())) {
-          const dia = String(dataObj.getDate()).padStart(2, '0')
-          const mes = String(dataObj.getMonth() + 1).padStart(2, '0')
-          const ano = dataObj.getFullYear()
-          dataFormatada = `${dia}/${mes}/${ano}`
-        }
-      }
-      if (!dataFormatada && pag.dataOriginal) {
-        dataFormatada = String(pag.dataOriginal)
-      }
-      
-      return {
-        'Linha': pag.linhaOriginal || index + 1,
-        'Valor': pag.valorOriginal || pag.valor,
-        'Valor Normalizado': `R$ ${pag.valor?.toFixed(2) || '0.00'}`,
-        'Descrição': pag.descricao || '',
-        'Motivo': pag.motivo || 'Pagamento presente no Relatório Planaltec mas AUSENTE no Extrato Bancário',
-        'Detalhes': pag.detalhes || '',
-        'Data': dataFormatada
-      }
-    })
+    // Valores financeiros
+    valorTotalConciliado,
+    valorTotalFaltanteNoExtrato,
+    valorTotalFaltanteNoRelatorio,
     
-    await criarAbaFormatada(dadosExtrato, 'Faltam no Extrato', 'Relatorio')
-    console.log(`[CONCILIA] Aba "Faltam no Extrato": ${naoEncontradosNoExtrato.length} registros formatados`)
-  }
-  
-  // Aba 2: Pagamentos não encontrados no Relatório (estão no Extrato, faltam no Relatório)
-  if (naoEncontradosNoRelatorio.length > 0) {
-    const dadosRelatorio = naoEncontradosNoRelatorio.map((pag, index) => {
-      // Formata data para exibição (dd/mm/aaaa)
-      let dataFormatada = ''
-      if (pag.data) {
-        const dataObj = pag.data instanceof Date ? pag.data : new Date(pag.data)
-        if (!isNaN(dataObj.getTime())) {
-          const dia = String(dataObj.getDate()).padStart(2, '0')
-          const mes = String(dataObj.getMonth() + 1).padStart(2, '0')
-          const ano = dataObj.getFullYear()
-          dataFormatada = `${dia}/${mes}/${ano}`
-        }
-      }
-      if (!dataFormatada && pag.dataOriginal) {
-        dataFormatada = String(pag.dataOriginal)
-      }
-      
-      return {
-        'Linha': pag.linhaOriginal || index + 1,
-        'Valor': pag.valorOriginal || pag.valor,
-        'Valor Normalizado': `R$ ${pag.valor?.toFixed(2) || '0.00'}`,
-        'Descrição': pag.descricao || '',
-        'Motivo': pag.motivo || 'Pagamento presente no Extrato Bancário mas AUSENTE no Relatório Planaltec',
-        'Detalhes': pag.detalhes || '',
-        'Data': dataFormatada,
-        'DCTO': pag.dcto || '' // Sequência numérica de 7 dígitos da coluna C do extrato
-      }
-    })
+    // Taxa de conciliação
+    taxaConciliacao: baseTaxa > 0
+      ? ((totalRelatorioConciliado / baseTaxa) * 100).toFixed(2) + '%'
+      : '0%',
     
-    await criarAbaFormatada(dadosRelatorio, 'Faltam no Relatório', 'Extrato')
-    console.log(`[CONCILIA] Aba "Faltam no Relatório": ${naoEncontradosNoRelatorio.length} registros formatados`)
+    // Status geral
+    status: resultados.naoEncontradosNoExtrato.length === 0 &&
+            resultados.naoEncontradosNoRelatorio.length === 0 &&
+            resultados.divergenciaValor.length === 0 &&
+            resultados.revisar.length === 0
+      ? 'totalmente_conciliado'
+      : 'divergencias_encontradas'
   }
-  
-  // Converte para buffer
-  const buffer = await workbook.xlsx.writeBuffer()
-  console.log(`[CONCILIA] Planilha de irregulares formatada gerada com sucesso`)
-  
-  return Buffer.from(buffer)
 }
 
 /**
  * Função principal de conciliação
- * @param {Buffer} bufferExtrato - Buffer do arquivo de extrato bancário
- * @param {Buffer} bufferRelatorio - Buffer do arquivo de relatório Planaltec
+ * Cada lado aceita um Buffer ou vários arquivos { nome, buffer, planilhas } (ver normalizarArquivos),
+ * conciliados como um único conjunto
+ * @param {Buffer|Array} extratos - Extrato(s) bancário(s) (XLSX/XLS, CSV/TXT, OFX ou retorno CNAB 240/400)
+ * @param {Buffer|Array} relatorios - Relatório(s) Planaltec (XLSX/XLS ou CSV/TXT)
+ * @param {Object} opcoes - Sobrescreve CONFIGURACAO_PADRAO (ex: { janelaDiasUteis: 2 })
+ *   opcoes.perfilExtrato: id do perfil do banco (perfis-extrato.js) ou 'auto' (padrão)
+ * @returns {Promise<Object>} Resultado ({ dataConciliação, configuracao, resumo, detalhes }) com a planilha
+ *   (`planilhaConciliacao`) e o relatório PDF (`relatorioPdf`) em Buffer
  */
-async function realizarConciliacao(bufferExtrato, bufferRelatorio) {
+async function realizarConciliacao(extratos, relatorios, opcoes = {}) {
   try {
     console.log('[CONCILIA] Iniciando conciliação...')
     
-    // Lê as planilhas
-    const workbookExtrato = XLSX.read(bufferExtrato, { 
-      type: 'buffer',
-      cellDates: true
-    })
-    
-    const workbookRelatorio = XLSX.read(bufferRelatorio, { 
-      type: 'buffer',
-      cellDates: true
-    })
+    const arquivosExtrato = normalizarArquivos(extratos, 'extrato')
+    const arquivosRelatorio = normalizarArquivos(relatorios, 'relatorio')
+    console.log(`[CONCILIA] Arquivos: ${arquivosExtrato.length} extrato(s), ${arquivosRelatorio.length} relatório(s)`)
     
-    // Valida formato das planilhas ANTES de processar
-    let errosValidacao = []
+    // Lê e valida todos os arquivos ANTES de processar
+    // Cada validação detecta o cabeçalho e devolve o layout (coluna real de cada campo)
+    const errosValidacao = []
+    const errosLayout = []
     
-    try {
-      validarExtratoBancario(workbookExtrato)
-    } catch (erro) {
-      console.error('[CONCILIA] Erro na validação do extrato bancário:', erro.message)
+    const errosExtrato = []
+    const fontesExtrato = validarFontes(arquivosExtrato, 'extrato', opcoes, errosExtrato)
+    if (errosExtrato.length > 0) {
+      errosExtrato.forEach(erro => console.error('[CONCILIA] Erro na validação do extrato bancário:', erro.message))
       errosValidacao.push('1')
+      errosLayout.push(...errosExtrato)
     }
     
-    try {
-      validarRelatorioPlanaltec(workbookRelatorio)
-    } catch (erro) {
-      console.error('[CONCILIA] Erro na validação do relatório Planaltec:', erro.message)
+    const errosRelatorio = []
+    const fontesRelatorio = validarFontes(arquivosRelatorio, 'relatorio', opcoes, errosRelatorio)
+    if (errosRelatorio.length > 0) {
+      errosRelatorio.forEach(erro => console.error('[CONCILIA] Erro na validação do relatório Planaltec:', erro.message))
       errosValidacao.push('2')
+      errosLayout.push(...errosRelatorio)
     }
     
-    // Se alguma validação falhou, lança erro com mensagem apropriada
+    // Se alguma validação falhou, lança erro dizendo exatamente qual coluna faltou em qual planilha
     if (errosValidacao.length > 0) {
-      const arquivosEstranhos = errosValidacao.join(' ou ')
-      const mensagemErro = `Arquivo estranho: ${arquivosEstranhos}\n\nSua planilha está em um formato diferente do esperado, procure o TI para entender qual foi a mudança no formato`
+      const mensagemErro = `${errosLayout.map(erro => erro.message).join('\n')}\n\n` +
+        `Sua planilha está em um formato diferente do esperado, procure o TI para entender qual foi a mudança no formato`
       
       console.error('[CONCILIA] Validação falhou:', mensagemErro)
+      errosLayout.forEach(erro => console.error(`[CONCILIA]   → ${erro.detalhes}`))
       
       const erroValidacao = new Error(mensagemErro)
       erroValidacao.codigoErro = 'VALIDACAO_FORMATO_INVALIDO'
       erroValidacao.arquivosEstranhos = errosValidacao
+      erroValidacao.errosLayout = errosLayout.map(erro => ({
+        planilha: erro.tipoPlanilha,
+        camposFaltantes: erro.camposFaltantes || [],
+        linhaCabecalhoProvavel: erro.linhaCabecalhoProvavel ?? null,
+        arquivo: erro.arquivo || null,
+        aba: erro.planilha || null,
+        mensagem: erro.message,
+        detalhes: erro.detalhes || ''
+      }))
       throw erroValidacao
     }
     
     console.log('[CONCILIA] Validações passaram, prosseguindo com processamento...')
     
-    // Processa ambas as planilhas
-    const pagamentosExtrato = processarExtratoBancario(workbookExtrato)
-    const pagamentosRelatorio = processarRelatorioPlanaltec(workbookRelatorio)
+    // Processa todos os arquivos: cada lado vira um único conjunto de pagamentos
+    // Linhas descartadas ou lidas sem data não somem: viram avisos de leitura
+    const avisosLeitura = []
+    const pagamentosExtrato = processarFontesExtrato(fontesExtrato, avisosLeitura)
+    const pagamentosRelatorio = processarFontesRelatorio(fontesRelatorio, avisosLeitura)
+    const linhasDescartadas = avisosLeitura.filter(aviso => aviso.descartada)
+    console.log(`[CONCILIA] Avisos de leitura: ${linhasDescartadas.length} linha(s) descartada(s), ` +
+      `${avisosLeitura.length - linhasDescartadas.length} mantida(s) com dado faltando`)
+    
+    // Antes de cruzar: procura pagamentos lançados em duplicidade em cada planilha
+    const configuracao = montarConfiguracao(opcoes)
+    const possiveisDuplicidades = configuracao.detectarDuplicidades
+      ? [
+          ...detectarDuplicidades(pagamentosRelatorio, 'relatorio', configuracao),
+          ...detectarDuplicidades(pagamentosExtrato, 'extrato', configuracao)
+        ]
+      : []
+    console.log(`[CONCILIA] Possíveis duplicidades: ${possiveisDuplicidades.length} grupo(s)`)
     
     // Cruza os pagamentos
-    const resultados = cruzarPagamentos(pagamentosExtrato, pagamentosRelatorio)
+    const resultados = cruzarPagamentos(pagamentosExtrato, pagamentosRelatorio, opcoes)
     
-    // Calcula totais financeiros das divergências
-    const valorTotalFaltanteNoExtrato = resultados.naoEncontradosNoExtrato.reduce(
-      (soma, pag) => soma + (pag.valor || 0), 0
-    )
-    const valorTotalFaltanteNoRelatorio = resultados.naoEncontradosNoRelatorio.reduce(
-      (soma, pag) => soma + (pag.valor || 0), 0
-    )
-    const valorTotalConciliado = resultados.encontrados.reduce(
-      (soma, item) => soma + (item.relatorio.valor || 0), 0
+    // Retorno CNAB: rejeitados/agendados explicam itens do relatório que faltam no extrato
+    const fontesCnab = fontesExtrato.filter(fonte => fonte.cnab)
+    const retornoBanco = fontesCnab.flatMap(fonte => pendenciasRetornoBanco(fonte.cnab)
+      .map(pag => ({ ...pag, arquivo: fonte.arquivo, planilha: null })))
+    vincularRetornoBanco(retornoBanco, resultados.naoEncontradosNoExtrato, configuracao)
+    const rejeitadosBanco = retornoBanco.filter(pag => pag.status === 'rejeitado')
+    const agendadosBanco = retornoBanco.filter(pag => pag.status === 'agendado')
+    const outrosBanco = retornoBanco.filter(pag => pag.status !== 'rejeitado' && pag.status !== 'agendado')
+    
+    const ofxComSaldo = fontesExtrato.find(fonte => fonte.ofx && fonte.ofx.saldo) || null
+    
+    // Período: menor e maior data lida nos dois lados
+    const datasLidas = [...pagamentosExtrato, ...pagamentosRelatorio]
+      .map(pag => normalizarData(pag.data))
+      .filter(Boolean)
+    const inicioPeriodo = datasLidas.reduce((menor, data) => (!menor || data < menor ? data : menor), null)
+    const fimPeriodo = datasLidas.reduce((maior, data) => (!maior || data > maior ? data : maior), null)
+    
+    // Verificação de saldos: cada arquivo/aba do extrato é conferido separadamente
+    const verificacoesSaldo = fontesExtrato
+      .filter(fonte => fonte.verificacaoSaldo)
+      .map(fonte => ({ arquivo: fonte.arquivo, planilha: fonte.planilha, ...fonte.verificacaoSaldo }))
+    const situacoesSaldo = verificacoesSaldo.map(verificacao => verificacao.situacao)
+    let situacaoSaldo = 'incompleto'
+    if (situacoesSaldo.includes('divergente')) {
+      situacaoSaldo = 'divergente'
+    } else if (situacoesSaldo.every(situacao => situacao === 'sem_saldo')) {
+      situacaoSaldo = 'sem_saldo'
+    } else if (situacoesSaldo.every(situacao => situacao === 'conferido')) {
+      situacaoSaldo = 'conferido'
+    }
+    
+    const centavosDoPagamento = pag => pag.centavos
+    // Valor "a mais" em cada grupo de duplicidade (todas as cópias menos a primeira)
+    const duplicidadesRelatorio = possiveisDuplicidades.filter(d => d.origem === 'relatorio')
+    const duplicidadesExtrato = possiveisDuplicidades.filter(d => d.origem === 'extrato')
+    const valorEmDuplicidade = grupos => centavosParaReais(
+      somarCentavos(grupos, grupo => grupo.centavos * (grupo.itens.length - 1))
     )
     
+    // Números que dependem só do cruzamento (recalculados a cada ajuste manual)
+    const cruzamento = resumirCruzamento(resultados, pagamentosRelatorio.length, configuracao)
+    
     // Gera relatório resumido e detalhado
     const relatorio = {
       dataConciliação: new Date().toISOString(),
+      // Configuração usada: os ajustes manuais regeneram a planilha com os mesmos parâmetros
+      configuracao,
       resumo: {
         // Totais de registros
         totalExtrato: pagamentosExtrato.length,
         totalRelatorio: pagamentosRelatorio.length,
-        totalEncontrados: resultados.encontrados.length,
+        totalEncontrados: cruzamento.totalEncontrados,
+        
+        // Perfil de banco usado para ler o extrato (OFX e CNAB não dependem de layout)
+        perfilExtrato: descreverFontesExtrato(fontesExtrato),
+        
+        // Arquivos e abas lidos em cada lado, com a ordem das datas e a quantidade de pagamentos de cada um
+        // SHA-256 identifica exatamente o arquivo conciliado (confere com o arquivo guardado na auditoria)
+        arquivos: {
+          extrato: fontesExtrato.map(fonte => ({
+            arquivo: fonte.arquivo,
+            planilha: fonte.planilha,
+            sha256: fonte.sha256,
+            leituraComo: descreverFonteExtrato(fonte).nome,
+            conta: descreverContaDaFonte(fonte),
+            datas: fonte.ordemData ? fonte.ordemData.descricao : null,
+            pagamentos: fonte.totalPagamentos
+          })),
+          relatorio: fontesRelatorio.map(fonte => ({
+            arquivo: fonte.arquivo,
+            planilha: fonte.planilha,
+            sha256: fonte.sha256,
+            linhaCabecalho: fonte.layout.linhaCabecalho,
+            datas: fonte.ordemData.descricao,
+            pagamentos: fonte.totalPagamentos
+          }))
+        },
+        
+        // Período coberto pelos pagamentos (datas lidas no extrato e no relatório)
+        periodo: {
+          inicio: inicioPeriodo,
+          fim: fimPeriodo
+        },
+        
+        // Saldo final informado pelo banco (LEDGERBAL do OFX), para conferência de saldo
+        // Com vários OFX, vale o primeiro que informar saldo
+        saldoExtrato: ofxComSaldo
+          ? {
+              valor: centavosParaReais(ofxComSaldo.ofx.saldo.centavos),
+              centavos: ofxComSaldo.ofx.saldo.centavos,
+              data: ofxComSaldo.ofx.saldo.data,
+              conta: ofxComSaldo.ofx.conta,
+              arquivo: ofxComSaldo.arquivo,
+              fonte: 'OFX (LEDGERBAL)'
+            }
+          : null,
+        
+        // Retorno CNAB: pagamentos que o banco não liquidou (rejeitados com as ocorrências traduzidas)
+        retornoBanco: fontesCnab.length > 0
+          ? {
+              formato: fontesCnab[0].cnab.formato,
+              banco: [...new Set(fontesCnab.map(fonte => fonte.cnab.banco))].join(', '),
+              liquidados: fontesCnab.reduce((soma, fonte) => soma + fonte.totalPagamentos, 0),
+              agendados: agendadosBanco.length,
+              rejeitados: rejeitadosBanco.length,
+              valorAgendado: centavosParaReais(somarCentavos(agendadosBanco, centavosDoPagamento)),
+              valorRejeitado: centavosParaReais(somarCentavos(rejeitadosBanco, centavosDoPagamento)),
+              // Cobrança (CNAB 400): títulos confirmados, baixados ou com ocorrência informativa
+              outrasOcorrencias: outrosBanco.length,
+              ligadosAoRelatorio: retornoBanco.filter(pag => pag.linhaRelatorio !== null).length,
+              descricao: 'Registros do retorno que não movimentaram a conta (rejeitados, agendados, confirmados ou baixados)'
+            }
+          : null,
+        
+        // Conciliados por soma (lote) e pares com baixa confiança (não entram como conciliados)
+        lotes: cruzamento.lotes,
+        revisar: cruzamento.revisar,
+        confianca: cruzamento.confianca,
         
         // Divergências - o que NÃO está em cada planilha
-        naoEncontradosNoExtrato: {
-          quantidade: resultados.naoEncontradosNoExtrato.length,
-          valorTotal: valorTotalFaltanteNoExtrato,
-          descricao: 'Pagamentos presentes no RELATÓRIO PLANALTEC mas AUSENTES no EXTRATO BANCÁRIO'
+        naoEncontradosNoExtrato: cruzamento.naoEncontradosNoExtrato,
+        naoEncontradosNoRelatorio: cruzamento.naoEncontradosNoRelatorio,
+        divergenciaValor: cruzamento.divergenciaValor,
+        
+        // Problemas de leitura: linhas que ficaram fora (ou entraram sem data) - a taxa não as considera
+        avisosLeitura: {
+          quantidade: avisosLeitura.length,
+          linhasDescartadas: linhasDescartadas.length,
+          linhasDescartadasExtrato: linhasDescartadas.filter(aviso => aviso.origem === 'extrato').length,
+          linhasDescartadasRelatorio: linhasDescartadas.filter(aviso => aviso.origem === 'relatorio').length,
+          valoresIlegiveis: avisosLeitura.filter(aviso => aviso.campo === 'valor').length,
+          datasNaoReconhecidas: avisosLeitura.filter(aviso => aviso.campo === 'data').length,
+          descricao: 'Linhas descartadas na leitura (valor ilegível) ou lidas sem data: conferir antes de confiar na taxa de conciliação'
         },
-        naoEncontradosNoRelatorio: {
-          quantidade: resultados.naoEncontradosNoRelatorio.length,
-          valorTotal: valorTotalFaltanteNoRelatorio,
-          descricao: 'Pagamentos presentes no EXTRATO BANCÁRIO mas AUSENTES no RELATÓRIO PLANALTEC'
+        
+        // Lançamentos do extrato que não entram no cruzamento
+        estornos: cruzamento.estornos,
+        possiveisDuplicidades: {
+          quantidade: possiveisDuplicidades.length,
+          gruposRelatorio: duplicidadesRelatorio.length,
+          gruposExtrato: duplicidadesExtrato.length,
+          valorEmDuplicidadeRelatorio: valorEmDuplicidade(duplicidadesRelatorio),
+          valorEmDuplicidadeExtrato: valorEmDuplicidade(duplicidadesExtrato),
+          descricao: 'Grupos de lançamentos com mesmo valor, favorecido parecido e datas próximas na MESMA planilha'
         },
+        ignoradosPorNatureza: cruzamento.ignoradosPorNatureza,
         
         // Valores financeiros
-        valorTotalConciliado: valorTotalConciliado,
-        valorTotalFaltanteNoExtrato: valorTotalFaltanteNoExtrato,
-        valorTotalFaltanteNoRelatorio: valorTotalFaltanteNoRelatorio,
+        valorTotalConciliado: cruzamento.valorTotalConciliado,
+        valorTotalFaltanteNoExtrato: cruzamento.valorTotalFaltanteNoExtrato,
+        valorTotalFaltanteNoRelatorio: cruzamento.valorTotalFaltanteNoRelatorio,
         
         // Taxa de conciliação
-        taxaConciliacao: pagamentosRelatorio.length > 0 
-          ? ((resultados.encontrados.length / pagamentosRelatorio.length) * 100).toFixed(2) + '%'
-          : '0%',
+        taxaConciliacao: cruzamento.taxaConciliacao,
+        
+        // Verificação de saldos do extrato: prova que o extrato está completo
+        // (saldo inicial + lançamentos = saldo final, e saldo contínuo linha a linha)
+        verificacaoSaldo: {
+          situacao: situacaoSaldo,
+          lacunas: verificacoesSaldo.reduce((soma, verificacao) => soma + verificacao.lacunas.length, 0),
+          fontes: verificacoesSaldo,
+          descricao: DESCRICOES_SITUACAO_SALDO[situacaoSaldo]
+        },
         
         // Status geral
-        status: resultados.naoEncontradosNoExtrato.length === 0 && 
-                resultados.naoEncontradosNoRelatorio.length === 0 
-          ? 'totalmente_conciliado' 
-          : 'divergencias_encontradas'
+        status: cruzamento.status
       },
       detalhes: {
         encontrados: resultados.encontrados,
+        revisar: resultados.revisar,
+        lotes: resultados.lotes,
+        divergenciaValor: resultados.divergenciaValor,
+        estornos: resultados.estornos,
+        ignoradosPorNatureza: resultados.ignoradosPorNatureza,
+        possiveisDuplicidades: possiveisDuplicidades,
+        retornoBanco: retornoBanco,
+        avisosLeitura: avisosLeitura,
         naoEncontradosNoExtrato: resultados.naoEncontradosNoExtrato,
         naoEncontradosNoRelatorio: resultados.naoEncontradosNoRelatorio
       }
@@ -942,38 +3931,354 @@ async function realizarConciliacao(bufferExtrato, bufferRelatorio) {
     console.log(`[CONCILIA] Total de pagamentos no EXTRATO: ${relatorio.resumo.totalExtrato}`)
     console.log(`[CONCILIA] Total de pagamentos no RELATÓRIO: ${relatorio.resumo.totalRelatorio}`)
     console.log(`[CONCILIA] Total CONCILIADOS (bateram): ${relatorio.resumo.totalEncontrados}`)
+    console.log(`[CONCILIA] Para REVISAR (confiança < ${relatorio.resumo.revisar.confiancaMinima}): ${relatorio.resumo.revisar.quantidade} (R$ ${relatorio.resumo.revisar.valorTotal.toFixed(2)})`)
+    console.log(`[CONCILIA] Total de LOTES por soma: ${relatorio.resumo.lotes.quantidade} (${relatorio.resumo.lotes.linhasRelatorio} linhas do relatório, R$ ${relatorio.resumo.lotes.valorTotal.toFixed(2)})`)
     console.log(`[CONCILIA]`)
     console.log(`[CONCILIA] ⚠️  DIVERGÊNCIAS ENCONTRADAS:`)
     console.log(`[CONCILIA] - Falta no EXTRATO: ${relatorio.resumo.naoEncontradosNoExtrato.quantidade} pagamentos (R$ ${relatorio.resumo.naoEncontradosNoExtrato.valorTotal.toFixed(2)})`)
     console.log(`[CONCILIA]   → Estão no Relatório Planaltec mas NÃO estão no Extrato Bancário`)
     console.log(`[CONCILIA] - Falta no RELATÓRIO: ${relatorio.resumo.naoEncontradosNoRelatorio.quantidade} pagamentos (R$ ${relatorio.resumo.naoEncontradosNoRelatorio.valorTotal.toFixed(2)})`)
     console.log(`[CONCILIA]   → Estão no Extrato Bancário mas NÃO estão no Relatório Planaltec`)
+    console.log(`[CONCILIA] - Divergência de VALOR: ${relatorio.resumo.divergenciaValor.quantidade} pares (diferença R$ ${relatorio.resumo.divergenciaValor.diferencaTotal.toFixed(2)})`)
+    console.log(`[CONCILIA] - Estornos no extrato: ${relatorio.resumo.estornos.quantidade} (R$ ${relatorio.resumo.estornos.valorTotal.toFixed(2)})`)
+    console.log(`[CONCILIA] - Linhas DESCARTADAS na leitura: ${relatorio.resumo.avisosLeitura.linhasDescartadas} (ver aba "Linhas Ignoradas")`)
+    console.log(`[CONCILIA] - Possíveis DUPLICIDADES: ${relatorio.resumo.possiveisDuplicidades.gruposRelatorio} no relatório (R$ ${relatorio.resumo.possiveisDuplicidades.valorEmDuplicidadeRelatorio.toFixed(2)} a mais), ${relatorio.resumo.possiveisDuplicidades.gruposExtrato} no extrato`)
     console.log(`[CONCILIA]`)
     console.log(`[CONCILIA] Taxa de conciliação: ${relatorio.resumo.taxaConciliacao}`)
+    console.log(`[CONCILIA] Verificação de saldos: ${relatorio.resumo.verificacaoSaldo.situacao} (${relatorio.resumo.verificacaoSaldo.lacunas} lacuna(s))`)
     console.log(`[CONCILIA] ==================================`)
     
     console.log('[CONCILIA] Conciliação concluída com sucesso')
     
-    // Gera planilha de irregulares se houver divergências
-    let planilhaIrregularesBuffer = null
-    if (resultados.naoEncontradosNoExtrato.length > 0 || resultados.naoEncontradosNoRelatorio.length > 0) {
-      planilhaIrregularesBuffer = await gerarPlanilhaIrregulares(
-        resultados.naoEncontradosNoExtrato,
-        resultados.naoEncontradosNoRelatorio
-      )
-    }
+    // Gera a planilha da conciliação sempre: um mês sem divergências também precisa do registro para a auditoria
+    const planilhaConciliacaoBuffer = await gerarPlanilhaConciliacao(relatorio, configuracao)
+    // Relatório PDF para conferência e assinatura (o mesmo resultado, em formato de documento)
+    const relatorioPdfBuffer = gerarRelatorioPdf(relatorio)
     
     return {
       ...relatorio,
-      planilhaIrregulares: planilhaIrregularesBuffer ? planilhaIrregularesBuffer.toString('base64') : null
+      planilhaConciliacao: planilhaConciliacaoBuffer,
+      relatorioPdf: relatorioPdfBuffer
     }
-    
+  
   } catch (erro) {
     console.error('[CONCILIA] Erro ao realizar conciliação:', erro)
     throw erro
   }
 }
 
+// Datas em texto ISO (como voltam do JSON da API): "2024-01-15T03:00:00.000Z"
+const PADRAO_DATA_ISO = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/
+
+/**
+ * Converte de volta em Date as datas de um resultado que passou por JSON
+ * @returns {*} Cópia do valor com as datas ISO como Date
+ */
+function reviverDatas(valor) {
+  if (typeof valor === 'string') {
+    return PADRAO_DATA_ISO.test(valor) ? new Date(valor) : valor
+  }
+  if (Array.isArray(valor)) {
+    return valor.map(reviverDatas)
+  }
+  if (valor && typeof valor === 'object' && !(valor instanceof Date)) {
+    return Object.fromEntries(Object.entries(valor).map(([chave, item]) => [chave, reviverDatas(item)]))
+  }
+  return valor
+}
+
+/**
+ * Erro de ajuste manual (pagamento que não está onde o ajuste espera, motivo faltando, ...)
+ */
+function erroAjuste(mensagem) {
+  const erro = new Error(mensagem)
+  erro.codigoErro = 'AJUSTE_INVALIDO'
+  return erro
+}
+
+/**
+ * Remove de uma lista o pagamento com a mesma chave (ver chavePagamento)
+ * @returns {Object|null} O pagamento da lista (não o informado), ou null se não estiver nela
+ */
+function retirarPagamento(lista, pag) {
+  const chave = chavePagamento(pag)
+  const indice = lista.findIndex(item => chavePagamento(item) === chave)
+  return indice === -1 ? null : lista.splice(indice, 1)[0]
+}
+
+/**
+ * Pagamento sem os campos de diagnóstico de "não encontrado" (motivo, detalhes, debug)
+ */
+function semDiagnostico(pag) {
+  const copia = { ...pag }
+  delete copia.motivo
+  delete copia.detalhes
+  delete copia.debug
+  return copia
+}
+
+/**
+ * Confere o formato dos ajustes antes de aplicar (o corpo vem do navegador)
+ * @param {Object} ajustes - { desfeitos, aceitos, pares, ignorados }
+ * @throws {Error} codigoErro 'AJUSTE_INVALIDO' no primeiro campo fora do formato
+ */
+function validarAjustes(ajustes) {
+  const ehObjeto = valor => valor !== null && typeof valor === 'object' && !Array.isArray(valor)
+  if (!ehObjeto(ajustes)) {
+    throw erroAjuste('Ajustes inválidos: envie um objeto com desfeitos, aceitos, pares e ignorados')
+  }
+  
+  const listas = ['desfeitos', 'aceitos', 'pares', 'ignorados']
+  listas.forEach(lista => {
+    if (ajustes[lista] !== undefined && !Array.isArray(ajustes[lista])) {
+      throw erroAjuste(`Ajustes inválidos: "${lista}" precisa ser uma lista`)
+    }
+  })
+  
+  const listasDePagamento = ['desfeitos', 'aceitos', 'ignorados']
+  listasDePagamento.forEach(lista => {
+    (ajustes[lista] || []).forEach((ajuste, indice) => {
+      if (!ehObjeto(ajuste) || !ehObjeto(ajuste.pagamento)) {
+        throw erroAjuste(`Ajustes inválidos: o item ${indice + 1} de "${lista}" precisa informar o pagamento`)
+      }
+    })
+  })
+  
+  const pares = ajustes.pares || []
+  pares.forEach((par, indice) => {
+    const ladosValidos = ehObjeto(par) && ['relatorio', 'extrato'].every(lado =>
+      par[lado] === undefined || (Array.isArray(par[lado]) && par[lado].every(ehObjeto)))
+    if (!ladosValidos) {
+      throw erroAjuste(`Ajustes inválidos: o par ${indice + 1} precisa de "relatorio" e "extrato" como listas de pagamentos`)
+    }
+  })
+}
+
+/**
+ * Listas de pares 1:1 automáticos que o analista pode desfazer (e, fora encontrados, aceitar)
+ */
+const LISTAS_PARES_AJUSTAVEIS = ['encontrados', 'revisar', 'divergenciaValor']
+
+/**
+ * Procura o par 1:1 automático que contém o pagamento (ver LISTAS_PARES_AJUSTAVEIS)
+ * @returns {{lista: string, indice: number}|null}
+ */
+function localizarPar(detalhes, chave, listas = LISTAS_PARES_AJUSTAVEIS) {
+  for (const lista of listas) {
+    const indice = detalhes[lista].findIndex(par =>
+      chavePagamento(par.relatorio) === chave || chavePagamento(par.extrato) === chave)
+    if (indice !== -1) {
+      return { lista, indice }
+    }
+  }
+  return null
+}
+
+/**
+ * Volta um pagamento para a lista de não encontrados do seu lado, com o motivo informado
+ */
+function devolverParaNaoEncontrados(detalhes, pag, lado, motivo) {
+  const lista = lado === 'relatorio' ? detalhes.naoEncontradosNoExtrato : detalhes.naoEncontradosNoRelatorio
+  lista.push({ ...semDiagnostico(pag), motivo, detalhes: '' })
+}
+
+/**
+ * Refaz o resultado de uma conciliação com os ajustes do analista, sem reler os arquivos
+ * Os ajustes valem sobre o resultado ORIGINAL (sempre a lista completa): desfazer um ajuste
+ * é só reenviar a lista sem ele
+ *
+ * Cada pagamento é identificado como no cruzamento (chavePagamento): basta reenviar o
+ * próprio objeto do pagamento que veio no resultado
+ *
+ * Ordem de aplicação:
+ * 1. desfeitos: [{ pagamento }] - desfaz o par automático (conciliado, a revisar ou com divergência
+ *    de valor) ou o lote que contém o pagamento; os dois lados voltam para os não encontrados
+ * 2. aceitos: [{ pagamento, observacao }] - aceita como conciliado o par a revisar ou com divergência
+ *    de valor que contém o pagamento
+ * 3. pares: [{ relatorio: [pag], extrato: [pag], observacao }] - concilia manualmente linhas não
+ *    encontradas: 1:1 vira par, 1:N ou N:1 vira lote (N:N não é aceito)
+ * 4. ignorados: [{ pagamento, motivo }] - tira uma linha não encontrada das divergências (motivo obrigatório)
+ *
+ * @param {Object} relatorio - Resultado original da conciliação ({ dataConciliação, configuracao, resumo, detalhes })
+ * @param {Object} ajustes - { desfeitos, aceitos, pares, ignorados }
+ * @returns {Promise<Object>} Resultado ajustado, com resumo recalculado, planilha e relatório PDF novos (Buffer)
+ * @throws {Error} codigoErro 'AJUSTE_INVALIDO' se os ajustes estiverem fora do formato ou algum não puder ser aplicado
+ */
+async function aplicarAjustesManuais(relatorio, ajustes = {}) {
+  validarAjustes(ajustes)
+  const { desfeitos = [], aceitos = [], pares = [], ignorados = [] } = ajustes
+  console.log(`[CONCILIA] Aplicando ajustes manuais: ${desfeitos.length} desfeito(s), ${aceitos.length} aceito(s), ` +
+    `${pares.length} par(es), ${ignorados.length} ignorado(s)`)
+  
+  const original = reviverDatas(relatorio)
+  const configuracao = montarConfiguracao(original.configuracao)
+  const detalhes = {
+    ...original.detalhes,
+    encontrados: [...original.detalhes.encontrados],
+    revisar: [...original.detalhes.revisar],
+    divergenciaValor: [...original.detalhes.divergenciaValor],
+    lotes: [...original.detalhes.lotes],
+    naoEncontradosNoExtrato: [...original.detalhes.naoEncontradosNoExtrato],
+    naoEncontradosNoRelatorio: [...original.detalhes.naoEncontradosNoRelatorio],
+    ignoradosManualmente: []
+  }
+  
+  // 1. Desfaz pares automáticos (1:1 em qualquer situação ou lote inteiro)
+  desfeitos.forEach(({ pagamento }) => {
+    const chave = chavePagamento(pagamento)
+    const motivo = 'Conciliação automática desfeita manualmente'
+    
+    const local = localizarPar(detalhes, chave)
+    if (local) {
+      const [par] = detalhes[local.lista].splice(local.indice, 1)
+      devolverParaNaoEncontrados(detalhes, par.relatorio, 'relatorio', motivo)
+      devolverParaNaoEncontrados(detalhes, par.extrato, 'extrato', motivo)
+      return
+    }
+    
+    const indiceLote = detalhes.lotes.findIndex(lote =>
+      [...lote.relatorio, ...lote.extrato].some(pag => chavePagamento(pag) === chave))
+    if (indiceLote === -1) {
+      throw erroAjuste(`Linha ${pagamento.linhaOriginal} (${descreverOrigem(pagamento)}) não está em nenhum par conciliado para desfazer`)
+    }
+    const [lote] = detalhes.lotes.splice(indiceLote, 1)
+    lote.relatorio.forEach(pag => devolverParaNaoEncontrados(detalhes, pag, 'relatorio', motivo))
+    lote.extrato.forEach(pag => devolverParaNaoEncontrados(detalhes, pag, 'extrato', motivo))
+  })
+  
+  // 2. Aceita pares a revisar ou com divergência de valor: passam para os conciliados
+  aceitos.forEach(({ pagamento, observacao = '' }) => {
+    const local = localizarPar(detalhes, chavePagamento(pagamento), ['revisar', 'divergenciaValor'])
+    if (!local) {
+      throw erroAjuste(`Linha ${pagamento.linhaOriginal} (${descreverOrigem(pagamento)}) não está em nenhum par a revisar ou com divergência de valor para aceitar`)
+    }
+    
+    const [par] = detalhes[local.lista].splice(local.indice, 1)
+    const explicacao = [...(par.explicacao || [])]
+    if (local.lista === 'divergenciaValor') {
+      explicacao.push(`Diferença de R$ ${par.diferenca.toFixed(2)} (${par.diferencaPercentual}) entre extrato e relatório`)
+    }
+    explicacao.push(`Aceito manualmente${observacao ? `: ${observacao}` : ''}`)
+    detalhes.encontrados.push({
+      ...par,
+      score: par.score ?? null,
+      confianca: par.confianca ?? null,
+      explicacao,
+      aceitoManualmente: true,
+      observacao
+    })
+  })
+  
+  // 3. Pares manuais: só com linhas que estão entre os não encontrados
+  pares.forEach(({ relatorio: doRelatorio = [], extrato: doExtrato = [], observacao = '' }) => {
+    if (doRelatorio.length === 0 || doExtrato.length === 0) {
+      throw erroAjuste('Um par manual precisa de ao menos uma linha do relatório e uma do extrato')
+    }
+    if (doRelatorio.length > 1 && doExtrato.length > 1) {
+      throw erroAjuste('Par manual com várias linhas dos DOIS lados não é aceito: use 1 para 1, 1 para N ou N para 1')
+    }
+    
+    const retirar = (lista, pag, lado) => {
+      const encontrado = retirarPagamento(lista, pag)
+      if (!encontrado) {
+        throw erroAjuste(`Linha ${pag.linhaOriginal} do ${lado} (${descreverOrigem(pag)}) não está entre os não encontrados: já foi conciliada ou usada em outro ajuste`)
+      }
+      return semDiagnostico(encontrado)
+    }
+    const pagamentosRelatorio = doRelatorio.map(pag => retirar(detalhes.naoEncontradosNoExtrato, pag, 'relatório'))
+    const pagamentosExtrato = doExtrato.map(pag => retirar(detalhes.naoEncontradosNoRelatorio, pag, 'extrato'))
+    
+    const centavosRelatorio = somarPagamentos(pagamentosRelatorio)
+    const centavosExtrato = somarPagamentos(pagamentosExtrato)
+    const explicacao = [`Conciliado manualmente${observacao ? `: ${observacao}` : ''}`]
+    if (centavosRelatorio !== centavosExtrato) {
+      explicacao.push(`Diferença de R$ ${centavosParaReais(centavosExtrato - centavosRelatorio).toFixed(2)} entre extrato e relatório`)
+    }
+    
+    if (pagamentosRelatorio.length === 1 && pagamentosExtrato.length === 1) {
+      detalhes.encontrados.push({
+        extrato: pagamentosExtrato[0],
+        relatorio: pagamentosRelatorio[0],
+        score: null,
+        confianca: null,
+        explicacao,
+        metodo: 'manual',
+        diasDiferenca: calcularDiasDiferenca(pagamentosRelatorio[0].data, pagamentosExtrato[0].data),
+        observacao
+      })
+      return
+    }
+    
+    const diasDiferenca = pagamentosRelatorio.flatMap(pagRelatorio => pagamentosExtrato
+      .map(pagExtrato => calcularDiasDiferenca(pagRelatorio.data, pagExtrato.data))
+      .filter(dias => dias !== null)
+      .map(Math.abs))
+    detalhes.lotes.push({
+      extrato: pagamentosExtrato,
+      relatorio: pagamentosRelatorio,
+      valorTotal: centavosParaReais(centavosRelatorio),
+      centavosTotal: centavosRelatorio,
+      diasDiferencaMaximo: diasDiferenca.length > 0 ? Math.max(...diasDiferenca) : null,
+      direcao: pagamentosExtrato.length === 1 ? 'muitos_para_um' : 'um_para_muitos',
+      metodo: 'manual',
+      explicacao,
+      observacao
+    })
+  })
+  
+  // 4. Ignorados: saem das divergências, com o motivo do analista
+  ignorados.forEach(({ pagamento, motivo = '' }) => {
+    if (!String(motivo).trim()) {
+      throw erroAjuste(`Informe o motivo para ignorar a linha ${pagamento.linhaOriginal} (${descreverOrigem(pagamento)})`)
+    }
+    const doRelatorio = retirarPagamento(detalhes.naoEncontradosNoExtrato, pagamento)
+    const doExtrato = doRelatorio ? null : retirarPagamento(detalhes.naoEncontradosNoRelatorio, pagamento)
+    if (!doRelatorio && !doExtrato) {
+      throw erroAjuste(`Linha ${pagamento.linhaOriginal} (${descreverOrigem(pagamento)}) não está entre os não encontrados para ser ignorada`)
+    }
+    detalhes.ignoradosManualmente.push({
+      ...semDiagnostico(doRelatorio || doExtrato),
+      lado: doRelatorio ? 'relatorio' : 'extrato',
+      motivo: String(motivo).trim()
+    })
+  })
+  
+  const cruzamento = resumirCruzamento(detalhes, original.resumo.totalRelatorio, configuracao)
+  const ajustado = {
+    ...original,
+    dataAjuste: new Date().toISOString(),
+    ajustes: { desfeitos, aceitos, pares, ignorados },
+    resumo: {
+      ...original.resumo,
+      ...cruzamento,
+      ajustesManuais: {
+        paresDesfeitos: desfeitos.length,
+        paresAceitos: aceitos.length,
+        paresManuais: pares.length,
+        ignorados: detalhes.ignoradosManualmente.length,
+        valorIgnorado: centavosParaReais(somarPagamentos(detalhes.ignoradosManualmente)),
+        descricao: 'Ajustes feitos pelo analista sobre o resultado automático (ver aba "Ignorados Manualmente" e método "Manual" em Conciliados)'
+      }
+    },
+    detalhes
+  }
+  delete ajustado.planilhaConciliacao
+  delete ajustado.relatorioPdf
+  
+  console.log(`[CONCILIA] Resultado ajustado: ${cruzamento.totalEncontrados} conciliados, ` +
+    `${cruzamento.naoEncontradosNoExtrato.quantidade} faltam no extrato, ${cruzamento.naoEncontradosNoRelatorio.quantidade} faltam no relatório, ` +
+    `taxa ${cruzamento.taxaConciliacao}`)
+  
+  const planilhaConciliacaoBuffer = await gerarPlanilhaConciliacao(ajustado, configuracao)
+  const relatorioPdfBuffer = gerarRelatorioPdf(ajustado)
+  
+  return {
+    ...ajustado,
+    planilhaConciliacao: planilhaConciliacaoBuffer,
+    relatorioPdf: relatorioPdfBuffer
+  }
+}
+
 /**
  * Função auxiliar para debugar casos específicos
  * Permite investigar por que um pagamento específico não foi encontrado
@@ -1003,13 +4308,13 @@ function investigarCaso(pagamentosExtrato, pagamentosRelatorio, caso) {
     console.log(`[CONCILIA INVESTIGAÇÃO]   Descrição: "${pagamentoEncontrado.descricao}"`)
     
     // Busca no relatório
-    const candidatosNoRelatorio = pagamentosRelatorio.filter(p => p.valor === pagamentoEncontrado.valor)
+    const candidatosNoRelatorio = pagamentosRelatorio.filter(p => p.centavos === pagamentoEncontrado.centavos)
     console.log(`[CONCILIA INVESTIGAÇÃO]`)
     console.log(`[CONCILIA INVESTIGAÇÃO] Candidatos no RELATÓRIO com mesmo valor (R$ ${pagamentoEncontrado.valor.toFixed(2)}): ${candidatosNoRelatorio.length}`)
     
     candidatosNoRelatorio.forEach((cand, idx) => {
-      const palavrasComuns = contarPalavrasComuns(pagamentoEncontrado.descricao, cand.descricao)
-      console.log(`[CONCILIA INVESTIGAÇÃO]   ${idx + 1}. Linha ${cand.linhaOriginal} | Palavras comuns: ${palavrasComuns}`)
+      const similaridade = calcularSimilaridade(pagamentoEncontrado.descricao, cand.descricao)
+      console.log(`[CONCILIA INVESTIGAÇÃO]   ${idx + 1}. Linha ${cand.linhaOriginal} | ${similaridade.explicacao}`)
       console.log(`[CONCILIA INVESTIGAÇÃO]      Descrição: "${cand.descricao}"`)
       console.log(`[CONCILIA INVESTIGAÇÃO]      Valor Original: ${cand.valorOriginal}`)
     })
@@ -1017,7 +4322,7 @@ function investigarCaso(pagamentosExtrato, pagamentosRelatorio, caso) {
     if (candidatosNoRelatorio.length === 0) {
       // Busca valores próximos
       const valoresProximos = pagamentosRelatorio
-        .map(p => ({ pag: p, diff: Math.abs(p.valor - pagamentoEncontrado.valor) }))
+        .map(p => ({ pag: p, diff: centavosParaReais(Math.abs(p.centavos - pagamentoEncontrado.centavos)) }))
         .filter(v => v.diff > 0)
         .sort((a, b) => a.diff - b.diff)
         .slice(0, 5)
@@ -1030,7 +4335,7 @@ function investigarCaso(pagamentosExtrato, pagamentosRelatorio, caso) {
         console.log(`[CONCILIA INVESTIGAÇÃO]      Descrição: "${v.pag.descricao}"`)
       })
     }
-    
+  
   } else if (caso.tipo === 'relatorio') {
     pagamentoEncontrado = pagamentosRelatorio.find(p => p.linhaOriginal === caso.linha)
     if (!pagamentoEncontrado) {
@@ -1045,13 +4350,13 @@ function investigarCaso(pagamentosExtrato, pagamentosRelatorio, caso) {
     console.log(`[CONCILIA INVESTIGAÇÃO]   Descrição: "${pagamentoEncontrado.descricao}"`)
     
     // Busca no extrato
-    const candidatosNoExtrato = pagamentosExtrato.filter(p => p.valor === pagamentoEncontrado.valor)
+    const candidatosNoExtrato = pagamentosExtrato.filter(p => p.centavos === pagamentoEncontrado.centavos)
     console.log(`[CONCILIA INVESTIGAÇÃO]`)
     console.log(`[CONCILIA INVESTIGAÇÃO] Candidatos no EXTRATO com mesmo valor (R$ ${pagamentoEncontrado.valor.toFixed(2)}): ${candidatosNoExtrato.length}`)
     
     candidatosNoExtrato.forEach((cand, idx) => {
-      const palavrasComuns = contarPalavrasComuns(pagamentoEncontrado.descricao, cand.descricao)
-      console.log(`[CONCILIA INVESTIGAÇÃO]   ${idx + 1}. Linha ${cand.linhaOriginal} | Palavras comuns: ${palavrasComuns}`)
+      const similaridade = calcularSimilaridade(pagamentoEncontrado.descricao, cand.descricao)
+      console.log(`[CONCILIA INVESTIGAÇÃO]   ${idx + 1}. Linha ${cand.linhaOriginal} | ${similaridade.explicacao}`)
       console.log(`[CONCILIA INVESTIGAÇÃO]      Descrição: "${cand.descricao}"`)
       console.log(`[CONCILIA INVESTIGAÇÃO]      Valor Original: ${cand.valorOriginal}`)
     })
@@ -1059,7 +4364,7 @@ function investigarCaso(pagamentosExtrato, pagamentosRelatorio, caso) {
     if (candidatosNoExtrato.length === 0) {
       // Busca valores próximos
       const valoresProximos = pagamentosExtrato
-        .map(p => ({ pag: p, diff: Math.abs(p.valor - pagamentoEncontrado.valor) }))
+        .map(p => ({ pag: p, diff: centavosParaReais(Math.abs(p.centavos - pagamentoEncontrado.centavos)) }))
         .filter(v => v.diff > 0)
         .sort((a, b) => a.diff - b.diff)
         .slice(0, 5)
@@ -1080,14 +4385,28 @@ function investigarCaso(pagamentosExtrato, pagamentosRelatorio, caso) {
 // Exporta funções para uso em outros módulos
 module.exports = {
   realizarConciliacao,
-  gerarPlanilhaIrregulares,
+  preVisualizarArquivo,
+  lerPlanilha,
+  gerarPlanilhaConciliacao,
+  gerarRelatorioPdf,
+  gerarCsvConciliacao,
+  aplicarAjustesManuais,
   normalizarValorAbsoluto,
+  detectarNatureza,
   normalizarData,
   compararDatas,
+  calcularDiasDiferenca,
+  pontuarProximidadeData,
   removerAcentos,
   contarPalavrasComuns,
+  calcularSimilaridade,
   processarExtratoBancario,
+  processarExtratoOfx,
   processarRelatorioPlanaltec,
   cruzarPagamentos,
-  investigarCaso
+  investigarCaso,
+  detectarDuplicidades,
+  avaliarConfianca,
+  filtrarPorConfianca,
+  CONFIGURACAO_PADRAO
 }
@@ -0,0 +1,302 @@
+/**
+ * Leitura de CSV/TXT delimitado
+ *
+ * O gerenciador da Planaltec e vários bancos exportam CSV separado por ";"
+ * em Windows-1252. O arquivo é convertido em uma aba XLSX comum para seguir
+ * exatamente o mesmo caminho das planilhas (detecção de cabeçalho em layout.js).
+ *
+ * Detecções:
+ * 1. Codificação: UTF-8 com BOM, UTF-8 válido ou, se não for, Windows-1252 (Latin-1)
+ * 2. Delimitador: ";", ",", tabulação ou "|" - o que aparece o mesmo número de vezes
+ *    no maior número de linhas (fora de aspas)
+ * 3. Separador decimal: "," ou "." - o que mais aparece seguido de 1 ou 2 dígitos no
+ *    fim de células numéricas. Com ".", os valores são reescritos com vírgula
+ *    ("1,234.56" -> "1234,56") para não serem lidos como milhar adiante
+ *
+ * Escrita (escreverCsv): o mesmo formato que o Excel brasileiro abre direto -
+ * UTF-8 com BOM, ";" como separador e quebra de linha CRLF
+ */
+
+const XLSX = require('xlsx')
+
+const DELIMITADORES = [';', ',', '\t', '|']
+const LINHAS_AMOSTRA = 50
+
+const NOMES_DELIMITADOR = { ';': 'ponto e vírgula (;)', ',': 'vírgula (,)', '\t': 'tabulação', '|': 'barra vertical (|)' }
+
+/**
+ * Verifica se o buffer é uma planilha binária: XLSX (zip "PK") ou XLS (OLE D0 CF 11 E0)
+ * Os demais ".xls" (HTML, XML, texto) são texto, sem tipo de célula confiável
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {boolean}
+ */
+function ehPlanilhaBinaria(buffer) {
+  return (buffer[0] === 0x50 && buffer[1] === 0x4b) ||
+    (buffer[0] === 0xd0 && buffer[1] === 0xcf && buffer[2] === 0x11 && buffer[3] === 0xe0)
+}
+
+/**
+ * Verifica se o buffer é texto delimitado (e não XLSX/XLS binário, HTML ou XML)
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {boolean}
+ */
+function ehArquivoDelimitado(buffer) {
+  if (buffer.length === 0 || ehPlanilhaBinaria(buffer)) {
+    return false
+  }
+  
+  const { texto } = decodificarTexto(buffer.slice(0, 64 * 1024))
+  if (texto.trimStart().startsWith('<') || texto.includes('\u0000')) {
+    return false
+  }
+  
+  return detectarDelimitador(texto) !== null
+}
+
+/**
+ * Detecta a codificação e decodifica o texto
+ * @returns {{texto: string, codificacao: 'utf-8-bom'|'utf-8'|'windows-1252'}}
+ */
+function decodificarTexto(buffer) {
+  if (buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf) {
+    return { texto: new TextDecoder('utf-8').decode(buffer.slice(3)), codificacao: 'utf-8-bom' }
+  }
+  
+  try {
+    return { texto: new TextDecoder('utf-8', { fatal: true }).decode(buffer), codificacao: 'utf-8' }
+  } catch (erro) {
+    // Bytes inválidos em UTF-8: arquivo em Windows-1252 (superconjunto do Latin-1)
+    return { texto: new TextDecoder('windows-1252').decode(buffer), codificacao: 'windows-1252' }
+  }
+}
+
+/**
+ * Conta o delimitador em uma linha, ignorando o que está entre aspas
+ */
+function contarForaDeAspas(linha, delimitador) {
+  let total = 0
+  let entreAspas = false
+  for (const caractere of linha) {
+    if (caractere === '"') {
+      entreAspas = !entreAspas
+    } else if (caractere === delimitador && !entreAspas) {
+      total++
+    }
+  }
+  return total
+}
+
+/**
+ * Detecta o delimitador pelas primeiras linhas não vazias
+ * Vence o que aparece a mesma quantidade de vezes (> 0) no maior número de linhas
+ * @returns {string|null} null se nenhum candidato separar as linhas
+ */
+function detectarDelimitador(texto) {
+  const linhas = texto.split(/\r?\n/).filter(linha => linha.trim() !== '').slice(0, LINHAS_AMOSTRA)
+  
+  let melhor = null
+  DELIMITADORES.forEach(delimitador => {
+    const frequencia = new Map()
+    linhas.forEach(linha => {
+      const total = contarForaDeAspas(linha, delimitador)
+      if (total > 0) {
+        frequencia.set(total, (frequencia.get(total) || 0) + 1)
+      }
+    })
+    
+    frequencia.forEach((linhasComTotal, total) => {
+      if (!melhor || linhasComTotal > melhor.linhas || (linhasComTotal === melhor.linhas && total > melhor.total)) {
+        melhor = { delimitador, linhas: linhasComTotal, total }
+      }
+    })
+  })
+  
+  return melhor ? melhor.delimitador : null
+}
+
+/**
+ * Separa o texto em linhas e campos (aspas duplas, "" escapado, quebra de linha dentro de aspas)
+ * @returns {Array<Array<string>>}
+ */
+function separarCampos(texto, delimitador) {
+  const linhas = []
+  let linha = []
+  let campo = ''
+  let entreAspas = false
+  
+  for (let i = 0; i < texto.length; i++) {
+    const caractere = texto[i]
+    
+    if (entreAspas) {
+      if (caractere === '"' && texto[i + 1] === '"') {
+        campo += '"'
+        i++
+      } else if (caractere === '"') {
+        entreAspas = false
+      } else {
+        campo += caractere
+      }
+      continue
+    }
+    
+    if (caractere === '"' && campo.trim() === '') {
+      entreAspas = true
+      campo = ''
+    } else if (caractere === delimitador) {
+      linha.push(campo.trim())
+      campo = ''
+    } else if (caractere === '\n' || caractere === '\r') {
+      if (caractere === '\r' && texto[i + 1] === '\n') {
+        i++
+      }
+      linha.push(campo.trim())
+      linhas.push(linha)
+      linha = []
+      campo = ''
+    } else {
+      campo += caractere
+    }
+  }
+  
+  if (campo !== '' || linha.length > 0) {
+    linha.push(campo.trim())
+    linhas.push(linha)
+  }
+  
+  return linhas
+}
+
+// Célula numérica: sinal/R$/parênteses opcionais, dígitos com separadores, D/C no fim
+const PADRAO_NUMERO = /^[-+(]?\s*(R\$)?\s*[-+]?\d[\d.,]*\)?\s*[-+DC]?$/i
+
+/**
+ * Detecta o separador decimal pelas células numéricas
+ * @returns {',' | '.'}
+ */
+function detectarSeparadorDecimal(linhas) {
+  let virgula = 0
+  let ponto = 0
+  
+  linhas.slice(0, LINHAS_AMOSTRA * 4).forEach(celulas => {
+    celulas.forEach(celula => {
+      if (!PADRAO_NUMERO.test(celula)) {
+        return
+      }
+      const numero = celula.replace(/[^\d.,]/g, '')
+      if (/,\d{1,2}$/.test(numero)) {
+        virgula++
+      } else if (/\.\d{1,2}$/.test(numero)) {
+        ponto++
+      }
+    })
+  })
+  
+  return ponto > virgula ? '.' : ','
+}
+
+/**
+ * Reescreve valores com ponto decimal no formato brasileiro ("1,234.56" -> "1234,56")
+ * Números inteiros (documentos, CPF/CNPJ) e datas ficam intactos
+ */
+function normalizarDecimalComPonto(celula) {
+  // Um único ponto (datas como "15.01.2024" têm dois e não são valores)
+  if (!PADRAO_NUMERO.test(celula) || (celula.match(/\./g) || []).length !== 1 ||
+      !/\.\d+\)?\s*[-+DC]?$/i.test(celula)) {
+    return celula
+  }
+  return celula.replace(/,/g, '').replace(/\.(?=\d+\)?\s*[-+DC]?$)/i, ',')
+}
+
+/**
+ * Lê um CSV/TXT delimitado
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {{linhas: Array<Array<string>>, codificacao: string, delimitador: string, separadorDecimal: string}}
+ * @throws {Error} codigoErro 'CSV_INVALIDO' se não houver delimitador reconhecível
+ */
+function lerCsv(buffer) {
+  const { texto, codificacao } = decodificarTexto(buffer)
+  const delimitador = detectarDelimitador(texto)
+  
+  if (!delimitador) {
+    const erro = new Error('Arquivo de texto sem colunas reconhecíveis: use ";", ",", tabulação ou "|" como separador')
+    erro.codigoErro = 'CSV_INVALIDO'
+    erro.detalhes = `Codificação detectada: ${codificacao}`
+    throw erro
+  }
+  
+  const linhasBrutas = separarCampos(texto, delimitador)
+  const separadorDecimal = detectarSeparadorDecimal(linhasBrutas)
+  const linhas = separadorDecimal === '.'
+    ? linhasBrutas.map(celulas => celulas.map(normalizarDecimalComPonto))
+    : linhasBrutas
+  
+  return { linhas, codificacao, delimitador, separadorDecimal }
+}
+
+/**
+ * Converte um CSV/TXT em workbook XLSX (uma aba, células como texto)
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {{workbook: Object, leitura: {codificacao: string, delimitador: string, separadorDecimal: string, totalLinhas: number}}}
+ */
+function csvParaWorkbook(buffer) {
+  const { linhas, codificacao, delimitador, separadorDecimal } = lerCsv(buffer)
+  
+  // Células vazias viram null para a aba não ganhar células '' (linhas vazias continuam vazias)
+  const matriz = linhas.map(celulas => celulas.map(celula => (celula === '' ? null : celula)))
+  const worksheet = XLSX.utils.aoa_to_sheet(matriz)
+  const workbook = XLSX.utils.book_new()
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'CSV')
+  
+  return {
+    workbook,
+    leitura: { codificacao, delimitador, separadorDecimal, totalLinhas: linhas.length }
+  }
+}
+
+// Início de célula que o Excel interpreta como fórmula (injeção de fórmula no CSV)
+const INICIO_FORMULA = /^[=+\-@\t\r]/
+// Número puro ("-150,00", "1.234,56"): não é fórmula e precisa continuar número no Excel
+const NUMERO_CSV = /^[-+]?\d[\d.,]*$/
+
+/**
+ * Escreve um CSV a partir de uma matriz de células
+ * Células com separador, aspas ou quebra de linha vão entre aspas (aspas internas dobradas)
+ * Texto começando com =, +, -, @ (ou tabulação/CR) ganha um apóstrofo na frente, para o
+ * Excel não executar como fórmula uma descrição vinda do extrato ou do relatório
+ * @param {Array<Array<string|number|null>>} linhas - Linhas de células (null/undefined = vazio)
+ * @param {string} delimitador - Separador de colunas (padrão ";")
+ * @returns {Buffer} Conteúdo em UTF-8 com BOM
+ */
+function escreverCsv(linhas, delimitador = ';') {
+  const escaparCelula = celula => {
+    const valor = celula === null || celula === undefined ? '' : String(celula)
+    const texto = typeof celula !== 'number' && INICIO_FORMULA.test(valor) && !NUMERO_CSV.test(valor)
+      ? `'${valor}`
+      : valor
+    return texto.includes(delimitador) || /["\r\n]/.test(texto)
+      ? `"${texto.replace(/"/g, '""')}"`
+      : texto
+  }
+  const texto = linhas.map(celulas => celulas.map(escaparCelula).join(delimitador)).join('\r\n')
+  return Buffer.concat([Buffer.from([0xef, 0xbb, 0xbf]), Buffer.from(`${texto}\r\n`, 'utf8')])
+}
+
+/**
+ * Descreve a leitura para o usuário (ex: "Windows-1252, separador ponto e vírgula (;), decimal ,")
+ */
+function descreverLeitura(leitura) {
+  const codificacoes = { 'utf-8-bom': 'UTF-8 com BOM', 'utf-8': 'UTF-8', 'windows-1252': 'Windows-1252 (Latin-1)' }
+  return `${codificacoes[leitura.codificacao]}, separador ${NOMES_DELIMITADOR[leitura.delimitador]}, decimal "${leitura.separadorDecimal}"`
+}
+
+module.exports = {
+  ehPlanilhaBinaria,
+  ehArquivoDelimitado,
+  decodificarTexto,
+  detectarDelimitador,
+  separarCampos,
+  lerCsv,
+  csvParaWorkbook,
+  escreverCsv,
+  descreverLeitura
+}
@@ -0,0 +1,247 @@
+/**
+ * Leitura de Datas da Conciliação
+ *
+ * Aceita:
+ * - Date (célula de data lida com cellDates)
+ * - Número serial do Excel (célula numérica, leitura com `raw`): 45306 = 15/01/2024
+ * - Texto "dd/mm/aaaa", "dd/mm/aa", "dd.mm.aaaa", "dd-mm-aaaa" (ou mês/dia, conforme a ordem)
+ * - Texto ISO "aaaa-mm-dd" e "aaaa/mm/dd"
+ * - Qualquer um dos textos acima seguido de hora ("15/01/2024 10:30:00", "2024-01-15T10:30:00Z")
+ *
+ * Nunca usa `new Date(texto)`: a leitura depende do fuso/idioma do servidor
+ * ("03/04/2025" vira 4 de março em en-US).
+ *
+ * Ordem dia/mês de cada arquivo (ver resolverOrdemData):
+ * 1. Declarada para o arquivo ('dma' ou 'mda')
+ * 2. Detectada nos dados: um dia > 12 só cabe em uma das ordens
+ * 3. Formato do layout (perfil do banco / relatório Planaltec)
+ * Quando a ordem não é confiável (os dados se contradizem ou não há declaração),
+ * datas que cabem nas duas ordens ("03/04/2025") são AMBÍGUAS: ficam sem data e
+ * viram aviso de leitura, em vez de serem adivinhadas.
+ */
+
+// Ordens de dia/mês aceitas (ano-mês-dia é reconhecido pelo ano de 4 dígitos na frente)
+const ORDENS_DATA = {
+  dma: 'dia/mês/ano',
+  mda: 'mês/dia/ano'
+}
+
+// Limites de ano aceitos (datas fora disso são lixo de digitação ou de conversão)
+const ANO_MINIMO = 1901
+const ANO_MAXIMO = 2099
+
+// Anos com 2 dígitos: até 69 são 20xx, a partir de 70 são 19xx
+const PIVO_ANO_2_DIGITOS = 70
+
+// Data no início do texto: três grupos numéricos separados por / - . (hora ignorada)
+const PADRAO_DATA = /^(\d{1,4})[/\-.](\d{1,2})[/\-.](\d{1,4})(?:$|[\sT])/
+
+/**
+ * Ordem dia/mês de um formato de perfil ('dd/mm/aaaa', 'dd/mm/aa', 'mm/dd/aaaa', 'aaaa-mm-dd')
+ * @returns {'dma'|'mda'}
+ */
+function ordemDoFormato(formato) {
+  return formato && formato.startsWith('mm') ? 'mda' : 'dma'
+}
+
+/**
+ * Monta a data local validando dia/mês (31/02 não vira 03/03)
+ * @returns {Date|null}
+ */
+function montarData(ano, mes, dia) {
+  if (ano < ANO_MINIMO || ano > ANO_MAXIMO || mes < 1 || mes > 12 || dia < 1 || dia > 31) {
+    return null
+  }
+  const data = new Date(ano, mes - 1, dia)
+  return data.getDate() === dia && data.getMonth() === mes - 1 ? data : null
+}
+
+/**
+ * Converte o número serial do Excel em data (a parte fracionária é a hora e é descartada)
+ * Sistema 1900 (padrão): dias desde 30/12/1899 (vale a partir de 01/03/1900, por causa
+ * do 29/02/1900 fictício do Lotus; datas anteriores ficam fora do ANO_MINIMO)
+ * Sistema 1904 (Excel antigo do Mac): dias desde 01/01/1904
+ * @returns {Date|null}
+ */
+function serialExcelParaData(serial, data1904 = false) {
+  if (!Number.isFinite(serial) || serial < 1) {
+    return null
+  }
+  const dias = Math.floor(serial)
+  const data = data1904 ? new Date(1904, 0, 1 + dias) : new Date(1899, 11, 30 + dias)
+  return montarData(data.getFullYear(), data.getMonth() + 1, data.getDate())
+}
+
+/**
+ * Descarta a hora de um Date (célula de data do Excel)
+ * Arredonda para o minuto mais próximo antes: o XLSX gera datas com alguns segundos
+ * de desvio de fuso ("23:59:32" do dia anterior em vez de "00:00"); a hora de verdade
+ * ("23:45") fica no mesmo dia
+ */
+function dataSemHora(valor) {
+  const arredondada = new Date(Math.round(valor.getTime() / 60000) * 60000)
+  return montarData(arredondada.getFullYear(), arredondada.getMonth() + 1, arredondada.getDate())
+}
+
+/**
+ * Separa um texto de data nos três números, indicando se o ano vem na frente (ISO)
+ * @returns {{iso: boolean, partes: Array<number>, anoCurto: boolean}|null}
+ */
+function separarPartesData(texto) {
+  const partes = String(texto).trim().match(PADRAO_DATA)
+  if (!partes) {
+    return null
+  }
+  
+  const [primeira, segunda, terceira] = partes.slice(1)
+  if (primeira.length === 4) {
+    return { iso: true, partes: [Number(primeira), Number(segunda), Number(terceira)], anoCurto: false }
+  }
+  if (terceira.length !== 2 && terceira.length !== 4) {
+    return null
+  }
+  return { iso: false, partes: [Number(primeira), Number(segunda), Number(terceira)], anoCurto: terceira.length === 2 }
+}
+
+/**
+ * Ano com 4 dígitos (anos de 2 dígitos pelo pivô)
+ */
+function anoCompleto(ano, anoCurto) {
+  if (!anoCurto) {
+    return ano
+  }
+  return ano < PIVO_ANO_2_DIGITOS ? 2000 + ano : 1900 + ano
+}
+
+/**
+ * Lê uma data
+ * @param {*} valor - Date, serial do Excel ou texto
+ * @param {Object} opcoes - { ordem: 'dma'|'mda', rejeitarAmbiguas: boolean, data1904: boolean }
+ * @returns {{data: Date|null, ambigua: boolean, leituras: Array<Date>}}
+ *   ambigua = texto que cabe em dia/mês e mês/dia (só com rejeitarAmbiguas; `data` fica null)
+ */
+function lerData(valor, opcoes = {}) {
+  const { ordem = 'dma', rejeitarAmbiguas = false, data1904 = false } = opcoes
+  const semData = { data: null, ambigua: false, leituras: [] }
+  
+  if (valor === null || valor === undefined || valor === '') {
+    return semData
+  }
+  if (valor instanceof Date) {
+    return isNaN(valor.getTime()) ? semData : { ...semData, data: dataSemHora(valor) }
+  }
+  if (typeof valor === 'number') {
+    return { ...semData, data: serialExcelParaData(valor, data1904) }
+  }
+  
+  const separada = separarPartesData(valor)
+  if (!separada) {
+    return semData
+  }
+  
+  const [primeira, segunda, terceira] = separada.partes
+  if (separada.iso) {
+    return { ...semData, data: montarData(primeira, segunda, terceira) }
+  }
+  
+  const ano = anoCompleto(terceira, separada.anoCurto)
+  const diaMes = montarData(ano, segunda, primeira)
+  const mesDia = montarData(ano, primeira, segunda)
+  
+  // Cabe nas duas ordens e dá dias diferentes: sem ordem confiável, não adivinha
+  if (rejeitarAmbiguas && diaMes && mesDia && primeira !== segunda) {
+    return { data: null, ambigua: true, leituras: [diaMes, mesDia] }
+  }
+  
+  return { ...semData, data: ordem === 'mda' ? mesDia : diaMes }
+}
+
+/**
+ * Conta quantas datas em texto só cabem em cada ordem (dia > 12 define a ordem)
+ * @param {Array} valores - Valores da coluna de data
+ * @returns {{dma: number, mda: number}}
+ */
+function contarEvidenciasOrdem(valores) {
+  const evidencias = { dma: 0, mda: 0 }
+  
+  valores.forEach(valor => {
+    if (typeof valor !== 'string') {
+      return
+    }
+    const separada = separarPartesData(valor)
+    if (!separada || separada.iso) {
+      return
+    }
+    const [primeira, segunda, terceira] = separada.partes
+    const ano = anoCompleto(terceira, separada.anoCurto)
+    const diaMes = montarData(ano, segunda, primeira)
+    const mesDia = montarData(ano, primeira, segunda)
+    if (diaMes && !mesDia) {
+      evidencias.dma++
+    } else if (mesDia && !diaMes) {
+      evidencias.mda++
+    }
+  })
+  
+  return evidencias
+}
+
+/**
+ * Decide a ordem dia/mês das datas de um arquivo
+ * @param {Array} valores - Valores da coluna de data (Date, número ou texto)
+ * @param {string} declarada - 'dma', 'mda' ou 'auto'
+ * @param {Object} padrao - { formato, confiavel }: formato do layout e se ele é uma declaração
+ *   do sistema de origem (perfil de banco, relatório Planaltec) ou só um palpite (perfil genérico)
+ * @returns {{ordem: 'dma'|'mda', origem: 'declarada'|'detectada'|'layout', rejeitarAmbiguas: boolean,
+ *   evidencias: {dma: number, mda: number}, descricao: string}}
+ */
+function resolverOrdemData(valores, declarada = 'auto', padrao = {}) {
+  const evidencias = contarEvidenciasOrdem(valores)
+  const ordemLayout = ordemDoFormato(padrao.formato)
+  const conflito = evidencias.dma > 0 && evidencias.mda > 0
+  
+  let resolucao
+  if (ORDENS_DATA[declarada]) {
+    resolucao = { ordem: declarada, origem: 'declarada', rejeitarAmbiguas: false }
+  } else if (conflito) {
+    // Arquivo mistura as duas ordens: vale a maioria, mas nenhuma data ambígua é confiável
+    resolucao = {
+      ordem: evidencias.mda > evidencias.dma ? 'mda' : 'dma',
+      origem: 'detectada',
+      rejeitarAmbiguas: true
+    }
+  } else if (evidencias.dma > 0 || evidencias.mda > 0) {
+    resolucao = { ordem: evidencias.mda > 0 ? 'mda' : 'dma', origem: 'detectada', rejeitarAmbiguas: false }
+  } else {
+    resolucao = { ordem: ordemLayout, origem: 'layout', rejeitarAmbiguas: !padrao.confiavel }
+  }
+  
+  const origens = {
+    declarada: 'declarada para o arquivo',
+    detectada: `detectada nos dados: ${evidencias.dma} data(s) só dia/mês, ${evidencias.mda} só mês/dia`,
+    layout: padrao.confiavel ? 'formato do layout' : 'sem evidência nos dados'
+  }
+  
+  return {
+    ...resolucao,
+    evidencias,
+    descricao: `${ORDENS_DATA[resolucao.ordem]} (${origens[resolucao.origem]})` +
+      (resolucao.rejeitarAmbiguas ? ': datas ambíguas ficam sem data' : '')
+  }
+}
+
+/**
+ * Formata uma data como dd/mm/aaaa (para mensagens)
+ */
+function formatarDataCurta(data) {
+  return `${String(data.getDate()).padStart(2, '0')}/${String(data.getMonth() + 1).padStart(2, '0')}/${data.getFullYear()}`
+}
+
+module.exports = {
+  ORDENS_DATA,
+  ordemDoFormato,
+  serialExcelParaData,
+  lerData,
+  resolverOrdemData,
+  formatarDataCurta
+}
@@ -0,0 +1,149 @@
+/**
+ * Calendário de Dias Úteis
+ *
+ * Usado pela conciliação para medir a distância entre a data do Relatório
+ * Planaltec e a data em que o banco efetivou o lançamento.
+ *
+ * Considera como NÃO úteis:
+ * 1. Sábados e domingos
+ * 2. Feriados nacionais fixos (Confraternização, Tiradentes, Trabalho, etc)
+ * 3. Feriados móveis em que os bancos não abrem (Carnaval, Sexta-feira Santa, Corpus Christi)
+ */
+
+/**
+ * Feriados nacionais de data fixa no formato [mês (1-12), dia, ano em que passou a valer (opcional)]
+ */
+const FERIADOS_FIXOS = [
+  [1, 1],   // Confraternização Universal
+  [4, 21],  // Tiradentes
+  [5, 1],   // Dia do Trabalho
+  [9, 7],   // Independência do Brasil
+  [10, 12], // Nossa Senhora Aparecida
+  [11, 2],  // Finados
+  [11, 15], // Proclamação da República
+  [11, 20, 2024], // Dia Nacional de Zumbi e da Consciência Negra (Lei 14.759/2023)
+  [12, 25]  // Natal
+]
+
+// Cache de feriados por ano: ano -> Set de chaves "aaaa-mm-dd"
+const cacheFeriados = new Map()
+
+/**
+ * Gera chave "aaaa-mm-dd" de uma data (ignora hora)
+ */
+function chaveDia(data) {
+  const mes = String(data.getMonth() + 1).padStart(2, '0')
+  const dia = String(data.getDate()).padStart(2, '0')
+  return `${data.getFullYear()}-${mes}-${dia}`
+}
+
+/**
+ * Calcula o domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+ * @param {number} ano - Ano com 4 dígitos
+ * @returns {Date} Domingo de Páscoa do ano
+ */
+function calcularPascoa(ano) {
+  const a = ano % 19
+  const b = Math.floor(ano / 100)
+  const c = ano % 100
+  const d = Math.floor(b / 4)
+  const e = b % 4
+  const f = Math.floor((b + 8) / 25)
+  const g = Math.floor((b - f + 1) / 3)
+  const h = (19 * a + b - d - g + 15) % 30
+  const i = Math.floor(c / 4)
+  const k = c % 4
+  const l = (32 + 2 * e + 2 * i - h - k) % 7
+  const m = Math.floor((a + 11 * h + 22 * l) / 451)
+  const mes = Math.floor((h + l - 7 * m + 114) / 31)
+  const dia = ((h + l - 7 * m + 114) % 31) + 1
+  
+  return new Date(ano, mes - 1, dia)
+}
+
+/**
+ * Retorna o conjunto de feriados nacionais (e bancários móveis) de um ano
+ * @param {number} ano - Ano com 4 dígitos
+ * @returns {Set<string>} Chaves "aaaa-mm-dd" dos feriados
+ */
+function obterFeriadosNacionais(ano) {
+  if (cacheFeriados.has(ano)) {
+    return cacheFeriados.get(ano)
+  }
+  
+  const feriados = new Set()
+  
+  FERIADOS_FIXOS.forEach(([mes, dia, desde]) => {
+    if (!desde || ano >= desde) {
+      feriados.add(chaveDia(new Date(ano, mes - 1, dia)))
+    }
+  })
+  
+  // Feriados móveis calculados a partir da Páscoa
+  const pascoa = calcularPascoa(ano)
+  const deslocamentos = [
+    -48, // Segunda-feira de Carnaval
+    -47, // Terça-feira de Carnaval
+    -2,  // Sexta-feira Santa
+    60   // Corpus Christi
+  ]
+  deslocamentos.forEach(dias => {
+    const data = new Date(pascoa.getFullYear(), pascoa.getMonth(), pascoa.getDate() + dias)
+    feriados.add(chaveDia(data))
+  })
+  
+  cacheFeriados.set(ano, feriados)
+  return feriados
+}
+
+/**
+ * Verifica se a data é dia útil bancário (não é fim de semana nem feriado)
+ * @param {Date} data - Data a verificar
+ * @returns {boolean}
+ */
+function ehDiaUtil(data) {
+  const diaSemana = data.getDay()
+  if (diaSemana === 0 || diaSemana === 6) {
+    return false
+  }
+  
+  return !obterFeriadosNacionais(data.getFullYear()).has(chaveDia(data))
+}
+
+/**
+ * Conta os dias úteis entre duas datas (ignora hora)
+ * Conta os dias úteis d tais que inicio < d <= fim
+ * Ex: sexta -> segunda seguinte = 1, sexta -> sábado = 0
+ *
+ * @param {Date} inicio - Data inicial
+ * @param {Date} fim - Data final
+ * @returns {number} Quantidade de dias úteis (negativa se fim for anterior a inicio)
+ */
+function diferencaDiasUteis(inicio, fim) {
+  let de = new Date(inicio.getFullYear(), inicio.getMonth(), inicio.getDate())
+  let ate = new Date(fim.getFullYear(), fim.getMonth(), fim.getDate())
+  let sinal = 1
+  
+  if (ate < de) {
+    [de, ate] = [ate, de]
+    sinal = -1
+  }
+  
+  let dias = 0
+  const cursor = new Date(de)
+  while (cursor < ate) {
+    cursor.setDate(cursor.getDate() + 1)
+    if (ehDiaUtil(cursor)) {
+      dias++
+    }
+  }
+  
+  return dias * sinal
+}
+
+module.exports = {
+  calcularPascoa,
+  obterFeriadosNacionais,
+  ehDiaUtil,
+  diferencaDiasUteis
+}
@@ -0,0 +1,177 @@
+/**
+ * Execuções de conciliação guardadas para download
+ *
+ * A resposta da conciliação leva só o id da execução e os links de download; os
+ * arquivos saem por GET em /api/baixar-conciliacao/<id>?formato=xlsx|csv|json|pdf
+ * (binário, com Content-Disposition), sem base64 dentro do JSON
+ *
+ * Cada execução guarda:
+ * - o resultado ORIGINAL (base dos ajustes manuais, ver aplicarAjustesManuais)
+ * - o resultado atual (original ou ajustado) com a planilha e o PDF já gerados
+ * CSV e JSON são gerados do resultado atual na hora do download
+ *
+ * IMPORTANTE:
+ * - Tudo fica na memória do servidor: reiniciar o processo descarta as execuções
+ * - A execução vale pela sessão de trabalho: expira VALIDADE_EXECUCAO_MS depois do último
+ *   acesso (conciliar, ajustar ou baixar renovam o prazo)
+ * - No máximo MAXIMO_EXECUCOES guardadas; passando disso sai a de acesso mais antigo
+ */
+
+const crypto = require('crypto')
+const { gerarCsvConciliacao } = require('./concilia')
+
+const VALIDADE_EXECUCAO_MS = 8 * 60 * 60 * 1000
+const MAXIMO_EXECUCOES = 20
+
+// Formatos de download: tipo do conteúdo e extensão do arquivo
+const FORMATOS_DOWNLOAD = {
+  xlsx: { tipo: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensao: 'xlsx' },
+  csv: { tipo: 'text/csv; charset=utf-8', extensao: 'csv' },
+  json: { tipo: 'application/json; charset=utf-8', extensao: 'json' },
+  pdf: { tipo: 'application/pdf', extensao: 'pdf' }
+}
+
+// Em globalThis: cada rota da API pode carregar sua própria cópia deste módulo
+// (e o modo dev recarrega módulos), mas todas precisam ver as mesmas execuções
+const execucoes = globalThis.__execucoesConciliacao || (globalThis.__execucoesConciliacao = new Map())
+
+/**
+ * Descarta as execuções vencidas e, se ainda passar do limite, as de acesso mais antigo
+ */
+function limparExecucoes() {
+  const agora = Date.now()
+  execucoes.forEach((execucao, id) => {
+    if (agora - execucao.acessadaEm > VALIDADE_EXECUCAO_MS) {
+      execucoes.delete(id)
+      console.log(`[EXECUCOES] Execução ${id} expirada e descartada`)
+    }
+  })
+  
+  const porAcesso = [...execucoes.entries()].sort(([, a], [, b]) => a.acessadaEm - b.acessadaEm)
+  porAcesso.slice(0, Math.max(0, porAcesso.length - MAXIMO_EXECUCOES)).forEach(([id]) => {
+    execucoes.delete(id)
+    console.log(`[EXECUCOES] Execução ${id} descartada (limite de ${MAXIMO_EXECUCOES} execuções)`)
+  })
+}
+
+/**
+ * Separa os arquivos gerados do resultado
+ * @param {Object} relatorio - Resultado de realizarConciliacao ou aplicarAjustesManuais
+ * @returns {{resultado: Object, planilha: Buffer|null, pdf: Buffer|null}}
+ */
+function separarArquivos(relatorio) {
+  const resultado = { ...relatorio }
+  delete resultado.planilhaConciliacao
+  delete resultado.relatorioPdf
+  return {
+    resultado,
+    planilha: relatorio.planilhaConciliacao || null,
+    pdf: relatorio.relatorioPdf || null
+  }
+}
+
+/**
+ * Links de download de uma execução, um por formato
+ * @param {string} id - Id da execução
+ * @returns {Object<string, string>} { xlsx, csv, json, pdf }
+ */
+function linksDownload(id) {
+  return Object.fromEntries(Object.keys(FORMATOS_DOWNLOAD).map(formato =>
+    [formato, `/api/baixar-conciliacao/${id}?formato=${formato}`]))
+}
+
+/**
+ * Guarda uma conciliação recém-feita
+ * @param {Object} relatorio - Resultado de realizarConciliacao (com planilha e PDF em Buffer)
+ * @returns {{id: string, resultado: Object, downloads: Object<string, string>}} Resultado sem os arquivos
+ */
+function registrarExecucao(relatorio) {
+  limparExecucoes()
+  
+  const id = crypto.randomUUID()
+  const { resultado, planilha, pdf } = separarArquivos(relatorio)
+  const agora = Date.now()
+  execucoes.set(id, { original: resultado, atual: resultado, planilha, pdf, ajustada: false, criadaEm: agora, acessadaEm: agora })
+  
+  console.log(`[EXECUCOES] Execução ${id} registrada (${execucoes.size} em memória)`)
+  return { id, resultado, downloads: linksDownload(id) }
+}
+
+/**
+ * Busca uma execução que ainda vale (e renova o prazo)
+ * @param {string} id - Id da execução
+ * @returns {Object|null} null se não existir ou já tiver expirado
+ */
+function obterExecucao(id) {
+  limparExecucoes()
+  
+  const execucao = execucoes.get(id)
+  if (!execucao) {
+    return null
+  }
+  execucao.acessadaEm = Date.now()
+  return execucao
+}
+
+/**
+ * Troca o resultado atual de uma execução pelo resultado ajustado (o original fica guardado)
+ * Os links de download continuam os mesmos e passam a entregar os arquivos ajustados
+ * @param {string} id - Id da execução
+ * @param {Object} relatorio - Resultado de aplicarAjustesManuais (com planilha e PDF em Buffer)
+ * @returns {{id: string, resultado: Object, downloads: Object<string, string>}|null} null se a execução expirou
+ */
+function atualizarExecucao(id, relatorio) {
+  const execucao = obterExecucao(id)
+  if (!execucao) {
+    return null
+  }
+  
+  const { resultado, planilha, pdf } = separarArquivos(relatorio)
+  Object.assign(execucao, { atual: resultado, planilha, pdf, ajustada: true })
+  
+  console.log(`[EXECUCOES] Execução ${id} atualizada com os ajustes manuais`)
+  return { id, resultado, downloads: linksDownload(id) }
+}
+
+/**
+ * Arquivo de uma execução em um dos formatos de download
+ * Nome: conciliacao-AAAA-MM-DD[-ajustada].<extensão>, pela data da conciliação
+ * @param {string} id - Id da execução
+ * @param {string} formato - 'xlsx', 'csv', 'json' ou 'pdf' (ver FORMATOS_DOWNLOAD)
+ * @returns {{conteudo: Buffer, tipo: string, nomeArquivo: string}|null} null se a execução não existir ou
+ *   não tiver o arquivo
+ */
+function lerArquivoExecucao(id, formato) {
+  const execucao = obterExecucao(id)
+  if (!execucao) {
+    return null
+  }
+  const { tipo, extensao } = FORMATOS_DOWNLOAD[formato]
+  
+  const conteudos = {
+    xlsx: () => execucao.planilha,
+    pdf: () => execucao.pdf,
+    csv: () => gerarCsvConciliacao(execucao.atual),
+    json: () => Buffer.from(JSON.stringify(execucao.atual, null, 2), 'utf8')
+  }
+  const conteudo = conteudos[formato]()
+  if (!conteudo) {
+    return null
+  }
+  
+  const data = new Date(execucao.atual.dataConciliação || execucao.criadaEm)
+  const dataArquivo = `${data.getFullYear()}-${String(data.getMonth() + 1).padStart(2, '0')}-${String(data.getDate()).padStart(2, '0')}`
+  return {
+    conteudo,
+    tipo,
+    nomeArquivo: `conciliacao-${dataArquivo}${execucao.ajustada ? '-ajustada' : ''}.${extensao}`
+  }
+}
+
+module.exports = {
+  FORMATOS_DOWNLOAD,
+  registrarExecucao,
+  obterExecucao,
+  atualizarExecucao,
+  lerArquivoExecucao
+}
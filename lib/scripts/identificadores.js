@@ -0,0 +1,164 @@
+/**
+ * Identificadores de Documento
+ *
+ * Extrai das linhas das planilhas os números que identificam um pagamento
+ * com segurança, independente de data e descrição:
+ * 1. DCTO (coluna de documento do extrato e, se houver, do relatório)
+ * 2. CPF e CNPJ (somente com dígitos verificadores válidos)
+ * 3. Número de NF ("NF 1234", "NF-e nº 001234", "NOTA FISCAL 1234")
+ * 4. Linha digitável / código de barras de boleto (44, 47 ou 48 dígitos)
+ *
+ * Cada identificador vira uma chave "tipo:valor" (ex: "cnpj:11222333000181").
+ * Dois pagamentos que compartilham uma chave são cruzados antes do passe por valor.
+ */
+
+/**
+ * Remove tudo que não for dígito
+ */
+function somenteDigitos(texto) {
+  return String(texto || '').replace(/\D/g, '')
+}
+
+/**
+ * Remove zeros à esquerda (documentos costumam vir com e sem preenchimento)
+ * Ex: "0001234" -> "1234"
+ */
+function semZerosEsquerda(digitos) {
+  return digitos.replace(/^0+(?=\d)/, '')
+}
+
+/**
+ * Valida CPF pelos dígitos verificadores
+ * @param {string} cpf - CPF com ou sem máscara
+ * @returns {boolean}
+ */
+function validarCPF(cpf) {
+  const digitos = somenteDigitos(cpf)
+  if (digitos.length !== 11 || /^(\d)\1{10}$/.test(digitos)) {
+    return false
+  }
+  
+  const calcularDigito = (base, pesoInicial) => {
+    let soma = 0
+    for (let i = 0; i < base.length; i++) {
+      soma += Number(base[i]) * (pesoInicial - i)
+    }
+    const resto = (soma * 10) % 11
+    return resto === 10 ? 0 : resto
+  }
+  
+  const primeiro = calcularDigito(digitos.slice(0, 9), 10)
+  const segundo = calcularDigito(digitos.slice(0, 10), 11)
+  
+  return primeiro === Number(digitos[9]) && segundo === Number(digitos[10])
+}
+
+/**
+ * Valida CNPJ pelos dígitos verificadores
+ * @param {string} cnpj - CNPJ com ou sem máscara
+ * @returns {boolean}
+ */
+function validarCNPJ(cnpj) {
+  const digitos = somenteDigitos(cnpj)
+  if (digitos.length !== 14 || /^(\d)\1{13}$/.test(digitos)) {
+    return false
+  }
+  
+  const calcularDigito = (base) => {
+    const pesos = base.length === 12
+      ? [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]
+      : [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]
+    const soma = pesos.reduce((total, peso, i) => total + Number(base[i]) * peso, 0)
+    const resto = soma % 11
+    return resto < 2 ? 0 : 11 - resto
+  }
+  
+  const primeiro = calcularDigito(digitos.slice(0, 12))
+  const segundo = calcularDigito(digitos.slice(0, 13))
+  
+  return primeiro === Number(digitos[12]) && segundo === Number(digitos[13])
+}
+
+/**
+ * Extrai identificadores de um texto livre (descrição, histórico, observação)
+ * @param {string} texto - Texto de uma ou mais células
+ * @returns {Array<{tipo: string, valor: string}>} Identificadores distintos encontrados
+ */
+function extrairIdentificadores(texto) {
+  if (!texto) {
+    return []
+  }
+  
+  const encontrados = new Map()
+  const adicionar = (tipo, valor) => {
+    encontrados.set(`${tipo}:${valor}`, { tipo, valor })
+  }
+  
+  const textoNormalizado = String(texto).toUpperCase()
+  
+  // Boleto: linha digitável (47/48) ou código de barras (44), com ou sem pontos/espaços
+  const sequenciasLongas = textoNormalizado.match(/\d[\d.\s]{42,60}\d/g) || []
+  sequenciasLongas.forEach(sequencia => {
+    const digitos = somenteDigitos(sequencia)
+    if ([44, 47, 48].includes(digitos.length)) {
+      adicionar('boleto', digitos)
+    }
+  })
+  
+  // CNPJ: com máscara (11.222.333/0001-81) ou 14 dígitos seguidos
+  const candidatosCNPJ = textoNormalizado.match(/\b\d{2}\.?\d{3}\.?\d{3}\/?\d{4}-?\d{2}\b/g) || []
+  candidatosCNPJ.forEach(candidato => {
+    if (validarCNPJ(candidato)) {
+      adicionar('cnpj', somenteDigitos(candidato))
+    }
+  })
+  
+  // CPF: com máscara (123.456.789-09) ou 11 dígitos seguidos
+  const candidatosCPF = textoNormalizado.match(/\b\d{3}\.?\d{3}\.?\d{3}-?\d{2}\b/g) || []
+  candidatosCPF.forEach(candidato => {
+    if (validarCPF(candidato)) {
+      adicionar('cpf', somenteDigitos(candidato))
+    }
+  })
+  
+  // Nota fiscal: "NF 1234", "NF-E: 001234", "NFE Nº 1234", "NOTA FISCAL 1234", "NFS-E 55"
+  const padraoNF = /\b(?:NOTA\s+FISCAL|NFS?-?E?)\s*(?:N[º°O.]?\s*)?[:.\-]?\s*(\d{1,9})\b/g
+  let nf
+  while ((nf = padraoNF.exec(textoNormalizado)) !== null) {
+    adicionar('nf', semZerosEsquerda(nf[1]))
+  }
+  
+  return Array.from(encontrados.values())
+}
+
+/**
+ * Normaliza o DCTO do extrato para comparação
+ * Descarta vazios e sequências curtas/zeradas, que não identificam nada
+ * @param {string} dcto - Valor da coluna DCTO
+ * @returns {string|null} Dígitos sem zeros à esquerda ou null
+ */
+function normalizarDcto(dcto) {
+  const digitos = semZerosEsquerda(somenteDigitos(dcto))
+  return digitos.length >= 4 && Number(digitos) > 0 ? digitos : null
+}
+
+/**
+ * Lista as chaves ("tipo:valor") em comum entre dois pagamentos
+ * @param {Object} pag1 - Pagamento com campo `identificadores`
+ * @param {Object} pag2 - Pagamento com campo `identificadores`
+ * @returns {Array<string>} Chaves compartilhadas
+ */
+function identificadoresEmComum(pag1, pag2) {
+  const chaves1 = new Set((pag1.identificadores || []).map(id => `${id.tipo}:${id.valor}`))
+  return (pag2.identificadores || [])
+    .map(id => `${id.tipo}:${id.valor}`)
+    .filter(chave => chaves1.has(chave))
+}
+
+module.exports = {
+  validarCPF,
+  validarCNPJ,
+  extrairIdentificadores,
+  normalizarDcto,
+  identificadoresEmComum
+}
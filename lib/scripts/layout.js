@@ -0,0 +1,396 @@
+/**
+ * Detecção de Layout das Planilhas
+ *
+ * Em vez de ler colunas fixas (E/B/C/A no extrato, I/C/J no relatório) e
+ * validar uma única célula (A9/C2), procura a linha de cabeçalho pelos nomes
+ * das colunas e mapeia cada campo para a coluna real da planilha.
+ *
+ * Etapas:
+ * 1. Percorre as primeiras linhas procurando sinônimos conhecidos ("Data", "Histórico", "Dt. Pagto"...)
+ * 2. A primeira linha que tem TODOS os campos obrigatórios é o cabeçalho
+ * 3. Se nenhuma linha tiver, informa exatamente quais colunas faltaram (na linha mais parecida)
+ * 4. As linhas de dados são lidas pela posição real da coluna (colunas vazias ou
+ *    reordenadas não deslocam os campos)
+ *
+ * Extratos: cada banco tem um perfil (perfis-extrato.js); o perfil é detectado
+ * automaticamente pelo nome do banco no topo do arquivo + cabeçalho, ou escolhido pelo usuário.
+ */
+
+const XLSX = require('xlsx')
+const { removerAcentos } = require('./similaridade')
+const { PERFIS_EXTRATO, PERFIL_PADRAO, obterPerfilExtrato } = require('./perfis-extrato')
+
+/**
+ * Rótulos e obrigatoriedade dos campos do extrato (os sinônimos vêm de cada perfil)
+ */
+const CAMPOS_EXTRATO = {
+  data: { rotulo: 'Data', obrigatorio: true },
+  descricao: { rotulo: 'Histórico', obrigatorio: true },
+  dcto: { rotulo: 'Dcto.', obrigatorio: false },
+  valor: { rotulo: 'Valor / Débito', obrigatorio: true },
+  credito: { rotulo: 'Crédito', obrigatorio: false },
+  indicador: { rotulo: 'D/C', obrigatorio: false },
+  saldo: { rotulo: 'Saldo', obrigatorio: false }
+}
+
+/**
+ * Monta a definição de layout (formato de LAYOUTS) a partir de um perfil de extrato
+ * A coluna indicadora só é obrigatória nos perfis com convencaoSinal 'indicador'
+ */
+function definicaoDoPerfil(perfil) {
+  const campos = {}
+  Object.entries(perfil.campos).forEach(([campo, sinonimos]) => {
+    const base = CAMPOS_EXTRATO[campo]
+    campos[campo] = {
+      rotulo: base.rotulo,
+      obrigatorio: base.obrigatorio || (campo === 'indicador' && perfil.convencaoSinal === 'indicador'),
+      sinonimos
+    }
+  })
+  
+  return { nome: `Extrato Bancário (${perfil.nome})`, campos }
+}
+
+/**
+ * Layouts conhecidos
+ * Cada campo lista seus sinônimos em ordem de preferência (o primeiro que casar vence)
+ */
+const LAYOUTS = {
+  extrato: {
+    ...definicaoDoPerfil(obterPerfilExtrato(PERFIL_PADRAO)),
+    nome: 'Extrato Bancário'
+  },
+  relatorio: {
+    nome: 'Relatório Planaltec',
+    campos: {
+      descricao: { rotulo: 'Favorecido', obrigatorio: true, sinonimos: ['favorecido', 'fornecedor', 'beneficiario', 'nome favorecido', 'razao social'] },
+      valor: { rotulo: 'Valor', obrigatorio: true, sinonimos: ['valor', 'valor pago', 'vlr pago', 'vlr', 'valor liquido', 'valor r'] },
+      data: { rotulo: 'Dt. Pagto', obrigatorio: true, sinonimos: ['dt pagto', 'data pagto', 'data pagamento', 'dt pagamento', 'pagamento', 'data'] },
+      // Número do documento (DCTO): só vira identificador quando o relatório tem a coluna
+      dcto: { rotulo: 'Documento', obrigatorio: false, sinonimos: ['dcto', 'documento', 'n documento', 'numero documento', 'nr documento', 'num documento', 'nr doc', 'n doc'] }
+    }
+  }
+}
+
+// Quantas linhas do topo são examinadas procurando o cabeçalho
+const MAX_LINHAS_BUSCA_CABECALHO = 30
+
+/**
+ * Normaliza o texto de um cabeçalho para comparação
+ * Ex: "Dt. Pagto" -> "dt pagto", "Débito (R$)" -> "debito r"
+ */
+function normalizarCabecalho(texto) {
+  return removerAcentos(String(texto ?? ''))
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+}
+
+/**
+ * Converte índice de coluna (base 0) para letra (0 -> "A", 27 -> "AB")
+ */
+function indiceParaColuna(indice) {
+  let coluna = ''
+  let n = indice + 1
+  while (n > 0) {
+    const resto = (n - 1) % 26
+    coluna = String.fromCharCode(65 + resto) + coluna
+    n = Math.floor((n - 1) / 26)
+  }
+  return coluna
+}
+
+/**
+ * Lê a planilha como matriz de linhas (textos formatados, linhas vazias preservadas)
+ * @returns {{linhas: Array<Array>, primeiraLinha: number}} primeiraLinha = número (base 1) da linha linhas[0]
+ */
+function lerMatriz(worksheet) {
+  const referencia = worksheet['!ref']
+  if (!referencia) {
+    return { linhas: [], valores: [], primeiraLinha: 1, primeiraColuna: 0 }
+  }
+  
+  const intervalo = XLSX.utils.decode_range(referencia)
+  const opcoes = { header: 1, defval: null, blankrows: true }
+  const linhas = XLSX.utils.sheet_to_json(worksheet, { ...opcoes, raw: false })
+  // Valores sem formatação: a célula de data exibida como "4/3/25" continua um Date (ou serial)
+  const valores = XLSX.utils.sheet_to_json(worksheet, { ...opcoes, raw: true })
+  
+  return { linhas, valores, primeiraLinha: intervalo.s.r + 1, primeiraColuna: intervalo.s.c }
+}
+
+/**
+ * Procura os campos do layout em uma linha candidata a cabeçalho
+ * Cada coluna só pode ser usada por um campo; campos são resolvidos do
+ * sinônimo mais específico (prioridade) para o mais genérico
+ * @returns {Object} campo -> índice da coluna na linha
+ */
+function mapearCampos(celulas, definicao) {
+  const normalizadas = celulas.map(normalizarCabecalho)
+  const usadas = new Set()
+  const colunas = {}
+  
+  // Candidatos (campo, coluna, prioridade): exato vale mais que "começa com"
+  const candidatos = []
+  Object.entries(definicao.campos).forEach(([campo, config]) => {
+    config.sinonimos.forEach((sinonimo, prioridade) => {
+      normalizadas.forEach((texto, indice) => {
+        if (!texto) return
+        if (texto === sinonimo) {
+          candidatos.push({ campo, indice, peso: prioridade })
+        } else if (texto.startsWith(`${sinonimo} `)) {
+          candidatos.push({ campo, indice, peso: prioridade + 0.5 })
+        }
+      })
+    })
+  })
+  
+  candidatos
+    .sort((a, b) => a.peso - b.peso || a.indice - b.indice)
+    .forEach(({ campo, indice }) => {
+      if (colunas[campo] !== undefined || usadas.has(indice)) {
+        return
+      }
+      colunas[campo] = indice
+      usadas.add(indice)
+    })
+  
+  return colunas
+}
+
+/**
+ * Detecta a linha de cabeçalho e a coluna de cada campo
+ *
+ * @param {Object} worksheet - Aba do XLSX
+ * @param {string} tipo - 'extrato' ou 'relatorio' (chave de LAYOUTS)
+ * @param {Object} definicao - Definição a usar no lugar de LAYOUTS[tipo] (ex: perfil de banco)
+ * @returns {{tipo: string, linhaCabecalho: number, indiceCabecalho: number, colunas: Object, cabecalhos: Object, rotulos: Object, matriz: Object}}
+ * @throws {Error} codigoErro 'LAYOUT_NAO_RECONHECIDO' com `camposFaltantes` e a linha mais parecida
+ */
+function detectarLayout(worksheet, tipo, definicao = LAYOUTS[tipo]) {
+  const matriz = lerMatriz(worksheet)
+  const obrigatorios = Object.keys(definicao.campos).filter(campo => definicao.campos[campo].obrigatorio)
+  
+  let melhor = null
+  const limite = Math.min(matriz.linhas.length, MAX_LINHAS_BUSCA_CABECALHO)
+  
+  for (let i = 0; i < limite; i++) {
+    const celulas = matriz.linhas[i] || []
+    const colunas = mapearCampos(celulas, definicao)
+    const encontrados = obrigatorios.filter(campo => colunas[campo] !== undefined).length
+    
+    if (!melhor || encontrados > melhor.encontrados) {
+      melhor = { indice: i, colunas, encontrados, celulas }
+    }
+    
+    if (encontrados === obrigatorios.length) {
+      break
+    }
+  }
+  
+  const colunasMelhor = melhor ? melhor.colunas : {}
+  const camposFaltantes = obrigatorios.filter(campo => colunasMelhor[campo] === undefined)
+  
+  if (!melhor || camposFaltantes.length > 0) {
+    const rotulosFaltantes = camposFaltantes.map(campo => `"${definicao.campos[campo].rotulo}"`)
+    const linhaMaisParecida = melhor && melhor.encontrados > 0
+      ? matriz.primeiraLinha + melhor.indice
+      : null
+    const cabecalhoMaisParecido = linhaMaisParecida
+      ? melhor.celulas.filter(celula => celula !== null && String(celula).trim() !== '').join(' | ')
+      : ''
+    
+    const erro = new Error(
+      `${definicao.nome}: ${camposFaltantes.length === 1 ? 'coluna obrigatória não encontrada' : 'colunas obrigatórias não encontradas'}: ${rotulosFaltantes.join(', ')}`
+    )
+    erro.codigoErro = 'LAYOUT_NAO_RECONHECIDO'
+    erro.tipoPlanilha = tipo
+    erro.camposFaltantes = camposFaltantes
+    erro.linhaCabecalhoProvavel = linhaMaisParecida
+    erro.detalhes = linhaMaisParecida
+      ? `Cabeçalho mais parecido na linha ${linhaMaisParecida}: ${cabecalhoMaisParecido}. ` +
+        camposFaltantes.map(campo => `${definicao.campos[campo].rotulo} (aceitos: ${definicao.campos[campo].sinonimos.join(', ')})`).join('; ')
+      : `Nenhuma linha entre as ${limite} primeiras parece um cabeçalho de ${definicao.nome}`
+    throw erro
+  }
+  
+  const cabecalhos = {}
+  Object.entries(colunasMelhor).forEach(([campo, indice]) => {
+    cabecalhos[campo] = `${indiceParaColuna(matriz.primeiraColuna + indice)} ("${String(melhor.celulas[indice]).trim()}")`
+  })
+  
+  // Rótulo de cada campo encontrado (ex: valor -> "Valor / Débito"), para exibição
+  const rotulos = {}
+  Object.keys(colunasMelhor).forEach(campo => {
+    rotulos[campo] = definicao.campos[campo].rotulo
+  })
+  
+  return {
+    tipo,
+    linhaCabecalho: matriz.primeiraLinha + melhor.indice,
+    indiceCabecalho: melhor.indice,
+    colunas: colunasMelhor,
+    cabecalhos,
+    rotulos,
+    matriz
+  }
+}
+
+/**
+ * Lê as linhas de dados (abaixo do cabeçalho) usando o layout detectado
+ * Linha e colunas vêm do intervalo real da aba ('!ref'): linhas em branco não deslocam nada
+ * @param {Object} layout - Retorno de detectarLayout
+ * @returns {Array<{linhaPlanilha: number, campos: Object, brutos: Object, celulas: Array, enderecos: Object, celulasOriginais: Array}>}
+ *   linhaPlanilha = número real da linha no Excel (base 1)
+ *   campos = campo -> texto da célula como exibido; brutos = campo -> valor sem formatação (Date, número, texto)
+ *   enderecos = campo -> endereço A1 da célula (ex: { valor: 'E10', data: 'A10' })
+ *   celulasOriginais = células preenchidas da linha, como aparecem na planilha ({ endereco, cabecalho, valor })
+ */
+function lerLinhasComLayout(layout) {
+  const { matriz, colunas, indiceCabecalho } = layout
+  const cabecalho = matriz.linhas[indiceCabecalho] || []
+  const linhas = []
+  
+  for (let i = indiceCabecalho + 1; i < matriz.linhas.length; i++) {
+    const celulas = matriz.linhas[i] || []
+    if (celulas.every(celula => celula === null || String(celula).trim() === '')) {
+      continue
+    }
+    
+    const linhaPlanilha = matriz.primeiraLinha + i
+    const endereco = indice => `${indiceParaColuna(matriz.primeiraColuna + indice)}${linhaPlanilha}`
+    
+    const valores = matriz.valores[i] || []
+    const campos = {}
+    const brutos = {}
+    const enderecos = {}
+    Object.entries(colunas).forEach(([campo, indice]) => {
+      campos[campo] = celulas[indice] ?? null
+      brutos[campo] = valores[indice] ?? null
+      enderecos[campo] = endereco(indice)
+    })
+    
+    const celulasOriginais = []
+    celulas.forEach((celula, indice) => {
+      if (celula !== null && String(celula).trim() !== '') {
+        celulasOriginais.push({
+          endereco: endereco(indice),
+          cabecalho: cabecalho[indice] === null || cabecalho[indice] === undefined ? '' : String(cabecalho[indice]).trim(),
+          valor: String(celula)
+        })
+      }
+    })
+    
+    linhas.push({
+      linhaPlanilha,
+      campos,
+      brutos,
+      celulas,
+      enderecos,
+      celulasOriginais
+    })
+  }
+  
+  return linhas
+}
+
+/**
+ * Verifica se o texto do topo do arquivo cita o banco do perfil
+ * Compara palavras inteiras ("bb" não casa com "abbott")
+ */
+function citaBanco(textoTopo, perfil) {
+  return perfil.identificacao.some(termo => ` ${textoTopo} `.includes(` ${termo} `))
+}
+
+/**
+ * Verifica se o cabeçalho encontrado tem o formato da convenção de sinal do perfil
+ * - 'colunas': colunas de Débito e de Crédito separadas (ex: Bradesco)
+ * - 'indicador': coluna D/C ou Entrada/Saída
+ * Perfis de 'sinal' não têm formato característico (uma coluna de valor é o caso comum)
+ */
+function temFormatoDoPerfil(layout, perfil) {
+  if (perfil.convencaoSinal === 'colunas') {
+    return layout.colunas.valor !== undefined && layout.colunas.credito !== undefined
+  }
+  if (perfil.convencaoSinal === 'indicador') {
+    return layout.colunas.indicador !== undefined
+  }
+  return false
+}
+
+/**
+ * Detecta o perfil de banco do extrato e o layout correspondente
+ *
+ * Automático: tenta todos os perfis; entre os que reconhecem o cabeçalho, vence
+ * quem tem o nome do banco no topo do arquivo, depois quem tem o cabeçalho na
+ * linha esperada ou no formato do perfil (ex: Débito e Crédito separados) e, por fim,
+ * quem mapeou mais colunas. Sem nome do banco, linha nem formato característicos,
+ * usa o perfil genérico (e o erro detalhado dele, se falhar)
+ *
+ * @param {Object} worksheet - Aba do XLSX
+ * @param {string} perfilId - Id do perfil escolhido pelo usuário ou 'auto'
+ * @returns {{perfil: Object, layout: Object, automatico: boolean}}
+ * @throws {Error} codigoErro 'LAYOUT_NAO_RECONHECIDO' (ou 'PERFIL_DESCONHECIDO')
+ */
+function detectarPerfilExtrato(worksheet, perfilId = 'auto') {
+  if (perfilId && perfilId !== 'auto') {
+    const perfil = obterPerfilExtrato(perfilId)
+    if (!perfil) {
+      const erro = new Error(`Perfil de extrato desconhecido: "${perfilId}"`)
+      erro.codigoErro = 'PERFIL_DESCONHECIDO'
+      erro.tipoPlanilha = 'extrato'
+      erro.detalhes = `Perfis disponíveis: ${PERFIS_EXTRATO.map(p => p.id).join(', ')}`
+      throw erro
+    }
+    return { perfil, layout: detectarLayout(worksheet, 'extrato', definicaoDoPerfil(perfil)), automatico: false }
+  }
+  
+  const matriz = lerMatriz(worksheet)
+  const textoTopo = normalizarCabecalho(
+    matriz.linhas.slice(0, MAX_LINHAS_BUSCA_CABECALHO)
+      .map(linha => (linha || []).filter(celula => celula !== null).join(' '))
+      .join(' ')
+  )
+  
+  const candidatos = []
+  PERFIS_EXTRATO
+    .filter(perfil => perfil.id !== PERFIL_PADRAO)
+    .forEach(perfil => {
+      try {
+        const layout = detectarLayout(worksheet, 'extrato', definicaoDoPerfil(perfil))
+        candidatos.push({
+          perfil,
+          layout,
+          pontuacao: (citaBanco(textoTopo, perfil) ? 100 : 0) +
+                     (perfil.linhaCabecalho === layout.linhaCabecalho ? 10 : 0) +
+                     (temFormatoDoPerfil(layout, perfil) ? 10 : 0) +
+                     Object.keys(layout.colunas).length
+        })
+      } catch (erro) {
+        // Cabeçalho não bate com este perfil: segue para o próximo
+      }
+    })
+  
+  const melhor = candidatos.sort((a, b) => b.pontuacao - a.pontuacao)[0]
+  if (melhor && melhor.pontuacao >= 10) {
+    return { perfil: melhor.perfil, layout: melhor.layout, automatico: true }
+  }
+  
+  // Nenhum banco reconhecido: perfil genérico
+  const generico = obterPerfilExtrato(PERFIL_PADRAO)
+  return {
+    perfil: generico,
+    layout: detectarLayout(worksheet, 'extrato', definicaoDoPerfil(generico)),
+    automatico: true
+  }
+}
+
+module.exports = {
+  LAYOUTS,
+  normalizarCabecalho,
+  indiceParaColuna,
+  detectarLayout,
+  detectarPerfilExtrato,
+  definicaoDoPerfil,
+  lerLinhasComLayout
+}
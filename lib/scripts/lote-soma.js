@@ -0,0 +1,76 @@
+/**
+ * Busca de Lotes por Soma
+ *
+ * Usado pela conciliação quando o banco debita um lote inteiro de pagamentos
+ * em uma única linha do extrato (ou, ao contrário, divide um pagamento do
+ * relatório em vários lançamentos).
+ *
+ * Encontra um subconjunto de candidatos cuja soma é exatamente igual ao alvo.
+ * Trabalha em centavos (inteiros) para evitar erro de arredondamento.
+ */
+
+/**
+ * Procura um subconjunto de candidatos cuja soma seja igual ao alvo
+ * Busca em profundidade com poda pela soma restante; os candidatos são
+ * explorados na ordem recebida (quem vem primeiro tem preferência)
+ *
+ * @param {number} alvoCentavos - Valor alvo em centavos
+ * @param {Array<{centavos: number}>} candidatos - Itens disponíveis (já filtrados por data)
+ * @param {Object} limites - { maxItens, limiteIteracoes }
+ * @returns {Array|null} Itens do subconjunto encontrado (2 ou mais) ou null
+ */
+function buscarSubconjuntoSoma(alvoCentavos, candidatos, limites) {
+  const itens = candidatos.filter(c => c.centavos > 0 && c.centavos < alvoCentavos)
+  
+  if (itens.length < 2) {
+    return null
+  }
+  
+  // Soma dos itens a partir de cada posição (para poda: se nem somando tudo chega no alvo, desiste)
+  const somaRestante = new Array(itens.length + 1).fill(0)
+  for (let i = itens.length - 1; i >= 0; i--) {
+    somaRestante[i] = somaRestante[i + 1] + itens[i].centavos
+  }
+  
+  if (somaRestante[0] < alvoCentavos) {
+    return null
+  }
+  
+  const escolhidos = []
+  let iteracoes = 0
+  
+  const buscar = (inicio, faltando) => {
+    if (faltando === 0) {
+      return escolhidos.length >= 2
+    }
+    if (escolhidos.length >= limites.maxItens) {
+      return false
+    }
+    
+    for (let i = inicio; i < itens.length; i++) {
+      if (++iteracoes > limites.limiteIteracoes) {
+        return false
+      }
+      if (somaRestante[i] < faltando) {
+        return false
+      }
+      if (itens[i].centavos > faltando) {
+        continue
+      }
+      
+      escolhidos.push(itens[i])
+      if (buscar(i + 1, faltando - itens[i].centavos)) {
+        return true
+      }
+      escolhidos.pop()
+    }
+    
+    return false
+  }
+  
+  return buscar(0, alvoCentavos) ? [...escolhidos] : null
+}
+
+module.exports = {
+  buscarSubconjuntoSoma
+}
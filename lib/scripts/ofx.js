@@ -0,0 +1,201 @@
+/**
+ * Leitura de Extrato OFX
+ *
+ * Todo banco brasileiro exporta OFX, um formato bem mais estável que as planilhas.
+ * Aceita as duas variantes:
+ * - OFX 1.x (SGML): cabeçalho "OFXHEADER:100" e tags sem fechamento ("<TRNAMT>-150.00")
+ * - OFX 2.x (XML): "<?OFX ...?>" e tags fechadas ("<TRNAMT>-150.00</TRNAMT>")
+ *
+ * De cada lançamento (STMTTRN) são lidos:
+ * - FITID: identificador único do lançamento no banco (chave estável)
+ * - DTPOSTED: data (AAAAMMDD[HHMMSS][.XXX][[-3:BRT]]; só a data importa)
+ * - TRNAMT: valor com sinal (negativo = débito)
+ * - MEMO / NAME: histórico
+ * - CHECKNUM / REFNUM: número do documento (equivale ao Dcto. da planilha)
+ *
+ * O saldo final (LEDGERBAL) fica disponível para conferência de saldo.
+ */
+
+const { converterParaCentavos } = require('./valores')
+
+/**
+ * Verifica se o buffer é um arquivo OFX (pelo conteúdo, não pela extensão)
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {boolean}
+ */
+function ehArquivoOfx(buffer) {
+  const inicio = buffer.slice(0, 2048).toString('latin1').toUpperCase()
+  return inicio.includes('OFXHEADER') || inicio.includes('<?OFX') || /<OFX>/.test(inicio)
+}
+
+/**
+ * Decodifica o texto do OFX
+ * OFX 1.x de bancos brasileiros costuma vir em Windows-1252 (CHARSET:1252);
+ * sem indicação no cabeçalho, tenta UTF-8 e cai para Windows-1252 se houver bytes inválidos
+ */
+function decodificarOfx(buffer) {
+  const cabecalho = buffer.slice(0, 1024).toString('latin1').toUpperCase()
+  
+  if (/CHARSET:\s*(1252|8859)/.test(cabecalho) || /ENCODING="?(WINDOWS-1252|ISO-8859-1)/.test(cabecalho)) {
+    return new TextDecoder('windows-1252').decode(buffer)
+  }
+  
+  const texto = new TextDecoder('utf-8').decode(buffer)
+  return texto.includes('\uFFFD') ? new TextDecoder('windows-1252').decode(buffer) : texto
+}
+
+/**
+ * Decodifica as entidades XML/SGML mais comuns nos valores
+ */
+function decodificarEntidades(valor) {
+  return valor
+    .replace(/&lt;/gi, '<')
+    .replace(/&gt;/gi, '>')
+    .replace(/&quot;/gi, '"')
+    .replace(/&apos;/gi, '\'')
+    .replace(/&nbsp;/gi, ' ')
+    .replace(/&amp;/gi, '&')
+}
+
+/**
+ * Lê o valor de uma tag simples dentro de um bloco
+ * Funciona com e sem tag de fechamento (o valor termina no próximo "<" ou quebra de linha)
+ * @returns {string|null}
+ */
+function lerTag(bloco, tag) {
+  const encontrado = bloco.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'))
+  if (!encontrado) {
+    return null
+  }
+  const valor = decodificarEntidades(encontrado[1]).trim()
+  return valor === '' ? null : valor
+}
+
+/**
+ * Lista os blocos <TAG>...</TAG> (no SGML os agregados também são fechados)
+ * @returns {Array<{conteudo: string, indice: number}>}
+ */
+function lerBlocos(texto, tag) {
+  const padrao = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, 'gi')
+  const blocos = []
+  let bloco
+  while ((bloco = padrao.exec(texto)) !== null) {
+    blocos.push({ conteudo: bloco[1], indice: bloco.index })
+  }
+  return blocos
+}
+
+/**
+ * Converte data OFX (AAAAMMDD...) em Date local (sem hora)
+ * Ex: "20240115", "20240115120000[-3:BRT]"
+ * @returns {Date|null}
+ */
+function lerDataOfx(valor) {
+  const partes = String(valor || '').match(/^(\d{4})(\d{2})(\d{2})/)
+  if (!partes) {
+    return null
+  }
+  
+  const ano = parseInt(partes[1], 10)
+  const mes = parseInt(partes[2], 10) - 1
+  const dia = parseInt(partes[3], 10)
+  const data = new Date(ano, mes, dia)
+  
+  return data.getFullYear() === ano && data.getMonth() === mes && data.getDate() === dia ? data : null
+}
+
+/**
+ * Lê um valor OFX com sinal em centavos inteiros
+ * Ex: "-150.00" -> -15000; alguns bancos usam vírgula ("-150,00")
+ * @returns {number|null}
+ */
+function lerValorOfx(valor) {
+  const centavos = converterParaCentavos(valor)
+  if (centavos === null) {
+    return null
+  }
+  return String(valor).trim().startsWith('-') ? -centavos : centavos
+}
+
+/**
+ * Lê um arquivo OFX
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {{
+ *   banco: string|null, conta: string|null, moeda: string|null,
+ *   periodo: {inicio: Date|null, fim: Date|null},
+ *   saldo: {centavos: number, data: Date|null}|null,
+ *   transacoes: Array<{fitid: string, tipo: string|null, data: Date|null, dataOriginal: string|null,
+ *     valorOriginal: string|null, centavos: number|null, memo: string, documento: string, linha: number}>
+ * }}
+ * @throws {Error} codigoErro 'OFX_INVALIDO' se não houver extrato (STMTRS/CCSTMTRS) no arquivo
+ */
+function lerOfx(buffer) {
+  const texto = decodificarOfx(buffer)
+  
+  const extratos = [...lerBlocos(texto, 'STMTRS'), ...lerBlocos(texto, 'CCSTMTRS')]
+  if (extratos.length === 0) {
+    const erro = new Error('Arquivo OFX sem extrato (STMTRS) - verifique se o arquivo exportado é de conta corrente')
+    erro.codigoErro = 'OFX_INVALIDO'
+    erro.tipoPlanilha = 'extrato'
+    erro.detalhes = 'Nenhum bloco <STMTRS> ou <CCSTMTRS> encontrado'
+    throw erro
+  }
+  
+  // Posição -> número da linha no arquivo (para o usuário localizar o lançamento)
+  const numeroDaLinha = indice => texto.slice(0, indice).split('\n').length
+  
+  const transacoes = []
+  const fitidsVistos = new Map()
+  
+  lerBlocos(texto, 'STMTTRN').forEach(({ conteudo, indice }) => {
+    const dataOriginal = lerTag(conteudo, 'DTPOSTED')
+    const valorOriginal = lerTag(conteudo, 'TRNAMT')
+    const linha = numeroDaLinha(indice)
+    
+    // Alguns bancos repetem FITID no mesmo arquivo: desambigua para a chave continuar única
+    let fitid = lerTag(conteudo, 'FITID') || `linha-${linha}`
+    const ocorrencias = (fitidsVistos.get(fitid) || 0) + 1
+    fitidsVistos.set(fitid, ocorrencias)
+    if (ocorrencias > 1) {
+      console.log(`[CONCILIA] OFX: FITID "${fitid}" repetido (linha ${linha}), usando "${fitid}#${ocorrencias}"`)
+      fitid = `${fitid}#${ocorrencias}`
+    }
+    
+    transacoes.push({
+      fitid,
+      tipo: lerTag(conteudo, 'TRNTYPE'),
+      data: lerDataOfx(dataOriginal),
+      dataOriginal,
+      valorOriginal,
+      centavos: lerValorOfx(valorOriginal),
+      memo: [lerTag(conteudo, 'NAME'), lerTag(conteudo, 'MEMO')].filter(Boolean).join(' - '),
+      documento: lerTag(conteudo, 'CHECKNUM') || lerTag(conteudo, 'REFNUM') || '',
+      linha
+    })
+  })
+  
+  const primeiro = extratos[0].conteudo
+  const saldoFinal = lerBlocos(primeiro, 'LEDGERBAL')[0]
+  const saldoCentavos = saldoFinal ? lerValorOfx(lerTag(saldoFinal.conteudo, 'BALAMT')) : null
+  
+  return {
+    banco: lerTag(primeiro, 'BANKID') || lerTag(texto, 'ORG'),
+    conta: lerTag(primeiro, 'ACCTID'),
+    moeda: lerTag(primeiro, 'CURDEF'),
+    periodo: {
+      inicio: lerDataOfx(lerTag(primeiro, 'DTSTART')),
+      fim: lerDataOfx(lerTag(primeiro, 'DTEND'))
+    },
+    saldo: saldoCentavos === null
+      ? null
+      : { centavos: saldoCentavos, data: lerDataOfx(lerTag(saldoFinal.conteudo, 'DTASOF')) },
+    transacoes
+  }
+}
+
+module.exports = {
+  ehArquivoOfx,
+  lerOfx,
+  lerDataOfx,
+  lerValorOfx
+}
@@ -0,0 +1,487 @@
+/**
+ * Geração de PDF Simples (sem serviço ou biblioteca externa)
+ *
+ * O suficiente para relatórios: páginas A4, texto em Helvetica (fonte padrão do
+ * PDF, não precisa ser embutida), linhas, retângulos e imagens PNG.
+ *
+ * Convenções:
+ * - Coordenadas em pontos (1/72 pol) a partir do canto SUPERIOR esquerdo da página
+ *   (o PDF conta de baixo para cima; a conversão é feita aqui)
+ * - Em texto, `y` é a linha de base
+ * - Cores em hexadecimal ('#366092')
+ * - Texto em WinAnsiEncoding: cobre os acentos do português; o que ficar fora vira "?"
+ */
+
+const zlib = require('zlib')
+
+// Tamanho da página A4 em pontos
+const A4 = { largura: 595.28, altura: 841.89 }
+
+// Larguras (milésimos do tamanho da fonte) dos caracteres 32 a 126 na Helvetica, normal e negrito
+const LARGURAS_ASCII = {
+  normal: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+    1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+    333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+    556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+  ],
+  negrito: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+    556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+    975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+    667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+    333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+    611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+  ]
+}
+
+// Caracteres do WinAnsi fora do Latin-1 (faixa 0x80-0x9F): código e largura [normal, negrito]
+const EXTRAS_WIN_ANSI = {
+  '€': [0x80, 556, 556],
+  '…': [0x85, 1000, 1000],
+  '‹': [0x8B, 333, 333],
+  '‘': [0x91, 222, 278],
+  '’': [0x92, 222, 278],
+  '“': [0x93, 333, 500],
+  '”': [0x94, 333, 500],
+  '•': [0x95, 350, 350],
+  '–': [0x96, 556, 556],
+  '—': [0x97, 1000, 1000],
+  '›': [0x9B, 333, 333]
+}
+
+// Símbolos do Latin-1 sem letra base (as letras acentuadas têm a largura da letra sem acento)
+const LARGURAS_SIMBOLOS_LATIN1 = {
+  ' ': [278, 278], '¡': [333, 333], '§': [556, 556], '°': [400, 400], 'ª': [370, 370],
+  'º': [365, 365], '·': [278, 278], '¿': [611, 611], '×': [584, 584], '÷': [584, 584],
+  'ß': [611, 611], 'Æ': [1000, 1000], 'æ': [889, 889], 'Ø': [778, 778], 'ø': [611, 611]
+}
+
+// Largura usada para qualquer outro caractere
+const LARGURA_PADRAO = 556
+
+/**
+ * Código WinAnsi e largura de um caractere
+ * @returns {{codigo: number, largura: number}} Fora do WinAnsi devolve o "?"
+ */
+function codificarCaractere(caractere, negrito) {
+  const codigo = caractere.codePointAt(0)
+  const estilo = negrito ? 'negrito' : 'normal'
+  
+  if (codigo >= 32 && codigo <= 126) {
+    return { codigo, largura: LARGURAS_ASCII[estilo][codigo - 32] }
+  }
+  if (EXTRAS_WIN_ANSI[caractere]) {
+    const [codigoWinAnsi, normal, emNegrito] = EXTRAS_WIN_ANSI[caractere]
+    return { codigo: codigoWinAnsi, largura: negrito ? emNegrito : normal }
+  }
+  if (codigo >= 0xA0 && codigo <= 0xFF) {
+    const simbolo = LARGURAS_SIMBOLOS_LATIN1[caractere]
+    if (simbolo) {
+      return { codigo, largura: simbolo[negrito ? 1 : 0] }
+    }
+    // Letra acentuada: mesma largura da letra base ("ç" = "c")
+    const base = caractere.normalize('NFD').charCodeAt(0)
+    const largura = base >= 32 && base <= 126 ? LARGURAS_ASCII[estilo][base - 32] : LARGURA_PADRAO
+    return { codigo, largura }
+  }
+  return { codigo: 63, largura: LARGURAS_ASCII[estilo][63 - 32] }
+}
+
+/**
+ * Largura de um texto em pontos
+ * @param {string} texto - Texto (uma linha)
+ * @param {number} tamanho - Tamanho da fonte
+ * @param {boolean} negrito - Helvetica-Bold
+ */
+function larguraTexto(texto, tamanho, negrito = false) {
+  let milesimos = 0
+  for (const caractere of String(texto)) {
+    milesimos += codificarCaractere(caractere, negrito).largura
+  }
+  return milesimos * tamanho / 1000
+}
+
+/**
+ * Quebra um texto em linhas que cabem na largura (por palavra; palavra maior que a
+ * largura é cortada onde couber). Quebras de linha do texto são mantidas
+ * @returns {Array<string>}
+ */
+function quebrarTexto(texto, larguraMaxima, tamanho, negrito = false) {
+  const linhas = []
+  
+  String(texto ?? '').split('\n').forEach(paragrafo => {
+    let atual = ''
+    paragrafo.split(/\s+/).filter(Boolean).forEach(palavra => {
+      const candidata = atual ? `${atual} ${palavra}` : palavra
+      if (larguraTexto(candidata, tamanho, negrito) <= larguraMaxima) {
+        atual = candidata
+        return
+      }
+      if (atual) {
+        linhas.push(atual)
+      }
+      // Palavra sozinha maior que a linha (ex: hash SHA-256): corta em pedaços
+      atual = ''
+      for (const caractere of palavra) {
+        if (atual && larguraTexto(atual + caractere, tamanho, negrito) > larguraMaxima) {
+          linhas.push(atual)
+          atual = ''
+        }
+        atual += caractere
+      }
+    })
+    linhas.push(atual)
+  })
+  
+  return linhas
+}
+
+/**
+ * Cria um documento vazio
+ * @param {Object} info - { titulo, autor, assunto } (propriedades do arquivo)
+ * @returns {Object} Documento: use adicionarPagina, escreverTexto, ... e gerarPdf
+ */
+function criarDocumentoPdf(info = {}) {
+  return { info, paginas: [], imagens: [] }
+}
+
+/**
+ * Acrescenta uma página A4 em branco
+ * @returns {Object} Página (recebe os desenhos)
+ */
+function adicionarPagina(documento) {
+  const pagina = { comandos: [], imagens: new Set() }
+  documento.paginas.push(pagina)
+  return pagina
+}
+
+/**
+ * Número no formato do PDF (sem notação exponencial, no máximo 2 casas)
+ */
+function numeroPdf(numero) {
+  return String(Math.round(numero * 100) / 100)
+}
+
+/**
+ * Cor hexadecimal ('#366092') como componentes RGB do PDF ("0.21 0.38 0.57")
+ */
+function corPdf(cor) {
+  const hexadecimal = cor.replace('#', '')
+  return [0, 2, 4]
+    .map(inicio => numeroPdf(parseInt(hexadecimal.slice(inicio, inicio + 2), 16) / 255))
+    .join(' ')
+}
+
+/**
+ * Texto como string literal do PDF, codificado em WinAnsi
+ * Bytes fora do ASCII imprimível vão em octal (\351), para o conteúdo da página continuar ASCII
+ */
+function stringPdf(texto, negrito) {
+  let literal = ''
+  for (const caractere of String(texto)) {
+    const { codigo } = codificarCaractere(caractere, negrito)
+    if (codigo === 40 || codigo === 41 || codigo === 92) {
+      literal += `\\${String.fromCharCode(codigo)}`
+    } else if (codigo < 32 || codigo > 126) {
+      literal += `\\${codigo.toString(8).padStart(3, '0')}`
+    } else {
+      literal += String.fromCharCode(codigo)
+    }
+  }
+  return `(${literal})`
+}
+
+/**
+ * Escreve uma linha de texto
+ * @param {Object} pagina - Retorno de adicionarPagina
+ * @param {string} texto - Texto (uma linha; use quebrarTexto antes)
+ * @param {number} x - Posição horizontal
+ * @param {number} y - Linha de base, a partir do topo
+ * @param {Object} opcoes - { tamanho: 10, negrito: false, cor: '#000000', alinhamento: 'esquerda'|'centro'|'direita' }
+ *   Com alinhamento centro/direita, `x` é o centro/a borda direita do texto
+ */
+function escreverTexto(pagina, texto, x, y, opcoes = {}) {
+  const { tamanho = 10, negrito = false, cor = '#000000', alinhamento = 'esquerda' } = opcoes
+  const largura = larguraTexto(texto, tamanho, negrito)
+  const deslocamento = alinhamento === 'direita' ? largura : alinhamento === 'centro' ? largura / 2 : 0
+  
+  pagina.comandos.push(
+    `BT /${negrito ? 'F2' : 'F1'} ${numeroPdf(tamanho)} Tf ${corPdf(cor)} rg ` +
+    `${numeroPdf(x - deslocamento)} ${numeroPdf(A4.altura - y)} Td ${stringPdf(texto, negrito)} Tj ET`
+  )
+}
+
+/**
+ * Desenha um retângulo
+ * @param {Object} opcoes - { preenchimento: cor, borda: cor, espessura: 0.5 } (sem nenhum dos dois, não desenha)
+ */
+function desenharRetangulo(pagina, x, y, largura, altura, opcoes = {}) {
+  const { preenchimento = null, borda = null, espessura = 0.5 } = opcoes
+  if (!preenchimento && !borda) {
+    return
+  }
+  
+  const comandos = []
+  if (preenchimento) {
+    comandos.push(`${corPdf(preenchimento)} rg`)
+  }
+  if (borda) {
+    comandos.push(`${corPdf(borda)} RG ${numeroPdf(espessura)} w`)
+  }
+  comandos.push(`${numeroPdf(x)} ${numeroPdf(A4.altura - y - altura)} ${numeroPdf(largura)} ${numeroPdf(altura)} re`)
+  comandos.push(preenchimento && borda ? 'B' : preenchimento ? 'f' : 'S')
+  
+  pagina.comandos.push(comandos.join(' '))
+}
+
+/**
+ * Desenha uma linha reta
+ * @param {Object} opcoes - { cor: '#000000', espessura: 0.5 }
+ */
+function desenharLinha(pagina, x1, y1, x2, y2, opcoes = {}) {
+  const { cor = '#000000', espessura = 0.5 } = opcoes
+  pagina.comandos.push(
+    `${corPdf(cor)} RG ${numeroPdf(espessura)} w ` +
+    `${numeroPdf(x1)} ${numeroPdf(A4.altura - y1)} m ${numeroPdf(x2)} ${numeroPdf(A4.altura - y2)} l S`
+  )
+}
+
+/**
+ * Desfaz o filtro de cada linha de um PNG (tipos 0 a 4 da especificação)
+ * @returns {Buffer} Pixels crus, linha após linha
+ */
+function desfiltrarPng(dados, largura, altura, bytesPorPixel) {
+  const bytesPorLinha = largura * bytesPorPixel
+  const pixels = Buffer.alloc(bytesPorLinha * altura)
+  
+  for (let linha = 0; linha < altura; linha++) {
+    const filtro = dados[linha * (bytesPorLinha + 1)]
+    const origem = linha * (bytesPorLinha + 1) + 1
+    const destino = linha * bytesPorLinha
+    
+    for (let i = 0; i < bytesPorLinha; i++) {
+      const bruto = dados[origem + i]
+      const esquerda = i >= bytesPorPixel ? pixels[destino + i - bytesPorPixel] : 0
+      const acima = linha > 0 ? pixels[destino - bytesPorLinha + i] : 0
+      const acimaEsquerda = linha > 0 && i >= bytesPorPixel ? pixels[destino - bytesPorLinha + i - bytesPorPixel] : 0
+      
+      let preditor = 0
+      if (filtro === 1) {
+        preditor = esquerda
+      } else if (filtro === 2) {
+        preditor = acima
+      } else if (filtro === 3) {
+        preditor = Math.floor((esquerda + acima) / 2)
+      } else if (filtro === 4) {
+        // Paeth: o vizinho mais próximo de esquerda + acima - acimaEsquerda
+        const estimativa = esquerda + acima - acimaEsquerda
+        const distancias = [esquerda, acima, acimaEsquerda].map(vizinho => Math.abs(estimativa - vizinho))
+        preditor = distancias[0] <= distancias[1] && distancias[0] <= distancias[2]
+          ? esquerda
+          : distancias[1] <= distancias[2] ? acima : acimaEsquerda
+      }
+      pixels[destino + i] = (bruto + preditor) & 0xFF
+    }
+  }
+  
+  return pixels
+}
+
+/**
+ * Lê uma imagem PNG para desenhar no PDF
+ * Aceita PNG de 8 bits por canal, sem entrelaçamento: tons de cinza ou RGB, com ou sem transparência
+ * A transparência vira uma máscara (SMask) separada, como o PDF exige
+ * @param {Buffer} buffer - Conteúdo do arquivo PNG
+ * @returns {{largura: number, altura: number, espacoCor: string, cores: Buffer, alfa: Buffer|null}}
+ *   cores e alfa já comprimidos (FlateDecode)
+ * @throws {Error} Se o PNG for de um tipo não suportado
+ */
+function lerImagemPng(buffer) {
+  if (buffer.toString('latin1', 1, 4) !== 'PNG') {
+    throw new Error('Imagem não é um PNG')
+  }
+  
+  let posicao = 8
+  let cabecalho = null
+  const partesDados = []
+  while (posicao < buffer.length) {
+    const tamanho = buffer.readUInt32BE(posicao)
+    const tipo = buffer.toString('latin1', posicao + 4, posicao + 8)
+    const conteudo = buffer.subarray(posicao + 8, posicao + 8 + tamanho)
+    if (tipo === 'IHDR') {
+      cabecalho = {
+        largura: conteudo.readUInt32BE(0),
+        altura: conteudo.readUInt32BE(4),
+        bitsPorCanal: conteudo[8],
+        tipoCor: conteudo[9],
+        entrelacado: conteudo[12] === 1
+      }
+    } else if (tipo === 'IDAT') {
+      partesDados.push(conteudo)
+    }
+    posicao += 12 + tamanho
+  }
+  
+  // Tipos de cor: 0 = cinza, 2 = RGB, 4 = cinza + alfa, 6 = RGB + alfa
+  const canaisPorTipo = { 0: 1, 2: 3, 4: 2, 6: 4 }
+  if (!cabecalho || cabecalho.bitsPorCanal !== 8 || cabecalho.entrelacado || !canaisPorTipo[cabecalho.tipoCor]) {
+    throw new Error('PNG não suportado: use 8 bits por canal, sem paleta e sem entrelaçamento')
+  }
+  
+  const { largura, altura, tipoCor } = cabecalho
+  const canais = canaisPorTipo[tipoCor]
+  const temAlfa = tipoCor === 4 || tipoCor === 6
+  const canaisCor = temAlfa ? canais - 1 : canais
+  const pixels = desfiltrarPng(zlib.inflateSync(Buffer.concat(partesDados)), largura, altura, canais)
+  
+  const cores = Buffer.alloc(largura * altura * canaisCor)
+  const alfa = temAlfa ? Buffer.alloc(largura * altura) : null
+  for (let pixel = 0; pixel < largura * altura; pixel++) {
+    pixels.copy(cores, pixel * canaisCor, pixel * canais, pixel * canais + canaisCor)
+    if (alfa) {
+      alfa[pixel] = pixels[pixel * canais + canaisCor]
+    }
+  }
+  
+  return {
+    largura,
+    altura,
+    espacoCor: canaisCor === 3 ? 'DeviceRGB' : 'DeviceGray',
+    cores: zlib.deflateSync(cores),
+    alfa: alfa ? zlib.deflateSync(alfa) : null
+  }
+}
+
+/**
+ * Desenha uma imagem (retorno de lerImagemPng) na página
+ * A mesma imagem usada em várias páginas é gravada uma única vez no arquivo
+ */
+function desenharImagem(documento, pagina, imagem, x, y, largura, altura) {
+  if (!documento.imagens.includes(imagem)) {
+    documento.imagens.push(imagem)
+  }
+  const nome = `Im${documento.imagens.indexOf(imagem) + 1}`
+  pagina.imagens.add(nome)
+  pagina.comandos.push(
+    `q ${numeroPdf(largura)} 0 0 ${numeroPdf(altura)} ${numeroPdf(x)} ${numeroPdf(A4.altura - y - altura)} cm /${nome} Do Q`
+  )
+}
+
+/**
+ * Data no formato do PDF (D:aaaammddhhmmss)
+ */
+function dataPdf(data) {
+  const doisDigitos = numero => String(numero).padStart(2, '0')
+  return `D:${data.getFullYear()}${doisDigitos(data.getMonth() + 1)}${doisDigitos(data.getDate())}` +
+    `${doisDigitos(data.getHours())}${doisDigitos(data.getMinutes())}${doisDigitos(data.getSeconds())}`
+}
+
+/**
+ * Monta o arquivo PDF
+ * Objetos: 1 catálogo, 2 árvore de páginas, 3 e 4 fontes, 5 informações, depois imagens e páginas
+ * @param {Object} documento - Retorno de criarDocumentoPdf, já com as páginas desenhadas
+ * @returns {Buffer}
+ */
+function gerarPdf(documento) {
+  const objetos = []
+  const reservar = () => objetos.push(null)
+  const definir = (numero, conteudo) => {
+    objetos[numero - 1] = conteudo
+  }
+  const fluxo = (dicionario, dados) => Buffer.concat([
+    Buffer.from(`<< ${dicionario} /Length ${dados.length} >>\nstream\n`, 'latin1'),
+    dados,
+    Buffer.from('\nendstream', 'latin1')
+  ])
+  
+  // 1 a 5: estrutura fixa
+  objetos.push(null, null, null, null, null)
+  definir(1, '<< /Type /Catalog /Pages 2 0 R >>')
+  definir(3, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>')
+  definir(4, '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>')
+  const { titulo = '', autor = '', assunto = '' } = documento.info
+  definir(5, `<< /Title ${stringPdf(titulo)} /Author ${stringPdf(autor)} /Subject ${stringPdf(assunto)} ` +
+    `/Producer (Conciliacao Planaltec) /CreationDate (${dataPdf(new Date())}) >>`)
+  
+  // Imagens (com a transparência em uma máscara separada)
+  const numerosImagens = documento.imagens.map(imagem => {
+    let mascara = ''
+    if (imagem.alfa) {
+      const numeroMascara = reservar()
+      definir(numeroMascara, fluxo(
+        `/Type /XObject /Subtype /Image /Width ${imagem.largura} /Height ${imagem.altura} ` +
+        '/ColorSpace /DeviceGray /BitsPerComponent 8 /Filter /FlateDecode',
+        imagem.alfa
+      ))
+      mascara = ` /SMask ${numeroMascara} 0 R`
+    }
+    const numero = reservar()
+    definir(numero, fluxo(
+      `/Type /XObject /Subtype /Image /Width ${imagem.largura} /Height ${imagem.altura} ` +
+      `/ColorSpace /${imagem.espacoCor} /BitsPerComponent 8 /Filter /FlateDecode${mascara}`,
+      imagem.cores
+    ))
+    return numero
+  })
+  
+  // Páginas: conteúdo comprimido + recursos (fontes e imagens usadas)
+  const numerosPaginas = documento.paginas.map(pagina => {
+    const numeroConteudo = reservar()
+    definir(numeroConteudo, fluxo('/Filter /FlateDecode', zlib.deflateSync(Buffer.from(pagina.comandos.join('\n'), 'latin1'))))
+    
+    const imagens = [...pagina.imagens]
+      .map(nome => `/${nome} ${numerosImagens[Number(nome.slice(2)) - 1]} 0 R`)
+      .join(' ')
+    const numero = reservar()
+    definir(numero,
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${numeroPdf(A4.largura)} ${numeroPdf(A4.altura)}] ` +
+      `/Resources << /Font << /F1 3 0 R /F2 4 0 R >>${imagens ? ` /XObject << ${imagens} >>` : ''} >> ` +
+      `/Contents ${numeroConteudo} 0 R >>`)
+    return numero
+  })
+  definir(2, `<< /Type /Pages /Kids [${numerosPaginas.map(numero => `${numero} 0 R`).join(' ')}] /Count ${numerosPaginas.length} >>`)
+  
+  // Arquivo: cabeçalho, objetos, tabela de referências cruzadas (posição de cada objeto) e trailer
+  const partes = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')]
+  let tamanho = partes[0].length
+  const posicoes = objetos.map((conteudo, indice) => {
+    const posicao = tamanho
+    const corpo = Buffer.isBuffer(conteudo) ? conteudo : Buffer.from(conteudo, 'latin1')
+    const objeto = Buffer.concat([Buffer.from(`${indice + 1} 0 obj\n`, 'latin1'), corpo, Buffer.from('\nendobj\n', 'latin1')])
+    partes.push(objeto)
+    tamanho += objeto.length
+    return posicao
+  })
+  
+  const referencias = [
+    'xref',
+    `0 ${objetos.length + 1}`,
+    '0000000000 65535 f ',
+    ...posicoes.map(posicao => `${String(posicao).padStart(10, '0')} 00000 n `),
+    'trailer',
+    `<< /Size ${objetos.length + 1} /Root 1 0 R /Info 5 0 R >>`,
+    'startxref',
+    String(tamanho),
+    '%%EOF'
+  ]
+  partes.push(Buffer.from(referencias.join('\n') + '\n', 'latin1'))
+  
+  return Buffer.concat(partes)
+}
+
+module.exports = {
+  A4,
+  larguraTexto,
+  quebrarTexto,
+  criarDocumentoPdf,
+  adicionarPagina,
+  escreverTexto,
+  desenharRetangulo,
+  desenharLinha,
+  lerImagemPng,
+  desenharImagem,
+  gerarPdf
+}
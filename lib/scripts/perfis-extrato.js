@@ -0,0 +1,161 @@
+/**
+ * Perfis de Extrato Bancário
+ *
+ * Registro dos layouts de extrato de cada banco. Para suportar um banco novo,
+ * basta acrescentar um perfil nesta lista: a detecção (layout.js) e a leitura
+ * (processarExtratoBancario) usam apenas estes dados - o cruzamento não muda.
+ *
+ * Campos de cada perfil:
+ * - id / nome / logo: identificação (logo em /public, opcional)
+ * - identificacao: textos que aparecem no topo do arquivo (nome do banco) e ajudam na detecção automática
+ * - linhaCabecalho: linha em que o cabeçalho costuma estar (só desempata; o cabeçalho é sempre procurado)
+ * - campos: sinônimos do cabeçalho de cada campo (já normalizados: minúsculas, sem acento/pontuação)
+ * - convencaoSinal: como saber se o lançamento é débito ou crédito
+ *     'sinal'     -> uma coluna de valor; débito é negativo ("-123,00", "123,00-", "(123,00)", "123,00 D")
+ *                    (se o cabeçalho da coluna de valor for "Débito", vale 'colunas')
+ *     'colunas'   -> colunas separadas de Débito e Crédito; a coluna define a natureza
+ *     'indicador' -> coluna de valor + coluna indicadora (D/C, Entrada/Saída)
+ * - indicadores: textos da coluna indicadora (somente convencaoSinal 'indicador')
+ * - formatoData: 'dd/mm/aaaa', 'dd/mm/aa' ou 'aaaa-mm-dd'
+ * - ignorarLinhas: históricos que não são lançamentos (saldos, totais); comparados no início do texto
+ * - linhasSaldo: quais dessas linhas informam o saldo da conta, para a verificação de saldos (saldos.js)
+ *     inicial -> saldo de abertura ("SALDO ANTERIOR")
+ *     parcial -> saldo no meio do extrato ("SALDO DO DIA")
+ *     final   -> saldo de fechamento ("SALDO FINAL")
+ *   O valor vem da coluna Saldo (campo `saldo`) ou, sem ela, da coluna de valor da própria linha
+ */
+
+const PERFIS_EXTRATO = [
+  {
+    id: 'bradesco',
+    nome: 'Bradesco',
+    logo: '/bradesco.png',
+    identificacao: ['bradesco'],
+    linhaCabecalho: 9,
+    campos: {
+      data: ['data'],
+      descricao: ['historico', 'lancamento'],
+      dcto: ['dcto', 'documento'],
+      valor: ['debito r', 'debito'],
+      credito: ['credito r', 'credito'],
+      saldo: ['saldo r', 'saldo']
+    },
+    convencaoSinal: 'colunas',
+    formatoData: 'dd/mm/aaaa',
+    ignorarLinhas: ['saldo anterior', 'saldo do dia', 'saldo final', 'total'],
+    linhasSaldo: { inicial: ['saldo anterior'], parcial: ['saldo do dia'], final: ['saldo final'] }
+  },
+  {
+    id: 'itau',
+    nome: 'Itaú',
+    logo: null,
+    identificacao: ['itau', 'itau unibanco'],
+    linhaCabecalho: null,
+    campos: {
+      data: ['data', 'data lancamento'],
+      descricao: ['lancamento', 'historico', 'descricao'],
+      dcto: ['ag origem', 'documento'],
+      valor: ['valor r', 'valor'],
+      saldo: ['saldo r', 'saldo']
+    },
+    convencaoSinal: 'sinal',
+    formatoData: 'dd/mm/aaaa',
+    ignorarLinhas: ['saldo anterior', 'saldo total disponivel dia', 'saldo do dia', 'sdo cta apl automaticas', 'saldo final'],
+    linhasSaldo: { inicial: ['saldo anterior'], parcial: ['saldo total disponivel dia', 'saldo do dia'], final: ['saldo final'] }
+  },
+  {
+    id: 'banco_do_brasil',
+    nome: 'Banco do Brasil',
+    logo: null,
+    identificacao: ['banco do brasil', 'bb'],
+    linhaCabecalho: null,
+    campos: {
+      data: ['data', 'data lancamento'],
+      descricao: ['lancamento', 'historico', 'detalhes'],
+      dcto: ['n documento', 'numero documento', 'documento'],
+      valor: ['valor r', 'valor'],
+      indicador: ['tipo lancamento', 'entrada saida', 'd c'],
+      saldo: ['saldo r', 'saldo']
+    },
+    convencaoSinal: 'indicador',
+    indicadores: { debito: ['saida', 'd', 'debito'], credito: ['entrada', 'c', 'credito'] },
+    formatoData: 'dd/mm/aaaa',
+    ignorarLinhas: ['saldo anterior', 's a l d o', 'saldo do dia', 'saldo final'],
+    linhasSaldo: { inicial: ['saldo anterior'], parcial: ['saldo do dia'], final: ['s a l d o', 'saldo final'] }
+  },
+  {
+    id: 'caixa',
+    nome: 'Caixa Econômica Federal',
+    logo: null,
+    identificacao: ['caixa economica', 'caixa'],
+    linhaCabecalho: null,
+    campos: {
+      data: ['data mov', 'data movimento', 'data'],
+      descricao: ['historico', 'descricao'],
+      dcto: ['nr doc', 'n doc', 'documento'],
+      valor: ['valor'],
+      indicador: ['deb cred', 'd c', 'c d'],
+      saldo: ['saldo']
+    },
+    convencaoSinal: 'indicador',
+    indicadores: { debito: ['d', 'deb', 'debito'], credito: ['c', 'cred', 'credito'] },
+    formatoData: 'dd/mm/aaaa',
+    ignorarLinhas: ['saldo anterior', 'saldo dia', 'saldo final'],
+    linhasSaldo: { inicial: ['saldo anterior'], parcial: ['saldo dia'], final: ['saldo final'] }
+  },
+  {
+    id: 'sicoob',
+    nome: 'Sicoob',
+    logo: null,
+    identificacao: ['sicoob', 'bancoob'],
+    linhaCabecalho: null,
+    campos: {
+      data: ['data'],
+      descricao: ['historico', 'descricao'],
+      dcto: ['documento', 'dcto'],
+      valor: ['valor'],
+      saldo: ['saldo']
+    },
+    convencaoSinal: 'sinal', // Valores com sufixo: "150,00D" / "150,00C"
+    formatoData: 'dd/mm/aaaa',
+    ignorarLinhas: ['saldo anterior', 'saldo do dia', 'saldo bloqueado', 'saldo disponivel'],
+    linhasSaldo: { inicial: ['saldo anterior'], parcial: ['saldo do dia'], final: [] }
+  },
+  {
+    id: 'generico',
+    nome: 'Genérico',
+    logo: null,
+    identificacao: [],
+    linhaCabecalho: null,
+    campos: {
+      data: ['data', 'data lancamento', 'data mov', 'data movimento', 'dt lancamento', 'dt movimento', 'dt'],
+      descricao: ['historico', 'descricao', 'lancamento', 'discriminacao', 'historico lancamento'],
+      dcto: ['dcto', 'documento', 'doc', 'n documento', 'num documento', 'nr documento'],
+      valor: ['valor', 'debito', 'valor r', 'debito r', 'valor lancamento'],
+      credito: ['credito', 'credito r'],
+      saldo: ['saldo', 'saldo r']
+    },
+    convencaoSinal: 'sinal',
+    formatoData: 'dd/mm/aaaa',
+    ignorarLinhas: ['saldo anterior', 'saldo do dia', 'saldo final'],
+    linhasSaldo: { inicial: ['saldo anterior'], parcial: ['saldo do dia'], final: ['saldo final'] }
+  }
+]
+
+// Perfil usado quando nenhum banco é reconhecido
+const PERFIL_PADRAO = 'generico'
+
+/**
+ * Busca um perfil pelo id
+ * @param {string} id - Id do perfil (ex: 'itau')
+ * @returns {Object|null}
+ */
+function obterPerfilExtrato(id) {
+  return PERFIS_EXTRATO.find(perfil => perfil.id === id) || null
+}
+
+module.exports = {
+  PERFIS_EXTRATO,
+  PERFIL_PADRAO,
+  obterPerfilExtrato
+}
@@ -0,0 +1,136 @@
+/**
+ * Verificação de Saldos do Extrato
+ *
+ * Prova que o próprio extrato está completo antes de cruzá-lo com o relatório:
+ * 1. Fechamento: saldo inicial + todos os lançamentos = saldo final
+ * 2. Continuidade: a cada saldo informado no meio do extrato (coluna Saldo,
+ *    linhas "SALDO DO DIA"), o saldo anterior + os lançamentos desde ele tem
+ *    que bater. Onde não bate há uma lacuna: linhas apagadas, exportação
+ *    parcial ou lançamento descartado na leitura
+ *
+ * A ordem é a do arquivo (linha a linha). Valores com sinal, em centavos:
+ * débitos negativos, créditos positivos.
+ */
+
+const { centavosParaReais, somarCentavos } = require('./valores')
+
+// Explicação de cada situação da verificação, para o resumo e a tela
+const DESCRICOES_SITUACAO_SALDO = {
+  conferido: 'Extrato completo: saldo inicial + lançamentos = saldo final, com o saldo contínuo linha a linha',
+  divergente: 'O saldo do extrato NÃO fecha: faltam lançamentos (linhas apagadas, exportação parcial ou linhas descartadas na leitura)',
+  incompleto: 'Sem saldo inicial ou final no extrato: a continuidade foi conferida onde havia saldo, mas o fechamento não pode ser provado',
+  sem_saldo: 'Extrato sem saldos informados: não é possível provar que está completo'
+}
+
+/**
+ * Posição de um saldo na ordem do arquivo
+ * Saldos sem linha (ex: LEDGERBAL do OFX) ficam no início (inicial) ou no fim (demais)
+ */
+function posicaoDoSaldo(saldo) {
+  if (saldo.linha !== null && saldo.linha !== undefined) {
+    return saldo.linha
+  }
+  return saldo.tipo === 'inicial' ? -Infinity : Infinity
+}
+
+/**
+ * Verifica fechamento e continuidade dos saldos de um extrato
+ *
+ * Tipos de saldo:
+ * - 'inicial': linha "SALDO ANTERIOR" (ponto de partida, não é conferido)
+ * - 'parcial': linha "SALDO DO DIA" ou saldo informado na linha de um lançamento
+ * - 'final': linha "SALDO FINAL" ou LEDGERBAL do OFX
+ *
+ * @param {Array<{linha: number, centavos: number}>} movimentos - Lançamentos com sinal (débito negativo)
+ * @param {Array<{tipo: string, linha: number|null, celula: string|null, centavos: number}>} saldos - Saldos informados no arquivo
+ * @returns {Object} { situacao, saldoInicial, saldoFinal, totalMovimentos, saldoFinalCalculado,
+ *   diferencaFechamento, saldoInicialImplicito, saldosConferidos, lacunas }
+ *   situacao: 'conferido' (fecha e é contínuo), 'divergente' (há lacuna ou não fecha),
+ *   'incompleto' (falta saldo inicial ou final para provar) ou 'sem_saldo' (nada a conferir)
+ */
+function verificarSaldos(movimentos, saldos) {
+  const inicial = saldos.find(saldo => saldo.tipo === 'inicial') || null
+  const finais = saldos.filter(saldo => saldo.tipo === 'final')
+  const final = finais[finais.length - 1] || null
+  const totalMovimentos = somarCentavos(movimentos, movimento => movimento.centavos)
+  
+  // Lançamentos e saldos na ordem do arquivo; na mesma linha, o lançamento vem antes do saldo
+  const eventos = [
+    ...movimentos.map(movimento => ({ posicao: movimento.linha, ordem: 0, movimento })),
+    ...saldos.map(saldo => ({ posicao: posicaoDoSaldo(saldo), ordem: 1, saldo }))
+  ].sort((a, b) => a.posicao - b.posicao || a.ordem - b.ordem)
+  
+  // Continuidade: saldo esperado (último saldo informado + lançamentos desde ele)
+  const lacunas = []
+  let esperado = null
+  let ultimoSaldo = null
+  let movimentosDesdeUltimo = 0
+  let saldosConferidos = 0
+  
+  eventos.forEach(({ movimento, saldo }) => {
+    if (movimento) {
+      if (esperado !== null) {
+        esperado += movimento.centavos
+      }
+      movimentosDesdeUltimo += movimento.centavos
+      return
+    }
+    
+    if (esperado !== null && saldo.tipo !== 'inicial') {
+      saldosConferidos++
+      if (saldo.centavos !== esperado) {
+        lacunas.push({
+          linha: saldo.linha,
+          celula: saldo.celula || null,
+          tipo: saldo.tipo,
+          linhaSaldoAnterior: ultimoSaldo.linha,
+          saldoAnterior: centavosParaReais(ultimoSaldo.centavos),
+          movimentos: centavosParaReais(movimentosDesdeUltimo),
+          saldoEsperado: centavosParaReais(esperado),
+          saldoInformado: centavosParaReais(saldo.centavos),
+          diferenca: centavosParaReais(saldo.centavos - esperado)
+        })
+      }
+    }
+    
+    // Recomeça do saldo informado: uma lacuna não contamina as conferências seguintes
+    esperado = saldo.centavos
+    ultimoSaldo = saldo
+    movimentosDesdeUltimo = 0
+  })
+  
+  // Fechamento: saldo inicial + lançamentos = saldo final
+  const saldoFinalCalculado = inicial ? inicial.centavos + totalMovimentos : null
+  const diferencaFechamento = inicial && final ? final.centavos - saldoFinalCalculado : null
+  
+  let situacao
+  if (saldos.length === 0) {
+    situacao = 'sem_saldo'
+  } else if (lacunas.length > 0 || (diferencaFechamento !== null && diferencaFechamento !== 0)) {
+    situacao = 'divergente'
+  } else if (inicial && final) {
+    situacao = 'conferido'
+  } else {
+    situacao = 'incompleto'
+  }
+  
+  return {
+    situacao,
+    saldoInicial: inicial ? centavosParaReais(inicial.centavos) : null,
+    linhaSaldoInicial: inicial ? inicial.linha : null,
+    saldoFinal: final ? centavosParaReais(final.centavos) : null,
+    linhaSaldoFinal: final ? final.linha : null,
+    totalMovimentos: centavosParaReais(totalMovimentos),
+    saldoFinalCalculado: saldoFinalCalculado === null ? null : centavosParaReais(saldoFinalCalculado),
+    diferencaFechamento: diferencaFechamento === null ? null : centavosParaReais(diferencaFechamento),
+    // Sem saldo inicial (ex: OFX só traz o LEDGERBAL): o saldo de abertura que faria o extrato fechar
+    saldoInicialImplicito: !inicial && final ? centavosParaReais(final.centavos - totalMovimentos) : null,
+    saldosConferidos,
+    lacunas
+  }
+}
+
+module.exports = {
+  DESCRICOES_SITUACAO_SALDO,
+  verificarSaldos
+}
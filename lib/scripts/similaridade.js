@@ -0,0 +1,253 @@
+/**
+ * Similaridade de Descrições
+ *
+ * Compara a descrição do extrato bancário com a do Relatório Planaltec e
+ * devolve uma nota de 0 a 1, usada no ranking dos candidatos e na explicação
+ * mostrada ao analista.
+ *
+ * Etapas:
+ * 1. Normalização: remove acentos e pontuação ("SILVA." = "silva")
+ * 2. Remoção de stopwords do português e termos bancários ("de", "pagto", "ted", "ltda"...)
+ * 3. Expansão de abreviações ("transp" -> "transportes")
+ * 4. Comparação palavra a palavra com tolerância a erro de digitação (Jaro-Winkler)
+ * 5. Nota final ponderada (pesos configuráveis)
+ */
+
+/**
+ * Palavras que não ajudam a identificar o favorecido
+ * Artigos/preposições do português + termos genéricos de lançamentos bancários
+ */
+const STOPWORDS = new Set([
+  // Português
+  'a', 'o', 'as', 'os', 'de', 'da', 'do', 'das', 'dos', 'e', 'em', 'no', 'na', 'nos', 'nas',
+  'para', 'pra', 'por', 'com', 'ao', 'aos', 'um', 'uma', 'ref', 'referente',
+  // Bancários
+  'pagto', 'pgto', 'pag', 'pagamento', 'pagamentos', 'ted', 'pix', 'doc', 'tef', 'transf',
+  'transferencia', 'boleto', 'bloqueto', 'titulo', 'tit', 'deb', 'debito', 'cred', 'credito',
+  'autorizado', 'aut', 'env', 'enviado', 'enviada', 'rem', 'remessa', 'banco', 'ag', 'cc', 'conta',
+  'fornec', 'fornecedor', 'fornecedores', 'cobranca', 'liquidacao', 'nf', 'nfe',
+  // Naturezas jurídicas
+  'ltda', 'me', 'epp', 'eireli', 'sa', 'mei', 'cia', 'ss'
+])
+
+/**
+ * Abreviações comuns em nomes de favorecidos -> forma por extenso
+ * Só abreviações sem outro sentido comum: "const", "auto", "imp", "exp" e "br" ficam de fora,
+ * pois também abreviam outras palavras (ex: "AUTO" de "AUTO POSTO", "IMP" de "IMPOSTOS")
+ */
+const ABREVIACOES = {
+  transp: 'transportes',
+  transpo: 'transportes',
+  transportadora: 'transportes',
+  comerc: 'comercio',
+  ind: 'industria',
+  serv: 'servicos',
+  servs: 'servicos',
+  distrib: 'distribuidora',
+  dist: 'distribuidora',
+  adm: 'administracao',
+  admin: 'administracao',
+  eng: 'engenharia',
+  constr: 'construcoes',
+  mat: 'materiais',
+  mats: 'materiais',
+  prod: 'produtos',
+  equip: 'equipamentos',
+  tec: 'tecnologia',
+  tecnol: 'tecnologia',
+  sist: 'sistemas',
+  assoc: 'associacao',
+  emp: 'empresa',
+  empr: 'empreendimentos',
+  mec: 'mecanica',
+  agric: 'agricola',
+  fin: 'financeira',
+  seg: 'seguros',
+  hosp: 'hospitalar',
+  farm: 'farmacia',
+  sup: 'suprimentos',
+  intl: 'internacional',
+  nac: 'nacional',
+  bras: 'brasil'
+}
+
+/**
+ * Pesos padrão da nota de similaridade
+ * - cobertura: quanto da descrição MENOR aparece na maior (nome curto dentro de histórico longo)
+ * - jaccard: palavras em comum sobre o total de palavras distintas (penaliza sobras)
+ * - fatorDigitacao: quanto vale uma palavra parecida (ex: "SILVAA") em relação a uma idêntica
+ * - limiarDigitacao: Jaro-Winkler mínimo para considerar duas palavras parecidas
+ * - tamanhoMinimoDigitacao: palavras curtas só contam se forem idênticas
+ */
+const PESOS_PADRAO = {
+  cobertura: 0.7,
+  jaccard: 0.3,
+  fatorDigitacao: 0.8,
+  limiarDigitacao: 0.92,
+  tamanhoMinimoDigitacao: 4
+}
+
+/**
+ * Remove acentos de uma string
+ * Ex: "Antônio" -> "Antonio", "José" -> "Jose"
+ */
+function removerAcentos(texto) {
+  if (!texto) return ''
+  
+  return String(texto)
+    .normalize('NFD') // Normaliza para NFD (Normalization Form Decomposed)
+    .replace(/[\u0300-\u036f]/g, '') // Remove diacríticos (acentos)
+}
+
+/**
+ * Transforma a descrição em lista de palavras significativas
+ * Remove acentos e pontuação, descarta stopwords e expande abreviações
+ * Ex: "PAGTO TED - J. SILVA TRANSP. LTDA" -> ["j", "silva", "transportes"]
+ * @param {string} descricao - Texto original
+ * @returns {Array<string>} Palavras distintas, na ordem em que aparecem
+ */
+function extrairPalavras(descricao) {
+  if (!descricao) {
+    return []
+  }
+  
+  const palavras = removerAcentos(descricao)
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(p => p.length > 0)
+    .map(p => ABREVIACOES[p] || p)
+    .filter(p => !STOPWORDS.has(p))
+    // Sequências só de números (datas, agências, contas) não identificam o favorecido
+    .filter(p => !/^\d+$/.test(p))
+  
+  return [...new Set(palavras)]
+}
+
+/**
+ * Similaridade de Jaro-Winkler entre duas palavras (0 a 1)
+ * Dá bônus para prefixo em comum, o que combina com nomes truncados pelo banco
+ */
+function jaroWinkler(a, b) {
+  if (a === b) return 1
+  if (!a || !b) return 0
+  
+  const distanciaMaxima = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1)
+  const casadosA = new Array(a.length).fill(false)
+  const casadosB = new Array(b.length).fill(false)
+  
+  let casados = 0
+  for (let i = 0; i < a.length; i++) {
+    const inicio = Math.max(0, i - distanciaMaxima)
+    const fim = Math.min(i + distanciaMaxima + 1, b.length)
+    for (let j = inicio; j < fim; j++) {
+      if (casadosB[j] || a[i] !== b[j]) continue
+      casadosA[i] = true
+      casadosB[j] = true
+      casados++
+      break
+    }
+  }
+  
+  if (casados === 0) return 0
+  
+  let transposicoes = 0
+  let k = 0
+  for (let i = 0; i < a.length; i++) {
+    if (!casadosA[i]) continue
+    while (!casadosB[k]) k++
+    if (a[i] !== b[k]) transposicoes++
+    k++
+  }
+  
+  const jaro = (casados / a.length + casados / b.length + (casados - transposicoes / 2) / casados) / 3
+  
+  let prefixo = 0
+  while (prefixo < 4 && prefixo < a.length && prefixo < b.length && a[prefixo] === b[prefixo]) {
+    prefixo++
+  }
+  
+  return jaro + prefixo * 0.1 * (1 - jaro)
+}
+
+/**
+ * Calcula a similaridade entre duas descrições
+ * @param {string} desc1 - Descrição do extrato
+ * @param {string} desc2 - Descrição do relatório
+ * @param {Object} pesos - Sobrescreve PESOS_PADRAO parcialmente
+ * @returns {{score: number, palavrasComuns: Array<string>, explicacao: string}}
+ *   score de 0 a 1; palavrasComuns com as palavras que casaram (parecidas aparecem como "a~b")
+ */
+function calcularSimilaridade(desc1, desc2, pesos = {}) {
+  const config = { ...PESOS_PADRAO, ...pesos }
+  const palavras1 = extrairPalavras(desc1)
+  const palavras2 = extrairPalavras(desc2)
+  
+  if (palavras1.length === 0 || palavras2.length === 0) {
+    return { score: 0, palavrasComuns: [], explicacao: 'sem palavras significativas para comparar' }
+  }
+  
+  // Percorre a lista menor procurando a melhor palavra correspondente na maior
+  const [menor, maior] = palavras1.length <= palavras2.length ? [palavras1, palavras2] : [palavras2, palavras1]
+  const usadas = new Set()
+  const palavrasComuns = []
+  let somaCasamentos = 0
+  
+  menor.forEach(palavra => {
+    let melhorIndice = -1
+    let melhorSimilaridade = 0
+    
+    maior.forEach((candidata, indice) => {
+      if (usadas.has(indice)) return
+      
+      let similaridade = 0
+      if (candidata === palavra) {
+        similaridade = 1
+      } else if (palavra.length >= config.tamanhoMinimoDigitacao && candidata.length >= config.tamanhoMinimoDigitacao) {
+        const jw = jaroWinkler(palavra, candidata)
+        similaridade = jw >= config.limiarDigitacao ? jw * config.fatorDigitacao : 0
+      }
+      
+      if (similaridade > melhorSimilaridade) {
+        melhorSimilaridade = similaridade
+        melhorIndice = indice
+      }
+    })
+    
+    if (melhorIndice >= 0) {
+      usadas.add(melhorIndice)
+      somaCasamentos += melhorSimilaridade
+      const candidata = maior[melhorIndice]
+      palavrasComuns.push(candidata === palavra ? palavra.toUpperCase() : `${palavra.toUpperCase()}~${candidata.toUpperCase()}`)
+    }
+  })
+  
+  const cobertura = somaCasamentos / menor.length
+  const uniao = palavras1.length + palavras2.length - palavrasComuns.length
+  const jaccard = uniao > 0 ? somaCasamentos / uniao : 0
+  
+  const somaPesos = config.cobertura + config.jaccard
+  const score = somaPesos > 0
+    ? (config.cobertura * cobertura + config.jaccard * jaccard) / somaPesos
+    : 0
+  
+  const explicacao = palavrasComuns.length > 0
+    ? `${palavrasComuns.length} ${palavrasComuns.length === 1 ? 'palavra' : 'palavras'} em comum: ${palavrasComuns.join(', ')} (similaridade ${(score * 100).toFixed(0)}%)`
+    : 'nenhuma palavra em comum'
+  
+  return {
+    score: Math.min(1, Math.max(0, score)),
+    palavrasComuns,
+    explicacao
+  }
+}
+
+module.exports = {
+  STOPWORDS,
+  ABREVIACOES,
+  PESOS_PADRAO,
+  removerAcentos,
+  extrairPalavras,
+  jaroWinkler,
+  calcularSimilaridade
+}
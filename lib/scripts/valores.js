@@ -0,0 +1,135 @@
+/**
+ * Valores Monetários em Centavos
+ *
+ * Toda a conciliação compara e soma valores como CENTAVOS INTEIROS.
+ * Números de ponto flutuante não representam 0,10 com exatidão: 123.45 vindo
+ * de uma planilha e 123.4500000001 vindo de uma célula com fórmula na outra
+ * não são iguais com `===` nem caem na mesma chave de um Map.
+ *
+ * Regras de arredondamento:
+ * 1. Texto ("1.234,56", "-123,00", "R$ 99,9") é lido dígito a dígito, sem passar por float
+ * 2. Mais de 2 casas decimais: arredonda na 3ª casa, metade para cima (123,455 -> 123,46)
+ * 3. Número (célula numérica/fórmula): primeiro descarta o ruído de ponto flutuante
+ *    (15 algarismos significativos), depois aplica a mesma regra do item 2
+ * 4. O sinal é descartado aqui (a natureza débito/crédito é lida à parte)
+ * 5. Somas e diferenças são feitas sempre em centavos; reais só na hora de exibir
+ */
+
+/**
+ * Arredonda um número de centavos (possivelmente fracionário) para inteiro
+ * Descarta o ruído de ponto flutuante antes (ex: 100.49999999999999 -> 100.5 -> 101)
+ */
+function arredondarCentavos(centavos) {
+  const limpo = Number(Math.abs(centavos).toPrecision(15))
+  return Math.round(limpo)
+}
+
+/**
+ * Converte valor em reais (número) para centavos inteiros
+ * Ex: 123.45 -> 12345, 123.4500000001 -> 12345
+ */
+function paraCentavos(valor) {
+  return arredondarCentavos(valor * 100)
+}
+
+/**
+ * Converte centavos inteiros para reais (apenas para exibição/compatibilidade)
+ * Ex: 12345 -> 123.45
+ */
+function centavosParaReais(centavos) {
+  return centavos / 100
+}
+
+/**
+ * Formata centavos como texto com 2 casas, usando só aritmética inteira
+ * Ex: 12345 -> "123.45", -5 -> "-0.05"
+ */
+function formatarCentavos(centavos) {
+  const sinal = centavos < 0 ? '-' : ''
+  const absoluto = Math.abs(centavos)
+  const reais = Math.floor(absoluto / 100)
+  const resto = String(absoluto % 100).padStart(2, '0')
+  return `${sinal}${reais}.${resto}`
+}
+
+/**
+ * Soma os centavos de uma lista
+ * @param {Array} itens - Itens a somar
+ * @param {Function} obterCentavos - Extrai os centavos de cada item
+ * @returns {number} Soma em centavos inteiros
+ */
+function somarCentavos(itens, obterCentavos) {
+  return itens.reduce((soma, item) => soma + (obterCentavos(item) || 0), 0)
+}
+
+/**
+ * Lê um valor monetário (texto ou número) como centavos inteiros, ignorando o sinal
+ *
+ * Separadores aceitos:
+ * - Vírgula e ponto: o que aparecer por último é o decimal ("1.234,56" e "1,234.56")
+ * - Só vírgula: decimal ("123,45")
+ * - Só ponto: milhares quando TODOS os grupos depois do primeiro têm 3 dígitos
+ *   ("1.234", "1.234.567"); caso contrário é decimal ("123.45", "123.4500000001")
+ *
+ * @param {string|number} valor - Valor bruto da célula
+ * @returns {number|null} Centavos inteiros (>= 0) ou null se não for um valor
+ */
+function converterParaCentavos(valor) {
+  if (valor === null || valor === undefined || valor === '') {
+    return null
+  }
+  
+  if (typeof valor === 'number') {
+    return Number.isFinite(valor) ? paraCentavos(valor) : null
+  }
+  
+  // Remove símbolos, espaços e marcas de sinal/natureza ("-", "(...)", "D"/"C" no final)
+  let valorStr = String(valor).trim().toUpperCase()
+    .replace(/[R$\s]/g, '')
+    .replace(/^\((.*)\)$/, '$1')
+    .replace(/^[-+]/, '')
+    .replace(/[-+DC]$/, '')
+  
+  const ultimaVirgula = valorStr.lastIndexOf(',')
+  const ultimoPonto = valorStr.lastIndexOf('.')
+  
+  if (ultimaVirgula >= 0 && ultimoPonto >= 0) {
+    // O separador que aparece por último é o decimal
+    const separadorMilhares = ultimaVirgula > ultimoPonto ? '.' : ','
+    valorStr = valorStr.split(separadorMilhares).join('').replace(',', '.')
+  } else if (ultimaVirgula >= 0) {
+    valorStr = valorStr.replace(',', '.')
+  } else if (ultimoPonto >= 0) {
+    const grupos = valorStr.split('.')
+    const ehMilhares = grupos.length > 1 && grupos.slice(1).every(grupo => grupo.length === 3) &&
+                       (grupos.length > 2 || grupos[0].length <= 3)
+    if (ehMilhares) {
+      valorStr = grupos.join('')
+    }
+  }
+  
+  const partes = valorStr.match(/^(\d*)(?:\.(\d*))?$/)
+  if (!partes || (partes[1] === '' && !partes[2])) {
+    return null
+  }
+  
+  const inteiro = parseInt(partes[1] || '0', 10)
+  const decimais = (partes[2] || '').padEnd(3, '0')
+  
+  // Arredonda na 3ª casa decimal, metade para cima
+  let centavos = inteiro * 100 + parseInt(decimais.slice(0, 2), 10)
+  if (parseInt(decimais[2], 10) >= 5) {
+    centavos += 1
+  }
+  
+  return Number.isSafeInteger(centavos) ? centavos : null
+}
+
+module.exports = {
+  arredondarCentavos,
+  paraCentavos,
+  centavosParaReais,
+  formatarCentavos,
+  somarCentavos,
+  converterParaCentavos
+}